@@ -1,90 +1,178 @@
-import React, { useState } from 'react';
-import { LogIn, Send, Briefcase, DollarSign } from 'lucide-react';
+import React from 'react';
+import { Navigate, NavLink, Route, Routes, useLocation, useNavigate } from 'react-router-dom';
+import { LogIn, Send, Briefcase, DollarSign, CloudOff, History, LayoutDashboard, PieChart, Upload, Download, Coins, Tags, Repeat, Target } from 'lucide-react';
+import { useOfflineQueue } from './hooks/useOfflineQueue';
+import { useSession } from './hooks/useSession';
+import { useI18n } from './hooks/useI18n';
+import { ROUTES } from './constants';
 
 // Import feature components
 import AuthForm from './components/features/AuthForm';
+import Dashboard from './components/features/Dashboard';
+import Analytics from './components/features/Analytics';
+import ImportWizard from './components/features/ImportWizard';
+import ExportView from './components/features/ExportView';
+import ExchangeRates from './components/features/ExchangeRates';
+import CategoryManager from './components/features/CategoryManager';
+import RecurringManager from './components/features/RecurringManager';
+import BudgetManager from './components/features/BudgetManager';
+import RecurringCatchUp from './components/features/RecurringCatchUp';
 import AccountContainerForm from './components/features/AccountContainerForm';
 import TransactionForm from './components/features/TransactionForm';
+import EditTransaction from './components/features/EditTransaction';
+import TransactionHistory from './components/features/TransactionHistory';
+import ContainerManager from './components/features/ContainerManager';
+import SessionExpiryWarning from './components/features/SessionExpiryWarning';
+import MockBackendPanel from './components/features/MockBackendPanel';
+import { MOCK_AVAILABLE } from './utils/mockSettings';
+import RequireAuth from './components/routing/RequireAuth';
+import ToastStack from './components/ui/ToastStack';
+import LanguageSwitcher from './components/ui/LanguageSwitcher';
+
+// Only same-origin paths are accepted as return URLs after login
+const safeReturnPath = (returnTo) => (returnTo && returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : '/');
+
+// Navbar entries (labels are translation keys); `end` keeps a parent path from staying active on its child routes
+const NAV_ITEMS = [
+    { to: ROUTES.DASHBOARD, label: 'nav.home', icon: LayoutDashboard },
+    { to: ROUTES.CONTAINERS, label: 'nav.containers', icon: Briefcase },
+    { to: ROUTES.CATEGORIES, label: 'nav.categories', icon: Tags },
+    { to: ROUTES.NEW_TRANSACTION, label: 'nav.newTransaction', icon: Send },
+    { to: ROUTES.TRANSACTIONS, label: 'nav.history', icon: History, end: true },
+    { to: ROUTES.RECURRING, label: 'nav.recurring', icon: Repeat },
+    { to: ROUTES.BUDGETS, label: 'nav.budgets', icon: Target },
+    { to: ROUTES.ANALYTICS, label: 'nav.analytics', icon: PieChart },
+    { to: ROUTES.IMPORT, label: 'nav.import', icon: Upload },
+    { to: ROUTES.EXPORT, label: 'nav.export', icon: Download },
+    { to: ROUTES.RATES, label: 'nav.rates', icon: Coins },
+];
+
+const navLinkClass = ({ isActive }) =>
+    `p-2 rounded-lg text-xs sm:text-sm font-medium transition-colors flex items-center whitespace-nowrap ${isActive ? 'bg-indigo-100 text-indigo-700' : 'text-gray-600 hover:bg-gray-100'}`;
 
 // --- Main Application ---
 
 const App = () => {
-    // State to manage authentication
-    const [token, setToken] = useState(() => localStorage.getItem('token') || null);
-    const [user, setUser] = useState(() => localStorage.getItem('user') || null);
+    // Authentication state lives in SessionProvider
+    const { token, user, login, logout } = useSession();
+    const { t } = useI18n();
 
-    // State for simple routing: 'auth', 'accountContainer', 'transaction'
-    const [view, setView] = useState(() => (localStorage.getItem('token') ? 'accountContainer' : 'auth'));
+    const navigate = useNavigate();
+    const location = useLocation();
+    const returnTo = safeReturnPath(new URLSearchParams(location.search).get('returnTo'));
+
+    // Mounted app-wide so queued offline transactions are replayed whatever view is open
+    const { items: queuedItems, isOnline } = useOfflineQueue();
 
     const handleAuthSuccess = (username, jwtToken) => {
-        localStorage.setItem('token', jwtToken); 
-        localStorage.setItem('user', username); 
-        setUser(username);
-        setToken(jwtToken);
-        setView('accountContainer');
+        login(username, jwtToken);
+        navigate(returnTo, { replace: true });
     };
 
     const handleLogout = () => {
-        setToken(null);
-        setUser(null);
-        setView('auth');
+        logout();
+        navigate(ROUTES.LOGIN);
     };
 
-    const renderContent = () => {
-        if (!token) {
-            return <AuthForm onAuthSuccess={handleAuthSuccess} />;
-        }
-
-        switch (view) {
-            case 'accountContainer':
-                return <AccountContainerForm token={token} user={user} onCompletion={() => setView('transaction')} />;
-            case 'transaction':
-                return <TransactionForm token={token} user={user} onCompletion={() => setView('accountContainer')} />;
-            default:
-                return <AccountContainerForm token={token} user={user} onCompletion={() => setView('transaction')} />;
-        }
-    };
+    const renderRoutes = () => (
+        <Routes>
+            <Route
+                path={ROUTES.LOGIN}
+                element={token ? <Navigate to={returnTo} replace /> : <AuthForm onAuthSuccess={handleAuthSuccess} />}
+            />
+            <Route element={<RequireAuth />}>
+                <Route index element={<Navigate to={ROUTES.DASHBOARD} replace />} />
+                <Route path={ROUTES.DASHBOARD} element={<Dashboard />} />
+                <Route
+                    path={ROUTES.CONTAINERS}
+                    element={<ContainerManager onCreateNew={() => navigate(ROUTES.NEW_CONTAINER)} />}
+                />
+                <Route
+                    path={ROUTES.NEW_CONTAINER}
+                    element={<AccountContainerForm onCompletion={() => navigate(ROUTES.NEW_TRANSACTION)} />}
+                />
+                <Route
+                    path={`${ROUTES.CONTAINERS}/:containerId`}
+                    element={<ContainerManager onCreateNew={() => navigate(ROUTES.NEW_CONTAINER)} />}
+                />
+                <Route path={ROUTES.TRANSACTIONS} element={<TransactionHistory />} />
+                <Route path={ROUTES.ANALYTICS} element={<Analytics />} />
+                <Route path={ROUTES.IMPORT} element={<ImportWizard />} />
+                <Route path={ROUTES.EXPORT} element={<ExportView />} />
+                <Route path={ROUTES.RATES} element={<ExchangeRates />} />
+                <Route path={ROUTES.CATEGORIES} element={<CategoryManager />} />
+                <Route path={ROUTES.RECURRING} element={<RecurringManager />} />
+                <Route path={ROUTES.BUDGETS} element={<BudgetManager />} />
+                <Route
+                    path={ROUTES.NEW_TRANSACTION}
+                    element={<TransactionForm key={location.search} onCompletion={() => navigate(ROUTES.NEW_CONTAINER)} />}
+                />
+                <Route
+                    path={ROUTES.EDIT_TRANSACTION}
+                    element={<EditTransaction onDone={() => navigate(ROUTES.TRANSACTIONS)} />}
+                />
+            </Route>
+            <Route path="*" element={<Navigate to="/" replace />} />
+        </Routes>
+    );
 
     const renderNavbar = () => (
-        <nav className="flex justify-between items-center w-full max-w-4xl p-4 bg-white/95 backdrop-blur-sm rounded-xl shadow-lg mb-8 fixed top-4 z-10">
-            <h1 className="text-3xl font-black flex items-center drop-shadow-lg">
-                <DollarSign className="w-8 h-8 mr-3 text-indigo-600" />
-                <span className="bg-gradient-to-r from-indigo-600 to-purple-600 bg-clip-text text-transparent text-xl sm:text-3xl">
-                    TALLER API CLIENT
-                </span>
-            </h1>
-            {token && (
+        <nav className="w-full max-w-4xl p-4 bg-white/95 backdrop-blur-sm rounded-xl shadow-lg mb-8 fixed top-4 z-10">
+            <div className="flex justify-between items-center">
+                <h1 className="text-3xl font-black flex items-center drop-shadow-lg">
+                    <DollarSign className="w-8 h-8 mr-3 text-indigo-600" />
+                    <span className="bg-gradient-to-r from-indigo-600 to-purple-600 bg-clip-text text-transparent text-xl sm:text-3xl">
+                        {t('app.title')}
+                    </span>
+                </h1>
                 <div className="flex space-x-2 sm:space-x-4 items-center">
-                    <span className="text-xs sm:text-sm font-medium text-gray-600 hidden md:inline">Logged in as: <span className="font-bold text-indigo-600">{user}</span></span>
-                    <button
-                        onClick={() => setView('accountContainer')}
-                        className={`p-2 rounded-lg text-xs sm:text-sm font-medium transition-colors flex items-center ${view === 'accountContainer' ? 'bg-indigo-100 text-indigo-700' : 'text-gray-600 hover:bg-gray-100'}`}
-                    >
-                        <Briefcase className="w-4 h-4 mr-1 hidden sm:inline" /> Containers
-                    </button>
-                    <button
-                        onClick={() => setView('transaction')}
-                        className={`p-2 rounded-lg text-xs sm:text-sm font-medium transition-colors flex items-center ${view === 'transaction' ? 'bg-indigo-100 text-indigo-700' : 'text-gray-600 hover:bg-gray-100'}`}
-                    >
-                        <Send className="w-4 h-4 mr-1 hidden sm:inline" /> Txn
-                    </button>
-                    <button
-                        onClick={handleLogout}
-                        className="py-2 px-3 bg-red-500 text-white text-xs sm:text-sm rounded-lg hover:bg-red-600 transition-colors shadow-md"
-                    >
-                        <LogIn className="w-4 h-4 inline mr-1 align-middle" /> Logout
-                    </button>
+                    <LanguageSwitcher />
+                    {token && (
+                        <>
+                            <span className="text-xs sm:text-sm font-medium text-gray-600 hidden md:inline">{t('app.loggedInAs')} <span className="font-bold text-indigo-600">{user}</span></span>
+                            {(!isOnline || queuedItems.length > 0) && (
+                                <span
+                                    title={isOnline ? t('app.queuedTitle') : t('app.offlineTitle')}
+                                    className="flex items-center px-2 py-1 rounded-lg bg-yellow-100 text-yellow-700 text-xs font-semibold"
+                                >
+                                    <CloudOff className="w-4 h-4 mr-1" /> {queuedItems.length}
+                                </span>
+                            )}
+                            <button
+                                onClick={handleLogout}
+                                className="py-2 px-3 bg-red-500 text-white text-xs sm:text-sm rounded-lg hover:bg-red-600 transition-colors shadow-md"
+                            >
+                                <LogIn className="w-4 h-4 inline mr-1 align-middle" /> {t('app.logout')}
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+            {token && (
+                <div className="flex space-x-1 sm:space-x-2 mt-3 overflow-x-auto">
+                    {NAV_ITEMS.map(item => {
+                        const Icon = item.icon;
+                        return (
+                            <NavLink key={item.to} to={item.to} end={item.end} className={navLinkClass}>
+                                <Icon className="w-4 h-4 mr-1 hidden sm:inline" /> {t(item.label)}
+                            </NavLink>
+                        );
+                    })}
                 </div>
             )}
         </nav>
     );
 
     return (
-        <div className="min-h-screen bg-gray-50 flex flex-col items-center pt-24 pb-12 px-4">
+        <div className={`min-h-screen bg-gray-50 flex flex-col items-center ${token ? 'pt-40' : 'pt-24'} pb-12 px-4`}>
             {renderNavbar()}
-            <main className="w-full max-w-lg">
-                {renderContent()}
+            {token && <SessionExpiryWarning />}
+            {token && <RecurringCatchUp />}
+            <main className="w-full max-w-4xl flex flex-col items-center">
+                {renderRoutes()}
             </main>
+            {MOCK_AVAILABLE && <MockBackendPanel />}
+            <ToastStack />
         </div>
     );
 };
@@ -1,14 +1,51 @@
 import React, { useState } from 'react';
 import { Briefcase, DollarSign, Plus, Trash2 } from 'lucide-react';
 import { useApi } from '../../hooks/useApi';
+import { useSession } from '../../hooks/useSession';
+import { useFormDraft } from '../../hooks/useFormDraft';
+import { useFormValidation } from '../../hooks/useFormValidation';
+import { useI18n } from '../../hooks/useI18n';
+import { currencyPrecision, isNumber, nonNegative, required, uniqueAmong } from '../../utils/validation';
+import { parseMoney, toAmountString } from '../../utils/money';
 import { ACCOUNT_TYPES, STATIC_CURRENCIES } from '../../constants';
+import { QUERY_KEYS, invalidateQueries } from '../../utils/queryCache';
+import { notifyError, notifySuccess } from '../../utils/notifications';
 import Card from '../ui/Card';
 import FormInput from '../ui/FormInput';
 import FormSelect from '../ui/FormSelect';
 import Button from '../ui/Button';
-import Message from '../ui/Message';
 
-const AccountContainerForm = ({ token, user, onCompletion }) => {
+// Field ids match the inputs below: containerName plus accountName-/accountType-/currency-/initialBalance-<account id>
+const buildSchema = (accounts, t) => ({
+    containerName: [required(t('containerForm.nameRequired'))],
+    ...Object.fromEntries(accounts.flatMap(account => [
+        [`accountName-${account.id}`, [
+            required(t('containerForm.accountNameRequired')),
+            uniqueAmong(
+                accounts.filter(other => other.id !== account.id).map(other => other.name),
+                t('containerForm.accountNameTaken')
+            ),
+        ]],
+        [`accountType-${account.id}`, [required(t('containerForm.accountTypeRequired'))]],
+        [`currency-${account.id}`, [required(t('containerForm.currencyRequired'))]],
+        [`initialBalance-${account.id}`, [isNumber(), nonNegative(t('containerForm.balanceNegative')), currencyPrecision(account.currency)]],
+    ])),
+});
+
+const toValues = (containerName, accounts) => ({
+    containerName,
+    ...Object.fromEntries(accounts.flatMap(account => [
+        [`accountName-${account.id}`, account.name],
+        [`accountType-${account.id}`, account.accountType],
+        [`currency-${account.id}`, account.currency],
+        [`initialBalance-${account.id}`, account.initialBalance],
+    ])),
+});
+
+const AccountContainerForm = ({ onCompletion }) => {
+    const { user } = useSession();
+    const { t } = useI18n();
+
     // Helper function to create a new account object with defaults
     const newAccount = () => ({
         id: Date.now(),
@@ -18,11 +55,12 @@ const AccountContainerForm = ({ token, user, onCompletion }) => {
         initialBalance: 0
     });
 
-    const [containerName, setContainerName] = useState('');
-    const [accounts, setAccounts] = useState([newAccount()]);
-    const [message, setMessage] = useState('');
+    // Unsaved input survives a forced re-login
+    const [containerName, setContainerName] = useFormDraft('accountContainerForm.containerName', '');
+    const [accounts, setAccounts] = useFormDraft('accountContainerForm.accounts', [newAccount()]);
     const [isLoading, setIsLoading] = useState(false);
-    const { fetchApi } = useApi(token);
+    const { fetchApi } = useApi();
+    const { fieldProps, validateAll, reset: resetValidation } = useFormValidation(buildSchema(accounts, t), toValues(containerName, accounts));
 
     const addAccount = () => {
         setAccounts([...accounts, newAccount()]);
@@ -39,27 +77,14 @@ const AccountContainerForm = ({ token, user, onCompletion }) => {
     };
 
     const handleSubmit = async () => {
-        setMessage('');
+        if (!validateAll()) return;
         setIsLoading(true);
 
-        if (!containerName.trim()) {
-            setMessage('Please enter an Account Container Name.');
-            setIsLoading(false);
-            return;
-        }
-
-        const validAccounts = accounts.filter(acc => acc.name.trim() !== '');
-        if (validAccounts.length === 0) {
-            setMessage('Please create at least one Account.');
-            setIsLoading(false);
-            return;
-        }
-
-        const subaccountsPayload = validAccounts.map(acc => ({
+        const subaccountsPayload = accounts.map(acc => ({
             name: acc.name.trim(),
             accountType: acc.accountType,
             currency: acc.currency,
-            initialBalance: parseFloat(acc.initialBalance) || 0,
+            initialBalance: parseMoney(acc.initialBalance, acc.currency) || 0,
         }));
 
         const body = {
@@ -69,48 +94,56 @@ const AccountContainerForm = ({ token, user, onCompletion }) => {
 
         try {
             const result = await fetchApi('/account-container', 'POST', body);
-            setMessage(`Account Container '${result.name}' created successfully with ${result.subaccounts.length} accounts!`);
+            // Forms and lists that already loaded the containers pick up the new one
+            invalidateQueries(QUERY_KEYS.CONTAINERS);
+            notifySuccess(t('containerForm.created', { name: result.name, count: result.subaccounts.length }));
             setContainerName('');
             setAccounts([newAccount()]); // Reset form
+            resetValidation();
         } catch (error) {
-            setMessage(error.message || 'Failed to create account container.');
+            notifyError(error.message || t('containerForm.failed'));
         } finally {
             setIsLoading(false);
         }
     };
 
     return (
-        <Card title="Create Account Container">
+        <Card title={t('containerForm.title')}>
             <FormInput
                 id="containerName"
-                label="Account Container Name"
+                label={t('containerForm.name')}
                 value={containerName}
                 onChange={setContainerName}
-                placeholder="e.g., Personal Finances, Business Account"
+                placeholder={t('containerForm.namePlaceholder')}
                 required
                 icon={Briefcase}
+                {...fieldProps('containerName')}
             />
 
             <div className="mb-4 p-3 text-sm bg-gray-50 rounded-lg text-gray-600">
-                Owner: <span className="font-semibold text-indigo-600">{user}</span>
+                {t('common.owner')} <span className="font-semibold text-indigo-600">{user}</span>
             </div>
 
             <h3 className="text-xl font-bold text-gray-700 mb-3 mt-6 border-t pt-4 flex justify-between items-center">
-                Accounts
+                {t('containerForm.accounts')}
                 <button
                     onClick={addAccount}
                     className="flex items-center text-sm text-indigo-600 hover:text-indigo-800 transition-colors font-medium p-1 rounded-full"
                 >
-                    <Plus className="w-4 h-4 mr-1" /> Add
+                    <Plus className="w-4 h-4 mr-1" /> {t('containerForm.add')}
                 </button>
             </h3>
 
             {accounts.map((account, index) => (
                 <div key={account.id} className="p-4 border border-gray-200 rounded-lg mb-4 bg-white shadow-inner">
                     <div className="flex justify-between items-start mb-2">
-                        <h4 className="font-medium text-gray-600">Account {index + 1}</h4>
+                        <h4 className="font-medium text-gray-600">{t('containerForm.account', { number: index + 1 })}</h4>
                         {accounts.length > 1 && (
-                            <button onClick={() => removeAccount(account.id)} className="text-red-500 hover:text-red-700 p-1 rounded-full transition-colors">
+                            <button
+                                onClick={() => removeAccount(account.id)}
+                                className="text-red-500 hover:text-red-700 p-1 rounded-full transition-colors"
+                                aria-label={t('containerForm.removeAccount', { number: index + 1 })}
+                            >
                                 <Trash2 className="w-4 h-4" />
                             </button>
                         )}
@@ -118,59 +151,60 @@ const AccountContainerForm = ({ token, user, onCompletion }) => {
 
                     <FormInput
                         id={`accountName-${account.id}`}
-                        label="Name"
+                        label={t('containerForm.accountName')}
                         value={account.name}
                         onChange={(val) => updateAccount(account.id, 'name', val)}
-                        placeholder="e.g., Checking, Savings"
+                        placeholder={t('containerForm.accountNamePlaceholder')}
                         required
+                        {...fieldProps(`accountName-${account.id}`)}
                     />
 
                     <FormSelect
                         id={`accountType-${account.id}`}
-                        label="Account Type"
+                        label={t('containerForm.accountType')}
                         value={account.accountType}
                         onChange={(val) => updateAccount(account.id, 'accountType', val)}
-                        options={ACCOUNT_TYPES.map(type => ({ value: type, label: type }))}
+                        options={ACCOUNT_TYPES.map(type => ({ value: type, label: t(`accountTypes.${type}`) }))}
                         required
+                        {...fieldProps(`accountType-${account.id}`)}
                     />
 
                     {/* Currency Dropdown: Changed to use STATIC_CURRENCIES and FormSelect */}
                     <FormSelect
                         id={`currency-${account.id}`}
-                        label="Currency"
+                        label={t('common.currency')}
                         value={account.currency}
                         onChange={(val) => updateAccount(account.id, 'currency', val)}
                         options={STATIC_CURRENCIES}
                         required
                         icon={DollarSign}
-                        placeholder="Select Currency"
+                        placeholder={t('common.selectCurrency')}
+                        {...fieldProps(`currency-${account.id}`)}
                     />
 
                     <FormInput
                         id={`initialBalance-${account.id}`}
-                        label="Initial Balance"
-                        type="number"
-                        step="0.01"
+                        label={t('containerForm.initialBalance')}
+                        type="decimal"
                         value={account.initialBalance}
                         onChange={(val) => updateAccount(account.id, 'initialBalance', val)}
-                        placeholder="0.00"
+                        placeholder={toAmountString(0, account.currency)}
+                        {...fieldProps(`initialBalance-${account.id}`)}
                     />
                 </div>
             ))}
 
-            <Button onClick={handleSubmit} disabled={isLoading || !containerName || accounts.filter(acc => acc.name.trim()).length === 0} className="mt-6">
+            <Button onClick={handleSubmit} disabled={isLoading} className="mt-6">
                 <Briefcase className="inline w-4 h-4 mr-2 align-middle" />
-                {isLoading ? 'Creating...' : 'Create Container & Accounts'}
+                {isLoading ? t('common.creating') : t('containerForm.submit')}
             </Button>
 
             <button
                 onClick={onCompletion}
                 className="w-full mt-2 py-2 text-sm text-indigo-600 hover:text-indigo-800 transition-colors"
             >
-                Go to Transactions
+                {t('containerForm.goToTransactions')}
             </button>
-
-            <Message message={message} />
         </Card>
     );
 };
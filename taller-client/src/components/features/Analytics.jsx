@@ -0,0 +1,201 @@
+import React, { useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Briefcase, DollarSign, LayoutList, RefreshCw } from 'lucide-react';
+import { useReferenceData } from '../../hooks/useReferenceData';
+import { useTransactions } from '../../hooks/useTransactions';
+import { usePersistentState } from '../../hooks/usePersistentState';
+import { useSession } from '../../hooks/useSession';
+import { CHART_COLORS, STATIC_CURRENCIES, transactionsPath } from '../../constants';
+import { DEFAULT_TRANSACTION_FILTERS, filterTransactions, indexById } from '../../utils/transactions';
+import { categoryBreakdown, cumulativeBalance, monthlyTotals, monthRange } from '../../utils/analytics';
+import { formatAmount, sumAmounts } from '../../utils/money';
+import { categoryPath } from '../../utils/categories';
+import { useI18n } from '../../hooks/useI18n';
+import Card from '../ui/Card';
+import FormInput from '../ui/FormInput';
+import FormSelect from '../ui/FormSelect';
+import Message from '../ui/Message';
+import DonutChart from '../ui/DonutChart';
+import LineChart from '../ui/LineChart';
+
+const DEFAULT_ANALYTICS_FILTERS = {
+    currency: STATIC_CURRENCIES[0].value,
+    containerId: '',
+    accountId: '',
+    dateFrom: '',
+    dateTo: '',
+    breakdownType: 'EXPENSE',
+};
+
+// Amounts of different currencies cannot be added up, so every chart covers a single currency
+const Analytics = () => {
+    const navigate = useNavigate();
+    const { accounts, containers, categories, isLoading: isDataLoading, error: dataError, reload: reloadData } = useReferenceData();
+    const { transactions, isLoading, error, reload } = useTransactions();
+    const { user } = useSession();
+    // Per user, like the history filters: they hold that user's account and container ids
+    const [filters, setFilters] = usePersistentState(`analytics.filters.${user}`, DEFAULT_ANALYTICS_FILTERS);
+    const { t } = useI18n();
+
+    const accountsById = useMemo(() => indexById(accounts), [accounts]);
+    const categoriesById = useMemo(() => indexById(categories), [categories]);
+
+    const currencies = useMemo(() => [...new Set(accounts.map(a => a.currency))], [accounts]);
+    const currency = currencies.includes(filters.currency) ? filters.currency : (currencies[0] || filters.currency);
+
+    const scopedAccounts = useMemo(() => accounts.filter(a => a.currency === currency
+        && (!filters.containerId || a.containerId === filters.containerId)
+        && (!filters.accountId || a.id === filters.accountId)), [accounts, currency, filters.containerId, filters.accountId]);
+
+    const report = useMemo(() => {
+        const scopedIds = new Set(scopedAccounts.map(a => a.id));
+        const scoped = transactions.filter(t => scopedIds.has(t.accountId));
+        const inRange = filterTransactions(scoped, { ...DEFAULT_TRANSACTION_FILTERS, dateFrom: filters.dateFrom, dateTo: filters.dateTo }, accountsById);
+        // The balance curve needs everything up to the end of the range to start from the right value
+        const upToEnd = filterTransactions(scoped, { ...DEFAULT_TRANSACTION_FILTERS, dateTo: filters.dateTo }, accountsById);
+        const openingBalance = sumAmounts(scopedAccounts.map(a => a.initialBalance), currency);
+        const from = filters.dateFrom ? new Date(`${filters.dateFrom}T00:00:00`).getTime() : null;
+
+        return {
+            breakdown: categoryBreakdown(inRange, currency, filters.breakdownType),
+            monthly: monthlyTotals(inRange, currency),
+            balance: cumulativeBalance(upToEnd, currency, openingBalance, from),
+        };
+    }, [transactions, currency, scopedAccounts, accountsById, filters.dateFrom, filters.dateTo, filters.breakdownType]);
+
+    const updateFilter = (field, value) => {
+        setFilters(prev => {
+            const next = { ...DEFAULT_ANALYTICS_FILTERS, ...prev, [field]: value };
+            const account = accountsById[next.accountId];
+            // Drop an account that no longer matches the chosen container/currency
+            if (account && ((next.containerId && account.containerId !== next.containerId) || account.currency !== next.currency)) {
+                next.accountId = '';
+            }
+            return next;
+        });
+    };
+
+    // Drill-down: open the history with the chart's filters plus the selected segment
+    const drillDown = (extraFilters) => {
+        navigate(transactionsPath({
+            containerId: filters.containerId,
+            accountId: filters.accountId,
+            dateFrom: filters.dateFrom,
+            dateTo: filters.dateTo,
+            ...extraFilters,
+        }));
+    };
+
+    const format = (value) => formatAmount(value, currency);
+    const loading = isLoading || isDataLoading;
+    const accountOptions = accounts.filter(a => a.currency === currency && (!filters.containerId || a.containerId === filters.containerId));
+
+    return (
+        <Card title={t('analytics.title')} wide>
+            <div className="mb-4 flex justify-end">
+                <button
+                    onClick={() => { reloadData(); reload(); }}
+                    disabled={loading}
+                    className="flex items-center text-xs text-gray-500 hover:text-indigo-600 transition-colors disabled:opacity-50"
+                >
+                    <RefreshCw className={`w-3 h-3 mr-1 ${loading ? 'animate-spin' : ''}`} /> {t('common.reloadData')}
+                </button>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-x-4">
+                <FormSelect
+                    id="analyticsCurrency"
+                    label={t('common.currency')}
+                    value={currency}
+                    onChange={(value) => updateFilter('currency', value)}
+                    options={currencies.map(c => ({ value: c, label: c }))}
+                    icon={DollarSign}
+                    placeholder={t('common.selectCurrency')}
+                />
+                <FormSelect
+                    id="analyticsContainer"
+                    label={t('transactionHistory.container')}
+                    value={filters.containerId}
+                    onChange={(value) => updateFilter('containerId', value)}
+                    options={containers}
+                    icon={Briefcase}
+                    placeholder={t('transactionHistory.allContainers')}
+                    allowEmpty
+                />
+                <FormSelect
+                    id="analyticsAccount"
+                    label={t('transactionHistory.account')}
+                    value={filters.accountId}
+                    onChange={(value) => updateFilter('accountId', value)}
+                    options={accountOptions}
+                    icon={LayoutList}
+                    placeholder={t('transactionHistory.allAccounts')}
+                    allowEmpty
+                />
+                <FormInput
+                    id="analyticsDateFrom"
+                    label={t('transactionHistory.from')}
+                    type="date"
+                    value={filters.dateFrom}
+                    onChange={(value) => updateFilter('dateFrom', value)}
+                />
+                <FormInput
+                    id="analyticsDateTo"
+                    label={t('transactionHistory.to')}
+                    type="date"
+                    value={filters.dateTo}
+                    onChange={(value) => updateFilter('dateTo', value)}
+                />
+            </div>
+
+            <h3 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4 flex justify-between items-center">
+                {t('analytics.byCategory')}
+                <span className="flex text-sm font-medium rounded-lg bg-gray-100 p-1">
+                    {['EXPENSE', 'INCOME'].map(type => (
+                        <button
+                            key={type}
+                            onClick={() => updateFilter('breakdownType', type)}
+                            className={`px-3 py-1 rounded-md transition-colors ${filters.breakdownType === type ? 'bg-white shadow text-indigo-700' : 'text-gray-600'}`}
+                        >
+                            {t(`transactionTypes.${type}`)}
+                        </button>
+                    ))}
+                </span>
+            </h3>
+            <DonutChart
+                data={report.breakdown.map((item, index) => ({
+                    id: item.categoryId,
+                    label: categoryPath(categoriesById, item.categoryId) || t('analytics.uncategorized'),
+                    value: item.value,
+                    color: CHART_COLORS[index % CHART_COLORS.length],
+                }))}
+                formatValue={format}
+                centerLabel={currency}
+                onSelect={(item) => drillDown({ categoryId: item.id, transactionType: filters.breakdownType })}
+            />
+
+            <h3 className="text-xl font-bold text-gray-700 mb-3 mt-6 border-t pt-4">{t('analytics.monthly')}</h3>
+            <LineChart
+                labels={report.monthly.map(m => m.month)}
+                series={[
+                    { id: 'income', label: t('analytics.income'), color: '#10b981', values: report.monthly.map(m => m.income) },
+                    { id: 'expense', label: t('analytics.expense'), color: '#ef4444', values: report.monthly.map(m => m.expense) },
+                ]}
+                formatValue={(value) => Math.round(value).toString()}
+                onSelect={(index) => drillDown(monthRange(report.monthly[index].month))}
+            />
+
+            <h3 className="text-xl font-bold text-gray-700 mb-3 mt-6 border-t pt-4">{t('analytics.balanceOverTime')}</h3>
+            <LineChart
+                labels={report.balance.map(point => point.day)}
+                series={[{ id: 'balance', label: t('analytics.balance', { currency }), color: CHART_COLORS[0], values: report.balance.map(point => point.balance) }]}
+                formatValue={(value) => Math.round(value).toString()}
+                onSelect={(index) => drillDown({ dateFrom: report.balance[index].day, dateTo: report.balance[index].day })}
+            />
+
+            <Message message={dataError || error} />
+        </Card>
+    );
+};
+
+export default Analytics;
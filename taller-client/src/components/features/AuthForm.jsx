@@ -1,23 +1,50 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { LogIn, UserPlus } from 'lucide-react';
 import { useApi } from '../../hooks/useApi';
+import { useSession } from '../../hooks/useSession';
+import { useFormValidation } from '../../hooks/useFormValidation';
+import { useI18n } from '../../hooks/useI18n';
+import { required } from '../../utils/validation';
+import { notifyError, notifySuccess, notifyWarning } from '../../utils/notifications';
+import { LOGOUT_REASONS } from '../../constants';
 import Card from '../ui/Card';
 import FormInput from '../ui/FormInput';
 import Button from '../ui/Button';
-import Message from '../ui/Message';
+
+// Translation keys of the notice shown after a forced logout
+const LOGOUT_MESSAGES = {
+    [LOGOUT_REASONS.EXPIRED]: 'auth.sessionExpired',
+    [LOGOUT_REASONS.UNAUTHORIZED]: 'auth.unauthorized',
+};
 
 const AuthForm = ({ onAuthSuccess }) => {
+    // Set when the session was ended by expiry or a 401 rather than by the user
+    const { logoutReason } = useSession();
+    const { t } = useI18n();
+
     const [isLogin, setIsLogin] = useState(true);
-    const [username, setUsername] = useState('');
+    const [username, setUsername] = useState(() => (logoutReason ? localStorage.getItem('lastUser') || '' : ''));
     const [password, setPassword] = useState('');
-    const [message, setMessage] = useState('');
     const [isLoading, setIsLoading] = useState(false);
 
-    // Unauthenticated API hook
-    const { fetchApi } = useApi(null);
+    // Unauthenticated API hook (no session while this form is shown)
+    const { fetchApi } = useApi();
+    const { fieldProps, validateAll, reset: resetValidation } = useFormValidation({
+        username: [required(t('auth.usernameRequired'))],
+        password: [required(t('auth.passwordRequired'))],
+    }, { username, password });
+
+    useEffect(() => {
+        if (LOGOUT_MESSAGES[logoutReason]) notifyWarning(t(LOGOUT_MESSAGES[logoutReason]));
+    }, [logoutReason, t]);
+
+    const switchMode = (login) => {
+        setIsLogin(login);
+        resetValidation();
+    };
 
     const handleSubmit = async () => {
-        setMessage('');
+        if (!validateAll()) return;
         setIsLoading(true);
 
         const endpoint = isLogin ? '/user/login' : '/user';
@@ -32,18 +59,18 @@ const AuthForm = ({ onAuthSuccess }) => {
             } else {
                 // Create User (Register)
                 const result = await fetchApi(endpoint, method, body);
-                setMessage(`User '${result.username}' created successfully! Please log in.`);
+                notifySuccess(t('auth.registered', { username: result.username }));
                 setIsLogin(true); // Switch to login after registration
             }
         } catch (error) {
-            setMessage(error.message || 'An error occurred during authentication.');
+            notifyError(error.message || t('auth.failed'));
         } finally {
             setIsLoading(false);
         }
     };
 
-    const title = isLogin ? 'User Login' : 'Create New User';
-    const buttonText = isLogin ? 'Login' : 'Register';
+    const title = isLogin ? t('auth.loginTitle') : t('auth.registerTitle');
+    const buttonText = isLogin ? t('auth.login') : t('auth.register');
 
     return (
         <Card title={title}>
@@ -51,42 +78,42 @@ const AuthForm = ({ onAuthSuccess }) => {
                 <button
                     className={`flex-1 py-2 font-medium transition-colors ${isLogin ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-indigo-600'
                         }`}
-                    onClick={() => { setIsLogin(true); setMessage(''); }}
+                    onClick={() => switchMode(true)}
                 >
-                    <LogIn className="inline w-4 h-4 mr-2" /> Login
+                    <LogIn className="inline w-4 h-4 mr-2" /> {t('auth.login')}
                 </button>
                 <button
                     className={`flex-1 py-2 font-medium transition-colors ${!isLogin ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-indigo-600'
                         }`}
-                    onClick={() => { setIsLogin(false); setMessage(''); }}
+                    onClick={() => switchMode(false)}
                 >
-                    <UserPlus className="inline w-4 h-4 mr-2" /> Register
+                    <UserPlus className="inline w-4 h-4 mr-2" /> {t('auth.register')}
                 </button>
             </div>
 
             <FormInput
                 id="username"
-                label="Username"
+                label={t('auth.username')}
                 value={username}
                 onChange={setUsername}
-                placeholder="enter username"
+                placeholder={t('auth.usernamePlaceholder')}
                 required
+                {...fieldProps('username')}
             />
             <FormInput
                 id="password"
-                label="Password"
+                label={t('auth.password')}
                 type="password"
                 value={password}
                 onChange={setPassword}
-                placeholder="enter password"
+                placeholder={t('auth.passwordPlaceholder')}
                 required
+                {...fieldProps('password')}
             />
 
             <Button onClick={handleSubmit} disabled={isLoading}>
-                {isLoading ? 'Processing...' : buttonText}
+                {isLoading ? t('auth.processing') : buttonText}
             </Button>
-
-            <Message message={message} />
         </Card>
     );
 };
@@ -0,0 +1,267 @@
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertTriangle, Briefcase, ChevronLeft, ChevronRight, Coins, DollarSign, Plus, RefreshCw, Repeat, Trash2 } from 'lucide-react';
+import { useReferenceData } from '../../hooks/useReferenceData';
+import { useTransactions } from '../../hooks/useTransactions';
+import { useBudgets } from '../../hooks/useBudgets';
+import { useExchangeRates } from '../../hooks/useExchangeRates';
+import { STATIC_CURRENCIES, transactionsPath } from '../../constants';
+import { budgetStatus } from '../../utils/budgets';
+import { categoryPath } from '../../utils/categories';
+import { indexById } from '../../utils/transactions';
+import { addMonths, toMonthKey } from '../../utils/dates';
+import { formatMonth, normalizeDecimalInput, toDecimalInput } from '../../utils/format';
+import { formatAmount, parseMoney, toAmountString } from '../../utils/money';
+import { currencyPrecision, isNumber } from '../../utils/validation';
+import { notifyError, notifySuccess, notifyWarning } from '../../utils/notifications';
+import { useI18n } from '../../hooks/useI18n';
+import Card from '../ui/Card';
+import FormInput from '../ui/FormInput';
+import FormSelect from '../ui/FormSelect';
+import Button from '../ui/Button';
+import Message from '../ui/Message';
+import ProgressBar from '../ui/ProgressBar';
+import CategoryIcon from '../ui/CategoryIcon';
+import CategoryTreePicker from '../ui/CategoryTreePicker';
+
+// Last calendar day of a YYYY-MM month, for the history drill-down range
+const lastDayOf = (monthKey) => {
+    const [year, month] = monthKey.split('-').map(Number);
+    return `${monthKey}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}`;
+};
+
+const BudgetManager = () => {
+    const { containers, accounts, categories, isLoading: isDataLoading, error: dataError, reload: reloadData } = useReferenceData();
+    const { transactions, isLoading, error, reload } = useTransactions();
+    const { budgets, addBudget, updateBudget, removeBudget } = useBudgets();
+    const { rates, baseCurrency } = useExchangeRates();
+    const { t } = useI18n();
+
+    const [month, setMonth] = useState(() => toMonthKey(new Date()));
+    const [categoryId, setCategoryId] = useState('');
+    const [containerId, setContainerId] = useState('');
+    const [amount, setAmount] = useState('');
+    const [currency, setCurrency] = useState(baseCurrency);
+    const [rollover, setRollover] = useState(false);
+
+    const accountsById = useMemo(() => indexById(accounts), [accounts]);
+    const categoriesById = useMemo(() => indexById(categories), [categories]);
+    const containersById = useMemo(() => indexById(containers), [containers]);
+
+    const rows = useMemo(() => {
+        const context = { accountsById, categories, rates };
+        return budgets
+            .map(budget => ({
+                budget,
+                // Months before the budget existed have no limit to compare against
+                status: budget.startMonth && month < budget.startMonth ? null : budgetStatus(budget, transactions, month, context),
+            }))
+            .sort((a, b) => categoryPath(categoriesById, a.budget.categoryId).localeCompare(categoryPath(categoriesById, b.budget.categoryId)));
+    }, [budgets, transactions, month, accountsById, categories, categoriesById, rates]);
+
+    const amountError = currencyPrecision(currency)(amount);
+
+    const handleAdd = () => {
+        if (amountError) {
+            notifyError(amountError);
+            return;
+        }
+        const parsedAmount = parseMoney(amount, currency);
+        if (!categoryId || !(parsedAmount > 0)) {
+            notifyError(t('budgets.incomplete'));
+            return;
+        }
+        if (budgets.some(b => b.categoryId === categoryId && b.containerId === containerId)) {
+            notifyWarning(t('budgets.duplicate'));
+            return;
+        }
+        addBudget({ categoryId, containerId, amount: parsedAmount, currency, rollover });
+        notifySuccess(t('budgets.created', { category: categoryPath(categoriesById, categoryId) }));
+        setAmount('');
+        setCategoryId('');
+    };
+
+    // An invalid limit is reported and the input goes back to the current one
+    const handleAmountChange = (budget, input) => {
+        const value = normalizeDecimalInput(input.value);
+        const inputError = isNumber()(value) || currencyPrecision(budget.currency)(value);
+        const parsedAmount = parseMoney(value, budget.currency);
+        if (parsedAmount > 0) {
+            updateBudget(budget.id, { amount: parsedAmount });
+            return;
+        }
+        if (inputError) notifyError(inputError);
+        input.value = toDecimalInput(budget.amount);
+    };
+
+    const loading = isLoading || isDataLoading;
+
+    return (
+        <Card title={t('budgets.title')} wide>
+            <div className="mb-4 flex justify-between items-center">
+                <div className="flex items-center space-x-2">
+                    <button onClick={() => setMonth(addMonths(month, -1))} className="p-1 rounded-full hover:bg-gray-100" aria-label={t('budgets.previousMonth')}>
+                        <ChevronLeft className="w-5 h-5" />
+                    </button>
+                    <span className="font-semibold text-gray-800 w-40 text-center">{formatMonth(month)}</span>
+                    <button onClick={() => setMonth(addMonths(month, 1))} className="p-1 rounded-full hover:bg-gray-100" aria-label={t('budgets.nextMonth')}>
+                        <ChevronRight className="w-5 h-5" />
+                    </button>
+                </div>
+                <button
+                    onClick={() => {
+                        reloadData();
+                        reload();
+                    }}
+                    disabled={loading}
+                    className="flex items-center text-xs text-gray-500 hover:text-indigo-600 transition-colors disabled:opacity-50"
+                >
+                    <RefreshCw className={`w-3 h-3 mr-1 ${loading ? 'animate-spin' : ''}`} /> {t('common.reloadData')}
+                </button>
+            </div>
+
+            {rows.length === 0 && (
+                <p className="p-4 text-center text-sm text-gray-500">{t('budgets.empty')}</p>
+            )}
+            <ul className="space-y-4 mb-6">
+                {rows.map(({ budget, status }) => {
+                    const category = categoriesById[budget.categoryId];
+                    const name = categoryPath(categoriesById, budget.categoryId) || t('budgets.deletedCategory');
+                    return (
+                        <li key={budget.id} className="p-3 border border-gray-200 rounded-lg">
+                            <div className="flex items-center mb-2">
+                                {category && <CategoryIcon icon={category.icon} color={category.color} size="sm" />}
+                                <Link
+                                    to={transactionsPath({
+                                        categoryId: budget.categoryId,
+                                        containerId: budget.containerId,
+                                        transactionType: 'EXPENSE',
+                                        dateFrom: `${month}-01`,
+                                        dateTo: lastDayOf(month),
+                                    })}
+                                    className="ml-2 font-semibold text-gray-800 hover:text-indigo-600"
+                                >
+                                    {name}
+                                </Link>
+                                <span className="ml-2 text-xs text-gray-500 flex items-center">
+                                    <Briefcase className="w-3 h-3 mr-1" />
+                                    {budget.containerId ? containersById[budget.containerId]?.name || t('budgets.deletedContainer') : t('budgets.allContainers')}
+                                </span>
+                                {budget.rollover && (
+                                    <span className="ml-2 text-xs text-indigo-600 flex items-center" title={t('budgets.rolloverHint')}>
+                                        <Repeat className="w-3 h-3 mr-1" /> {t('budgets.rollover')}
+                                    </span>
+                                )}
+                                <button
+                                    onClick={() => removeBudget(budget.id)}
+                                    className="ml-auto p-1 text-gray-400 hover:text-red-600 rounded-full transition-colors"
+                                    aria-label={t('budgets.deleteLabel', { name })}
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+
+                            {status ? (
+                                <>
+                                    <ProgressBar ratio={status.ratio} label={t('budgets.usedLabel', { name })} />
+                                    <div className="mt-1 flex justify-between text-xs text-gray-600">
+                                        <span>
+                                            {t('budgets.spentOf', { spent: formatAmount(status.spent, budget.currency), limit: formatAmount(status.limit, budget.currency) })}
+                                            {status.carried > 0 && t('budgets.carried', { amount: formatAmount(status.carried, budget.currency) })}
+                                        </span>
+                                        <span className={`font-semibold ${status.remaining < 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                                            {status.remaining < 0
+                                                ? t('budgets.over', { amount: formatAmount(-status.remaining, budget.currency) })
+                                                : t('budgets.left', { amount: formatAmount(status.remaining, budget.currency) })}
+                                        </span>
+                                    </div>
+                                    {status.unconverted > 0 && (
+                                        <p className="mt-1 text-xs text-yellow-700 flex items-center">
+                                            <AlertTriangle className="w-3 h-3 mr-1" />
+                                            {t('budgets.unconverted', { count: status.unconverted, currency: budget.currency })}
+                                        </p>
+                                    )}
+                                </>
+                            ) : (
+                                <p className="text-xs text-gray-500">{t('budgets.startsIn', { month: formatMonth(budget.startMonth) })}</p>
+                            )}
+
+                            <label className="mt-2 flex items-center text-xs text-gray-600">
+                                {t('budgets.monthlyLimit')}
+                                <input
+                                    type="text"
+                                    inputMode="decimal"
+                                    defaultValue={toDecimalInput(budget.amount)}
+                                    onBlur={(e) => handleAmountChange(budget, e.target)}
+                                    className="ml-2 w-28 px-2 py-1 border border-gray-300 rounded-lg text-right"
+                                />
+                                <span className="ml-1">{budget.currency}</span>
+                            </label>
+                        </li>
+                    );
+                })}
+            </ul>
+
+            {/* New budget */}
+            <h3 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4 flex items-center">
+                <Plus className="w-5 h-5 mr-2 text-indigo-600" /> {t('budgets.newBudget')}
+            </h3>
+            <CategoryTreePicker
+                id="budgetCategory"
+                label={t('budgets.category')}
+                value={categoryId}
+                onChange={setCategoryId}
+                categories={categories}
+                required
+            />
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-x-4">
+                <FormSelect
+                    id="budgetContainer"
+                    label={t('budgets.container')}
+                    value={containerId}
+                    onChange={setContainerId}
+                    options={containers}
+                    icon={Briefcase}
+                    placeholder={t('budgets.allContainers')}
+                    allowEmpty
+                />
+                <FormInput
+                    id="budgetAmount"
+                    label={t('budgets.limit')}
+                    type="decimal"
+                    value={amount}
+                    onChange={setAmount}
+                    placeholder={toAmountString(0, currency)}
+                    required
+                    icon={DollarSign}
+                    error={amountError}
+                />
+                <FormSelect
+                    id="budgetCurrency"
+                    label={t('common.currency')}
+                    value={currency}
+                    onChange={setCurrency}
+                    options={STATIC_CURRENCIES}
+                    required
+                    icon={Coins}
+                />
+            </div>
+            <label className="flex items-center text-sm text-gray-700 mb-4">
+                <input
+                    type="checkbox"
+                    checked={rollover}
+                    onChange={(e) => setRollover(e.target.checked)}
+                    className="mr-2 rounded text-indigo-600"
+                />
+                {t('budgets.rolloverOption')}
+            </label>
+            <Button onClick={handleAdd} type="secondary">
+                <Plus className="inline w-4 h-4 mr-2 align-middle" /> {t('budgets.add')}
+            </Button>
+
+            <Message message={dataError || error} />
+        </Card>
+    );
+};
+
+export default BudgetManager;
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { FolderTree, Tag } from 'lucide-react';
+import { CHART_COLORS } from '../../constants';
+import { buildCategoryTree, flattenCategoryTree, DEFAULT_CATEGORY_COLOR, DEFAULT_CATEGORY_ICON } from '../../utils/categories';
+import { CATEGORY_ICONS } from '../ui/categoryIcons';
+import { useI18n } from '../../hooks/useI18n';
+import FormInput from '../ui/FormInput';
+import FormSelect from '../ui/FormSelect';
+import Button from '../ui/Button';
+
+const EMPTY_CATEGORY = { name: '', parentId: '', color: DEFAULT_CATEGORY_COLOR, icon: DEFAULT_CATEGORY_ICON };
+
+/**
+ * Name, parent, color and icon of a category; used both to create and to edit one.
+ * `excludedParentIds` keeps a category from being moved below itself or its descendants.
+ */
+const CategoryEditor = ({ initial = EMPTY_CATEGORY, categories, excludedParentIds = new Set(), submitLabel, isSaving, onSubmit, onCancel }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(initial);
+    const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+    const parentOptions = flattenCategoryTree(buildCategoryTree(categories))
+        .filter(c => !excludedParentIds.has(c.id))
+        .map(c => ({ id: c.id, name: `${'\u00a0\u00a0\u00a0'.repeat(c.depth)}${c.name}` }));
+
+    const handleSubmit = async () => {
+        const saved = await onSubmit(draft);
+        if (saved && !onCancel) {
+            setDraft(EMPTY_CATEGORY);
+        }
+    };
+
+    return (
+        <div>
+            <FormInput
+                id={`category-name-${initial.id || 'new'}`}
+                label={t('categoryEditor.name')}
+                value={draft.name}
+                onChange={(value) => update('name', value)}
+                placeholder={t('categoryEditor.namePlaceholder')}
+                required
+                icon={Tag}
+            />
+            <FormSelect
+                id={`category-parent-${initial.id || 'new'}`}
+                label={t('categoryEditor.parent')}
+                value={draft.parentId}
+                onChange={(value) => update('parentId', value)}
+                options={parentOptions}
+                icon={FolderTree}
+                placeholder={t('categoryEditor.topLevel')}
+                allowEmpty
+            />
+
+            <p className="block text-sm font-medium text-gray-700 mb-1">{t('categoryEditor.color')}</p>
+            <div className="flex flex-wrap gap-2 mb-4">
+                {CHART_COLORS.map(color => (
+                    <button
+                        key={color}
+                        type="button"
+                        onClick={() => update('color', color)}
+                        className={`w-7 h-7 rounded-full border-2 ${draft.color === color ? 'border-gray-800' : 'border-transparent'}`}
+                        style={{ backgroundColor: color }}
+                        aria-label={t('categoryEditor.colorLabel', { color })}
+                        aria-pressed={draft.color === color}
+                    />
+                ))}
+            </div>
+
+            <p className="block text-sm font-medium text-gray-700 mb-1">{t('categoryEditor.icon')}</p>
+            <div className="flex flex-wrap gap-1 mb-4">
+                {Object.keys(CATEGORY_ICONS).map(key => {
+                    const Icon = CATEGORY_ICONS[key];
+                    return (
+                        <button
+                            key={key}
+                            type="button"
+                            onClick={() => update('icon', key)}
+                            className={`p-2 rounded-lg border ${draft.icon === key ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                            style={{ color: draft.color }}
+                            aria-label={t('categoryEditor.iconLabel', { icon: key })}
+                            aria-pressed={draft.icon === key}
+                        >
+                            <Icon className="w-4 h-4" />
+                        </button>
+                    );
+                })}
+            </div>
+
+            <div className="flex space-x-3">
+                {onCancel && <Button type="secondary" onClick={onCancel} disabled={isSaving}>{t('common.cancel')}</Button>}
+                <Button onClick={handleSubmit} disabled={isSaving || !draft.name.trim()}>{submitLabel}</Button>
+            </div>
+        </div>
+    );
+};
+
+export default CategoryEditor;
@@ -0,0 +1,262 @@
+import React, { useMemo, useState } from 'react';
+import { GitMerge, Pencil, Plus, RefreshCw, Tags, Trash2 } from 'lucide-react';
+import { useApi } from '../../hooks/useApi';
+import { useReferenceData } from '../../hooks/useReferenceData';
+import { useTransactions } from '../../hooks/useTransactions';
+import { QUERY_KEYS, invalidateQueries, updateQueryData } from '../../utils/queryCache';
+import { notifyError, notifySuccess, notifyWarning } from '../../utils/notifications';
+import { buildCategoryTree, flattenCategoryTree, descendantIds, toCategoryDto } from '../../utils/categories';
+import { indexById } from '../../utils/transactions';
+import { useI18n } from '../../hooks/useI18n';
+import Card from '../ui/Card';
+import Message from '../ui/Message';
+import InlineEdit from '../ui/InlineEdit';
+import ConfirmDialog from '../ui/ConfirmDialog';
+import CategoryIcon from '../ui/CategoryIcon';
+import CategoryTreePicker from '../ui/CategoryTreePicker';
+import Button from '../ui/Button';
+import CategoryEditor from './CategoryEditor';
+
+const CategoryManager = () => {
+    const { fetchApi } = useApi();
+    const { categories, isLoading, error, reload } = useReferenceData();
+    const { transactions } = useTransactions();
+    const { t } = useI18n();
+
+    const [isSaving, setIsSaving] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [pendingDelete, setPendingDelete] = useState(null);
+    const [mergeSourceId, setMergeSourceId] = useState('');
+    const [mergeTargetId, setMergeTargetId] = useState('');
+    const [isConfirmingMerge, setIsConfirmingMerge] = useState(false);
+
+    const categoriesById = useMemo(() => indexById(categories), [categories]);
+    const nodes = useMemo(() => flattenCategoryTree(buildCategoryTree(categories)), [categories]);
+    const transactionCounts = useMemo(() => transactions.reduce((counts, transaction) => {
+        counts[transaction.categoryId] = (counts[transaction.categoryId] || 0) + 1;
+        return counts;
+    }, {}), [transactions]);
+
+    const childCount = (id) => categories.filter(c => c.parentId === id).length;
+
+    // Runs a mutation, reports the outcome and refreshes the cached data. `optimistic`
+    // (categories => categories) is shown right away and undone if the request fails;
+    // the failure toast offers to run it again. Resolves to true on success.
+    const mutate = async (request, successMessage, options = {}) => {
+        const { optimistic = null, affectsTransactions = false } = options;
+        setIsSaving(true);
+        const rollback = optimistic ? updateQueryData(QUERY_KEYS.CATEGORIES, optimistic) : () => {};
+        try {
+            await request();
+            notifySuccess(successMessage);
+            return true;
+        } catch (mutationError) {
+            rollback();
+            notifyError(mutationError.message || t('categories.saveFailed'), {
+                action: { label: t('common.retry'), onClick: () => mutate(request, successMessage, options) },
+            });
+            return false;
+        } finally {
+            invalidateQueries(QUERY_KEYS.CATEGORIES, ...(affectsTransactions ? [QUERY_KEYS.TRANSACTIONS] : []));
+            setIsSaving(false);
+        }
+    };
+
+    // NOTE: Assuming POST /category accepts { name, parent, color, icon }
+    const createCategory = (draft) => mutate(
+        () => fetchApi('/category', 'POST', toCategoryDto(draft)),
+        t('categories.created', { name: draft.name.trim() })
+    );
+
+    // NOTE: Assuming PUT /category/{id} accepts the full CategoryDto
+    const updateCategory = async (category, changes) => {
+        const saved = await mutate(
+            () => fetchApi(`/category/${category.id}`, 'PUT', toCategoryDto({ ...category, ...changes })),
+            t('categories.updated', { name: (changes.name || category.name).trim() }),
+            { optimistic: list => list.map(c => (c.id === category.id ? { ...c, ...changes, name: (changes.name || c.name).trim() } : c)) }
+        );
+        if (saved) setEditingId(null);
+        return saved;
+    };
+
+    const confirmDelete = async () => {
+        const category = pendingDelete;
+        // The category disappears right away (optimistically); a failure brings it back
+        setPendingDelete(null);
+        await mutate(
+            () => fetchApi(`/category/${category.id}`, 'DELETE'),
+            t('categories.deleted', { name: category.name }),
+            { optimistic: list => list.filter(c => c.id !== category.id) }
+        );
+    };
+
+    // Deleting would orphan transactions or subcategories; merging is the safe way out
+    const requestDelete = (category) => {
+        if (childCount(category.id) > 0) {
+            notifyWarning(t('categories.hasChildren', { name: category.name }));
+            return;
+        }
+        if (transactionCounts[category.id]) {
+            notifyWarning(t('categories.inUse', { name: category.name, count: transactionCounts[category.id] }));
+            return;
+        }
+        setPendingDelete(category);
+    };
+
+    // NOTE: Assuming POST /category/{id}/merge reassigns transactions and subcategories to targetId, then deletes the source
+    const confirmMerge = async () => {
+        const source = categoriesById[mergeSourceId];
+        const target = categoriesById[mergeTargetId];
+        const merged = await mutate(
+            () => fetchApi(`/category/${source.id}/merge`, 'POST', { targetId: target.id }),
+            t('categories.merged', { source: source.name, target: target.name }),
+            { affectsTransactions: true }
+        );
+        setIsConfirmingMerge(false);
+        if (merged) {
+            setMergeSourceId('');
+            setMergeTargetId('');
+        }
+    };
+
+    // A category cannot be merged into itself or one of its own subcategories
+    const mergeTargets = mergeSourceId
+        ? categories.filter(c => !descendantIds(categories, mergeSourceId).has(c.id))
+        : categories;
+
+    const describeMerge = () => {
+        const source = categoriesById[mergeSourceId];
+        const target = categoriesById[mergeTargetId];
+        return [
+            t('categories.mergeMovesTransactions', { count: transactionCounts[source.id] || 0, target: target.name }),
+            t('categories.mergeMovesChildren', { count: childCount(source.id), target: target.name }),
+            t('categories.mergeDeletesSource', { name: source.name }),
+        ];
+    };
+
+    return (
+        <Card title={t('categories.title')} wide>
+            <div className="mb-4 flex justify-end">
+                <button
+                    onClick={reload}
+                    disabled={isLoading}
+                    className="flex items-center text-xs text-gray-500 hover:text-indigo-600 transition-colors disabled:opacity-50"
+                >
+                    <RefreshCw className={`w-3 h-3 mr-1 ${isLoading ? 'animate-spin' : ''}`} /> {t('common.reloadData')}
+                </button>
+            </div>
+
+            {/* Category tree */}
+            {!isLoading && nodes.length === 0 && (
+                <p className="p-4 text-center text-sm text-gray-500">{t('categories.empty')}</p>
+            )}
+            <ul className="divide-y border border-gray-200 rounded-lg mb-6">
+                {nodes.map(node => (
+                    <li key={node.id} className="py-2 pr-3" style={{ paddingLeft: `${0.75 + node.depth * 1.5}rem` }}>
+                        <div className="flex items-center">
+                            <CategoryIcon icon={node.icon} color={node.color} />
+                            <InlineEdit
+                                value={node.name}
+                                label={t('categories.renameLabel', { name: node.name })}
+                                onSave={(name) => updateCategory(node, { name })}
+                                disabled={isSaving}
+                                className="ml-2 font-medium text-gray-800"
+                            />
+                            <span className="ml-2 text-xs text-gray-400">{t('categories.transactionCount', { count: transactionCounts[node.id] || 0 })}</span>
+                            <button
+                                onClick={() => setEditingId(editingId === node.id ? null : node.id)}
+                                className="ml-auto p-1 text-gray-400 hover:text-indigo-600 rounded-full transition-colors"
+                                aria-label={t('categories.editLabel', { name: node.name })}
+                            >
+                                <Pencil className="w-4 h-4" />
+                            </button>
+                            <button
+                                onClick={() => requestDelete(node)}
+                                disabled={isSaving}
+                                className="p-1 text-gray-400 hover:text-red-600 rounded-full transition-colors disabled:opacity-50"
+                                aria-label={t('categories.deleteLabel', { name: node.name })}
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </div>
+                        {editingId === node.id && (
+                            <div className="mt-3 p-3 bg-gray-50 rounded-lg">
+                                <CategoryEditor
+                                    initial={categoriesById[node.id]}
+                                    categories={categories}
+                                    excludedParentIds={descendantIds(categories, node.id)}
+                                    submitLabel={t('categories.saveChanges')}
+                                    isSaving={isSaving}
+                                    onSubmit={(draft) => updateCategory(node, draft)}
+                                    onCancel={() => setEditingId(null)}
+                                />
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {/* New category */}
+            <h3 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4 flex items-center">
+                <Plus className="w-5 h-5 mr-2 text-indigo-600" /> {t('categories.newCategory')}
+            </h3>
+            <CategoryEditor categories={categories} submitLabel={t('categories.create')} isSaving={isSaving} onSubmit={createCategory} />
+
+            {/* Merge */}
+            <h3 className="text-xl font-bold text-gray-700 mt-6 mb-3 border-t pt-4 flex items-center">
+                <GitMerge className="w-5 h-5 mr-2 text-indigo-600" /> {t('categories.mergeTitle')}
+            </h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4">
+                <CategoryTreePicker
+                    id="mergeSource"
+                    label={t('categories.mergeSource')}
+                    value={mergeSourceId}
+                    onChange={(id) => {
+                        setMergeSourceId(id);
+                        setMergeTargetId('');
+                    }}
+                    categories={categories}
+                />
+                <CategoryTreePicker
+                    id="mergeTarget"
+                    label={t('categories.mergeTarget')}
+                    value={mergeTargetId}
+                    onChange={setMergeTargetId}
+                    categories={mergeTargets}
+                    disabled={!mergeSourceId}
+                    placeholder={t(mergeSourceId ? 'categories.selectCategory' : 'categories.selectSourceFirst')}
+                />
+            </div>
+            <Button type="secondary" onClick={() => setIsConfirmingMerge(true)} disabled={isSaving || !mergeSourceId || !mergeTargetId}>
+                <Tags className="inline w-4 h-4 mr-2 align-middle" /> {t('categories.merge')}
+            </Button>
+
+            <Message message={error} />
+
+            {pendingDelete && (
+                <ConfirmDialog
+                    title={t('categories.deleteTitle', { name: pendingDelete.name })}
+                    description={t('categories.cannotUndo')}
+                    isLoading={isSaving}
+                    onConfirm={confirmDelete}
+                    onCancel={() => setPendingDelete(null)}
+                />
+            )}
+
+            {isConfirmingMerge && (
+                <ConfirmDialog
+                    title={t('categories.mergeConfirmTitle', { source: categoriesById[mergeSourceId].name, target: categoriesById[mergeTargetId].name })}
+                    description={t('categories.mergeConfirmDescription')}
+                    details={describeMerge()}
+                    confirmLabel={t('categories.merge')}
+                    loadingLabel={t('categories.merging')}
+                    isLoading={isSaving}
+                    onConfirm={confirmMerge}
+                    onCancel={() => setIsConfirmingMerge(false)}
+                />
+            )}
+        </Card>
+    );
+};
+
+export default CategoryManager;
@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Briefcase, ChevronDown, ChevronRight, DollarSign, ExternalLink, Plus, Send, Trash2 } from 'lucide-react';
+import { ACCOUNT_TYPES, STATIC_CURRENCIES, containerPath, newTransactionPath } from '../../constants';
+import { formatAmount, toAmountString } from '../../utils/money';
+import { currencyPrecision, isNumber, nonNegative, required, uniqueAmong } from '../../utils/validation';
+import { useI18n } from '../../hooks/useI18n';
+import { useFormValidation } from '../../hooks/useFormValidation';
+import FormInput from '../ui/FormInput';
+import FormSelect from '../ui/FormSelect';
+import Button from '../ui/Button';
+import InlineEdit from '../ui/InlineEdit';
+
+const newAccountDraft = () => ({
+    name: '',
+    accountType: ACCOUNT_TYPES[0],
+    currency: STATIC_CURRENCIES[0].value,
+    initialBalance: 0,
+});
+
+// Field ids are per container, since several containers can have a draft open at once
+const nameField = (container) => `newAccountName-${container.id}`;
+const balanceField = (container) => `newAccountBalance-${container.id}`;
+
+const buildDraftSchema = (container, accounts, draft, t) => (draft ? {
+    [nameField(container)]: [
+        required(t('containerForm.accountNameRequired')),
+        uniqueAmong(accounts.map(account => account.name), t('containerForm.accountNameTaken')),
+    ],
+    [balanceField(container)]: [required(), isNumber(), nonNegative(t('containerForm.balanceNegative')), currencyPrecision(draft.currency)],
+} : {});
+
+/**
+ * One container in the management list: rename it, edit its accounts, add or delete accounts.
+ */
+const ContainerDetails = ({
+    container, accounts, transactionCounts, isSaving, defaultExpanded = false,
+    onRename, onAddAccount, onUpdateAccount, onDeleteContainer, onDeleteAccount,
+}) => {
+    const { t } = useI18n();
+    const [isExpanded, setIsExpanded] = useState(defaultExpanded);
+    const [draft, setDraft] = useState(null);
+
+    const { fieldProps, validateAll, reset } = useFormValidation(
+        buildDraftSchema(container, accounts, draft, t),
+        draft ? { [nameField(container)]: draft.name, [balanceField(container)]: draft.initialBalance } : {}
+    );
+
+    const openDraft = () => {
+        reset();
+        setDraft(newAccountDraft());
+    };
+
+    const submitDraft = async () => {
+        if (!validateAll()) return;
+        const added = await onAddAccount(container, draft);
+        if (added) {
+            setDraft(null);
+        }
+    };
+
+    return (
+        <div className="border border-gray-200 rounded-lg mb-4 bg-white shadow-inner">
+            <div className="flex justify-between items-center p-4">
+                <div className="flex items-center flex-1 min-w-0">
+                    <button
+                        onClick={() => setIsExpanded(!isExpanded)}
+                        className="mr-2 p-1 text-gray-500 hover:text-indigo-600 rounded-full transition-colors"
+                        aria-label={t(isExpanded ? 'containers.collapse' : 'containers.expand')}
+                        aria-expanded={isExpanded}
+                    >
+                        {isExpanded ? <ChevronDown className="w-5 h-5" /> : <ChevronRight className="w-5 h-5" />}
+                    </button>
+                    <Briefcase className="w-5 h-5 mr-2 text-indigo-600 flex-shrink-0" />
+                    <InlineEdit
+                        value={container.name}
+                        label={t('containers.containerName')}
+                        onSave={(name) => onRename(container, name)}
+                        disabled={isSaving}
+                        className="font-bold text-gray-800"
+                    />
+                    <span className="ml-2 text-xs text-gray-500 whitespace-nowrap">{t('containers.accountCount', { count: accounts.length })}</span>
+                    <Link
+                        to={containerPath(container.id)}
+                        className="ml-2 p-1 text-gray-400 hover:text-indigo-600 rounded-full transition-colors"
+                        aria-label={t('containers.openLabel', { name: container.name })}
+                        title={t('containers.permalink')}
+                    >
+                        <ExternalLink className="w-4 h-4" />
+                    </Link>
+                </div>
+                <button
+                    onClick={() => onDeleteContainer(container)}
+                    disabled={isSaving}
+                    className="text-red-500 hover:text-red-700 p-1 rounded-full transition-colors disabled:opacity-50"
+                    aria-label={t('containers.deleteLabel', { name: container.name })}
+                >
+                    <Trash2 className="w-4 h-4" />
+                </button>
+            </div>
+
+            {isExpanded && (
+                <div className="px-4 pb-4 border-t pt-3">
+                    {accounts.length === 0 && <p className="text-sm text-gray-500 mb-3">{t('containers.noAccounts')}</p>}
+
+                    {accounts.map(account => (
+                        <div key={account.id} className="flex flex-wrap items-center justify-between gap-2 py-2 border-b last:border-b-0">
+                            <div className="flex-1 min-w-0">
+                                <InlineEdit
+                                    value={account.name}
+                                    label={t('containers.accountName')}
+                                    onSave={(name) => onUpdateAccount(container, account, { name })}
+                                    rules={[uniqueAmong(accounts.filter(other => other.id !== account.id).map(other => other.name), t('containerForm.accountNameTaken'))]}
+                                    disabled={isSaving}
+                                    className="font-medium text-gray-700"
+                                />
+                                <p className="text-xs text-gray-500">
+                                    {t('containers.accountSummary', { currency: account.currency, balance: formatAmount(account.initialBalance, account.currency) })}
+                                    {' · '}{t('containers.transactionCount', { count: transactionCounts[account.id] || 0 })}
+                                </p>
+                            </div>
+                            <select
+                                value={account.accountType}
+                                onChange={(e) => onUpdateAccount(container, account, { accountType: e.target.value })}
+                                disabled={isSaving}
+                                aria-label={t('containers.accountTypeOf', { name: account.name })}
+                                className="px-2 py-1 border border-gray-300 rounded-lg bg-white text-sm"
+                            >
+                                {ACCOUNT_TYPES.map(type => <option key={type} value={type}>{t(`accountTypes.${type}`)}</option>)}
+                            </select>
+                            <Link
+                                to={newTransactionPath(account.id)}
+                                className="text-indigo-600 hover:text-indigo-800 p-1 rounded-full transition-colors"
+                                aria-label={t('containers.newTransactionOn', { name: account.name })}
+                                title={t('containers.newTransaction')}
+                            >
+                                <Send className="w-4 h-4" />
+                            </Link>
+                            <button
+                                onClick={() => onDeleteAccount(container, account)}
+                                disabled={isSaving}
+                                className="text-red-500 hover:text-red-700 p-1 rounded-full transition-colors disabled:opacity-50"
+                                aria-label={t('containers.deleteLabel', { name: account.name })}
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </div>
+                    ))}
+
+                    {draft ? (
+                        <div className="mt-3 p-4 border border-gray-200 rounded-lg bg-gray-50">
+                            <FormInput
+                                id={nameField(container)}
+                                label={t('containerForm.accountName')}
+                                value={draft.name}
+                                onChange={(val) => setDraft({ ...draft, name: val })}
+                                placeholder={t('containerForm.accountNamePlaceholder')}
+                                required
+                                {...fieldProps(nameField(container))}
+                            />
+                            <FormSelect
+                                id={`newAccountType-${container.id}`}
+                                label={t('containerForm.accountType')}
+                                value={draft.accountType}
+                                onChange={(val) => setDraft({ ...draft, accountType: val })}
+                                options={ACCOUNT_TYPES.map(type => ({ value: type, label: t(`accountTypes.${type}`) }))}
+                                required
+                            />
+                            <FormSelect
+                                id={`newAccountCurrency-${container.id}`}
+                                label={t('common.currency')}
+                                value={draft.currency}
+                                onChange={(val) => setDraft({ ...draft, currency: val })}
+                                options={STATIC_CURRENCIES}
+                                required
+                                icon={DollarSign}
+                                placeholder={t('common.selectCurrency')}
+                            />
+                            <FormInput
+                                id={balanceField(container)}
+                                label={t('containerForm.initialBalance')}
+                                type="decimal"
+                                value={draft.initialBalance}
+                                onChange={(val) => setDraft({ ...draft, initialBalance: val })}
+                                placeholder={toAmountString(0, draft.currency)}
+                                required
+                                {...fieldProps(balanceField(container))}
+                            />
+                            <div className="flex space-x-3">
+                                <Button type="secondary" onClick={() => setDraft(null)} disabled={isSaving}>{t('common.cancel')}</Button>
+                                <Button onClick={submitDraft} disabled={isSaving}>
+                                    {isSaving ? t('common.saving') : t('containers.addAccount')}
+                                </Button>
+                            </div>
+                        </div>
+                    ) : (
+                        <button
+                            onClick={openDraft}
+                            className="mt-3 flex items-center text-sm text-indigo-600 hover:text-indigo-800 transition-colors font-medium"
+                        >
+                            <Plus className="w-4 h-4 mr-1" /> {t('containers.addAccount')}
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ContainerDetails;
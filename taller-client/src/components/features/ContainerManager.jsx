@@ -0,0 +1,212 @@
+import React, { useMemo, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Plus, RefreshCw } from 'lucide-react';
+import { useApi } from '../../hooks/useApi';
+import { useReferenceData } from '../../hooks/useReferenceData';
+import { useTransactions } from '../../hooks/useTransactions';
+import { QUERY_KEYS, invalidateQueries, updateQueryData } from '../../utils/queryCache';
+import { notifyError, notifySuccess } from '../../utils/notifications';
+import { formatAmount, parseMoney } from '../../utils/money';
+import { ROUTES } from '../../constants';
+import { useI18n } from '../../hooks/useI18n';
+import Card from '../ui/Card';
+import Message from '../ui/Message';
+import ConfirmDialog from '../ui/ConfirmDialog';
+import ContainerDetails from './ContainerDetails';
+
+const ContainerManager = ({ onCreateNew }) => {
+    // Set when opened through a /containers/:containerId deep link
+    const { containerId } = useParams();
+    const { fetchApi } = useApi();
+    const { containers, accounts, isLoading, error, reload } = useReferenceData();
+    const { transactions } = useTransactions();
+    const { t } = useI18n();
+
+    const [isSaving, setIsSaving] = useState(false);
+    // { container, account? } of the item waiting for delete confirmation
+    const [pendingDelete, setPendingDelete] = useState(null);
+
+    const transactionCounts = useMemo(() => transactions.reduce((counts, transaction) => {
+        counts[transaction.accountId] = (counts[transaction.accountId] || 0) + 1;
+        return counts;
+    }, {}), [transactions]);
+
+    // Runs a mutation, reports the outcome and refreshes the cached data. `optimistic`
+    // ({ containers, accounts } => same shape) is shown right away and undone if the request fails;
+    // the failure toast offers to run it again. Resolves to true on success.
+    const mutate = async (request, successMessage, options = {}) => {
+        const { optimistic = null, affectsTransactions = false } = options;
+        setIsSaving(true);
+        const rollback = optimistic ? updateQueryData(QUERY_KEYS.CONTAINERS, optimistic) : () => {};
+        try {
+            await request();
+            notifySuccess(successMessage);
+            return true;
+        } catch (mutationError) {
+            rollback();
+            notifyError(mutationError.message || t('containers.saveFailed'), {
+                action: { label: t('common.retry'), onClick: () => mutate(request, successMessage, options) },
+            });
+            return false;
+        } finally {
+            invalidateQueries(QUERY_KEYS.CONTAINERS, ...(affectsTransactions ? [QUERY_KEYS.TRANSACTIONS] : []));
+            setIsSaving(false);
+        }
+    };
+
+    const replaceContainer = (id, changes) => (data) => ({
+        ...data,
+        containers: data.containers.map(c => (c.id === id ? { ...c, ...changes } : c)),
+    });
+
+    const replaceAccount = (id, changes) => (data) => ({
+        ...data,
+        accounts: data.accounts.map(a => (a.id === id ? { ...a, ...changes } : a)),
+    });
+
+    // NOTE: Assuming PUT /account-container/{id} accepts { name }
+    const renameContainer = (container, name) => mutate(
+        () => fetchApi(`/account-container/${container.id}`, 'PUT', { name }),
+        t('containers.renamed', { name }),
+        { optimistic: replaceContainer(container.id, { name }) }
+    );
+
+    // NOTE: Assuming POST /account-container/{id}/accounts accepts a single AccountDto
+    const addAccount = (container, draft) => mutate(
+        () => fetchApi(`/account-container/${container.id}/accounts`, 'POST', {
+            name: draft.name.trim(),
+            accountType: draft.accountType,
+            currency: draft.currency,
+            initialBalance: parseMoney(draft.initialBalance, draft.currency),
+        }),
+        t('containers.accountAdded', { account: draft.name.trim(), container: container.name })
+    );
+
+    // NOTE: Assuming PUT /account-container/{id}/accounts/{accountId} accepts the full AccountDto
+    const updateAccount = (container, account, changes) => mutate(
+        () => fetchApi(`/account-container/${container.id}/accounts/${account.id}`, 'PUT', {
+            name: account.name,
+            accountType: account.accountType,
+            currency: account.currency,
+            initialBalance: account.initialBalance,
+            ...changes,
+        }),
+        t('containers.accountUpdated', { name: changes.name || account.name }),
+        { optimistic: replaceAccount(account.id, changes) }
+    );
+
+    const confirmDelete = async () => {
+        const { container, account } = pendingDelete;
+        // The item disappears right away (optimistically), so the dialog has nothing left to show
+        setPendingDelete(null);
+        if (account) {
+            await mutate(
+                () => fetchApi(`/account-container/${container.id}/accounts/${account.id}`, 'DELETE'),
+                t('containers.accountDeleted', { name: account.name }),
+                {
+                    optimistic: data => ({ ...data, accounts: data.accounts.filter(a => a.id !== account.id) }),
+                    affectsTransactions: true,
+                }
+            );
+        } else {
+            await mutate(
+                () => fetchApi(`/account-container/${container.id}`, 'DELETE'),
+                t('containers.containerDeleted', { name: container.name }),
+                {
+                    optimistic: data => ({
+                        containers: data.containers.filter(c => c.id !== container.id),
+                        accounts: data.accounts.filter(a => a.containerId !== container.id),
+                    }),
+                    affectsTransactions: true,
+                }
+            );
+        }
+    };
+
+    // Lists what a delete would remove, so the user can make an informed decision
+    const describeLoss = () => {
+        const { container, account } = pendingDelete;
+        const affected = account ? [account] : accounts.filter(a => a.containerId === container.id);
+        const transactionTotal = affected.reduce((sum, a) => sum + (transactionCounts[a.id] || 0), 0);
+        return [
+            ...affected.map(a => t('containers.lostAccount', {
+                name: a.name,
+                type: t(`accountTypes.${a.accountType}`),
+                currency: a.currency,
+                balance: formatAmount(a.initialBalance, a.currency),
+            })),
+            t('containers.lostTransactions', { count: transactionTotal }),
+        ];
+    };
+
+    const containerAccounts = (id) => accounts.filter(a => a.containerId === id);
+    const visibleContainers = containerId ? containers.filter(c => c.id === containerId) : containers;
+
+    return (
+        <Card title={t('containers.title')}>
+            <div className="mb-4 flex justify-between items-center text-sm">
+                {containerId ? (
+                    <Link
+                        to={ROUTES.CONTAINERS}
+                        className="flex items-center text-indigo-600 hover:text-indigo-800 transition-colors font-medium"
+                    >
+                        <ArrowLeft className="w-4 h-4 mr-1" /> {t('containers.allContainers')}
+                    </Link>
+                ) : (
+                    <button
+                        onClick={onCreateNew}
+                        className="flex items-center text-indigo-600 hover:text-indigo-800 transition-colors font-medium"
+                    >
+                        <Plus className="w-4 h-4 mr-1" /> {t('containers.newContainer')}
+                    </button>
+                )}
+                <button
+                    onClick={reload}
+                    disabled={isLoading}
+                    className="flex items-center text-xs text-gray-500 hover:text-indigo-600 transition-colors disabled:opacity-50"
+                >
+                    <RefreshCw className={`w-3 h-3 mr-1 ${isLoading ? 'animate-spin' : ''}`} /> {t('common.reloadData')}
+                </button>
+            </div>
+
+            {!isLoading && visibleContainers.length === 0 && (
+                <p className="p-4 text-center text-sm text-gray-500">
+                    {t(containerId ? 'containers.notFound' : 'containers.empty')}
+                </p>
+            )}
+
+            {visibleContainers.map(container => (
+                <ContainerDetails
+                    key={container.id}
+                    defaultExpanded={Boolean(containerId)}
+                    container={container}
+                    accounts={containerAccounts(container.id)}
+                    transactionCounts={transactionCounts}
+                    isSaving={isSaving}
+                    onRename={renameContainer}
+                    onAddAccount={addAccount}
+                    onUpdateAccount={updateAccount}
+                    onDeleteContainer={(c) => setPendingDelete({ container: c })}
+                    onDeleteAccount={(c, account) => setPendingDelete({ container: c, account })}
+                />
+            ))}
+
+            <Message message={error} />
+
+            {pendingDelete && (
+                <ConfirmDialog
+                    title={pendingDelete.account
+                        ? t('containers.deleteAccountTitle', { name: pendingDelete.account.name })
+                        : t('containers.deleteContainerTitle', { name: pendingDelete.container.name })}
+                    description={t('containers.deleteDescription')}
+                    details={describeLoss()}
+                    isLoading={isSaving}
+                    onConfirm={confirmDelete}
+                    onCancel={() => setPendingDelete(null)}
+                />
+            )}
+        </Card>
+    );
+};
+
+export default ContainerManager;
@@ -0,0 +1,210 @@
+import React, { useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { Briefcase, Clock, Coins, RefreshCw, TrendingDown, TrendingUp, Wallet } from 'lucide-react';
+import { useReferenceData } from '../../hooks/useReferenceData';
+import { useTransactions } from '../../hooks/useTransactions';
+import { useExchangeRates } from '../../hooks/useExchangeRates';
+import { STATIC_CURRENCIES, ROUTES, containerPath } from '../../constants';
+import { indexById } from '../../utils/transactions';
+import { computeAccountBalances, totalsByCurrency, monthToDateByCurrency, signedAmount } from '../../utils/balances';
+import { formatDateTime } from '../../utils/format';
+import { formatAmount, subtractAmounts } from '../../utils/money';
+import { totalInBaseCurrency } from '../../utils/exchangeRates';
+import { categoryPath } from '../../utils/categories';
+import { useI18n } from '../../hooks/useI18n';
+import Card from '../ui/Card';
+import Message from '../ui/Message';
+
+const RECENT_ACTIVITY_LIMIT = 8;
+
+// Currencies in the order of STATIC_CURRENCIES, followed by any other currency in use
+const orderCurrencies = (currencies) => {
+    const known = STATIC_CURRENCIES.map(c => c.value).filter(c => currencies.includes(c));
+    return [...known, ...currencies.filter(c => !known.includes(c)).sort()];
+};
+
+const Dashboard = () => {
+    const { containers, accounts, categories, isLoading: isDataLoading, error: dataError, reload: reloadData } = useReferenceData();
+    const { transactions, isLoading, error, reload } = useTransactions();
+    const { rates, baseCurrency, setBaseCurrency } = useExchangeRates();
+    const { t } = useI18n();
+
+    const accountsById = useMemo(() => indexById(accounts), [accounts]);
+    const categoriesById = useMemo(() => indexById(categories), [categories]);
+    const balances = useMemo(() => computeAccountBalances(accounts, transactions), [accounts, transactions]);
+    const totals = useMemo(() => totalsByCurrency(accounts, balances), [accounts, balances]);
+    const baseTotal = useMemo(() => totalInBaseCurrency(totals, baseCurrency, rates), [totals, baseCurrency, rates]);
+    const monthToDate = useMemo(() => monthToDateByCurrency(transactions, accountsById), [transactions, accountsById]);
+
+    const recentTransactions = useMemo(() => [...transactions]
+        .sort((a, b) => new Date(b.transactionTime) - new Date(a.transactionTime))
+        .slice(0, RECENT_ACTIVITY_LIMIT), [transactions]);
+
+    const loading = isLoading || isDataLoading;
+    const handleReload = () => {
+        reloadData();
+        reload();
+    };
+
+    return (
+        <Card title={t('dashboard.title')} wide>
+            <div className="mb-4 flex justify-end">
+                <button
+                    onClick={handleReload}
+                    disabled={loading}
+                    className="flex items-center text-xs text-gray-500 hover:text-indigo-600 transition-colors disabled:opacity-50"
+                >
+                    <RefreshCw className={`w-3 h-3 mr-1 ${loading ? 'animate-spin' : ''}`} /> {t('common.reloadData')}
+                </button>
+            </div>
+
+            {/* Everything converted into the base currency at today's rates */}
+            {accounts.length > 0 && (
+                <div className="p-4 mb-4 rounded-lg bg-indigo-600 text-white flex flex-wrap justify-between items-center gap-2">
+                    <div>
+                        <p className="text-xs font-medium text-indigo-100 flex items-center">
+                            <Coins className="w-4 h-4 mr-1" /> {t('dashboard.netWorthIn')}
+                            <select
+                                value={baseCurrency}
+                                onChange={(e) => setBaseCurrency(e.target.value)}
+                                className="ml-1 bg-indigo-500 text-white rounded px-1 py-0.5 text-xs"
+                                aria-label={t('dashboard.baseCurrency')}
+                            >
+                                {STATIC_CURRENCIES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                            </select>
+                        </p>
+                        <p className="text-3xl font-extrabold">{formatAmount(baseTotal.total, baseCurrency)}</p>
+                    </div>
+                    {baseTotal.missing.length > 0 && (
+                        <p className="text-xs text-indigo-100">
+                            {t('dashboard.excludes', { currencies: baseTotal.missing.join(', ') })}{' '}
+                            <Link to={ROUTES.RATES} className="underline hover:text-white">{t('dashboard.addRates')}</Link>
+                        </p>
+                    )}
+                </div>
+            )}
+
+            {/* Totals per currency */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+                {orderCurrencies(Object.keys(totals)).map(currency => (
+                    <div key={currency} className="p-4 rounded-lg bg-indigo-50">
+                        <p className="text-xs font-medium text-indigo-600 flex items-center">
+                            <Wallet className="w-4 h-4 mr-1" /> {t('dashboard.total', { currency })}
+                        </p>
+                        <p className={`text-2xl font-extrabold ${totals[currency] < 0 ? 'text-red-600' : 'text-gray-800'}`}>
+                            {formatAmount(totals[currency], currency)}
+                        </p>
+                    </div>
+                ))}
+                {!loading && accounts.length === 0 && (
+                    <p className="sm:col-span-3 text-sm text-gray-500">
+                        {t('dashboard.noAccounts')} <Link to={ROUTES.NEW_CONTAINER} className="text-indigo-600 hover:text-indigo-800">{t('dashboard.getStarted')}</Link>
+                    </p>
+                )}
+            </div>
+
+            {/* Month-to-date income vs. expense */}
+            {Object.keys(monthToDate).length > 0 && (
+                <div className="mb-6">
+                    <h3 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4">{t('dashboard.thisMonth')}</h3>
+                    <div className="space-y-3">
+                        {orderCurrencies(Object.keys(monthToDate)).map(currency => {
+                            const { income, expense } = monthToDate[currency];
+                            const net = subtractAmounts(income, expense, currency);
+                            const largest = Math.max(income, expense, 1);
+                            return (
+                                <div key={currency} className="text-sm">
+                                    <div className="flex justify-between mb-1">
+                                        <span className="flex items-center text-green-600">
+                                            <TrendingUp className="w-4 h-4 mr-1" /> {t('dashboard.income', { amount: formatAmount(income, currency) })}
+                                        </span>
+                                        <span className="flex items-center text-red-600">
+                                            <TrendingDown className="w-4 h-4 mr-1" /> {t('dashboard.expense', { amount: formatAmount(expense, currency) })}
+                                        </span>
+                                    </div>
+                                    <div className="flex space-x-1 h-2">
+                                        <div className="bg-green-500 rounded-full" style={{ width: `${(income / largest) * 50}%` }} />
+                                        <div className="bg-red-500 rounded-full" style={{ width: `${(expense / largest) * 50}%` }} />
+                                    </div>
+                                    <p className={`mt-1 text-xs font-semibold ${net < 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                                        {t('dashboard.net', { amount: formatAmount(net, currency) })}
+                                    </p>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            {/* Balances per container and account */}
+            <h3 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4">{t('dashboard.balances')}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                {containers.map(container => {
+                    const containerAccounts = accounts.filter(a => a.containerId === container.id);
+                    const containerTotals = totalsByCurrency(containerAccounts, balances);
+                    return (
+                        <div key={container.id} className="p-4 border border-gray-200 rounded-lg">
+                            <Link
+                                to={containerPath(container.id)}
+                                className="font-bold text-gray-800 hover:text-indigo-600 transition-colors flex items-center mb-2"
+                            >
+                                <Briefcase className="w-4 h-4 mr-2 text-indigo-600" /> {container.name}
+                            </Link>
+                            <ul className="text-sm divide-y">
+                                {containerAccounts.map(account => (
+                                    <li key={account.id} className="flex justify-between py-1">
+                                        <span className="text-gray-600">{account.name}</span>
+                                        <span className={`font-semibold ${balances[account.id] < 0 ? 'text-red-600' : 'text-gray-800'}`}>
+                                            {formatAmount(balances[account.id], account.currency)}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                            <div className="mt-2 pt-2 border-t text-xs text-gray-500 flex flex-wrap gap-x-3">
+                                {orderCurrencies(Object.keys(containerTotals)).map(currency => (
+                                    <span key={currency}>{t('dashboard.containerTotal')} <span className="font-semibold">{formatAmount(containerTotals[currency], currency)}</span></span>
+                                ))}
+                                {Object.keys(containerTotals).some(currency => currency !== baseCurrency) && (
+                                    <span>≈ {formatAmount(totalInBaseCurrency(containerTotals, baseCurrency, rates).total, baseCurrency)}</span>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {/* Recent activity */}
+            <h3 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4 flex justify-between items-center">
+                {t('dashboard.recentActivity')}
+                <Link to={ROUTES.TRANSACTIONS} className="text-sm font-medium text-indigo-600 hover:text-indigo-800">{t('dashboard.viewAll')}</Link>
+            </h3>
+            {recentTransactions.length === 0 && !loading && (
+                <p className="text-sm text-gray-500">{t('dashboard.noTransactions')}</p>
+            )}
+            <ul className="divide-y text-sm">
+                {recentTransactions.map(transaction => {
+                    const account = accountsById[transaction.accountId];
+                    const change = signedAmount(transaction);
+                    return (
+                        <li key={transaction.id} className="flex justify-between items-center py-2">
+                            <div>
+                                <p className="font-medium text-gray-800">{transaction.description}</p>
+                                <p className="text-xs text-gray-500 flex items-center">
+                                    <Clock className="w-3 h-3 mr-1" />
+                                    {formatDateTime(transaction.transactionTime)} · {account ? account.name : '—'} · {transaction.splits.length > 0 ? t('dashboard.split', { count: transaction.splits.length }) : categoryPath(categoriesById, transaction.categoryId) || '—'}
+                                </p>
+                            </div>
+                            <span className={`font-semibold whitespace-nowrap ${change >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                {change >= 0 ? '+' : ''}{formatAmount(change, account ? account.currency : '')}
+                            </span>
+                        </li>
+                    );
+                })}
+            </ul>
+
+            <Message message={dataError || error} />
+        </Card>
+    );
+};
+
+export default Dashboard;
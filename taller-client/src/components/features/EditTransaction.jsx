@@ -0,0 +1,59 @@
+import React, { useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { RefreshCw } from 'lucide-react';
+import { useI18n } from '../../hooks/useI18n';
+import { useReferenceData } from '../../hooks/useReferenceData';
+import { useTransactions } from '../../hooks/useTransactions';
+import { findTransferLegs } from '../../utils/transfers';
+import { indexById } from '../../utils/transactions';
+import { transactionFormValues } from '../../utils/transactionEdits';
+import { ROUTES } from '../../constants';
+import Card from '../ui/Card';
+import Message from '../ui/Message';
+import TransactionForm from './TransactionForm';
+
+/**
+ * Route for /transactions/:transactionId/edit: waits for the transaction and the accounts,
+ * then opens TransactionForm prefilled with the saved values.
+ */
+const EditTransaction = ({ onDone }) => {
+    const { t } = useI18n();
+    const { transactionId } = useParams();
+    const { transactions, isLoading, error } = useTransactions();
+    const { accounts, isLoading: isDataLoading, error: dataError } = useReferenceData();
+
+    const transaction = transactions.find(item => item.id === transactionId);
+    // Transfers are edited from their OUT leg, whichever leg was picked
+    const [outLeg, inLeg] = transaction ? findTransferLegs(transactions, transaction) : [null, null];
+    const primary = outLeg || transaction;
+    const accountsById = useMemo(() => indexById(accounts), [accounts]);
+
+    if (!primary || (isDataLoading && accounts.length === 0)) {
+        const isWaiting = isLoading || isDataLoading;
+        return (
+            <Card title={t('transactionForm.editTitle')}>
+                {isWaiting ? (
+                    <div className="p-4 text-center text-indigo-600 flex items-center justify-center">
+                        <RefreshCw className="w-5 h-5 mr-2 animate-spin" /> {t('transactionForm.loading')}
+                    </div>
+                ) : (
+                    <Message message={error || dataError || t('transactionForm.notFound')} />
+                )}
+                <Link to={ROUTES.TRANSACTIONS} className="block mt-4 text-center text-sm text-indigo-600 hover:text-indigo-800">
+                    {t('transactionForm.backToHistory')}
+                </Link>
+            </Card>
+        );
+    }
+
+    const counterpart = primary === outLeg ? inLeg : null;
+    return (
+        <TransactionForm
+            key={primary.id}
+            editing={{ transaction: primary, counterpart, values: transactionFormValues(primary, counterpart, accountsById) }}
+            onDone={onDone}
+        />
+    );
+};
+
+export default EditTransaction;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { ArrowRightLeft, Calendar, Coins, Plus, Trash2 } from 'lucide-react';
+import { useExchangeRates } from '../../hooks/useExchangeRates';
+import { STATIC_CURRENCIES } from '../../constants';
+import { toDateKey } from '../../utils/dates';
+import { formatNumber, toDecimalInput } from '../../utils/format';
+import { parseDecimal } from '../../utils/money';
+import { notifyError, notifySuccess } from '../../utils/notifications';
+import { useI18n } from '../../hooks/useI18n';
+import Card from '../ui/Card';
+import FormInput from '../ui/FormInput';
+import FormSelect from '../ui/FormSelect';
+import Button from '../ui/Button';
+
+const ExchangeRates = () => {
+    const { rates, baseCurrency, setBaseCurrency, addRate, removeRate } = useExchangeRates();
+    const { t } = useI18n();
+
+    const [from, setFrom] = useState(STATIC_CURRENCIES[0].value);
+    const [to, setTo] = useState(STATIC_CURRENCIES[STATIC_CURRENCIES.length - 1].value);
+    const [rate, setRate] = useState('');
+    const [date, setDate] = useState(() => toDateKey(new Date()));
+
+    const handleAdd = () => {
+        const parsedRate = parseDecimal(rate);
+        if (from === to) {
+            notifyError(t('exchangeRates.sameCurrency'));
+            return;
+        }
+        if (!(parsedRate > 0) || !date) {
+            notifyError(t('exchangeRates.incomplete'));
+            return;
+        }
+        addRate({ from, to, rate: parsedRate, date });
+        notifySuccess(t('exchangeRates.saved', { from, to, date, rate: formatNumber(parsedRate, { maximumFractionDigits: 6 }) }));
+        setRate('');
+    };
+
+    // Newest first, grouped visually by pair
+    const sortedRates = [...rates].sort((a, b) => (
+        `${a.from}${a.to}`.localeCompare(`${b.from}${b.to}`) || b.date.localeCompare(a.date)
+    ));
+
+    return (
+        <Card title={t('exchangeRates.title')} wide>
+            <p className="text-sm text-gray-500 mb-4">{t('exchangeRates.intro')}</p>
+
+            <FormSelect
+                id="baseCurrency"
+                label={t('exchangeRates.baseCurrency')}
+                value={baseCurrency}
+                onChange={setBaseCurrency}
+                options={STATIC_CURRENCIES}
+                icon={Coins}
+            />
+
+            <h3 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4">{t('exchangeRates.addTitle')}</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-x-2">
+                <FormSelect id="rateFrom" label={t('exchangeRates.from')} value={from} onChange={setFrom} options={STATIC_CURRENCIES} icon={Coins} />
+                <FormSelect id="rateTo" label={t('exchangeRates.to')} value={to} onChange={setTo} options={STATIC_CURRENCIES} icon={Coins} />
+                <FormInput
+                    id="rate"
+                    label={t('exchangeRates.rateLabel', { from, to })}
+                    type="decimal"
+                    value={rate}
+                    onChange={setRate}
+                    placeholder={t('exchangeRates.ratePlaceholder', { example: toDecimalInput('395.5') })}
+                    icon={ArrowRightLeft}
+                />
+                <FormInput id="rateDate" label={t('exchangeRates.validFrom')} type="date" value={date} onChange={setDate} icon={Calendar} />
+            </div>
+            <Button onClick={handleAdd} type="secondary">
+                <Plus className="inline w-4 h-4 mr-2 align-middle" /> {t('exchangeRates.save')}
+            </Button>
+
+            <h3 className="text-xl font-bold text-gray-700 mt-6 mb-3 border-t pt-4">{t('exchangeRates.tableTitle')}</h3>
+            {sortedRates.length === 0 ? (
+                <p className="text-sm text-gray-500">{t('exchangeRates.empty')}</p>
+            ) : (
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-gray-500 border-b">
+                            <th className="py-2 px-2">{t('exchangeRates.pair')}</th>
+                            <th className="py-2 px-2 text-right">{t('exchangeRates.rate')}</th>
+                            <th className="py-2 px-2">{t('exchangeRates.validFrom')}</th>
+                            <th className="py-2 px-2" />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sortedRates.map(r => (
+                            <tr key={r.id} className="border-b last:border-b-0 hover:bg-gray-50">
+                                <td className="py-2 px-2 font-medium text-gray-800">{r.from} → {r.to}</td>
+                                <td className="py-2 px-2 text-right">{formatNumber(r.rate, { maximumFractionDigits: 6 })}</td>
+                                <td className="py-2 px-2 text-gray-600">{r.date}</td>
+                                <td className="py-2 px-2 text-right">
+                                    <button
+                                        onClick={() => removeRate(r.id)}
+                                        className="text-gray-400 hover:text-red-600 transition-colors"
+                                        aria-label={t('exchangeRates.deleteLabel', { from: r.from, to: r.to, date: r.date })}
+                                    >
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </Card>
+    );
+};
+
+export default ExchangeRates;
@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from 'react';
+import { Download, FileDown } from 'lucide-react';
+import { useReferenceData } from '../../hooks/useReferenceData';
+import { useTransactions } from '../../hooks/useTransactions';
+import { DEFAULT_TRANSACTION_FILTERS, filterTransactions, indexById } from '../../utils/transactions';
+import { EXPORT_FORMATS, buildCsvExport, buildJsonExport, buildOfxExport } from '../../utils/exporters';
+import { downloadFile } from '../../utils/download';
+import { notifySuccess } from '../../utils/notifications';
+import { useI18n } from '../../hooks/useI18n';
+import Card from '../ui/Card';
+import FormInput from '../ui/FormInput';
+import FormSelect from '../ui/FormSelect';
+import Button from '../ui/Button';
+import Message from '../ui/Message';
+
+const ExportView = () => {
+    const { containers, accounts, categories, isLoading: isDataLoading, error: dataError } = useReferenceData();
+    const { transactions, isLoading, error } = useTransactions();
+    const { t } = useI18n();
+
+    const [selectedAccountIds, setSelectedAccountIds] = useState([]);
+    const [dateFrom, setDateFrom] = useState('');
+    const [dateTo, setDateTo] = useState('');
+    const [format, setFormat] = useState(EXPORT_FORMATS[0].value);
+
+    const accountsById = useMemo(() => indexById(accounts), [accounts]);
+    const selected = new Set(selectedAccountIds);
+
+    const toggleAccounts = (ids, checked) => {
+        setSelectedAccountIds(prev => (checked
+            ? [...new Set([...prev, ...ids])]
+            : prev.filter(id => !ids.includes(id))));
+    };
+
+    const selectedTransactions = useMemo(() => {
+        const ids = new Set(selectedAccountIds);
+        return filterTransactions(
+            transactions.filter(transaction => ids.has(transaction.accountId)),
+            { ...DEFAULT_TRANSACTION_FILTERS, dateFrom, dateTo },
+            accountsById
+        );
+    }, [transactions, selectedAccountIds, dateFrom, dateTo, accountsById]);
+
+    const handleExport = () => {
+        const selection = {
+            containers,
+            accounts: accounts.filter(a => selected.has(a.id)),
+            categories,
+            transactions: selectedTransactions,
+        };
+        const range = { dateFrom, dateTo };
+        const formatInfo = EXPORT_FORMATS.find(f => f.value === format);
+
+        let content;
+        switch (format) {
+            case 'json':
+                content = buildJsonExport(selection, range);
+                break;
+            case 'ofx':
+                content = buildOfxExport(selection, range, transactions);
+                break;
+            case 'csv':
+            default:
+                content = buildCsvExport(selection);
+                break;
+        }
+
+        const stamp = new Date().toISOString().slice(0, 10);
+        downloadFile(content, `taller-export-${stamp}.${formatInfo.extension}`, formatInfo.mimeType);
+        notifySuccess(t('exportView.exported', {
+            transactions: t('exportView.transactionCount', { count: selectedTransactions.length }),
+            accounts: t('exportView.accountCount', { count: selection.accounts.length }),
+        }));
+    };
+
+    const loading = isLoading || isDataLoading;
+
+    return (
+        <Card title={t('exportView.title')}>
+            <div className="mb-2 flex justify-between items-center">
+                <h3 className="text-sm font-medium text-gray-700">{t('exportView.accounts')}</h3>
+                <button
+                    onClick={() => toggleAccounts(accounts.map(a => a.id), selectedAccountIds.length !== accounts.length)}
+                    className="text-xs text-indigo-600 hover:text-indigo-800 transition-colors"
+                >
+                    {t(selectedAccountIds.length === accounts.length && accounts.length > 0 ? 'exportView.selectNone' : 'exportView.selectAll')}
+                </button>
+            </div>
+
+            <div className="mb-4 p-3 border border-gray-200 rounded-lg max-h-64 overflow-y-auto">
+                {!loading && containers.length === 0 && <p className="text-sm text-gray-500">{t('exportView.noContainers')}</p>}
+                {containers.map(container => {
+                    const ids = accounts.filter(a => a.containerId === container.id).map(a => a.id);
+                    const selectedCount = ids.filter(id => selected.has(id)).length;
+                    return (
+                        <div key={container.id} className="mb-2">
+                            <label className="flex items-center font-semibold text-gray-800 text-sm">
+                                <input
+                                    type="checkbox"
+                                    checked={ids.length > 0 && selectedCount === ids.length}
+                                    ref={(el) => { if (el) el.indeterminate = selectedCount > 0 && selectedCount < ids.length; }}
+                                    onChange={(e) => toggleAccounts(ids, e.target.checked)}
+                                    className="mr-2 rounded text-indigo-600"
+                                />
+                                {container.name}
+                            </label>
+                            {accounts.filter(a => a.containerId === container.id).map(account => (
+                                <label key={account.id} className="flex items-center ml-6 text-sm text-gray-600">
+                                    <input
+                                        type="checkbox"
+                                        checked={selected.has(account.id)}
+                                        onChange={(e) => toggleAccounts([account.id], e.target.checked)}
+                                        className="mr-2 rounded text-indigo-600"
+                                    />
+                                    {account.name} ({account.currency})
+                                </label>
+                            ))}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="grid grid-cols-2 gap-x-4">
+                <FormInput id="exportDateFrom" label={t('exportView.from')} type="date" value={dateFrom} onChange={setDateFrom} />
+                <FormInput id="exportDateTo" label={t('exportView.to')} type="date" value={dateTo} onChange={setDateTo} />
+            </div>
+
+            <FormSelect
+                id="exportFormat"
+                label={t('exportView.format')}
+                value={format}
+                onChange={setFormat}
+                options={EXPORT_FORMATS.map(option => ({ value: option.value, label: t(`exportView.formats.${option.value}`) }))}
+                icon={FileDown}
+                required
+            />
+
+            <p className="mb-4 text-sm text-gray-600">
+                {t('exportView.selection', {
+                    transactions: t('exportView.transactionCount', { count: selectedTransactions.length }),
+                    accounts: t('exportView.accountCount', { count: selectedAccountIds.length }),
+                })}
+            </p>
+
+            <Button onClick={handleExport} disabled={loading || selectedAccountIds.length === 0}>
+                <Download className="inline w-4 h-4 mr-2 align-middle" /> {t('exportView.download')}
+            </Button>
+
+            <Message message={dataError || error} />
+        </Card>
+    );
+};
+
+export default ExportView;
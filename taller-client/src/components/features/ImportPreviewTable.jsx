@@ -0,0 +1,63 @@
+import React from 'react';
+import { AlertCircle, CheckCircle, Loader } from 'lucide-react';
+import { formatDate } from '../../utils/format';
+import { formatAmount } from '../../utils/money';
+import { useI18n } from '../../hooks/useI18n';
+
+const ROW_STYLES = {
+    invalid: 'bg-red-50',
+    success: 'bg-green-50',
+    error: 'bg-red-50',
+};
+
+/**
+ * Parsed statement rows with their validation errors and, once importing, the per-row result.
+ */
+const ImportPreviewTable = ({ rows, results, currency }) => {
+    const { t } = useI18n();
+
+    return (
+        <div className="overflow-x-auto max-h-96 overflow-y-auto border rounded-lg">
+            <table className="w-full text-sm text-left">
+                <thead className="sticky top-0 bg-gray-50">
+                    <tr className="border-b text-gray-600">
+                        <th className="py-2 px-2 font-semibold">#</th>
+                        <th className="py-2 px-2 font-semibold">{t('importWizard.columns.date')}</th>
+                        <th className="py-2 px-2 font-semibold">{t('importWizard.columns.description')}</th>
+                        <th className="py-2 px-2 font-semibold">{t('importWizard.columns.type')}</th>
+                        <th className="py-2 px-2 font-semibold text-right">{t('importWizard.columns.amount')}</th>
+                        <th className="py-2 px-2 font-semibold">{t('importWizard.columns.status')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => {
+                        const result = results[row.line];
+                        const state = result ? result.status : (row.errors.length > 0 ? 'invalid' : 'valid');
+                        return (
+                            <tr key={row.line} className={`border-b last:border-b-0 ${ROW_STYLES[state] || ''}`}>
+                                <td className="py-2 px-2 text-gray-500">{row.line}</td>
+                                <td className="py-2 px-2 whitespace-nowrap">{row.transactionTime ? formatDate(row.transactionTime) : '—'}</td>
+                                <td className="py-2 px-2">{row.description || '—'}</td>
+                                <td className="py-2 px-2">{t(`transactionTypes.${row.transactionType}`)}</td>
+                                <td className="py-2 px-2 text-right whitespace-nowrap">{formatAmount(row.amount, currency)}</td>
+                                <td className="py-2 px-2 text-xs">
+                                    {state === 'invalid' && (
+                                        <span className="flex items-start text-red-700"><AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />{row.errors.join(', ')}</span>
+                                    )}
+                                    {state === 'pending' && <Loader className="w-4 h-4 animate-spin text-indigo-600" />}
+                                    {state === 'success' && <span className="flex items-center text-green-700"><CheckCircle className="w-4 h-4 mr-1" />{t('importWizard.rowImported')}</span>}
+                                    {state === 'error' && (
+                                        <span className="flex items-start text-red-700"><AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />{result.message}</span>
+                                    )}
+                                    {state === 'valid' && <span className="text-gray-500">{t('importWizard.rowReady')}</span>}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default ImportPreviewTable;
@@ -0,0 +1,388 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowLeft, ArrowRight, Briefcase, FileUp, LayoutList, Upload } from 'lucide-react';
+import { useApi } from '../../hooks/useApi';
+import { useReferenceData } from '../../hooks/useReferenceData';
+import { usePersistentState } from '../../hooks/usePersistentState';
+import { detectDelimiter, parseCsv } from '../../utils/csv';
+import {
+    DATE_FORMATS, DECIMAL_SEPARATORS, buildImportRows, guessColumns, guessDecimalSeparator, headerSignature,
+} from '../../utils/csvImport';
+import { QUERY_KEYS, invalidateQueries } from '../../utils/queryCache';
+import { notifyError, notifySuccess, notifyWarning } from '../../utils/notifications';
+import { useI18n } from '../../hooks/useI18n';
+import Card from '../ui/Card';
+import FormInput from '../ui/FormInput';
+import FormSelect from '../ui/FormSelect';
+import CategoryTreePicker from '../ui/CategoryTreePicker';
+import Button from '../ui/Button';
+import Message from '../ui/Message';
+import ImportPreviewTable from './ImportPreviewTable';
+
+// Labels of the steps, delimiters and fields are under importWizard.*
+const STEPS = ['upload', 'mapColumns', 'preview'];
+
+const DELIMITERS = [
+    { value: ',', labelKey: 'comma' },
+    { value: ';', labelKey: 'semicolon' },
+    { value: '\t', labelKey: 'tab' },
+    { value: '|', labelKey: 'pipe' },
+];
+
+const MAPPED_FIELDS = [
+    { key: 'time', required: true },
+    { key: 'description', required: true },
+    { key: 'amount', required: true },
+    { key: 'type', required: false },
+];
+
+const DEFAULT_MAPPING = {
+    bankName: '',
+    delimiter: ',',
+    hasHeader: true,
+    columns: { description: '', amount: '', time: '', type: '' },
+    decimalSeparator: '.',
+    dateFormat: 'YMD',
+    containerId: '',
+    accountId: '',
+    categoryId: '',
+};
+
+const ImportWizard = () => {
+    const { fetchApi } = useApi();
+    const { containers, accounts, categories, error: dataError } = useReferenceData();
+    const { t, locale } = useI18n();
+    // Saved mappings keyed by bank name, so the next statement of the same bank is one click
+    const [profiles, setProfiles] = usePersistentState('csvImport.profiles', {});
+
+    const [step, setStep] = useState(0);
+    const [profileName, setProfileName] = useState('');
+    const [fileText, setFileText] = useState('');
+    const [fileName, setFileName] = useState('');
+    const [mapping, setMapping] = useState(DEFAULT_MAPPING);
+    const [results, setResults] = useState({});
+    const [isImporting, setIsImporting] = useState(false);
+
+    const allRows = useMemo(() => (fileText ? parseCsv(fileText, mapping.delimiter) : []), [fileText, mapping.delimiter]);
+    const header = useMemo(() => (mapping.hasHeader && allRows.length > 0
+        ? allRows[0]
+        : (allRows[0] || []).map((_, index) => t('importWizard.column', { number: index + 1 }))), [allRows, mapping.hasHeader, t]);
+    const dataRows = useMemo(() => (mapping.hasHeader ? allRows.slice(1) : allRows), [allRows, mapping.hasHeader]);
+    const targetAccount = accounts.find(a => a.id === mapping.accountId);
+    const importRows = useMemo(
+        () => buildImportRows(dataRows, mapping, targetAccount?.currency, locale),
+        [dataRows, mapping, targetAccount?.currency, locale]
+    );
+
+    const validRows = importRows.filter(row => row.errors.length === 0);
+    const containerAccounts = accounts.filter(a => a.containerId === mapping.containerId);
+    const isImportDone = Object.keys(results).length > 0 && !isImporting;
+
+    const updateMapping = (field, value) => setMapping(prev => ({ ...prev, [field]: value }));
+    const updateColumn = (field, value) => setMapping(prev => ({ ...prev, columns: { ...prev.columns, [field]: value } }));
+
+    const isMappingComplete = ['time', 'description', 'amount'].every(field => mapping.columns[field] !== '')
+        && mapping.accountId && mapping.categoryId;
+
+    // --- Step 1: Upload ---
+
+    const handleFile = async (file) => {
+        if (!file) return;
+        setResults({});
+
+        const text = await file.text();
+        const profile = profiles[profileName];
+        const delimiter = profile ? profile.delimiter : detectDelimiter(text);
+        const rows = parseCsv(text, delimiter);
+        if (rows.length === 0) {
+            notifyError(t('importWizard.emptyFile'));
+            return;
+        }
+
+        setFileText(text);
+        setFileName(file.name);
+
+        if (profile) {
+            setMapping({ ...DEFAULT_MAPPING, ...profile, bankName: profileName });
+            // Same layout as last time: skip straight to the preview
+            const sameLayout = !profile.hasHeader || headerSignature(rows[0]) === profile.headerSignature;
+            setStep(sameLayout ? 2 : 1);
+            if (!sameLayout) {
+                notifyWarning(t('importWizard.layoutChanged', { name: profileName }));
+            }
+            return;
+        }
+
+        const amountSamples = rows.slice(1, 20).map(row => row[guessColumns(rows[0]).amount] || '');
+        setMapping({
+            ...DEFAULT_MAPPING,
+            delimiter,
+            columns: guessColumns(rows[0]),
+            decimalSeparator: guessDecimalSeparator(amountSamples),
+        });
+        setStep(1);
+    };
+
+    // --- Step 3: Import ---
+
+    const saveProfile = () => {
+        const name = mapping.bankName.trim();
+        if (!name) return;
+        setProfiles(prev => ({
+            ...prev,
+            [name]: {
+                ...mapping,
+                bankName: name,
+                headerSignature: mapping.hasHeader ? headerSignature(allRows[0]) : '',
+            },
+        }));
+    };
+
+    const handleImport = async () => {
+        saveProfile();
+        setIsImporting(true);
+        setResults(Object.fromEntries(validRows.map(row => [row.line, { status: 'pending' }])));
+
+        let imported = 0;
+        // Sequential, so the server receives the statement in order and progress is accurate
+        for (const row of validRows) {
+            try {
+                await fetchApi('/transaction', 'POST', {
+                    description: row.description,
+                    amount: row.amount,
+                    latitude: 0,
+                    longitude: 0,
+                    transactionTime: row.transactionTime,
+                    transactionType: row.transactionType,
+                    account: { id: mapping.accountId },
+                    category: { id: mapping.categoryId },
+                });
+                imported++;
+                setResults(prev => ({ ...prev, [row.line]: { status: 'success' } }));
+            } catch (error) {
+                setResults(prev => ({ ...prev, [row.line]: { status: 'error', message: error.message } }));
+            }
+        }
+
+        setIsImporting(false);
+        if (imported > 0) invalidateQueries(QUERY_KEYS.TRANSACTIONS);
+        if (imported === validRows.length) {
+            notifySuccess(t('importWizard.imported', { count: imported }));
+        } else {
+            notifyWarning(t('importWizard.partlyImported', { imported, count: validRows.length }));
+        }
+    };
+
+    const startOver = () => {
+        setStep(0);
+        setFileText('');
+        setFileName('');
+        setResults({});
+    };
+
+    const completed = Object.values(results).filter(result => result.status !== 'pending').length;
+
+    return (
+        <Card title={t('importWizard.title')} wide>
+            <ol className="flex mb-6 text-sm font-medium">
+                {STEPS.map((key, index) => (
+                    <li key={key} className={`flex-1 pb-2 border-b-2 ${index <= step ? 'border-indigo-600 text-indigo-700' : 'border-gray-200 text-gray-400'}`}>
+                        {index + 1}. {t(`importWizard.steps.${key}`)}
+                    </li>
+                ))}
+            </ol>
+
+            {step === 0 && (
+                <>
+                    {Object.keys(profiles).length > 0 && (
+                        <FormSelect
+                            id="importProfile"
+                            label={t('importWizard.savedMapping')}
+                            value={profileName}
+                            onChange={setProfileName}
+                            options={Object.keys(profiles).map(name => ({ value: name, label: name }))}
+                            icon={Briefcase}
+                            placeholder={t('importWizard.newBank')}
+                            allowEmpty
+                        />
+                    )}
+                    <label
+                        htmlFor="statementFile"
+                        className="flex flex-col items-center justify-center p-8 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-indigo-500 hover:bg-indigo-50 transition-colors"
+                    >
+                        <FileUp className="w-10 h-10 text-indigo-600 mb-2" />
+                        <span className="font-medium text-gray-700">{t('importWizard.chooseFile')}</span>
+                        <span className="text-xs text-gray-500">{t('importWizard.fileHint')}</span>
+                        <input
+                            id="statementFile"
+                            type="file"
+                            accept=".csv,text/csv,text/plain"
+                            className="sr-only"
+                            onChange={(e) => handleFile(e.target.files[0])}
+                        />
+                    </label>
+                </>
+            )}
+
+            {step === 1 && (
+                <>
+                    <p className="mb-4 text-sm text-gray-600">{t('importWizard.fileSummary', { name: fileName, count: dataRows.length })}</p>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4">
+                        <FormSelect
+                            id="importDelimiter"
+                            label={t('importWizard.delimiter')}
+                            value={mapping.delimiter}
+                            onChange={(value) => updateMapping('delimiter', value)}
+                            options={DELIMITERS.map(d => ({ value: d.value, label: t(`importWizard.delimiters.${d.labelKey}`) }))}
+                        />
+                        <label className="flex items-center mb-4 sm:mt-6 text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={mapping.hasHeader}
+                                onChange={(e) => updateMapping('hasHeader', e.target.checked)}
+                                className="mr-2 rounded text-indigo-600"
+                            />
+                            {t('importWizard.hasHeader')}
+                        </label>
+
+                        {MAPPED_FIELDS.map(field => (
+                            <FormSelect
+                                key={field.key}
+                                id={`importColumn-${field.key}`}
+                                label={t(`importWizard.fields.${field.key}`)}
+                                value={mapping.columns[field.key]}
+                                onChange={(value) => updateColumn(field.key, value)}
+                                options={header.map((title, index) => ({
+                                    value: String(index),
+                                    label: dataRows[0] ? t('importWizard.columnExample', { title, example: dataRows[0][index] || '' }) : title,
+                                }))}
+                                required={field.required}
+                                placeholder={t(field.required ? 'importWizard.selectColumn' : 'importWizard.notMapped')}
+                                allowEmpty={!field.required}
+                            />
+                        ))}
+
+                        <FormSelect
+                            id="importDecimalSeparator"
+                            label={t('importWizard.numberFormat')}
+                            value={mapping.decimalSeparator}
+                            onChange={(value) => updateMapping('decimalSeparator', value)}
+                            options={DECIMAL_SEPARATORS.map(option => ({ value: option.value, label: t(option.labelKey) }))}
+                            required
+                        />
+                        <FormSelect
+                            id="importDateFormat"
+                            label={t('importWizard.dateFormat')}
+                            value={mapping.dateFormat}
+                            onChange={(value) => updateMapping('dateFormat', value)}
+                            options={DATE_FORMATS.map(option => ({ value: option.value, label: t(option.labelKey) }))}
+                            required
+                        />
+                    </div>
+
+                    <h3 className="text-xl font-bold text-gray-700 mb-3 mt-2 border-t pt-4">{t('importWizard.target')}</h3>
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-x-4">
+                        <FormSelect
+                            id="importContainer"
+                            label={t('importWizard.container')}
+                            value={mapping.containerId}
+                            onChange={(value) => setMapping(prev => ({ ...prev, containerId: value, accountId: '' }))}
+                            options={containers}
+                            required
+                            icon={Briefcase}
+                            placeholder={t('common.selectContainer')}
+                        />
+                        <FormSelect
+                            id="importAccount"
+                            label={t('importWizard.account')}
+                            value={mapping.accountId}
+                            onChange={(value) => updateMapping('accountId', value)}
+                            options={containerAccounts.map(a => ({ id: a.id, name: `${a.name} (${a.currency})` }))}
+                            required
+                            icon={LayoutList}
+                            placeholder={t(mapping.containerId ? 'common.selectAccount' : 'common.selectContainerFirst')}
+                            disabled={!mapping.containerId}
+                        />
+                        <CategoryTreePicker
+                            id="importCategory"
+                            label={t('importWizard.defaultCategory')}
+                            value={mapping.categoryId}
+                            onChange={(value) => updateMapping('categoryId', value)}
+                            categories={categories}
+                            required
+                        />
+                    </div>
+
+                    <FormInput
+                        id="importBankName"
+                        label={t('importWizard.bankName')}
+                        value={mapping.bankName}
+                        onChange={(value) => updateMapping('bankName', value)}
+                        placeholder={t('importWizard.bankNamePlaceholder')}
+                    />
+
+                    <div className="flex space-x-3">
+                        <Button type="secondary" onClick={startOver}>
+                            <ArrowLeft className="inline w-4 h-4 mr-2 align-middle" /> {t('importWizard.back')}
+                        </Button>
+                        <Button onClick={() => setStep(2)} disabled={!isMappingComplete}>
+                            {t('importWizard.preview')} <ArrowRight className="inline w-4 h-4 ml-2 align-middle" />
+                        </Button>
+                    </div>
+                </>
+            )}
+
+            {step === 2 && (
+                <>
+                    <div className="mb-4 flex flex-wrap justify-between items-center gap-2 text-sm text-gray-600">
+                        <span>
+                            {fileName} → <span className="font-semibold">{targetAccount ? `${targetAccount.name} (${targetAccount.currency})` : '—'}</span>
+                        </span>
+                        <span>
+                            <span className="text-green-700 font-semibold">{t('importWizard.valid', { count: validRows.length })}</span>
+                            {importRows.length > validRows.length && (
+                                <span className="text-red-700 font-semibold">{t('importWizard.invalid', { count: importRows.length - validRows.length })}</span>
+                            )}
+                        </span>
+                    </div>
+
+                    {(isImporting || isImportDone) && (
+                        <div className="mb-4" role="progressbar" aria-valuemin={0} aria-valuemax={validRows.length} aria-valuenow={completed}>
+                            <div className="flex justify-between text-xs text-gray-600 mb-1">
+                                <span>{t(isImporting ? 'importWizard.importing' : 'importWizard.finished')}</span>
+                                <span>{completed} / {validRows.length}</span>
+                            </div>
+                            <div className="h-2 bg-gray-200 rounded-full">
+                                <div className="h-2 bg-indigo-600 rounded-full transition-all" style={{ width: `${validRows.length ? (completed / validRows.length) * 100 : 0}%` }} />
+                            </div>
+                        </div>
+                    )}
+
+                    <ImportPreviewTable rows={importRows} results={results} currency={targetAccount ? targetAccount.currency : ''} />
+
+                    <div className="flex space-x-3 mt-6">
+                        {isImportDone ? (
+                            <Button onClick={startOver}>
+                                <Upload className="inline w-4 h-4 mr-2 align-middle" /> {t('importWizard.importAnother')}
+                            </Button>
+                        ) : (
+                            <>
+                                <Button type="secondary" onClick={() => setStep(1)} disabled={isImporting}>
+                                    <ArrowLeft className="inline w-4 h-4 mr-2 align-middle" /> {t('importWizard.editMapping')}
+                                </Button>
+                                <Button onClick={handleImport} disabled={isImporting || validRows.length === 0 || !isMappingComplete}>
+                                    <Upload className="inline w-4 h-4 mr-2 align-middle" />
+                                    {isImporting ? t('importWizard.importing') : t('importWizard.import', { count: validRows.length })}
+                                </Button>
+                            </>
+                        )}
+                    </div>
+                </>
+            )}
+
+            <Message message={dataError} />
+        </Card>
+    );
+};
+
+export default ImportWizard;
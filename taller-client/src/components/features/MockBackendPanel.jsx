@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, FlaskConical, RotateCcw } from 'lucide-react';
+import { useMockSettings } from '../../hooks/useMockSettings';
+import { useI18n } from '../../hooks/useI18n';
+import ConfirmDialog from '../ui/ConfirmDialog';
+
+// Rates are stored as 0..1 but edited as whole percentages
+const toPercent = (rate) => String(Math.round(rate * 100));
+const fromPercent = (value) => Math.min(100, Math.max(0, parseInt(value, 10) || 0)) / 100;
+
+/**
+ * Collapsible switch for the in-browser mock backend, with its latency and failure injection.
+ */
+const MockBackendPanel = () => {
+    const { settings, updateSettings, resetData } = useMockSettings();
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [confirmReset, setConfirmReset] = useState(false);
+
+    const inputClass = 'ml-2 w-20 px-2 py-1 border border-gray-300 rounded-lg text-right disabled:bg-gray-100';
+
+    return (
+        <div className="w-full max-w-4xl mt-8 text-xs text-gray-600">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className={`flex items-center px-2 py-1 rounded-lg font-semibold ${settings.enabled ? 'bg-purple-100 text-purple-700' : 'text-gray-400 hover:text-gray-600'}`}
+                aria-expanded={isOpen}
+            >
+                <FlaskConical className="w-4 h-4 mr-1" />
+                {t('mockBackend.toggle', { state: t(settings.enabled ? 'mockBackend.on' : 'mockBackend.off') })}
+                {isOpen ? <ChevronUp className="w-4 h-4 ml-1" /> : <ChevronDown className="w-4 h-4 ml-1" />}
+            </button>
+
+            {isOpen && (
+                <div className="mt-2 p-4 bg-white rounded-lg shadow border border-gray-200 space-y-3">
+                    <label className="flex items-center text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={settings.enabled}
+                            onChange={(e) => updateSettings({ enabled: e.target.checked })}
+                            className="mr-2 rounded text-indigo-600"
+                        />
+                        {t('mockBackend.enable')}
+                    </label>
+                    <p>
+                        {t('mockBackend.localOnly')} {t('mockBackend.demoLogin')} <span className="font-mono">demo</span> / <span className="font-mono">demo</span>.
+                        {' '}{t('mockBackend.logsOut')}
+                    </p>
+                    <div className="flex flex-wrap gap-4">
+                        <label className="flex items-center">
+                            {t('mockBackend.latency')}
+                            <input
+                                type="number"
+                                min="0"
+                                step="50"
+                                value={settings.latencyMs}
+                                onChange={(e) => updateSettings({ latencyMs: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                                disabled={!settings.enabled}
+                                className={inputClass}
+                            />
+                        </label>
+                        <label className="flex items-center">
+                            {t('mockBackend.networkFailures')}
+                            <input
+                                type="number"
+                                min="0"
+                                max="100"
+                                value={toPercent(settings.networkFailureRate)}
+                                onChange={(e) => updateSettings({ networkFailureRate: fromPercent(e.target.value) })}
+                                disabled={!settings.enabled}
+                                className={inputClass}
+                            />
+                        </label>
+                        <label className="flex items-center">
+                            {t('mockBackend.serverErrors')}
+                            <input
+                                type="number"
+                                min="0"
+                                max="100"
+                                value={toPercent(settings.serverErrorRate)}
+                                onChange={(e) => updateSettings({ serverErrorRate: fromPercent(e.target.value) })}
+                                disabled={!settings.enabled}
+                                className={inputClass}
+                            />
+                        </label>
+                    </div>
+                    <button
+                        onClick={() => setConfirmReset(true)}
+                        className="flex items-center text-gray-500 hover:text-red-600 transition-colors"
+                    >
+                        <RotateCcw className="w-3 h-3 mr-1" /> {t('mockBackend.reset')}
+                    </button>
+                </div>
+            )}
+
+            {confirmReset && (
+                <ConfirmDialog
+                    title={t('mockBackend.resetTitle')}
+                    description={t('mockBackend.resetDescription')}
+                    confirmLabel={t('mockBackend.resetConfirm')}
+                    onConfirm={() => {
+                        resetData();
+                        setConfirmReset(false);
+                    }}
+                    onCancel={() => setConfirmReset(false)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default MockBackendPanel;
@@ -0,0 +1,140 @@
+import React from 'react';
+import { CloudOff, Paperclip, RefreshCw, RotateCcw, Trash2 } from 'lucide-react';
+import { QUEUE_STATUS } from '../../utils/offlineQueue';
+import { formatDateTime } from '../../utils/format';
+import { formatAmount } from '../../utils/money';
+import { notifyError } from '../../utils/notifications';
+import { useI18n } from '../../hooks/useI18n';
+
+const STATUS_STYLES = {
+    [QUEUE_STATUS.PENDING]: 'bg-yellow-100 text-yellow-700',
+    [QUEUE_STATUS.FAILED]: 'bg-red-100 text-red-700',
+    [QUEUE_STATUS.CONFLICT]: 'bg-orange-100 text-orange-700',
+};
+
+/**
+ * Lists transactions waiting in the offline queue with per-item retry/discard actions, followed
+ * by receipts waiting for upload to transactions that are already saved.
+ */
+const PendingTransactions = ({
+    items, attachments = [], isOnline, isReplaying, onSync, onRetry, onDiscard, onRetryAttachment, onDiscardAttachment,
+}) => {
+    const { t } = useI18n();
+
+    // The queue lives in IndexedDB and syncing goes over the network; either can fail
+    const handle = (action, errorKey = 'pending.actionFailed') => () => Promise.resolve()
+        .then(action)
+        .catch(error => notifyError(t(errorKey, { error: error.message })));
+
+    // Receipts of queued transactions are listed with them
+    const receiptCount = (item) => attachments.filter(a => !a.transactionId && a.transactionKey === item.idempotencyKey).length;
+    const receipts = attachments.filter(a => a.transactionId);
+
+    if (items.length === 0 && receipts.length === 0) return null;
+
+    return (
+        <div className="mt-6 border-t pt-4">
+            <h3 className="text-lg font-bold text-gray-700 mb-3 flex justify-between items-center">
+                <span className="flex items-center">
+                    <CloudOff className="w-5 h-5 mr-2 text-yellow-600" /> {t('pending.title', { count: items.length + receipts.length })}
+                </span>
+                <button
+                    onClick={handle(onSync, 'pending.syncFailed')}
+                    disabled={!isOnline || isReplaying}
+                    className="flex items-center text-xs text-gray-500 hover:text-indigo-600 transition-colors disabled:opacity-50"
+                >
+                    <RefreshCw className={`w-3 h-3 mr-1 ${isReplaying ? 'animate-spin' : ''}`} /> {t('pending.sync')}
+                </button>
+            </h3>
+
+            {!isOnline && (
+                <p className="mb-3 text-xs text-gray-500">
+                    {t('pending.offline')}
+                </p>
+            )}
+
+            <ul className="space-y-2">
+                {items.map(item => (
+                    <li key={item.id} className="p-3 border border-gray-200 rounded-lg bg-white text-sm">
+                        <div className="flex justify-between items-start">
+                            <div>
+                                <p className="font-medium text-gray-800">{item.body.description}</p>
+                                <p className="text-xs text-gray-500">
+                                    {formatAmount(item.body.amount, item.details.currency)} · {t(`transactionTypes.${item.body.transactionType}`)} · {formatDateTime(item.createdAt)}
+                                    {receiptCount(item) > 0 && (
+                                        <span className="ml-1 inline-flex items-center">
+                                            · <Paperclip className="w-3 h-3 mx-0.5" /> {t('pending.receipts', { count: receiptCount(item) })}
+                                        </span>
+                                    )}
+                                </p>
+                            </div>
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[item.status]}`}>
+                                {t(`pending.status.${item.status}`)}
+                            </span>
+                        </div>
+
+                        {item.error && <p className="mt-2 text-xs text-red-600">{item.error}</p>}
+
+                        <div className="mt-2 flex space-x-3">
+                            {item.status !== QUEUE_STATUS.PENDING && (
+                                <button
+                                    onClick={handle(() => onRetry(item.id))}
+                                    disabled={!isOnline || isReplaying}
+                                    className="flex items-center text-xs text-indigo-600 hover:text-indigo-800 transition-colors disabled:opacity-50"
+                                >
+                                    <RotateCcw className="w-3 h-3 mr-1" /> {t('pending.retry')}
+                                </button>
+                            )}
+                            <button
+                                onClick={handle(() => onDiscard(item.id))}
+                                disabled={isReplaying}
+                                className="flex items-center text-xs text-red-500 hover:text-red-700 transition-colors disabled:opacity-50"
+                            >
+                                <Trash2 className="w-3 h-3 mr-1" /> {t('pending.discard')}
+                            </button>
+                        </div>
+                    </li>
+                ))}
+                {receipts.map(item => (
+                    <li key={`receipt-${item.id}`} className="p-3 border border-gray-200 rounded-lg bg-white text-sm">
+                        <div className="flex justify-between items-start">
+                            <div className="flex items-center">
+                                <img src={item.thumbnail} alt="" className="w-10 h-10 mr-3 rounded object-cover border border-gray-200" />
+                                <div>
+                                    <p className="font-medium text-gray-800">{item.fileName}</p>
+                                    <p className="text-xs text-gray-500">{t('pending.receiptFor', { id: item.transactionId })} · {formatDateTime(item.createdAt)}</p>
+                                </div>
+                            </div>
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[item.status]}`}>
+                                {t(`pending.status.${item.status}`)}
+                            </span>
+                        </div>
+
+                        {item.error && <p className="mt-2 text-xs text-red-600">{item.error}</p>}
+
+                        <div className="mt-2 flex space-x-3">
+                            {item.status !== QUEUE_STATUS.PENDING && (
+                                <button
+                                    onClick={handle(() => onRetryAttachment(item.id))}
+                                    disabled={!isOnline || isReplaying}
+                                    className="flex items-center text-xs text-indigo-600 hover:text-indigo-800 transition-colors disabled:opacity-50"
+                                >
+                                    <RotateCcw className="w-3 h-3 mr-1" /> {t('pending.retry')}
+                                </button>
+                            )}
+                            <button
+                                onClick={handle(() => onDiscardAttachment(item.id))}
+                                disabled={isReplaying}
+                                className="flex items-center text-xs text-red-500 hover:text-red-700 transition-colors disabled:opacity-50"
+                            >
+                                <Trash2 className="w-3 h-3 mr-1" /> {t('pending.discard')}
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default PendingTransactions;
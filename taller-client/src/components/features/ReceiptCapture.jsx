@@ -0,0 +1,61 @@
+import React, { useRef, useState } from 'react';
+import { Camera, ImagePlus, Loader2 } from 'lucide-react';
+import { useI18n } from '../../hooks/useI18n';
+import { prepareImage } from '../../utils/images';
+import { notifyError } from '../../utils/notifications';
+
+/**
+ * Buttons to photograph a receipt with the device camera or pick image files. Every image is
+ * resized and compressed before `onCapture(prepared)` receives the list (see utils/images).
+ */
+const ReceiptCapture = ({ onCapture, disabled = false }) => {
+    const { t } = useI18n();
+    const cameraInput = useRef(null);
+    const fileInput = useRef(null);
+    const [isProcessing, setIsProcessing] = useState(false);
+
+    const handleFiles = async (event) => {
+        const files = [...event.target.files];
+        // Picking the same file again must fire another change
+        event.target.value = '';
+        if (files.length === 0) return;
+
+        setIsProcessing(true);
+        try {
+            const prepared = [];
+            for (const file of files) {
+                try {
+                    prepared.push(await prepareImage(file));
+                } catch (error) {
+                    notifyError(error.message);
+                }
+            }
+            if (prepared.length > 0) await onCapture(prepared);
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    const buttonClass = 'flex items-center px-3 py-2 rounded-lg border border-gray-300 text-sm text-gray-700 hover:border-indigo-400 hover:text-indigo-700 transition-colors disabled:opacity-50';
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            {/* On phones `capture` opens the rear camera; desktops fall back to a file picker */}
+            <input ref={cameraInput} type="file" accept="image/*" capture="environment" onChange={handleFiles} className="hidden" />
+            <input ref={fileInput} type="file" accept="image/*" multiple onChange={handleFiles} className="hidden" />
+            <button type="button" onClick={() => cameraInput.current.click()} disabled={disabled || isProcessing} className={buttonClass}>
+                <Camera className="w-4 h-4 mr-2" /> {t('attachments.takePhoto')}
+            </button>
+            <button type="button" onClick={() => fileInput.current.click()} disabled={disabled || isProcessing} className={buttonClass}>
+                <ImagePlus className="w-4 h-4 mr-2" /> {t('attachments.chooseFiles')}
+            </button>
+            {isProcessing && (
+                <span className="flex items-center text-xs text-gray-500" role="status">
+                    <Loader2 className="w-3 h-3 mr-1 animate-spin" /> {t('attachments.processing')}
+                </span>
+            )}
+        </div>
+    );
+};
+
+export default ReceiptCapture;
@@ -0,0 +1,49 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Repeat, X } from 'lucide-react';
+import { useRecurringRules } from '../../hooks/useRecurringRules';
+import { useOnlineStatus } from '../../hooks/useOnlineStatus';
+import { ROUTES } from '../../constants';
+import { useI18n } from '../../hooks/useI18n';
+
+// Also catches the day changing while the app stays open
+const CATCH_UP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Generates due recurring transactions in the background and reports how many were created.
+ */
+const RecurringCatchUp = () => {
+    const { catchUp } = useRecurringRules();
+    const isOnline = useOnlineStatus();
+    const { t } = useI18n();
+    const [createdCount, setCreatedCount] = useState(0);
+
+    useEffect(() => {
+        if (!isOnline) return undefined;
+        const run = () => catchUp()
+            .then(created => {
+                if (created > 0) setCreatedCount(count => count + created);
+            })
+            .catch(error => console.error('Recurring catch-up failed:', error));
+        run();
+        const interval = setInterval(run, CATCH_UP_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [isOnline, catchUp]);
+
+    if (createdCount === 0) return null;
+
+    return (
+        <div role="status" className="w-full max-w-lg mb-4 p-3 rounded-lg bg-indigo-50 text-indigo-800 text-sm flex items-center">
+            <Repeat className="w-4 h-4 mr-2 flex-shrink-0" />
+            <span>
+                {t('recurring.catchUpCreated', { count: createdCount })}{' '}
+                <Link to={ROUTES.TRANSACTIONS} className="font-medium underline hover:text-indigo-900">{t('recurring.viewHistory')}</Link>
+            </span>
+            <button onClick={() => setCreatedCount(0)} className="ml-auto p-1 rounded-full hover:bg-indigo-100" aria-label={t('common.dismiss')}>
+                <X className="w-4 h-4" />
+            </button>
+        </div>
+    );
+};
+
+export default RecurringCatchUp;
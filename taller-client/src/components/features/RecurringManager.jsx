@@ -0,0 +1,293 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle, CalendarClock, Check, Pause, Pencil, Play, Plus, Repeat, RotateCcw, SkipForward, Trash2, X } from 'lucide-react';
+import { useReferenceData } from '../../hooks/useReferenceData';
+import { useRecurringRules } from '../../hooks/useRecurringRules';
+import { createRuleId } from '../../utils/recurringRules';
+import { describeSchedule, upcomingOccurrences, dueOccurrences } from '../../utils/recurrence';
+import { categoryPath } from '../../utils/categories';
+import { indexById } from '../../utils/transactions';
+import { toDateKey } from '../../utils/dates';
+import { normalizeDecimalInput, toDecimalInput } from '../../utils/format';
+import { formatAmount, parseMoney } from '../../utils/money';
+import { currencyPrecision } from '../../utils/validation';
+import { notifyError, notifyInfo, notifySuccess } from '../../utils/notifications';
+import { useI18n } from '../../hooks/useI18n';
+import Card from '../ui/Card';
+import Message from '../ui/Message';
+import ConfirmDialog from '../ui/ConfirmDialog';
+import RecurringRuleForm from './RecurringRuleForm';
+
+const UPCOMING_DAYS = 30;
+
+const RecurringManager = () => {
+    const { containers, accounts, categories, error: dataError } = useReferenceData();
+    const { rules, saveRule, deleteRule, setActive, adjustOccurrence, catchUp } = useRecurringRules();
+    const { t } = useI18n();
+
+    const [editingId, setEditingId] = useState(null);
+    const [pendingDelete, setPendingDelete] = useState(null);
+    const [isGenerating, setIsGenerating] = useState(false);
+    // { ruleId, day, amount, description } of the occurrence being adjusted
+    const [adjusting, setAdjusting] = useState(null);
+
+    const accountsById = useMemo(() => indexById(accounts), [accounts]);
+    const categoriesById = useMemo(() => indexById(categories), [categories]);
+    const todayKey = toDateKey(new Date());
+
+    // Every active rule's occurrences of the coming days, soonest first
+    const upcoming = useMemo(() => rules
+        .filter(rule => rule.active)
+        .flatMap(rule => upcomingOccurrences(rule, todayKey, UPCOMING_DAYS).map(day => ({ rule, day })))
+        .sort((a, b) => a.day.localeCompare(b.day)), [rules, todayKey]);
+
+    const createRule = (fields) => {
+        saveRule({ ...fields, id: createRuleId(), active: true, lastGeneratedDate: null, adjustments: {}, error: null });
+        notifySuccess(t('recurring.created', { description: fields.description }));
+        // A start date in the past catches up on the occurrences since then right away
+        if (dueOccurrences(fields, todayKey).length > 0) generateDue();
+        return true;
+    };
+
+    const updateRule = (rule, fields) => {
+        saveRule({ ...rule, ...fields, error: null });
+        setEditingId(null);
+        notifySuccess(t('recurring.updated', { description: fields.description }));
+        return true;
+    };
+
+    const generateDue = async () => {
+        setIsGenerating(true);
+        try {
+            const created = await catchUp();
+            if (created > 0) {
+                notifySuccess(t('recurring.dueCreated', { count: created }));
+            } else {
+                notifyInfo(t('recurring.nothingDue'));
+            }
+        } catch (error) {
+            notifyError(error.message || t('recurring.dueFailed'), {
+                action: { label: t('common.retry'), onClick: generateDue },
+            });
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    const saveAdjustment = () => {
+        const currency = ruleCurrency(rules.find(rule => rule.id === adjusting.ruleId) || {});
+        const precisionError = currencyPrecision(currency)(adjusting.amount);
+        if (precisionError) {
+            notifyError(precisionError);
+            return;
+        }
+        const amount = parseMoney(adjusting.amount, currency);
+        if (!(amount > 0)) {
+            notifyError(t('recurring.adjustedAmountPositive'));
+            return;
+        }
+        adjustOccurrence(adjusting.ruleId, adjusting.day, { amount, description: adjusting.description.trim() });
+        setAdjusting(null);
+    };
+
+    const describeTarget = (rule) => {
+        const account = accountsById[rule.accountId];
+        return `${account ? account.name : t('recurring.unknownAccount')} · ${categoryPath(categoriesById, rule.categoryId) || t('recurring.unknownCategory')}`;
+    };
+
+    const ruleCurrency = (rule) => accountsById[rule.accountId]?.currency || '';
+
+    return (
+        <Card title={t('recurring.title')} wide>
+            <div className="mb-4 flex justify-end">
+                <button
+                    onClick={generateDue}
+                    disabled={isGenerating}
+                    className="flex items-center text-xs text-gray-500 hover:text-indigo-600 transition-colors disabled:opacity-50"
+                >
+                    <Repeat className={`w-3 h-3 mr-1 ${isGenerating ? 'animate-spin' : ''}`} /> {t('recurring.createDue')}
+                </button>
+            </div>
+
+            {/* Rules */}
+            {rules.length === 0 && (
+                <p className="p-4 text-center text-sm text-gray-500">{t('recurring.empty')}</p>
+            )}
+            <ul className="divide-y border border-gray-200 rounded-lg mb-6">
+                {rules.map(rule => {
+                    const next = upcomingOccurrences(rule, todayKey, 366)[0];
+                    return (
+                        <li key={rule.id} className="p-3">
+                            <div className="flex items-start">
+                                <div className="flex-1">
+                                    <p className={`font-semibold ${rule.active ? 'text-gray-800' : 'text-gray-400'}`}>
+                                        {rule.description}
+                                        <span className={`ml-2 ${rule.transactionType === 'INCOME' ? 'text-green-600' : 'text-gray-700'}`}>
+                                            {formatAmount(rule.amount, ruleCurrency(rule))}
+                                        </span>
+                                    </p>
+                                    <p className="text-xs text-gray-500">{describeTarget(rule)}</p>
+                                    <p className="text-xs text-gray-500 flex items-center">
+                                        <CalendarClock className="w-3 h-3 mr-1" />
+                                        {t('recurring.period', { schedule: describeSchedule(rule.schedule), start: rule.startDate })}
+                                        {rule.endDate && t('recurring.until', { end: rule.endDate })}
+                                        {rule.active && next && t('recurring.next', { date: next })}
+                                        {!rule.active && t('recurring.paused')}
+                                    </p>
+                                    {rule.error && (
+                                        <p className="text-xs text-red-600 flex items-center mt-1">
+                                            <AlertTriangle className="w-3 h-3 mr-1" /> {rule.error}
+                                        </p>
+                                    )}
+                                </div>
+                                <button
+                                    onClick={() => setActive(rule.id, !rule.active)}
+                                    className="p-1 text-gray-400 hover:text-indigo-600 rounded-full transition-colors"
+                                    aria-label={t(rule.active ? 'recurring.pauseLabel' : 'recurring.resumeLabel', { description: rule.description })}
+                                >
+                                    {rule.active ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                                </button>
+                                <button
+                                    onClick={() => setEditingId(editingId === rule.id ? null : rule.id)}
+                                    className="p-1 text-gray-400 hover:text-indigo-600 rounded-full transition-colors"
+                                    aria-label={t('recurring.editLabel', { description: rule.description })}
+                                >
+                                    <Pencil className="w-4 h-4" />
+                                </button>
+                                <button
+                                    onClick={() => setPendingDelete(rule)}
+                                    className="p-1 text-gray-400 hover:text-red-600 rounded-full transition-colors"
+                                    aria-label={t('recurring.deleteLabel', { description: rule.description })}
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                            {editingId === rule.id && (
+                                <div className="mt-3 p-3 bg-gray-50 rounded-lg">
+                                    <RecurringRuleForm
+                                        rule={rule}
+                                        containers={containers}
+                                        accounts={accounts}
+                                        categories={categories}
+                                        onSubmit={(fields) => updateRule(rule, fields)}
+                                        onCancel={() => setEditingId(null)}
+                                        onError={notifyError}
+                                    />
+                                </div>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+
+            {/* Upcoming occurrences */}
+            <h3 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4">{t('recurring.upcomingTitle', { count: UPCOMING_DAYS })}</h3>
+            {upcoming.length === 0 && <p className="text-sm text-gray-500 mb-4">{t('recurring.nothingScheduled')}</p>}
+            <ul className="divide-y text-sm mb-6">
+                {upcoming.map(({ rule, day }) => {
+                    const adjustment = rule.adjustments?.[day] || {};
+                    const isAdjusting = adjusting && adjusting.ruleId === rule.id && adjusting.day === day;
+                    return (
+                        <li key={`${rule.id}-${day}`} className="flex items-center py-2">
+                            <span className="w-24 text-gray-500">{day}</span>
+                            {isAdjusting ? (
+                                <span className="flex-1 flex items-center space-x-1">
+                                    <input
+                                        value={adjusting.description}
+                                        onChange={(e) => setAdjusting({ ...adjusting, description: e.target.value })}
+                                        aria-label={t('recurring.occurrenceDescription')}
+                                        className="flex-1 px-2 py-1 border border-gray-300 rounded-lg"
+                                    />
+                                    <input
+                                        type="text"
+                                        inputMode="decimal"
+                                        value={toDecimalInput(adjusting.amount)}
+                                        onChange={(e) => setAdjusting({ ...adjusting, amount: normalizeDecimalInput(e.target.value) })}
+                                        aria-label={t('recurring.occurrenceAmount')}
+                                        className="w-28 px-2 py-1 border border-gray-300 rounded-lg text-right"
+                                    />
+                                    <button onClick={saveAdjustment} className="p-1 text-green-600 hover:text-green-800 rounded-full" aria-label={t('recurring.save')}>
+                                        <Check className="w-4 h-4" />
+                                    </button>
+                                    <button onClick={() => setAdjusting(null)} className="p-1 text-gray-500 hover:text-gray-700 rounded-full" aria-label={t('common.cancel')}>
+                                        <X className="w-4 h-4" />
+                                    </button>
+                                </span>
+                            ) : (
+                                <>
+                                    <span className={`flex-1 ${adjustment.skip ? 'line-through text-gray-400' : 'text-gray-800'}`}>
+                                        {adjustment.description || rule.description}
+                                        {(adjustment.amount !== undefined || adjustment.description) && !adjustment.skip && (
+                                            <span className="ml-1 text-xs text-indigo-600">{t('recurring.adjusted')}</span>
+                                        )}
+                                    </span>
+                                    <span className={`mr-2 font-semibold ${adjustment.skip ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                                        {formatAmount(adjustment.amount ?? rule.amount, ruleCurrency(rule))}
+                                    </span>
+                                    {adjustment.skip || adjustment.amount !== undefined ? (
+                                        <button
+                                            onClick={() => adjustOccurrence(rule.id, day, null)}
+                                            className="p-1 text-gray-400 hover:text-indigo-600 rounded-full"
+                                            aria-label={t('recurring.restore')}
+                                        >
+                                            <RotateCcw className="w-4 h-4" />
+                                        </button>
+                                    ) : (
+                                        <>
+                                            <button
+                                                onClick={() => setAdjusting({ ruleId: rule.id, day, amount: String(rule.amount), description: rule.description })}
+                                                className="p-1 text-gray-400 hover:text-indigo-600 rounded-full"
+                                                aria-label={t('recurring.adjust')}
+                                            >
+                                                <Pencil className="w-4 h-4" />
+                                            </button>
+                                            <button
+                                                onClick={() => adjustOccurrence(rule.id, day, { skip: true })}
+                                                className="p-1 text-gray-400 hover:text-red-600 rounded-full"
+                                                aria-label={t('recurring.skip')}
+                                            >
+                                                <SkipForward className="w-4 h-4" />
+                                            </button>
+                                        </>
+                                    )}
+                                </>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+
+            {/* New rule */}
+            <h3 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4 flex items-center">
+                <Plus className="w-5 h-5 mr-2 text-indigo-600" /> {t('recurring.newRule')}
+            </h3>
+            <RecurringRuleForm
+                containers={containers}
+                accounts={accounts}
+                categories={categories}
+                onSubmit={createRule}
+                onError={notifyError}
+            />
+
+            <Message message={dataError} />
+
+            {pendingDelete && (
+                <ConfirmDialog
+                    title={t('recurring.deleteTitle', { description: pendingDelete.description })}
+                    description={t('recurring.deleteDescription')}
+                    onConfirm={() => {
+                        const rule = pendingDelete;
+                        deleteRule(rule.id);
+                        // Rules live in local storage, so undoing is just saving the rule again
+                        notifySuccess(t('recurring.deleted', { description: rule.description }), {
+                            action: { label: t('common.undo'), onClick: () => saveRule(rule) },
+                        });
+                        setPendingDelete(null);
+                    }}
+                    onCancel={() => setPendingDelete(null)}
+                />
+            )}
+        </Card>
+    );
+};
+
+export default RecurringManager;
@@ -0,0 +1,273 @@
+import React, { useState } from 'react';
+import { Briefcase, Calendar, CalendarClock, DollarSign, LayoutList, List, Repeat, Send } from 'lucide-react';
+import { SCHEDULE_TYPES } from '../../utils/recurrence';
+import { toDateKey } from '../../utils/dates';
+import { monthName, weekdayName } from '../../utils/format';
+import { parseMoney, toAmountString } from '../../utils/money';
+import { currencyPrecision } from '../../utils/validation';
+import { translate } from '../../utils/i18n';
+import { useI18n } from '../../hooks/useI18n';
+import FormInput from '../ui/FormInput';
+import FormSelect from '../ui/FormSelect';
+import Button from '../ui/Button';
+import CategoryTreePicker from '../ui/CategoryTreePicker';
+
+// Transfers need two linked legs, so they are not offered as a template type
+const RULE_TRANSACTION_TYPES = ['EXPENSE', 'INCOME'];
+
+// Labels are under recurringForm.schedules.<type>
+const SCHEDULE_OPTIONS = [SCHEDULE_TYPES.MONTHLY, SCHEDULE_TYPES.WEEKLY, SCHEDULE_TYPES.YEARLY, SCHEDULE_TYPES.EVERY_N_DAYS];
+
+const emptyDraft = () => {
+    const today = new Date();
+    return {
+        description: '',
+        amount: '',
+        accountId: '',
+        categoryId: '',
+        transactionType: RULE_TRANSACTION_TYPES[0],
+        scheduleType: SCHEDULE_TYPES.MONTHLY,
+        dayOfMonth: String(today.getDate()),
+        weekday: String(today.getDay()),
+        month: String(today.getMonth() + 1),
+        interval: '7',
+        startDate: toDateKey(today),
+        endDate: '',
+    };
+};
+
+// Flat form fields of a stored rule, for editing
+const toDraft = (rule) => ({
+    ...emptyDraft(),
+    ...rule,
+    amount: String(rule.amount),
+    scheduleType: rule.schedule.type,
+    dayOfMonth: String(rule.schedule.dayOfMonth ?? emptyDraft().dayOfMonth),
+    weekday: String(rule.schedule.weekday ?? emptyDraft().weekday),
+    month: String(rule.schedule.month ?? emptyDraft().month),
+    interval: String(rule.schedule.interval ?? emptyDraft().interval),
+    endDate: rule.endDate || '',
+});
+
+const buildSchedule = (draft) => {
+    switch (draft.scheduleType) {
+        case SCHEDULE_TYPES.WEEKLY:
+            return { type: draft.scheduleType, weekday: parseInt(draft.weekday, 10) };
+        case SCHEDULE_TYPES.YEARLY:
+            return { type: draft.scheduleType, month: parseInt(draft.month, 10), dayOfMonth: parseInt(draft.dayOfMonth, 10) };
+        case SCHEDULE_TYPES.EVERY_N_DAYS:
+            return { type: draft.scheduleType, interval: parseInt(draft.interval, 10) };
+        case SCHEDULE_TYPES.MONTHLY:
+        default:
+            return { type: draft.scheduleType, dayOfMonth: parseInt(draft.dayOfMonth, 10) };
+    }
+};
+
+// `currency` is the chosen account's
+const validate = (draft, currency) => {
+    const precisionError = currencyPrecision(currency)(draft.amount);
+    if (precisionError) return precisionError;
+    if (!draft.description.trim() || !(parseMoney(draft.amount, currency) > 0) || !draft.accountId || !draft.categoryId) {
+        return translate('recurringForm.incomplete');
+    }
+    const day = parseInt(draft.dayOfMonth, 10);
+    if ([SCHEDULE_TYPES.MONTHLY, SCHEDULE_TYPES.YEARLY].includes(draft.scheduleType) && !(day >= 1 && day <= 31)) {
+        return translate('recurringForm.dayRange');
+    }
+    if (draft.scheduleType === SCHEDULE_TYPES.EVERY_N_DAYS && !(parseInt(draft.interval, 10) >= 1)) {
+        return translate('recurringForm.intervalRange');
+    }
+    if (!draft.startDate) return translate('recurringForm.startRequired');
+    if (draft.endDate && draft.endDate < draft.startDate) return translate('recurringForm.endBeforeStart');
+    return '';
+};
+
+/**
+ * Creates or edits a recurring rule: the transaction template plus its schedule.
+ * `onSubmit` receives the rule fields (without id/bookkeeping) and resolves truthy on success.
+ */
+const RecurringRuleForm = ({ rule = null, containers, accounts, categories, onSubmit, onCancel, onError }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(() => (rule ? toDraft(rule) : emptyDraft()));
+    const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+    // Keeps ids unique while an edit form and the create form are both on screen
+    const idPrefix = rule ? `rule-${rule.id}-` : 'rule-new-';
+
+    const [containerId, setContainerId] = useState(() => accounts.find(a => a.id === draft.accountId)?.containerId || '');
+    const containerAccounts = accounts
+        .filter(a => a.containerId === containerId)
+        .map(a => ({ id: a.id, name: `${a.name} (${a.currency})` }));
+    const currency = accounts.find(a => a.id === draft.accountId)?.currency || '';
+
+    const handleSubmit = async () => {
+        const error = validate(draft, currency);
+        if (error) {
+            onError(error);
+            return;
+        }
+        const saved = await onSubmit({
+            description: draft.description.trim(),
+            amount: parseMoney(draft.amount, currency),
+            accountId: draft.accountId,
+            categoryId: draft.categoryId,
+            transactionType: draft.transactionType,
+            schedule: buildSchedule(draft),
+            startDate: draft.startDate,
+            endDate: draft.endDate || null,
+        });
+        if (saved && !rule) {
+            setDraft(emptyDraft());
+        }
+    };
+
+    const showsDayOfMonth = [SCHEDULE_TYPES.MONTHLY, SCHEDULE_TYPES.YEARLY].includes(draft.scheduleType);
+
+    return (
+        <div>
+            <FormInput
+                id={`${idPrefix}Description`}
+                label={t('recurringForm.description')}
+                value={draft.description}
+                onChange={(value) => update('description', value)}
+                placeholder={t('recurringForm.descriptionPlaceholder')}
+                required
+                icon={List}
+            />
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4">
+                <FormInput
+                    id={`${idPrefix}Amount`}
+                    label={t('recurringForm.amount')}
+                    type="decimal"
+                    value={draft.amount}
+                    onChange={(value) => update('amount', value)}
+                    placeholder={toAmountString(0, currency)}
+                    required
+                    icon={DollarSign}
+                />
+                <FormSelect
+                    id={`${idPrefix}Type`}
+                    label={t('recurringForm.type')}
+                    value={draft.transactionType}
+                    onChange={(value) => update('transactionType', value)}
+                    options={RULE_TRANSACTION_TYPES.map(type => ({ value: type, label: t(`transactionTypes.${type}`) }))}
+                    required
+                    icon={Send}
+                />
+                <FormSelect
+                    id={`${idPrefix}Container`}
+                    label={t('recurringForm.container')}
+                    value={containerId}
+                    onChange={(value) => {
+                        setContainerId(value);
+                        update('accountId', '');
+                    }}
+                    options={containers}
+                    required
+                    icon={Briefcase}
+                    placeholder={t('common.selectContainer')}
+                />
+                <FormSelect
+                    id={`${idPrefix}Account`}
+                    label={t('recurringForm.account')}
+                    value={draft.accountId}
+                    onChange={(value) => update('accountId', value)}
+                    options={containerAccounts}
+                    required
+                    icon={LayoutList}
+                    placeholder={t(containerId ? 'common.selectAccount' : 'common.selectContainerFirst')}
+                    disabled={!containerId}
+                />
+            </div>
+            <CategoryTreePicker
+                id={`${idPrefix}Category`}
+                label={t('recurringForm.category')}
+                value={draft.categoryId}
+                onChange={(value) => update('categoryId', value)}
+                categories={categories}
+                required
+            />
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4">
+                <FormSelect
+                    id={`${idPrefix}Schedule`}
+                    label={t('recurringForm.repeats')}
+                    value={draft.scheduleType}
+                    onChange={(value) => update('scheduleType', value)}
+                    options={SCHEDULE_OPTIONS.map(type => ({ value: type, label: t(`recurringForm.schedules.${type}`) }))}
+                    required
+                    icon={Repeat}
+                />
+                {draft.scheduleType === SCHEDULE_TYPES.WEEKLY && (
+                    <FormSelect
+                        id={`${idPrefix}Weekday`}
+                        label={t('recurringForm.weekday')}
+                        value={draft.weekday}
+                        onChange={(value) => update('weekday', value)}
+                        options={Array.from({ length: 7 }, (_, index) => ({ value: String(index), label: weekdayName(index) }))}
+                        required
+                        icon={CalendarClock}
+                    />
+                )}
+                {draft.scheduleType === SCHEDULE_TYPES.YEARLY && (
+                    <FormSelect
+                        id={`${idPrefix}Month`}
+                        label={t('recurringForm.month')}
+                        value={draft.month}
+                        onChange={(value) => update('month', value)}
+                        options={Array.from({ length: 12 }, (_, index) => ({ value: String(index + 1), label: monthName(index + 1) }))}
+                        required
+                        icon={CalendarClock}
+                    />
+                )}
+                {showsDayOfMonth && (
+                    <FormInput
+                        id={`${idPrefix}DayOfMonth`}
+                        label={t('recurringForm.dayOfMonth')}
+                        type="number"
+                        step="1"
+                        value={draft.dayOfMonth}
+                        onChange={(value) => update('dayOfMonth', value)}
+                        required
+                        icon={CalendarClock}
+                    />
+                )}
+                {draft.scheduleType === SCHEDULE_TYPES.EVERY_N_DAYS && (
+                    <FormInput
+                        id={`${idPrefix}Interval`}
+                        label={t('recurringForm.interval')}
+                        type="number"
+                        step="1"
+                        value={draft.interval}
+                        onChange={(value) => update('interval', value)}
+                        required
+                        icon={CalendarClock}
+                    />
+                )}
+                <FormInput
+                    id={`${idPrefix}Start`}
+                    label={t('recurringForm.starts')}
+                    type="date"
+                    value={draft.startDate}
+                    onChange={(value) => update('startDate', value)}
+                    required
+                    icon={Calendar}
+                />
+                <FormInput
+                    id={`${idPrefix}End`}
+                    label={t('recurringForm.ends')}
+                    type="date"
+                    value={draft.endDate}
+                    onChange={(value) => update('endDate', value)}
+                    icon={Calendar}
+                />
+            </div>
+
+            <div className="flex space-x-3">
+                {onCancel && <Button type="secondary" onClick={onCancel}>{t('common.cancel')}</Button>}
+                <Button onClick={handleSubmit}>{t(rule ? 'recurringForm.save' : 'recurringForm.create')}</Button>
+            </div>
+        </div>
+    );
+};
+
+export default RecurringRuleForm;
@@ -0,0 +1,32 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { useSession } from '../../hooks/useSession';
+
+/**
+ * Banner counting down to the JWT expiry once the session is about to end.
+ */
+const SessionExpiryWarning = () => {
+    const { expiresAt, isExpiringSoon } = useSession();
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!isExpiringSoon) return undefined;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [isExpiringSoon]);
+
+    if (!isExpiringSoon || !expiresAt) return null;
+
+    const secondsLeft = Math.max(0, Math.round((expiresAt - now) / 1000));
+    const minutes = Math.floor(secondsLeft / 60);
+    const seconds = String(secondsLeft % 60).padStart(2, '0');
+
+    return (
+        <div role="alert" className="w-full max-w-lg mb-4 p-3 rounded-lg bg-yellow-100 text-yellow-800 text-sm flex items-center">
+            <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+            Your session expires in {minutes}:{seconds}. Unsaved input is kept and restored after you log in again.
+        </div>
+    );
+};
+
+export default SessionExpiryWarning;
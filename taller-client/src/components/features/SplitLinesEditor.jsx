@@ -0,0 +1,96 @@
+import React from 'react';
+import { DollarSign, Plus, Trash2 } from 'lucide-react';
+import { createSplitLine, splitAmountId, splitTotal } from '../../utils/splits';
+import { addAmounts, formatAmount, parseMoney, subtractAmounts, toAmountString } from '../../utils/money';
+import { useI18n } from '../../hooks/useI18n';
+import FormInput from '../ui/FormInput';
+import CategoryTreePicker from '../ui/CategoryTreePicker';
+
+/**
+ * Lines of a split payment: a category and an amount each, with a running check against the total.
+ * `fieldProps` (from useFormValidation) attaches the form's errors to the amount inputs.
+ */
+const SplitLinesEditor = ({ lines, onChange, categories, total, currency, fieldProps = () => ({}) }) => {
+    const { t } = useI18n();
+    const updateLine = (key, field, value) => onChange(lines.map(line => (line.key === key ? { ...line, [field]: value } : line)));
+    const removeLine = (key) => onChange(lines.filter(line => line.key !== key));
+
+    const assigned = splitTotal(lines, currency);
+    const remaining = subtractAmounts(total, assigned, currency);
+    const isBalanced = remaining === 0;
+
+    // Puts whatever is unassigned onto the last line
+    const assignRemainder = () => {
+        const last = lines[lines.length - 1];
+        const amount = addAmounts(parseMoney(last.amount, currency) || 0, remaining, currency);
+        updateLine(last.key, 'amount', amount > 0 ? toAmountString(amount, currency) : '');
+    };
+
+    return (
+        <div className="p-4 mb-4 rounded-lg border border-indigo-100 bg-indigo-50/50">
+            {lines.map((line, index) => (
+                <div key={line.key} className="flex items-start space-x-2">
+                    <div className="flex-1">
+                        <CategoryTreePicker
+                            id={`split-category-${line.key}`}
+                            label={t('splits.lineCategory', { number: index + 1 })}
+                            value={line.categoryId}
+                            onChange={(value) => updateLine(line.key, 'categoryId', value)}
+                            categories={categories}
+                            required
+                        />
+                    </div>
+                    <div className="w-36">
+                        <FormInput
+                            id={splitAmountId(line)}
+                            label={t('common.amount')}
+                            type="decimal"
+                            value={line.amount}
+                            onChange={(value) => updateLine(line.key, 'amount', value)}
+                            placeholder={toAmountString(0, currency)}
+                            required
+                            icon={DollarSign}
+                            {...fieldProps(splitAmountId(line))}
+                        />
+                    </div>
+                    <button
+                        type="button"
+                        onClick={() => removeLine(line.key)}
+                        disabled={lines.length <= 2}
+                        className="mt-8 p-2 text-gray-400 hover:text-red-600 rounded-full transition-colors disabled:opacity-30"
+                        aria-label={t('splits.removeLine', { number: index + 1 })}
+                    >
+                        <Trash2 className="w-4 h-4" />
+                    </button>
+                </div>
+            ))}
+
+            <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                <button
+                    type="button"
+                    onClick={() => onChange([...lines, createSplitLine()])}
+                    className="flex items-center text-indigo-600 hover:text-indigo-800 font-medium"
+                >
+                    <Plus className="w-4 h-4 mr-1" /> {t('splits.addLine')}
+                </button>
+                <span className={isBalanced ? 'text-green-700' : 'text-red-600'}>
+                    {t('splits.assigned', { assigned: formatAmount(assigned, currency), total: formatAmount(total, currency) })}
+                    {!isBalanced && (
+                        <>
+                            {' '}({remaining > 0
+                                ? t('splits.left', { amount: formatAmount(remaining, currency) })
+                                : t('splits.tooMuch', { amount: formatAmount(-remaining, currency) })})
+                            {remaining > 0 && (
+                                <button type="button" onClick={assignRemainder} className="ml-2 underline hover:text-red-800">
+                                    {t('splits.addToLast')}
+                                </button>
+                            )}
+                        </>
+                    )}
+                </span>
+            </div>
+        </div>
+    );
+};
+
+export default SplitLinesEditor;
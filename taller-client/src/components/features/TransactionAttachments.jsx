@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import { Paperclip, RefreshCw, X } from 'lucide-react';
+import { useI18n } from '../../hooks/useI18n';
+import { useTransactionAttachments } from '../../hooks/useTransactionAttachments';
+import { QUEUE_STATUS } from '../../utils/offlineQueue';
+import { discardQueuedAttachment } from '../../utils/attachmentQueue';
+import { formatDateTime } from '../../utils/format';
+import { notifyError, notifySuccess } from '../../utils/notifications';
+import ConfirmDialog from '../ui/ConfirmDialog';
+import Message from '../ui/Message';
+import ReceiptThumbnail from '../ui/ReceiptThumbnail';
+import ReceiptCapture from './ReceiptCapture';
+
+/**
+ * Full-size view of one attachment, downloaded when opened.
+ */
+const AttachmentViewer = ({ attachment, loadImage, onClose }) => {
+    const { t } = useI18n();
+    const [src, setSrc] = useState('');
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let isCurrent = true;
+        loadImage(attachment.id)
+            .then(url => isCurrent && setSrc(url))
+            .catch(loadError => isCurrent && setError(t('attachments.imageFailed', { error: loadError.message })));
+        return () => {
+            isCurrent = false;
+        };
+    }, [attachment.id, loadImage, t]);
+
+    useEffect(() => {
+        const handleKey = (event) => {
+            if (event.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 z-20 flex items-center justify-center bg-gray-900/80 p-4" role="dialog" aria-modal="true" aria-label={attachment.fileName} onClick={onClose}>
+            <div className="relative max-w-3xl w-full" onClick={(event) => event.stopPropagation()}>
+                <button
+                    type="button"
+                    onClick={onClose}
+                    aria-label={t('attachments.close')}
+                    className="absolute -top-10 right-0 p-1 text-white hover:text-gray-300 transition-colors"
+                >
+                    <X className="w-6 h-6" />
+                </button>
+                {src ? (
+                    <img src={src} alt={attachment.fileName} className="mx-auto max-h-[80vh] rounded-lg shadow-2xl" />
+                ) : (
+                    <div className="p-6 rounded-lg bg-white text-center text-sm text-gray-600">
+                        {error || (
+                            <span className="inline-flex items-center">
+                                <RefreshCw className="w-4 h-4 mr-2 animate-spin" /> {t('attachments.loadingImage')}
+                            </span>
+                        )}
+                    </div>
+                )}
+                <p className="mt-2 text-center text-xs text-gray-300">
+                    {attachment.fileName} · {formatDateTime(attachment.createdAt)}
+                </p>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Receipts of a saved transaction: thumbnails, full-size view, adding and removing. Receipts
+ * still waiting for upload are shown with their status.
+ */
+const TransactionAttachments = ({ transactionId }) => {
+    const { t } = useI18n();
+    const { attachments, queued, isLoading, error, addReceipts, removeAttachment, loadImage } = useTransactionAttachments(transactionId);
+    const [viewing, setViewing] = useState(null);
+    const [pendingDelete, setPendingDelete] = useState(null);
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    const confirmDelete = async () => {
+        setIsDeleting(true);
+        try {
+            await removeAttachment(pendingDelete.id);
+            notifySuccess(t('attachments.deleted', { name: pendingDelete.fileName }));
+            setPendingDelete(null);
+        } catch (deleteError) {
+            notifyError(deleteError.message);
+        } finally {
+            setIsDeleting(false);
+        }
+    };
+
+    return (
+        <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="mb-3 flex items-center text-xs font-semibold text-gray-600">
+                <Paperclip className="w-3 h-3 mr-1" /> {t('attachments.title')}
+                {isLoading && <RefreshCw className="w-3 h-3 ml-2 animate-spin" />}
+            </p>
+
+            {attachments.length === 0 && queued.length === 0 && !isLoading && (
+                <p className="mb-3 text-xs text-gray-500">{t('attachments.none')}</p>
+            )}
+
+            <div className="mb-3 flex flex-wrap gap-3">
+                {attachments.map(attachment => (
+                    <ReceiptThumbnail
+                        key={attachment.id}
+                        src={attachment.thumbnail}
+                        alt={attachment.fileName}
+                        onOpen={() => setViewing(attachment)}
+                        onRemove={() => setPendingDelete(attachment)}
+                        removeLabel={t('attachments.remove', { name: attachment.fileName })}
+                    />
+                ))}
+                {queued.map(item => (
+                    <ReceiptThumbnail
+                        key={`queued-${item.id}`}
+                        src={item.thumbnail}
+                        alt={item.error ? `${item.fileName}: ${item.error}` : item.fileName}
+                        onRemove={() => discardQueuedAttachment(item.id).catch(error => notifyError(t('pending.actionFailed', { error: error.message })))}
+                        removeLabel={t('attachments.remove', { name: item.fileName })}
+                        badge={t(`pending.status.${item.status}`)}
+                        badgeClassName={item.status === QUEUE_STATUS.FAILED ? 'bg-red-100 text-red-700' : undefined}
+                    />
+                ))}
+            </div>
+
+            <ReceiptCapture onCapture={addReceipts} />
+
+            <Message message={error} />
+
+            {viewing && <AttachmentViewer attachment={viewing} loadImage={loadImage} onClose={() => setViewing(null)} />}
+
+            {pendingDelete && (
+                <ConfirmDialog
+                    title={t('attachments.deleteTitle')}
+                    description={t('attachments.deleteDescription', { name: pendingDelete.fileName })}
+                    isLoading={isDeleting}
+                    onConfirm={confirmDelete}
+                    onCancel={() => setPendingDelete(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default TransactionAttachments;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { History, RefreshCw } from 'lucide-react';
+import { useI18n } from '../../hooks/useI18n';
+import { useAuditTrail } from '../../hooks/useAuditTrail';
+import { describeChange } from '../../utils/auditTrail';
+import { formatDateTime } from '../../utils/format';
+import Message from '../ui/Message';
+
+/**
+ * Timeline of what changed on a transaction and when, newest first.
+ * @param {object} props.context - { accountsById, categoriesById, currency } to display values.
+ */
+const TransactionAuditTrail = ({ transactionId, context }) => {
+    const { t } = useI18n();
+    const { entries, isLoading, error } = useAuditTrail(transactionId);
+
+    return (
+        <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="mb-3 flex items-center text-xs font-semibold text-gray-600">
+                <History className="w-3 h-3 mr-1" /> {t('auditTrail.title')}
+                {isLoading && <RefreshCw className="w-3 h-3 ml-2 animate-spin" />}
+            </p>
+
+            {entries.length === 0 && !isLoading && !error && (
+                <p className="text-xs text-gray-500">{t('auditTrail.none')}</p>
+            )}
+
+            <ol className="space-y-2 border-l-2 border-indigo-100 pl-3">
+                {entries.map(entry => (
+                    <li key={entry.id} className="text-xs">
+                        <p className="text-gray-800">
+                            <span className="font-semibold">{t(`auditTrail.actions.${entry.action}`)}</span>
+                            <span className="text-gray-500"> · {formatDateTime(entry.changedAt)}{entry.changedBy && ` · ${entry.changedBy}`}</span>
+                        </p>
+                        {entry.changes.length > 0 && (
+                            <ul className="mt-1 space-y-0.5 text-gray-600">
+                                {entry.changes.map(change => {
+                                    const { label, from, to } = describeChange(change, context);
+                                    return (
+                                        <li key={change.field}>
+                                            <span className="font-medium">{label}:</span>{' '}
+                                            <span className="line-through text-gray-400">{from}</span> → <span>{to}</span>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        )}
+                    </li>
+                ))}
+            </ol>
+
+            <Message message={error} />
+        </div>
+    );
+};
+
+export default TransactionAuditTrail;
@@ -1,86 +1,251 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Send, DollarSign, MapPin, Clock, List, LayoutList, RefreshCw, Briefcase } from 'lucide-react';
+import React, { useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Send, DollarSign, MapPin, List, LayoutList, RefreshCw, Briefcase, CloudOff, ArrowRightLeft, AlertTriangle, Paperclip, Save, Trash2 } from 'lucide-react';
 import { useApi } from '../../hooks/useApi';
-import { TRANSACTION_TYPES, STATIC_CURRENCIES } from '../../constants';
+import { useOfflineQueue } from '../../hooks/useOfflineQueue';
+import { useAttachmentUpload } from '../../hooks/useAttachmentUpload';
+import { useReferenceData } from '../../hooks/useReferenceData';
+import { useSession } from '../../hooks/useSession';
+import { useFormDraft } from '../../hooks/useFormDraft';
+import { useExchangeRates } from '../../hooks/useExchangeRates';
+import { useBudgets } from '../../hooks/useBudgets';
+import { useTransactions } from '../../hooks/useTransactions';
+import { useFormValidation } from '../../hooks/useFormValidation';
+import { useI18n } from '../../hooks/useI18n';
+import { useTransactionDeletion } from '../../hooks/useTransactionDeletion';
+import { isNetworkError } from '../../utils/apiError';
+import { createIdempotencyKey } from '../../utils/idempotency';
+import { buildTransferLegs } from '../../utils/transfers';
+import { createSplitLine, splitAmountId, toSplitDtos, validateSplits } from '../../utils/splits';
+import { findRate } from '../../utils/exchangeRates';
+import { formatDate, formatNumber, toDecimalInput } from '../../utils/format';
+import { fromDateTimeInput } from '../../utils/dates';
+import { formatAmount, multiplyAmount, parseDecimal, parseMoney, toAmountString } from '../../utils/money';
+import { budgetsExceededBy } from '../../utils/budgets';
+import { categoryPath } from '../../utils/categories';
+import { currencyPrecision, inRange, isNumber, positive, required } from '../../utils/validation';
+import { indexById, normalizeTransaction, toTransactionDto } from '../../utils/transactions';
+import { QUERY_KEYS, invalidateQueries, updateQueryData } from '../../utils/queryCache';
+import { notifyError, notifyInfo, notifySuccess } from '../../utils/notifications';
+import { auditTrailQueryKey } from '../../utils/auditTrail';
+import { clearDrafts } from '../../utils/formDrafts';
+import { TRANSACTION_TYPES, STATIC_CURRENCIES, ROUTES } from '../../constants';
 import Card from '../ui/Card';
 import FormInput from '../ui/FormInput';
 import FormSelect from '../ui/FormSelect';
+import CategoryTreePicker from '../ui/CategoryTreePicker';
 import Button from '../ui/Button';
 import Message from '../ui/Message';
-
-const TransactionForm = ({ token, user, onCompletion }) => {
-    const { fetchApi } = useApi(token);
-
-    // States for dynamically fetched data
-    const [containers, setContainers] = useState([]);
-    const [categories, setCategories] = useState([]);
-    const [accounts, setAccounts] = useState([]);
-
-    // States for form inputs (matching AccountTransactionDto)
-    const [description, setDescription] = useState('');
-    const [amount, setAmount] = useState('');
-    const [latitude, setLatitude] = useState('');
-    const [longitude, setLongitude] = useState('');
-    const [transactionType, setTransactionType] = useState(TRANSACTION_TYPES[0]);
-    const [selectedContainerId, setSelectedContainerId] = useState('');
-    const [selectedAccountId, setSelectedAccountId] = useState('');
-    const [selectedCategoryId, setSelectedCategoryId] = useState('');
-    // Initialize selectedCurrency with a default from the static list
-    const [selectedCurrency, setSelectedCurrency] = useState(STATIC_CURRENCIES[0].value);
+import ReceiptThumbnail from '../ui/ReceiptThumbnail';
+import PendingTransactions from './PendingTransactions';
+import ReceiptCapture from './ReceiptCapture';
+import SplitLinesEditor from './SplitLinesEditor';
+import TransactionAttachments from './TransactionAttachments';
+import TransactionTimeField from './TransactionTimeField';
+
+/**
+ * Creates a transaction, or edits a saved one when `editing` is given:
+ * { transaction, counterpart, values } with the OUT and IN legs of a transfer and the starting
+ * field values (see utils/transactionEdits). Edits end with `onDone`.
+ */
+const TransactionForm = ({ onCompletion, editing = null, onDone }) => {
+    const { user } = useSession();
+    const { t } = useI18n();
+    const { fetchApi } = useApi();
+    const {
+        items: queuedItems, attachments: queuedAttachments, isOnline, isReplaying, enqueue, replay, retry, discard,
+        retryAttachment, discardAttachment,
+    } = useOfflineQueue();
+    const { attach } = useAttachmentUpload();
+    const { rates } = useExchangeRates();
+    const { budgets } = useBudgets();
+    const { transactions: allTransactions } = useTransactions();
+    const { deleteTransaction } = useTransactionDeletion();
+
+    // Ids of the saved transaction (both legs of a transfer) being edited
+    const editingIds = editing ? [editing.transaction.id, editing.counterpart?.id].filter(Boolean) : [];
+    // The version being edited must not count twice, e.g. towards a budget
+    const transactions = editing ? allTransactions.filter(t => !editingIds.includes(t.id)) : allTransactions;
+
+    // Containers, accounts and categories (served from the offline cache when there is no network)
+    const {
+        containers, accounts: allAccounts, categories, isLoading: isDataLoading, error: dataError, reload: loadInitialData,
+    } = useReferenceData();
+
+    // Deep links may preselect the account (?account=) and/or the container (?container=)
+    const [searchParams] = useSearchParams();
+
+    const containerParam = searchParams.get('container');
+    const accountParam = searchParams.get('account');
+
+    // States for form inputs (matching AccountTransactionDto); unsaved input survives a forced re-login.
+    // Edits keep their own drafts, started from the saved values.
+    const draftScope = editing ? `transactionEdit.${editing.transaction.id}` : 'transactionForm';
+    const initial = editing?.values || {};
+    const [description, setDescription] = useFormDraft(`${draftScope}.description`, initial.description ?? '');
+    const [amount, setAmount] = useFormDraft(`${draftScope}.amount`, initial.amount ?? '');
+    const [latitude, setLatitude] = useFormDraft(`${draftScope}.latitude`, initial.latitude ?? '');
+    const [longitude, setLongitude] = useFormDraft(`${draftScope}.longitude`, initial.longitude ?? '');
+    const [transactionType, setTransactionType] = useFormDraft(`${draftScope}.transactionType`, initial.transactionType ?? TRANSACTION_TYPES[0]);
+    const [selectedContainerId, setSelectedContainerId] = useFormDraft(`${draftScope}.containerId`, initial.containerId ?? (containerParam || ''), Boolean(containerParam || accountParam));
+    const [selectedAccountId, setSelectedAccountId] = useFormDraft(`${draftScope}.accountId`, initial.accountId ?? (accountParam || ''), Boolean(containerParam || accountParam));
+    const [selectedCategoryId, setSelectedCategoryId] = useFormDraft(`${draftScope}.categoryId`, initial.categoryId ?? '');
+    // Split mode divides the amount into lines with their own categories
+    const [isSplit, setIsSplit] = useFormDraft(`${draftScope}.isSplit`, initial.isSplit ?? false);
+    const [splitLines, setSplitLines] = useFormDraft(`${draftScope}.splitLines`, initial.splitLines ?? []);
+    // Transfer destination; only used when transactionType is TRANSFER
+    const [destinationContainerId, setDestinationContainerId] = useFormDraft(`${draftScope}.destinationContainerId`, initial.destinationContainerId ?? '');
+    const [destinationAccountId, setDestinationAccountId] = useFormDraft(`${draftScope}.destinationAccountId`, initial.destinationAccountId ?? '');
+    const [receivedAmount, setReceivedAmount] = useFormDraft(`${draftScope}.receivedAmount`, initial.receivedAmount ?? '');
+    const [exchangeRate, setExchangeRate] = useFormDraft(`${draftScope}.exchangeRate`, initial.exchangeRate ?? '');
+    // Currency the amount is entered in; empty means the selected account's own currency
+    const [selectedCurrency, setSelectedCurrency] = useFormDraft(`${draftScope}.currency`, initial.currency ?? '');
+    // datetime-local value of when it happened; empty means the moment of saving
+    const [timeInput, setTimeInput] = useFormDraft(`${draftScope}.time`, initial.time ?? '');
 
     // UI/Loading States
-    const [message, setMessage] = useState('');
+    // Prepared receipt images (see utils/images); kept in memory only, not in the draft
+    const [receipts, setReceipts] = useState([]);
     const [isLoading, setIsLoading] = useState(false);
-    const [isDataLoading, setIsDataLoading] = useState(true);
-
-    // --- Data Fetching Logic ---
-
-    // Fetch Categories and Containers on component mount
-    const loadInitialData = useCallback(async () => {
-        setIsDataLoading(true);
-        setMessage('');
-        try {
-            // Fetch Containers
-            const containerResult = await fetchApi('/account-container');
-            setContainers(containerResult.map(c => ({ id: c.id, name: c.name })));
-
-            // Fetch Categories
-            // NOTE: Assuming /category returns an array of objects with { id, name }
-            const categoryResult = await fetchApi('/category');
-            setCategories(categoryResult.map(c => ({ id: c.id, name: c.name })));
 
-        } catch (error) {
-            setMessage(`Failed to load necessary data: ${error.message}`);
-        } finally {
-            setIsDataLoading(false);
+    // A preselected account implies its container
+    const containerId = selectedContainerId || allAccounts.find(a => a.id === selectedAccountId)?.containerId || '';
+    const accounts = allAccounts
+        .filter(a => a.containerId === containerId)
+        .map(a => ({ id: a.id, name: `${a.name} (${a.currency})` }));
+
+    const isTransfer = transactionType === 'TRANSFER';
+    const transactionDate = fromDateTimeInput(timeInput) || new Date();
+    const sourceAccount = allAccounts.find(a => a.id === selectedAccountId);
+    // Transfers move money between accounts and are never split
+    const isSplitting = isSplit && !isTransfer;
+
+    // --- Currency Conversion ---
+
+    // Transfers are always entered in the source account's currency
+    const currency = (!isTransfer && selectedCurrency) || sourceAccount?.currency || '';
+    const isForeignCurrency = Boolean(sourceAccount && currency !== sourceAccount.currency);
+    // NaN until the amount is a number with no more decimals than the currency has
+    const parsedAmount = parseMoney(amount, currency);
+    const conversionRate = isForeignCurrency ? findRate(rates, currency, sourceAccount.currency, transactionDate) : null;
+    const convertedAmount = conversionRate !== null && !isNaN(parsedAmount)
+        ? multiplyAmount(parsedAmount, conversionRate, sourceAccount.currency)
+        : null;
+
+    // --- Budget Check ---
+
+    // Expenses that would push a budgeted category over its monthly limit are flagged, not blocked
+    const categoriesById = useMemo(() => indexById(categories), [categories]);
+    const accountsById = useMemo(() => indexById(allAccounts), [allAccounts]);
+    const expenseLines = isSplitting
+        ? splitLines.map(line => ({ categoryId: line.categoryId, amount: parseMoney(line.amount, currency) })).filter(line => line.categoryId && line.amount > 0)
+        : [{ categoryId: selectedCategoryId, amount: parsedAmount }].filter(line => line.categoryId && line.amount > 0);
+    const budgetWarnings = transactionType === 'EXPENSE' && sourceAccount && expenseLines.length > 0
+        ? budgetsExceededBy(
+            budgets,
+            transactions,
+            { accountId: selectedAccountId, lines: expenseLines, currency, time: transactionDate },
+            { accountsById, categories, rates }
+        )
+        : [];
+
+    const toggleSplit = (enabled) => {
+        setIsSplit(enabled);
+        // Start with the current category holding the whole amount, plus an empty second line
+        if (enabled && splitLines.length < 2) {
+            setSplitLines([createSplitLine(selectedCategoryId, amount), createSplitLine()]);
         }
-    }, [fetchApi]);
+    };
 
-    useEffect(() => {
-        loadInitialData();
-    }, [loadInitialData]);
+    // --- Transfer Logic ---
+
+    const destinationAccount = allAccounts.find(a => a.id === destinationAccountId);
+    const isCrossCurrency = Boolean(isTransfer && sourceAccount && destinationAccount && sourceAccount.currency !== destinationAccount.currency);
+    const destinationAccounts = allAccounts
+        .filter(a => a.containerId === destinationContainerId && a.id !== selectedAccountId)
+        .map(a => ({ id: a.id, name: `${a.name} (${a.currency})` }));
+
+    // --- Time Checks ---
+
+    // Unusual but possible times (a pre-booked payment, an opening entry) are flagged, not blocked
+    const timeWarnings = [
+        ...(transactionDate > new Date() ? [t('transactionForm.futureTime')] : []),
+        ...[sourceAccount, isTransfer ? destinationAccount : null]
+            .filter(account => account?.createdAt && transactionDate < new Date(account.createdAt))
+            .map(account => t('transactionForm.beforeAccountCreated', { account: account.name, date: formatDate(account.createdAt) })),
+    ];
+
+    // Received amount and exchange rate are kept in sync; the field edited last wins
+    const receivedFor = (sent, rate) => toAmountString(multiplyAmount(sent, rate, destinationAccount.currency), destinationAccount.currency);
+
+    const handleAmountChange = (value) => {
+        setAmount(value);
+        const rate = parseDecimal(exchangeRate);
+        const sent = parseMoney(value, currency);
+        if (isCrossCurrency && !isNaN(rate) && !isNaN(sent)) {
+            setReceivedAmount(receivedFor(sent, rate));
+        }
+    };
 
-    // Fetch Accounts when a Container is selected
-    useEffect(() => {
-        if (!selectedContainerId) {
-            setAccounts([]);
-            setSelectedAccountId('');
-            return;
+    const handleReceivedAmountChange = (value) => {
+        setReceivedAmount(value);
+        const received = isCrossCurrency ? parseMoney(value, destinationAccount.currency) : NaN;
+        if (parsedAmount > 0 && !isNaN(received)) {
+            setExchangeRate((received / parsedAmount).toFixed(6));
         }
+    };
 
-        const loadAccounts = async () => {
-            setMessage('');
-            try {
-                // NOTE: Assuming endpoint /account-container/{containerId}/accounts
-                const accountResult = await fetchApi(`/account-container/${selectedContainerId}/accounts`);
-                setAccounts(accountResult.map(a => ({ id: a.id, name: `${a.name} (${a.currency})` })));
-            } catch (error) {
-                setMessage(`Failed to load accounts: ${error.message}`);
-            }
-        };
+    const handleExchangeRateChange = (value) => {
+        setExchangeRate(value);
+        const rate = parseDecimal(value);
+        if (isCrossCurrency && !isNaN(parsedAmount) && !isNaN(rate)) {
+            setReceivedAmount(receivedFor(parsedAmount, rate));
+        }
+    };
 
-        loadAccounts();
-    }, [selectedContainerId, fetchApi]);
+    // --- Validation ---
+
+    // Field ids match the inputs below; fields that are not shown have no rules
+    const validationSchema = {
+        description: [required(t('transactionForm.descriptionRequired'))],
+        amount: [required(t('transactionForm.amountRequired')), isNumber(), positive(t('transactionForm.amountPositive')), currencyPrecision(currency)],
+        containerId: [required(t('transactionForm.containerRequired'))],
+        accountId: [required(t('transactionForm.accountRequired'))],
+        ...(isSplitting ? {} : { categoryId: [required(t('transactionForm.categoryRequired'))] }),
+        ...(isTransfer ? {
+            destinationContainerId: [required(t('transactionForm.destinationContainerRequired'))],
+            destinationAccountId: [
+                required(t('transactionForm.destinationAccountRequired')),
+                (value) => (value === selectedAccountId ? t('transactionForm.sameAccount') : ''),
+            ],
+        } : {}),
+        ...(isCrossCurrency ? {
+            receivedAmount: [
+                required(t('transactionForm.receivedRequired', { currency: destinationAccount.currency })),
+                isNumber(),
+                positive(t('transactionForm.receivedPositive')),
+                currencyPrecision(destinationAccount.currency),
+            ],
+            exchangeRate: [isNumber(), positive(t('transactionForm.ratePositive'))],
+        } : {}),
+        ...(isSplitting ? Object.fromEntries(splitLines.map(line => [splitAmountId(line), [isNumber(), currencyPrecision(currency)]])) : {}),
+        latitude: [isNumber(), inRange(-90, 90, t('transactionForm.latitudeRange'))],
+        longitude: [isNumber(), inRange(-180, 180, t('transactionForm.longitudeRange'))],
+    };
+    const { fieldProps, validateAll, reset: resetValidation } = useFormValidation(validationSchema, {
+        description,
+        amount,
+        containerId,
+        accountId: selectedAccountId,
+        categoryId: selectedCategoryId,
+        destinationContainerId,
+        destinationAccountId,
+        receivedAmount,
+        exchangeRate,
+        latitude,
+        longitude,
+        ...Object.fromEntries(splitLines.map(line => [splitAmountId(line), line.amount])),
+    });
 
     // --- Geolocation Logic ---
     const getLocation = () => {
@@ -89,16 +254,16 @@ const TransactionForm = ({ token, user, onCompletion }) => {
                 (position) => {
                     setLatitude(position.coords.latitude.toFixed(6));
                     setLongitude(position.coords.longitude.toFixed(6));
-                    setMessage('Geolocation captured successfully.');
+                    notifySuccess(t('transactionForm.locationCaptured'));
                 },
                 (error) => {
-                    setMessage(`Geolocation error: ${error.message}`);
+                    notifyError(t('transactionForm.locationError', { error: error.message }));
                     console.error('Geolocation Error:', error);
                 },
                 { enableHighAccuracy: true, timeout: 5000, maximumAge: 0 }
             );
         } else {
-            setMessage('Geolocation is not supported by this browser.');
+            notifyError(t('transactionForm.locationUnsupported'));
         }
     };
 
@@ -106,113 +271,317 @@ const TransactionForm = ({ token, user, onCompletion }) => {
     // --- Form Submission ---
 
     const handleSubmit = async () => {
-        setMessage('');
+        if (!validateAll()) return;
         setIsLoading(true);
 
-        const parsedAmount = parseFloat(amount);
         const parsedLat = parseFloat(latitude) || 0;
         const parsedLon = parseFloat(longitude) || 0;
 
-        if (!description.trim() || isNaN(parsedAmount) || !selectedAccountId || !selectedCategoryId) {
-            setMessage('Please fill out Description, Amount, Account, and Category.');
+        const splitError = isSplitting ? validateSplits(splitLines, parsedAmount, currency) : '';
+        if (splitError) {
+            notifyError(splitError);
+            setIsLoading(false);
+            return;
+        }
+
+        if (isForeignCurrency && conversionRate === null) {
+            notifyError(t('transactionForm.missingRate', { from: currency, to: sourceAccount.currency }));
             setIsLoading(false);
             return;
         }
 
-        // Ensure transactionTime is ISO 8601 compliant (backend expects Instant)
-        const transactionTime = new Date().toISOString();
+        // Ensure transactionTime is ISO 8601 compliant (backend expects Instant); the picked
+        // local time becomes the matching UTC instant
+        const transactionTime = (fromDateTimeInput(timeInput) || new Date()).toISOString();
 
         // Payload structure matching the AccountTransactionDto
         const body = {
             description: description.trim(),
-            amount: parsedAmount,
+            amount: isForeignCurrency ? convertedAmount : parsedAmount, // Always in the account's currency
             latitude: parsedLat,
             longitude: parsedLon,
             transactionTime: transactionTime,
             transactionType: transactionType,
             account: { id: selectedAccountId }, // DTO expects an AccountDto with ID
-            category: { id: selectedCategoryId } // DTO expects a CategoryDto with ID
+            category: { id: isSplitting ? splitLines[0].categoryId : selectedCategoryId } // DTO expects a CategoryDto with ID
         };
 
-        try {
-            // NOTE: Assuming the POST endpoint is /transaction
-            const result = await fetchApi('/transaction', 'POST', body);
-            setMessage(`Transaction '${result.description}' of ${parsedAmount} ${selectedCurrency} created successfully!`);
+        // NOTE: Assuming the DTO accepts split lines; `category` keeps the first line for older clients
+        if (isSplitting) {
+            body.splits = toSplitDtos(splitLines, body.amount, sourceAccount.currency);
+        }
 
-            // Reset form fields
+        // NOTE: Assuming the DTO accepts the originally entered amount alongside the converted one
+        if (isForeignCurrency) {
+            body.originalAmount = parsedAmount;
+            body.originalCurrency = currency;
+            body.exchangeRate = conversionRate;
+        }
+
+        // A transfer is recorded as two linked legs, one per account
+        const payloads = isTransfer
+            ? buildTransferLegs(body, {
+                sourceAccountId: selectedAccountId,
+                destinationAccountId,
+                amount: parsedAmount,
+                receivedAmount: isCrossCurrency ? parseMoney(receivedAmount, destinationAccount.currency) : parsedAmount,
+                // An edited transfer keeps its id, so its legs stay linked
+                transferId: editing?.transaction.transferId || undefined,
+            })
+            : [body];
+
+        if (editing) {
+            await saveEdits(payloads);
+            return;
+        }
+
+        // Reset form fields, keeping selected account/category for quick follow-up
+        const resetForm = () => {
             setDescription('');
             setAmount('');
+            setSelectedCurrency('');
             setLatitude('');
             setLongitude('');
-            // Keep selected account/category for quick follow-up
+            setReceivedAmount('');
+            setExchangeRate('');
+            setTimeInput('');
+            setReceipts([]);
+            setSplitLines(lines => lines.map(line => ({ ...line, amount: '' })));
+            resetValidation();
+        };
+
+        // One key per leg, kept when a leg moves to the offline queue: an attempt that timed out
+        // may still have been saved, and the replay must not create it a second time
+        const idempotencyKeys = payloads.map(() => createIdempotencyKey());
+
+        // Receipts go with the first leg (the source account's side of a transfer)
+        const captured = receipts;
+
+        // Saves the payloads locally as one queue item, sent once connectivity returns; the legs
+        // of a transfer that were already saved (`created`) are kept with it, so a replay that
+        // fails, or discarding the item, removes them again. Receipts wait for the first leg.
+        const queueOffline = async (created = []) => {
+            if (captured.length > 0) {
+                await attach({ transactionKey: idempotencyKeys[0] }, captured);
+            }
+            await enqueue(
+                payloads.map((payload, index) => ({ body: payload, idempotencyKey: idempotencyKeys[index], createdId: created[index]?.id })),
+                { currency: sourceAccount?.currency || currency }
+            );
+            notifyInfo(t('transactionForm.queued', { description: body.description }));
+            resetForm();
+        };
+
+        try {
+            if (!isOnline) {
+                await queueOffline();
+                return;
+            }
+
+            // Every view listing transactions shows the new one(s) right away; undone on failure
+            const rollback = updateQueryData(QUERY_KEYS.TRANSACTIONS, list => [
+                ...list,
+                ...payloads.map((payload, index) => normalizeTransaction({ ...payload, id: `optimistic-${idempotencyKeys[index]}` })),
+            ]);
+
+            // NOTE: Assuming the POST endpoint is /transaction
+            const created = [];
+            for (const [index, payload] of payloads.entries()) {
+                try {
+                    created.push(await fetchApi('/transaction', 'POST', payload, { idempotencyKey: idempotencyKeys[index] }));
+                } catch (error) {
+                    rollback();
+                    if (isNetworkError(error)) {
+                        // A transfer leg that did reach the server shows up in the lists
+                        if (created.length > 0) invalidateQueries(QUERY_KEYS.TRANSACTIONS);
+                        await queueOffline(created);
+                        return;
+                    }
+                    // Never leave half a transfer behind
+                    await Promise.all(created.map(leg => fetchApi(`/transaction/${leg.id}`, 'DELETE').catch(() => null)));
+                    throw error;
+                }
+            }
+
+            if (isTransfer) {
+                notifySuccess(t('transactionForm.transferCreated', {
+                    description: body.description,
+                    amount: formatAmount(parsedAmount, sourceAccount.currency),
+                    account: destinationAccount.name,
+                }));
+            } else {
+                notifySuccess(t(isForeignCurrency ? 'transactionForm.createdConverted' : 'transactionForm.created', {
+                    description: created[0].description,
+                    amount: formatAmount(parsedAmount, currency),
+                    converted: isForeignCurrency ? formatAmount(convertedAmount, sourceAccount.currency) : '',
+                }));
+            }
+            resetForm();
+            // Swaps the optimistic entries for the saved ones
+            invalidateQueries(QUERY_KEYS.TRANSACTIONS);
+            if (captured.length > 0) {
+                await attach({ transactionId: String(created[0].id) }, captured);
+            }
+
+        } catch (error) {
+            notifyError(error.message || t('transactionForm.failed'));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // --- Editing ---
 
+    // Replaces the saved version; previous legs are kept to put back when a later leg fails
+    const saveEdits = async (payloads) => {
+        try {
+            if (!isOnline) {
+                notifyError(t('transactionForm.editOffline'));
+                return;
+            }
+
+            // An older one-sided transfer gets its missing IN leg created
+            const previous = [editing.transaction, editing.counterpart];
+            const rollback = updateQueryData(QUERY_KEYS.TRANSACTIONS, list => list.map((transaction) => {
+                const index = previous.findIndex(leg => leg?.id === transaction.id);
+                return index < 0 ? transaction : {
+                    ...normalizeTransaction({ ...payloads[index], id: transaction.id }),
+                    attachmentCount: transaction.attachmentCount,
+                };
+            }));
+
+            // NOTE: Assuming PUT /transaction/{id} replaces the whole AccountTransactionDto
+            const saved = [];
+            for (const [index, payload] of payloads.entries()) {
+                try {
+                    saved.push(previous[index]
+                        ? await fetchApi(`/transaction/${previous[index].id}`, 'PUT', payload)
+                        : await fetchApi('/transaction', 'POST', payload));
+                } catch (error) {
+                    rollback();
+                    // Never leave a transfer half edited
+                    await Promise.all(saved.map((leg, savedIndex) => (previous[savedIndex]
+                        ? fetchApi(`/transaction/${leg.id}`, 'PUT', toTransactionDto(previous[savedIndex]))
+                        : fetchApi(`/transaction/${leg.id}`, 'DELETE')).catch(() => null)));
+                    invalidateQueries(QUERY_KEYS.TRANSACTIONS);
+                    throw error;
+                }
+            }
+
+            clearDrafts(`${draftScope}.`);
+            invalidateQueries(QUERY_KEYS.TRANSACTIONS, ...editingIds.map(auditTrailQueryKey));
+            notifySuccess(t('transactionForm.updated', { description: payloads[0].description }));
+            onDone();
         } catch (error) {
-            setMessage(error.message || 'Failed to create transaction.');
+            notifyError(error.message || t('transactionForm.updateFailed'));
         } finally {
             setIsLoading(false);
         }
     };
 
-    const isSubmitDisabled = isLoading || isDataLoading || !description.trim() || isNaN(parseFloat(amount)) || !selectedAccountId || !selectedCategoryId;
+    const handleDelete = () => {
+        deleteTransaction(editing.transaction);
+        clearDrafts(`${draftScope}.`);
+        onDone();
+    };
+
+    const handleCancel = () => {
+        clearDrafts(`${draftScope}.`);
+        onDone();
+    };
+
+    // A saved transfer stays a transfer, and other transactions cannot become one
+    const typeOptions = editing
+        ? TRANSACTION_TYPES.filter(type => (type === 'TRANSFER') === (editing.transaction.transactionType === 'TRANSFER'))
+        : TRANSACTION_TYPES;
+
+    // Missing or invalid input is reported on the fields when submitting, so only busy states disable the button
+    const isSubmitDisabled = isLoading || isDataLoading;
 
     return (
-        <Card title="Create Account Transaction">
+        <Card title={editing ? t('transactionForm.editTitle') : t('transactionForm.title')}>
             <div className="mb-4 p-3 text-sm bg-gray-50 rounded-lg text-gray-600 flex justify-between items-center">
-                User: <span className="font-semibold text-indigo-600">{user}</span>
+                {t('common.user')} <span className="font-semibold text-indigo-600">{user}</span>
                 <button
                     onClick={loadInitialData}
                     disabled={isDataLoading}
                     className="flex items-center text-xs text-gray-500 hover:text-indigo-600 transition-colors disabled:opacity-50"
                 >
-                    <RefreshCw className={`w-3 h-3 mr-1 ${isDataLoading ? 'animate-spin' : ''}`} /> Reload Data
+                    <RefreshCw className={`w-3 h-3 mr-1 ${isDataLoading ? 'animate-spin' : ''}`} /> {t('common.reloadData')}
                 </button>
             </div>
 
+            {!isOnline && (
+                <div className="mb-4 p-3 text-sm bg-yellow-50 rounded-lg text-yellow-700 flex items-center">
+                    <CloudOff className="w-4 h-4 mr-2" /> {t(editing ? 'transactionForm.editOffline' : 'transactionForm.offlineMode')}
+                </div>
+            )}
+
             {isDataLoading && (
                 <div className="p-4 text-center text-indigo-600 flex items-center justify-center">
-                    <RefreshCw className="w-5 h-5 mr-2 animate-spin" /> Loading Account Data...
+                    <RefreshCw className="w-5 h-5 mr-2 animate-spin" /> {t('transactionForm.loading')}
                 </div>
             )}
 
             <FormInput
                 id="description"
-                label="Transaction Description"
+                label={t('transactionForm.description')}
                 value={description}
                 onChange={setDescription}
-                placeholder="e.g., Grocery Shopping, Monthly Salary"
+                placeholder={t('transactionForm.descriptionPlaceholder')}
                 required
                 icon={List}
+                {...fieldProps('description')}
             />
 
-            {/* Currency Selector (Now using STATIC_CURRENCIES) */}
+            {/* Currency Selector: defaults to the account's currency, anything else is converted */}
             <FormSelect
                 id="currency"
-                label="Currency"
-                value={selectedCurrency}
-                onChange={setSelectedCurrency}
+                label={t('common.currency')}
+                value={currency}
+                onChange={(value) => setSelectedCurrency(value === sourceAccount?.currency ? '' : value)}
                 options={STATIC_CURRENCIES}
                 required
                 icon={DollarSign}
-                placeholder="Select Currency"
+                placeholder={sourceAccount ? t('common.selectCurrency') : t('transactionForm.selectAccountFirst')}
+                disabled={!sourceAccount || isTransfer}
             />
 
             <FormInput
                 id="amount"
-                label="Amount"
-                type="number"
-                step="0.01"
+                label={t('common.amount')}
+                type="decimal"
                 value={amount}
-                onChange={setAmount}
-                placeholder="Amount (e.g., 100.00)"
+                onChange={handleAmountChange}
+                placeholder={t('transactionForm.amountPlaceholder', { example: toDecimalInput(toAmountString(100, currency)) })}
                 required
                 icon={DollarSign}
+                {...fieldProps('amount')}
             />
 
+            {isForeignCurrency && (
+                <p className={`-mt-2 mb-4 text-xs ${conversionRate === null ? 'text-red-600' : 'text-gray-500'}`}>
+                    {conversionRate === null ? (
+                        <>
+                            {t('transactionForm.noRate', { from: currency, to: sourceAccount.currency })}{' '}
+                            <Link to={ROUTES.RATES} className="text-indigo-600 hover:text-indigo-800">{t('transactionForm.addRate')}</Link>.
+                        </>
+                    ) : (
+                        t('transactionForm.bookedAs', {
+                            amount: formatAmount(convertedAmount, sourceAccount.currency),
+                            from: currency,
+                            rate: formatNumber(conversionRate, { maximumFractionDigits: 6 }),
+                            to: sourceAccount.currency,
+                        })
+                    )}
+                </p>
+            )}
+
             {/* Account Container Selector (Fetched from server) */}
             <FormSelect
                 id="containerId"
-                label="Account Container"
-                value={selectedContainerId}
+                label={t('transactionForm.container')}
+                value={containerId}
                 onChange={(value) => {
                     setSelectedContainerId(value);
                     setSelectedAccountId('');
@@ -220,98 +589,262 @@ const TransactionForm = ({ token, user, onCompletion }) => {
                 options={containers}
                 required
                 icon={Briefcase}
-                placeholder="Select Container"
+                placeholder={t('common.selectContainer')}
+                {...fieldProps('containerId')}
             />
 
             {/* Account Selector (Dynamically populated) */}
             <FormSelect
                 id="accountId"
-                label="Account"
+                label={t('transactionForm.account')}
                 value={selectedAccountId}
-                onChange={setSelectedAccountId}
+                onChange={(value) => {
+                    setSelectedAccountId(value);
+                    if (value === destinationAccountId) setDestinationAccountId('');
+                }}
                 options={accounts}
                 required
                 icon={LayoutList}
-                placeholder={selectedContainerId ? "Select Account" : "Select a Container first"}
-                disabled={!selectedContainerId || accounts.length === 0}
+                placeholder={containerId ? t('common.selectAccount') : t('common.selectContainerFirst')}
+                disabled={!containerId || accounts.length === 0}
+                {...fieldProps('accountId')}
             />
 
             {/* Category Selector (Fetched from server) */}
-            <FormSelect
-                id="categoryId"
-                label="Category"
-                value={selectedCategoryId}
-                onChange={setSelectedCategoryId}
-                options={categories}
-                required
-                icon={List}
-                placeholder="Select Category"
-            />
+            {isSplitting ? (
+                <SplitLinesEditor
+                    lines={splitLines}
+                    onChange={setSplitLines}
+                    categories={categories}
+                    total={isNaN(parsedAmount) ? 0 : parsedAmount}
+                    currency={currency}
+                    fieldProps={fieldProps}
+                />
+            ) : (
+                <CategoryTreePicker
+                    id="categoryId"
+                    label={t('transactionForm.category')}
+                    value={selectedCategoryId}
+                    onChange={setSelectedCategoryId}
+                    categories={categories}
+                    required
+                    {...fieldProps('categoryId')}
+                />
+            )}
+            {!isTransfer && (
+                <label className="-mt-2 mb-4 flex items-center text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={isSplit}
+                        onChange={(e) => toggleSplit(e.target.checked)}
+                        className="mr-2 rounded text-indigo-600"
+                    />
+                    {t('transactionForm.split')}
+                </label>
+            )}
+
+            {budgetWarnings.length > 0 && (
+                <div role="alert" className="-mt-2 mb-4 p-3 rounded-lg bg-yellow-100 text-yellow-800 text-sm">
+                    {budgetWarnings.map(({ budget, status, spentAfter }) => (
+                        <p key={budget.id} className="flex items-start">
+                            <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                            <span>
+                                {t('transactionForm.overBudget', {
+                                    category: categoryPath(categoriesById, budget.categoryId),
+                                    spent: formatAmount(spentAfter, budget.currency),
+                                    limit: formatAmount(status.limit, budget.currency),
+                                })}
+                            </span>
+                        </p>
+                    ))}
+                </div>
+            )}
 
             {/* Transaction Type (Enum) */}
             <FormSelect
                 id="transactionType"
-                label="Transaction Type"
+                label={t('transactionForm.type')}
                 value={transactionType}
                 onChange={setTransactionType}
-                options={TRANSACTION_TYPES.map(type => ({ value: type, label: type }))}
+                options={typeOptions.map(type => ({ value: type, label: t(`transactionTypes.${type}`) }))}
                 required
                 icon={Send}
             />
 
+            {isTransfer && (
+                <div className="p-4 mb-4 rounded-lg border border-indigo-100 bg-indigo-50/50">
+                    <p className="flex items-center text-sm font-semibold text-indigo-700 mb-3">
+                        <ArrowRightLeft className="w-4 h-4 mr-2" />
+                        {t('transactionForm.transferDestination')}
+                    </p>
+                    <FormSelect
+                        id="destinationContainerId"
+                        label={t('transactionForm.destinationContainer')}
+                        value={destinationContainerId}
+                        onChange={(value) => {
+                            setDestinationContainerId(value);
+                            setDestinationAccountId('');
+                        }}
+                        options={containers}
+                        required
+                        icon={Briefcase}
+                        placeholder={t('common.selectContainer')}
+                        {...fieldProps('destinationContainerId')}
+                    />
+                    <FormSelect
+                        id="destinationAccountId"
+                        label={t('transactionForm.destinationAccount')}
+                        value={destinationAccountId}
+                        onChange={setDestinationAccountId}
+                        options={destinationAccounts}
+                        required
+                        icon={LayoutList}
+                        placeholder={destinationContainerId ? t('common.selectAccount') : t('common.selectContainerFirst')}
+                        disabled={!destinationContainerId || destinationAccounts.length === 0}
+                        {...fieldProps('destinationAccountId')}
+                    />
+                    {isCrossCurrency && (
+                        <div className="flex space-x-2">
+                            <div className="flex-1">
+                                <FormInput
+                                    id="receivedAmount"
+                                    label={t('transactionForm.received', { currency: destinationAccount.currency })}
+                                    type="decimal"
+                                    value={receivedAmount}
+                                    onChange={handleReceivedAmountChange}
+                                    placeholder={toAmountString(0, destinationAccount.currency)}
+                                    required
+                                    icon={DollarSign}
+                                    {...fieldProps('receivedAmount')}
+                                />
+                            </div>
+                            <div className="flex-1">
+                                <FormInput
+                                    id="exchangeRate"
+                                    label={t('transactionForm.rate', { from: sourceAccount.currency, to: destinationAccount.currency })}
+                                    type="decimal"
+                                    value={exchangeRate}
+                                    onChange={handleExchangeRateChange}
+                                    placeholder="1.0"
+                                    icon={ArrowRightLeft}
+                                    {...fieldProps('exchangeRate')}
+                                />
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+
             <div className="flex items-end space-x-2">
                 <div className="flex-1">
                     <FormInput
                         id="latitude"
-                        label="Latitude"
-                        type="number"
-                        step="0.000001"
+                        label={t('transactionForm.latitude')}
+                        type="decimal"
                         value={latitude}
                         onChange={setLatitude}
                         placeholder="0.0"
                         icon={MapPin}
+                        {...fieldProps('latitude')}
                     />
                 </div>
                 <div className="flex-1">
                     <FormInput
                         id="longitude"
-                        label="Longitude"
-                        type="number"
-                        step="0.000001"
+                        label={t('transactionForm.longitude')}
+                        type="decimal"
                         value={longitude}
                         onChange={setLongitude}
                         placeholder="0.0"
                         icon={MapPin}
+                        {...fieldProps('longitude')}
                     />
                 </div>
-                <button onClick={getLocation} type="button" className="p-3 mb-4 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors shadow-sm self-stretch">
+                <button
+                    onClick={getLocation}
+                    type="button"
+                    className="p-3 mb-4 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors shadow-sm self-stretch"
+                    aria-label={t('transactionForm.captureLocation')}
+                    title={t('transactionForm.captureLocation')}
+                >
                     <MapPin className="w-5 h-5" />
                 </button>
             </div>
 
-            <FormInput
-                id="transactionTime"
-                label="Transaction Time (Auto-filled on submit)"
-                type="text"
-                value={new Date().toLocaleTimeString()}
-                onChange={() => { }} // Disabled input shows current time
-                icon={Clock}
-                disabled={true}
-            />
+            <TransactionTimeField value={timeInput} onChange={setTimeInput} warnings={timeWarnings} />
 
-            <Button onClick={handleSubmit} disabled={isSubmitDisabled} className="mt-6">
-                <Send className="inline w-4 h-4 mr-2 align-middle" />
-                {isLoading ? 'Creating...' : 'Create Transaction'}
-            </Button>
+            {editing ? (
+                <div className="mb-4">
+                    <TransactionAttachments transactionId={editing.transaction.id} />
+                </div>
+            ) : (
+                <div className="mb-4">
+                    <p className="mb-2 flex items-center text-sm font-medium text-gray-700">
+                        <Paperclip className="w-4 h-4 mr-2" /> {t('attachments.title')}
+                    </p>
+                    {receipts.length > 0 && (
+                        <div className="mb-3 flex flex-wrap gap-3">
+                            {receipts.map((receipt, index) => (
+                                <ReceiptThumbnail
+                                    key={index}
+                                    src={receipt.thumbnail}
+                                    alt={receipt.fileName}
+                                    onRemove={() => setReceipts(current => current.filter((_, i) => i !== index))}
+                                    removeLabel={t('attachments.remove', { name: receipt.fileName })}
+                                />
+                            ))}
+                        </div>
+                    )}
+                    <ReceiptCapture onCapture={(prepared) => setReceipts(current => [...current, ...prepared])} disabled={isLoading} />
+                </div>
+            )}
 
-            <button
-                onClick={onCompletion}
-                className="w-full mt-2 py-2 text-sm text-indigo-600 hover:text-indigo-800 transition-colors"
-            >
-                Go to Account Container Creation
-            </button>
+            {editing ? (
+                <>
+                    <Button onClick={handleSubmit} disabled={isSubmitDisabled} className="mt-6">
+                        <Save className="inline w-4 h-4 mr-2 align-middle" />
+                        {isLoading ? t('common.saving') : t('transactionForm.save')}
+                    </Button>
+                    <div className="mt-2 flex space-x-2">
+                        <Button type="secondary" onClick={handleCancel} disabled={isLoading}>{t('common.cancel')}</Button>
+                        <Button type="danger" onClick={handleDelete} disabled={isLoading}>
+                            <Trash2 className="inline w-4 h-4 mr-2 align-middle" />
+                            {editing.counterpart ? t('transactionForm.deleteTransfer') : t('transactionForm.delete')}
+                        </Button>
+                    </div>
+                </>
+            ) : (
+                <>
+                    <Button onClick={handleSubmit} disabled={isSubmitDisabled} className="mt-6">
+                        <Send className="inline w-4 h-4 mr-2 align-middle" />
+                        {isLoading ? t('common.creating') : t('transactionForm.submit')}
+                    </Button>
+
+                    <button
+                        onClick={onCompletion}
+                        className="w-full mt-2 py-2 text-sm text-indigo-600 hover:text-indigo-800 transition-colors"
+                    >
+                        {t('transactionForm.goToContainerCreation')}
+                    </button>
+                </>
+            )}
 
-            <Message message={message} />
+            <Message message={dataError} />
+
+            {/* Offline queue of new transactions; edits need a connection */}
+            {!editing && (
+                <PendingTransactions
+                    items={queuedItems}
+                    attachments={queuedAttachments}
+                    isOnline={isOnline}
+                    isReplaying={isReplaying}
+                    onSync={replay}
+                    onRetry={retry}
+                    onDiscard={discard}
+                    onRetryAttachment={retryAttachment}
+                    onDiscardAttachment={discardAttachment}
+                />
+            )}
         </Card>
     );
 };
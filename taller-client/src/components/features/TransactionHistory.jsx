@@ -0,0 +1,380 @@
+import React, { Fragment, useEffect, useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ArrowDown, ArrowUp, Briefcase, Filter, History, LayoutList, List, Paperclip, Pencil, RefreshCw, Send, Trash2, X } from 'lucide-react';
+import { useReferenceData } from '../../hooks/useReferenceData';
+import { useTransactions } from '../../hooks/useTransactions';
+import { usePersistentState } from '../../hooks/usePersistentState';
+import { useTransactionDeletion } from '../../hooks/useTransactionDeletion';
+import { useSession } from '../../hooks/useSession';
+import { TRANSACTION_TYPES, editTransactionPath } from '../../constants';
+import { signedAmount } from '../../utils/balances';
+import { formatDateTime } from '../../utils/format';
+import { formatAmount } from '../../utils/money';
+import { buildCategoryTree, categoryPath, flattenCategoryTree } from '../../utils/categories';
+import { TRANSFER_DIRECTIONS } from '../../utils/transfers';
+import { useI18n } from '../../hooks/useI18n';
+import {
+    DEFAULT_TRANSACTION_FILTERS, filterTransactions, sortTransactions, indexById,
+} from '../../utils/transactions';
+import Card from '../ui/Card';
+import FormInput from '../ui/FormInput';
+import FormSelect from '../ui/FormSelect';
+import Message from '../ui/Message';
+import Pagination from '../ui/Pagination';
+import CategoryIcon from '../ui/CategoryIcon';
+import TransactionAttachments from './TransactionAttachments';
+import TransactionAuditTrail from './TransactionAuditTrail';
+
+// Labels are under transactionHistory.columns.<key>
+const COLUMNS = [
+    { key: 'transactionTime' },
+    { key: 'description' },
+    { key: 'account' },
+    { key: 'category' },
+    { key: 'transactionType' },
+    { key: 'amount', align: 'right' },
+];
+
+const DEFAULT_SORT = { key: 'transactionTime', direction: 'desc' };
+
+const TransactionHistory = () => {
+    const { containers, accounts, categories, isLoading: isDataLoading, error: dataError, reload: reloadData } = useReferenceData();
+    const { transactions, isLoading, error, reload } = useTransactions();
+    const { deleteTransaction } = useTransactionDeletion();
+    const { t } = useI18n();
+    const { user } = useSession();
+
+    // Filters, sorting and page size are kept between visits; the filters per user, as they
+    // hold that user's account, container and category ids
+    const [filters, setFilters] = usePersistentState(`transactionHistory.filters.${user}`, DEFAULT_TRANSACTION_FILTERS);
+    const [sort, setSort] = usePersistentState('transactionHistory.sort', DEFAULT_SORT);
+    const [pageSize, setPageSize] = usePersistentState('transactionHistory.pageSize', 25);
+    const [page, setPage] = useState(1);
+    // Panel shown below a row: { id, panel: 'attachments' | 'auditTrail' }
+    const [expanded, setExpanded] = useState(null);
+
+    // Drill-down links (e.g. from analytics) pass filters in the query string; they replace the stored ones
+    const [searchParams, setSearchParams] = useSearchParams();
+    useEffect(() => {
+        const linkedFilters = Object.keys(DEFAULT_TRANSACTION_FILTERS).filter(key => searchParams.has(key));
+        if (linkedFilters.length === 0) return;
+
+        setFilters({
+            ...DEFAULT_TRANSACTION_FILTERS,
+            ...Object.fromEntries(linkedFilters.map(key => [key, searchParams.get(key)])),
+        });
+        setPage(1);
+        setSearchParams({}, { replace: true });
+    }, [searchParams, setSearchParams, setFilters]);
+
+    const accountsById = useMemo(() => indexById(accounts), [accounts]);
+    const categoriesById = useMemo(() => indexById(categories), [categories]);
+    // Indented by depth; picking a parent also lists its subcategories' transactions
+    const categoryOptions = useMemo(() => flattenCategoryTree(buildCategoryTree(categories))
+        .map(c => ({ id: c.id, name: `${'\u00a0\u00a0\u00a0'.repeat(c.depth)}${c.name}` })), [categories]);
+
+    const visibleTransactions = useMemo(() => {
+        const getValue = (transaction, key) => {
+            switch (key) {
+                case 'transactionTime':
+                    return new Date(transaction.transactionTime).getTime();
+                case 'account':
+                    return accountsById[transaction.accountId]?.name || '';
+                case 'category':
+                    return categoryPath(categoriesById, transaction.categoryId);
+                default:
+                    return transaction[key];
+            }
+        };
+        return sortTransactions(filterTransactions(transactions, filters, accountsById, categories), sort, getValue);
+    }, [transactions, filters, sort, accountsById, categoriesById, categories]);
+
+    const totalPages = Math.max(1, Math.ceil(visibleTransactions.length / pageSize));
+    const currentPage = Math.min(page, totalPages);
+    const pageItems = visibleTransactions.slice((currentPage - 1) * pageSize, currentPage * pageSize);
+
+    const updateFilter = (field, value) => {
+        setFilters(prev => {
+            const next = { ...prev, [field]: value };
+            // An account from another container would filter everything out
+            if (field === 'containerId' && value && accountsById[prev.accountId]?.containerId !== value) {
+                next.accountId = '';
+            }
+            return next;
+        });
+        setPage(1);
+    };
+
+    const resetFilters = () => {
+        setFilters(DEFAULT_TRANSACTION_FILTERS);
+        setPage(1);
+    };
+
+    const toggleSort = (key) => {
+        setSort(prev => (prev.key === key
+            ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+            : { key, direction: 'asc' }));
+    };
+
+    const handleReload = () => {
+        reloadData();
+        reload();
+    };
+
+    const accountOptions = filters.containerId
+        ? accounts.filter(a => a.containerId === filters.containerId)
+        : accounts;
+    const hasActiveFilters = Object.keys(DEFAULT_TRANSACTION_FILTERS).some(key => filters[key] !== DEFAULT_TRANSACTION_FILTERS[key]);
+    const loading = isLoading || isDataLoading;
+
+    return (
+        <Card title={t('transactionHistory.title')} wide>
+            <div className="mb-4 flex justify-between items-center text-sm text-gray-600">
+                <span className="flex items-center font-medium">
+                    <Filter className="w-4 h-4 mr-2" /> {t('transactionHistory.filters')}
+                </span>
+                <div className="flex space-x-4">
+                    {hasActiveFilters && (
+                        <button onClick={resetFilters} className="flex items-center text-xs text-gray-500 hover:text-indigo-600 transition-colors">
+                            <X className="w-3 h-3 mr-1" /> {t('transactionHistory.clearFilters')}
+                        </button>
+                    )}
+                    <button
+                        onClick={handleReload}
+                        disabled={loading}
+                        className="flex items-center text-xs text-gray-500 hover:text-indigo-600 transition-colors disabled:opacity-50"
+                    >
+                        <RefreshCw className={`w-3 h-3 mr-1 ${loading ? 'animate-spin' : ''}`} /> {t('common.reloadData')}
+                    </button>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-x-4">
+                <FormSelect
+                    id="filterContainer"
+                    label={t('transactionHistory.container')}
+                    value={filters.containerId}
+                    onChange={(value) => updateFilter('containerId', value)}
+                    options={containers}
+                    icon={Briefcase}
+                    placeholder={t('transactionHistory.allContainers')}
+                    allowEmpty
+                />
+                <FormSelect
+                    id="filterAccount"
+                    label={t('transactionHistory.account')}
+                    value={filters.accountId}
+                    onChange={(value) => updateFilter('accountId', value)}
+                    options={accountOptions.map(a => ({ id: a.id, name: `${a.name} (${a.currency})` }))}
+                    icon={LayoutList}
+                    placeholder={t('transactionHistory.allAccounts')}
+                    allowEmpty
+                />
+                <FormSelect
+                    id="filterCategory"
+                    label={t('transactionHistory.category')}
+                    value={filters.categoryId}
+                    onChange={(value) => updateFilter('categoryId', value)}
+                    options={categoryOptions}
+                    icon={List}
+                    placeholder={t('transactionHistory.allCategories')}
+                    allowEmpty
+                />
+                <FormSelect
+                    id="filterType"
+                    label={t('transactionHistory.type')}
+                    value={filters.transactionType}
+                    onChange={(value) => updateFilter('transactionType', value)}
+                    options={TRANSACTION_TYPES.map(type => ({ value: type, label: t(`transactionTypes.${type}`) }))}
+                    icon={Send}
+                    placeholder={t('transactionHistory.allTypes')}
+                    allowEmpty
+                />
+                <FormInput
+                    id="filterDateFrom"
+                    label={t('transactionHistory.from')}
+                    type="date"
+                    value={filters.dateFrom}
+                    onChange={(value) => updateFilter('dateFrom', value)}
+                />
+                <FormInput
+                    id="filterDateTo"
+                    label={t('transactionHistory.to')}
+                    type="date"
+                    value={filters.dateTo}
+                    onChange={(value) => updateFilter('dateTo', value)}
+                />
+                <FormInput
+                    id="filterMinAmount"
+                    label={t('transactionHistory.minAmount')}
+                    type="decimal"
+                    value={filters.minAmount}
+                    onChange={(value) => updateFilter('minAmount', value)}
+                    placeholder="0.00"
+                />
+                <FormInput
+                    id="filterMaxAmount"
+                    label={t('transactionHistory.maxAmount')}
+                    type="decimal"
+                    value={filters.maxAmount}
+                    onChange={(value) => updateFilter('maxAmount', value)}
+                    placeholder={t('transactionHistory.anyAmount')}
+                />
+            </div>
+
+            <div className="overflow-x-auto border-t pt-4">
+                <table className="w-full text-sm text-left">
+                    <thead>
+                        <tr className="border-b text-gray-600">
+                            {COLUMNS.map(column => (
+                                <th key={column.key} className={`py-2 px-2 font-semibold ${column.align === 'right' ? 'text-right' : ''}`}>
+                                    <button
+                                        onClick={() => toggleSort(column.key)}
+                                        className="inline-flex items-center hover:text-indigo-600 transition-colors"
+                                    >
+                                        {t(`transactionHistory.columns.${column.key}`)}
+                                        {sort.key === column.key && (sort.direction === 'asc'
+                                            ? <ArrowUp className="w-3 h-3 ml-1" />
+                                            : <ArrowDown className="w-3 h-3 ml-1" />)}
+                                    </button>
+                                </th>
+                            ))}
+                            <th className="py-2 px-2"><span className="sr-only">{t('transactionHistory.actions')}</span></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {pageItems.map(transaction => {
+                            const account = accountsById[transaction.accountId];
+                            // Optimistic entries have no server id to act on yet
+                            const isSaved = !transaction.id.startsWith('optimistic-');
+                            const panel = expanded?.id === transaction.id ? expanded.panel : null;
+                            const togglePanel = (name) => setExpanded(panel === name ? null : { id: transaction.id, panel: name });
+                            const actionClass = (isActive) => `p-1 rounded transition-colors hover:text-indigo-700 ${isActive ? 'text-indigo-600' : 'text-gray-400'}`;
+                            return (
+                                <Fragment key={transaction.id}>
+                                    <tr className="border-b last:border-b-0 hover:bg-gray-50">
+                                        <td className="py-2 px-2 whitespace-nowrap text-gray-600">{formatDateTime(transaction.transactionTime)}</td>
+                                        <td className="py-2 px-2 font-medium text-gray-800">{transaction.description}</td>
+                                        <td className="py-2 px-2 text-gray-600">{account ? account.name : '—'}</td>
+                                        <td className="py-2 px-2 text-gray-600">
+                                            {transaction.splits.length > 0 ? (
+                                                <ul className="space-y-0.5">
+                                                    {transaction.splits.map((line, index) => (
+                                                        <li key={index} className="flex items-center whitespace-nowrap">
+                                                            {categoriesById[line.categoryId] && (
+                                                                <CategoryIcon icon={categoriesById[line.categoryId].icon} color={categoriesById[line.categoryId].color} size="sm" />
+                                                            )}
+                                                            <span className="ml-1">{categoryPath(categoriesById, line.categoryId) || '—'}</span>
+                                                            <span className="ml-1 text-xs text-gray-400">{formatAmount(line.amount, account ? account.currency : '')}</span>
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            ) : categoriesById[transaction.categoryId] ? (
+                                                <span className="inline-flex items-center">
+                                                    <CategoryIcon icon={categoriesById[transaction.categoryId].icon} color={categoriesById[transaction.categoryId].color} size="sm" />
+                                                    <span className="ml-1">{categoryPath(categoriesById, transaction.categoryId)}</span>
+                                                </span>
+                                            ) : '—'}
+                                        </td>
+                                        <td className="py-2 px-2 text-gray-600">
+                                            {t(`transactionTypes.${transaction.transactionType}`)}
+                                            {transaction.counterpartAccountId && (
+                                                <span className="block text-xs text-gray-400">
+                                                    {t(transaction.transferDirection === TRANSFER_DIRECTIONS.IN ? 'transactionHistory.transferFrom' : 'transactionHistory.transferTo', {
+                                                        account: accountsById[transaction.counterpartAccountId]?.name || '—',
+                                                    })}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className={`py-2 px-2 text-right whitespace-nowrap font-semibold ${signedAmount(transaction) > 0 ? 'text-green-600' : 'text-gray-800'}`}>
+                                            {formatAmount(transaction.amount, account ? account.currency : '')}
+                                            {transaction.originalCurrency && (
+                                                <span className="block text-xs font-normal text-gray-400">{formatAmount(transaction.originalAmount, transaction.originalCurrency)}</span>
+                                            )}
+                                        </td>
+                                        <td className="py-2 px-2 whitespace-nowrap text-right">
+                                            {isSaved && (
+                                                <>
+                                                    <button
+                                                        onClick={() => togglePanel('attachments')}
+                                                        aria-expanded={panel === 'attachments'}
+                                                        aria-label={t('transactionHistory.receiptsOf', { description: transaction.description })}
+                                                        title={t('transactionHistory.receipts')}
+                                                        className={`${actionClass(panel === 'attachments' || transaction.attachmentCount > 0)} inline-flex items-center text-xs`}
+                                                    >
+                                                        <Paperclip className="w-4 h-4" />
+                                                        {transaction.attachmentCount > 0 && <span className="ml-0.5">{transaction.attachmentCount}</span>}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => togglePanel('auditTrail')}
+                                                        aria-expanded={panel === 'auditTrail'}
+                                                        aria-label={t('transactionHistory.historyOf', { description: transaction.description })}
+                                                        title={t('transactionHistory.history')}
+                                                        className={actionClass(panel === 'auditTrail')}
+                                                    >
+                                                        <History className="w-4 h-4" />
+                                                    </button>
+                                                    <Link
+                                                        to={editTransactionPath(transaction.id)}
+                                                        aria-label={t('transactionHistory.editLabel', { description: transaction.description })}
+                                                        title={t('transactionHistory.edit')}
+                                                        className={`${actionClass(false)} inline-block`}
+                                                    >
+                                                        <Pencil className="w-4 h-4" />
+                                                    </Link>
+                                                    <button
+                                                        onClick={() => deleteTransaction(transaction)}
+                                                        aria-label={t('transactionHistory.deleteLabel', { description: transaction.description })}
+                                                        title={t('transactionHistory.delete')}
+                                                        className="p-1 rounded text-gray-400 hover:text-red-600 transition-colors"
+                                                    >
+                                                        <Trash2 className="w-4 h-4" />
+                                                    </button>
+                                                </>
+                                            )}
+                                        </td>
+                                    </tr>
+                                    {panel && (
+                                        <tr className="border-b">
+                                            <td colSpan={COLUMNS.length + 1} className="py-2 px-2">
+                                                {panel === 'attachments' ? (
+                                                    <TransactionAttachments transactionId={transaction.id} />
+                                                ) : (
+                                                    <TransactionAuditTrail
+                                                        transactionId={transaction.id}
+                                                        context={{ accountsById, categoriesById, currency: account?.currency || '' }}
+                                                    />
+                                                )}
+                                            </td>
+                                        </tr>
+                                    )}
+                                </Fragment>
+                            );
+                        })}
+                    </tbody>
+                </table>
+
+                {!loading && pageItems.length === 0 && (
+                    <p className="p-4 text-center text-sm text-gray-500">
+                        {t(transactions.length === 0 ? 'transactionHistory.empty' : 'transactionHistory.noMatch')}
+                    </p>
+                )}
+            </div>
+
+            <Pagination
+                page={currentPage}
+                pageSize={pageSize}
+                totalItems={visibleTransactions.length}
+                onPageChange={setPage}
+                onPageSizeChange={(size) => {
+                    setPageSize(size);
+                    setPage(1);
+                }}
+            />
+
+            <Message message={dataError || error} />
+        </Card>
+    );
+};
+
+export default TransactionHistory;
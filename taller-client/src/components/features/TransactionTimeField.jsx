@@ -0,0 +1,79 @@
+import React from 'react';
+import { AlertTriangle, Clock } from 'lucide-react';
+import { useI18n } from '../../hooks/useI18n';
+import { fromDateTimeInput, localTimeZone, toDateTimeInput, utcOffsetLabel } from '../../utils/dates';
+import FormInput from '../ui/FormInput';
+
+// Quick picks; each returns the datetime-local value to set ('' stands for "now")
+const PRESETS = [
+    { key: 'now', value: () => '' },
+    {
+        key: 'yesterday',
+        value: () => {
+            const date = new Date();
+            date.setDate(date.getDate() - 1);
+            return toDateTimeInput(date);
+        },
+    },
+    {
+        key: 'monthStart',
+        value: () => {
+            const now = new Date();
+            return toDateTimeInput(new Date(now.getFullYear(), now.getMonth(), 1));
+        },
+    },
+];
+
+/**
+ * When a transaction happened, as a local date-time with presets. An empty value means "now",
+ * taken when the form is saved. `warnings` (future date, before the account existed) are shown
+ * below the field without blocking the submit.
+ */
+const TransactionTimeField = ({ value, onChange, warnings = [] }) => {
+    const { t } = useI18n();
+    // The offset depends on the chosen day when daylight saving time starts or ends in between
+    const shownDate = fromDateTimeInput(value) || new Date();
+
+    return (
+        <div className="mb-4">
+            <FormInput
+                id="transactionTime"
+                label={t('transactionForm.time')}
+                type="datetime-local"
+                value={value || toDateTimeInput(shownDate)}
+                onChange={onChange}
+                icon={Clock}
+            />
+            <div className="-mt-3 flex flex-wrap items-center gap-2 text-xs">
+                {PRESETS.map(preset => (
+                    <button
+                        key={preset.key}
+                        type="button"
+                        onClick={() => onChange(preset.value())}
+                        className={`px-2 py-1 rounded-full border transition-colors ${preset.key === 'now' && !value
+                            ? 'border-indigo-500 bg-indigo-50 text-indigo-700'
+                            : 'border-gray-300 text-gray-600 hover:border-indigo-400 hover:text-indigo-700'}`}
+                    >
+                        {t(`transactionForm.timePresets.${preset.key}`)}
+                    </button>
+                ))}
+                <span className="text-gray-500">
+                    {t('transactionForm.timeZone', { zone: localTimeZone(), offset: utcOffsetLabel(shownDate) })}
+                    {!value && ` ${t('transactionForm.timeNow')}`}
+                </span>
+            </div>
+            {warnings.length > 0 && (
+                <div role="alert" className="mt-2 p-3 rounded-lg bg-yellow-100 text-yellow-800 text-sm">
+                    {warnings.map(warning => (
+                        <p key={warning} className="flex items-start">
+                            <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                            <span>{warning}</span>
+                        </p>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TransactionTimeField;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { ROUTES } from '../../constants';
+import { useSession } from '../../hooks/useSession';
+
+/**
+ * Renders the nested routes only for logged in users; everyone else is sent to the login
+ * screen with a return URL, so they land on the requested page after logging in.
+ */
+const RequireAuth = () => {
+    const { token } = useSession();
+    const location = useLocation();
+
+    if (!token) {
+        const returnTo = encodeURIComponent(`${location.pathname}${location.search}`);
+        return <Navigate to={`${ROUTES.LOGIN}?returnTo=${returnTo}`} replace />;
+    }
+
+    return <Outlet />;
+};
+
+export default RequireAuth;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { CATEGORY_ICONS } from './categoryIcons';
+
+/**
+ * A category's icon on a tinted circle of its color.
+ */
+const CategoryIcon = ({ icon, color, size = 'md' }) => {
+    const Icon = CATEGORY_ICONS[icon] || CATEGORY_ICONS.tag;
+    const boxSize = size === 'sm' ? 'w-5 h-5' : 'w-7 h-7';
+    const iconSize = size === 'sm' ? 'w-3 h-3' : 'w-4 h-4';
+    return (
+        <span
+            className={`${boxSize} inline-flex items-center justify-center rounded-full shrink-0`}
+            style={{ backgroundColor: `${color}22`, color }}
+        >
+            <Icon className={iconSize} />
+        </span>
+    );
+};
+
+export default CategoryIcon;
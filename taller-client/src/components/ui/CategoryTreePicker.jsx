@@ -0,0 +1,120 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { ChevronDown, Search } from 'lucide-react';
+import { buildCategoryTree, categoryPath, flattenCategoryTree, searchCategoryTree } from '../../utils/categories';
+import { indexById } from '../../utils/transactions';
+import { useI18n } from '../../hooks/useI18n';
+import CategoryIcon from './CategoryIcon';
+
+/**
+ * Drop-in replacement for a category FormSelect: shows the hierarchy as an indented tree
+ * with a search box that keeps matching categories together with their parents.
+ */
+const CategoryTreePicker = ({ id, label, value, onChange, onBlur, categories, required = false, placeholder, disabled = false, error = '' }) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [query, setQuery] = useState('');
+    const containerRef = useRef(null);
+
+    const categoriesById = useMemo(() => indexById(categories), [categories]);
+    const tree = useMemo(() => buildCategoryTree(categories), [categories]);
+    const visibleNodes = useMemo(() => flattenCategoryTree(searchCategoryTree(tree, query)), [tree, query]);
+    const selected = categoriesById[value];
+
+    // Clicking anywhere outside closes the panel
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handleClick = (event) => {
+            if (containerRef.current && !containerRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [isOpen]);
+
+    const select = (categoryId) => {
+        onChange(categoryId);
+        setIsOpen(false);
+        setQuery('');
+    };
+
+    // The picker counts as left once focus moves outside the button and its search panel
+    const handleBlur = (event) => {
+        if (onBlur && !containerRef.current.contains(event.relatedTarget)) onBlur();
+    };
+
+    return (
+        <div className="mb-4" ref={containerRef} onBlur={handleBlur}>
+            <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
+                {label} {required && <span className="text-red-500">*</span>}
+            </label>
+            <div className="relative">
+                <button
+                    id={id}
+                    type="button"
+                    onClick={() => setIsOpen(open => !open)}
+                    disabled={disabled}
+                    aria-haspopup="listbox"
+                    aria-expanded={isOpen}
+                    aria-invalid={Boolean(error)}
+                    aria-describedby={error ? `${id}-error` : undefined}
+                    className={`w-full px-4 py-2 border ${error ? 'border-red-500' : 'border-gray-300'} rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 ease-in-out text-left flex items-center ${disabled ? 'bg-gray-100 cursor-not-allowed' : 'bg-white'}`}
+                >
+                    {selected ? (
+                        <>
+                            <CategoryIcon icon={selected.icon} color={selected.color} size="sm" />
+                            <span className="ml-2 truncate">{categoryPath(categoriesById, selected.id)}</span>
+                        </>
+                    ) : (
+                        <span className="text-gray-500">{placeholder || t('categoryPicker.placeholder')}</span>
+                    )}
+                    <ChevronDown className="ml-auto w-4 h-4 text-gray-400" />
+                </button>
+
+                {isOpen && (
+                    <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg">
+                        <div className="relative p-2 border-b">
+                            <Search className="absolute left-4 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+                            <input
+                                value={query}
+                                onChange={(e) => setQuery(e.target.value)}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Escape') setIsOpen(false);
+                                    if (e.key === 'Enter' && visibleNodes.length > 0) {
+                                        e.preventDefault();
+                                        select(visibleNodes[0].id);
+                                    }
+                                }}
+                                placeholder={t('categoryPicker.search')}
+                                aria-label={t('categoryPicker.searchLabel')}
+                                autoFocus
+                                className="w-full pl-8 pr-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                            />
+                        </div>
+                        <ul role="listbox" className="max-h-60 overflow-y-auto py-1 text-sm">
+                            {visibleNodes.map(node => (
+                                <li key={node.id} role="option" aria-selected={node.id === value}>
+                                    <button
+                                        type="button"
+                                        onClick={() => select(node.id)}
+                                        className={`w-full flex items-center py-1.5 pr-3 text-left hover:bg-indigo-50 ${node.id === value ? 'bg-indigo-100 font-semibold' : ''}`}
+                                        style={{ paddingLeft: `${0.75 + node.depth * 1.25}rem` }}
+                                    >
+                                        <CategoryIcon icon={node.icon} color={node.color} size="sm" />
+                                        <span className="ml-2">{node.name}</span>
+                                    </button>
+                                </li>
+                            ))}
+                            {visibleNodes.length === 0 && (
+                                <li className="px-3 py-2 text-gray-500">{t('categoryPicker.noMatch')}</li>
+                            )}
+                        </ul>
+                    </div>
+                )}
+            </div>
+            {error && <p id={`${id}-error`} className="mt-1 text-xs text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+export default CategoryTreePicker;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import Button from './Button';
+import { translate } from '../../utils/i18n';
+
+/**
+ * Modal confirmation for destructive actions. `details` lists what will be lost.
+ */
+const ConfirmDialog = ({ title, description, details = [], confirmLabel = translate('common.delete'), loadingLabel = translate('common.deleting'), isLoading = false, onConfirm, onCancel }) => (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-gray-900/50 p-4" role="dialog" aria-modal="true" aria-labelledby="confirm-dialog-title">
+        <div className="bg-white rounded-xl shadow-2xl w-full max-w-md p-6">
+            <h3 id="confirm-dialog-title" className="text-xl font-bold text-gray-800 mb-3 flex items-center">
+                <AlertTriangle className="w-5 h-5 mr-2 text-red-500" /> {title}
+            </h3>
+            {description && <p className="text-sm text-gray-600 mb-3">{description}</p>}
+            {details.length > 0 && (
+                <ul className="mb-4 p-3 bg-red-50 rounded-lg text-sm text-red-700 list-disc list-inside space-y-1">
+                    {details.map(detail => <li key={detail}>{detail}</li>)}
+                </ul>
+            )}
+            <div className="flex space-x-3">
+                <Button type="secondary" onClick={onCancel} disabled={isLoading}>{translate('common.cancel')}</Button>
+                <Button type="danger" onClick={onConfirm} disabled={isLoading}>
+                    {isLoading ? loadingLabel : confirmLabel}
+                </Button>
+            </div>
+        </div>
+    </div>
+);
+
+export default ConfirmDialog;
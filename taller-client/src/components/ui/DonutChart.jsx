@@ -0,0 +1,87 @@
+import React from 'react';
+import { useI18n } from '../../hooks/useI18n';
+
+const RADIUS = 60;
+const STROKE = 28;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+/**
+ * SVG donut with a clickable legend. `data` items: { id, label, value, color }.
+ * Selecting a segment (click or Enter) calls onSelect with the item.
+ */
+const DonutChart = ({ data, onSelect, formatValue = String, centerLabel = '' }) => {
+    const { t } = useI18n();
+    const total = data.reduce((sum, item) => sum + item.value, 0);
+    if (total <= 0) {
+        return <p className="p-4 text-center text-sm text-gray-500">{t('charts.noData')}</p>;
+    }
+
+    let offset = 0;
+    const segments = data.map(item => {
+        const length = (item.value / total) * CIRCUMFERENCE;
+        const segment = { ...item, length, offset };
+        offset += length;
+        return segment;
+    });
+
+    const handleKeyDown = (e, item) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            onSelect(item);
+        }
+    };
+
+    return (
+        <div className="flex flex-col sm:flex-row items-center gap-6">
+            <svg viewBox="0 0 160 160" className="w-48 h-48 flex-shrink-0" role="img" aria-label={t('charts.categoryBreakdown')}>
+                <g transform="rotate(-90 80 80)">
+                    {segments.map(segment => (
+                        <circle
+                            key={segment.id}
+                            cx="80"
+                            cy="80"
+                            r={RADIUS}
+                            fill="none"
+                            stroke={segment.color}
+                            strokeWidth={STROKE}
+                            strokeDasharray={`${segment.length} ${CIRCUMFERENCE - segment.length}`}
+                            strokeDashoffset={-segment.offset}
+                            className="cursor-pointer transition-opacity hover:opacity-80 focus:outline-none"
+                            onClick={() => onSelect(segment)}
+                            onKeyDown={(e) => handleKeyDown(e, segment)}
+                            tabIndex={0}
+                            role="button"
+                            aria-label={`${segment.label}: ${formatValue(segment.value)}`}
+                        >
+                            <title>{`${segment.label}: ${formatValue(segment.value)}`}</title>
+                        </circle>
+                    ))}
+                </g>
+                <text x="80" y="84" textAnchor="middle" className="fill-gray-700 text-xs font-semibold">{centerLabel}</text>
+            </svg>
+
+            <ul className="w-full space-y-2 text-sm">
+                {segments.map(segment => (
+                    <li key={segment.id}>
+                        <button onClick={() => onSelect(segment)} className="w-full text-left group">
+                            <div className="flex justify-between">
+                                <span className="flex items-center text-gray-700 group-hover:text-indigo-600">
+                                    <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: segment.color }} />
+                                    {segment.label}
+                                </span>
+                                <span className="font-semibold text-gray-800">
+                                    {formatValue(segment.value)} <span className="text-xs text-gray-500">({Math.round((segment.value / total) * 100)}%)</span>
+                                </span>
+                            </div>
+                            <div className="mt-1 h-1.5 bg-gray-100 rounded-full">
+                                <div className="h-1.5 rounded-full" style={{ width: `${(segment.value / total) * 100}%`, backgroundColor: segment.color }} />
+                            </div>
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default DonutChart;
@@ -1,25 +1,42 @@
 import React from 'react';
+import { normalizeDecimalInput, toDecimalInput } from '../../utils/format';
 
-const FormInput = ({ id, label, type = 'text', value, onChange, placeholder, required = false, icon: Icon = null, step, disabled = false }) => (
-    <div className="mb-4">
-        <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
-            {label} {required && <span className="text-red-500">*</span>}
-        </label>
-        <div className="relative">
-            {Icon && <Icon className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />}
-            <input
-                type={type}
-                id={id}
-                value={value}
-                onChange={(e) => onChange(e.target.value)}
-                placeholder={placeholder}
-                required={required}
-                step={step}
-                disabled={disabled}
-                className={`w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 ease-in-out ${Icon ? 'pl-10' : ''} ${disabled ? 'bg-gray-100' : ''}`}
-            />
+/**
+ * Labelled input. `error` (from useFormValidation) is shown below the field and marks it invalid.
+ * `type="decimal"` is for amounts: shown with the locale's decimal separator, accepting a
+ * decimal comma, while `value`/`onChange` always use a dot (see utils/format).
+ */
+const FormInput = ({ id, label, type = 'text', value, onChange, onBlur, placeholder, required = false, icon: Icon = null, step, disabled = false, error = '' }) => {
+    const isDecimal = type === 'decimal';
+    // A sample number as placeholder ("0.00") is shown like a value would be
+    const shownPlaceholder = isDecimal && /^[\d.]+$/.test(placeholder || '') ? toDecimalInput(placeholder) : placeholder;
+
+    return (
+        <div className="mb-4">
+            <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
+                {label} {required && <span className="text-red-500">*</span>}
+            </label>
+            <div className="relative">
+                {Icon && <Icon className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />}
+                <input
+                    type={isDecimal ? 'text' : type}
+                    inputMode={isDecimal ? 'decimal' : undefined}
+                    id={id}
+                    value={isDecimal ? toDecimalInput(value) : value}
+                    onChange={(e) => onChange(isDecimal ? normalizeDecimalInput(e.target.value) : e.target.value)}
+                    onBlur={onBlur}
+                    placeholder={shownPlaceholder}
+                    required={required}
+                    step={step}
+                    disabled={disabled}
+                    aria-invalid={Boolean(error)}
+                    aria-describedby={error ? `${id}-error` : undefined}
+                    className={`w-full px-4 py-2 border ${error ? 'border-red-500' : 'border-gray-300'} rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 ease-in-out ${Icon ? 'pl-10' : ''} ${disabled ? 'bg-gray-100' : ''}`}
+                />
+            </div>
+            {error && <p id={`${id}-error`} className="mt-1 text-xs text-red-600">{error}</p>}
         </div>
-    </div>
-);
+    );
+};
 
 export default FormInput;
\ No newline at end of file
@@ -0,0 +1,82 @@
+import React, { useId, useState } from 'react';
+import { Check, Pencil, X } from 'lucide-react';
+import { useI18n } from '../../hooks/useI18n';
+import { useFormValidation } from '../../hooks/useFormValidation';
+
+/**
+ * Shows a value with a pencil button; clicking it swaps in a text input with save/cancel.
+ * `rules` (see utils/validation) are checked against the edited value; an invalid value is not saved.
+ */
+const InlineEdit = ({ value, onSave, label, rules = [], className = '', disabled = false }) => {
+    const { t } = useI18n();
+    const inputId = useId();
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState(value);
+    const { fieldProps, validateAll, reset } = useFormValidation({ [inputId]: rules }, { [inputId]: draft.trim() });
+    const { error } = fieldProps(inputId);
+
+    const startEditing = () => {
+        setDraft(value);
+        reset();
+        setIsEditing(true);
+    };
+
+    const save = async () => {
+        const trimmed = draft.trim();
+        if (!trimmed || trimmed === value) {
+            setIsEditing(false);
+            return;
+        }
+        if (!validateAll()) return;
+        const saved = await onSave(trimmed);
+        if (saved !== false) {
+            setIsEditing(false);
+        }
+    };
+
+    if (!isEditing) {
+        return (
+            <span className={`inline-flex items-center ${className}`}>
+                {value}
+                <button
+                    onClick={startEditing}
+                    disabled={disabled}
+                    className="ml-2 p-1 text-gray-400 hover:text-indigo-600 rounded-full transition-colors disabled:opacity-50"
+                    aria-label={t('inlineEdit.rename', { label })}
+                >
+                    <Pencil className="w-4 h-4" />
+                </button>
+            </span>
+        );
+    }
+
+    return (
+        <span className="inline-flex flex-col flex-1">
+            <span className="inline-flex items-center">
+                <input
+                    id={inputId}
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') save();
+                        if (e.key === 'Escape') setIsEditing(false);
+                    }}
+                    aria-label={label}
+                    aria-invalid={Boolean(error)}
+                    aria-describedby={error ? `${inputId}-error` : undefined}
+                    autoFocus
+                    className={`flex-1 px-2 py-1 border ${error ? 'border-red-500' : 'border-gray-300'} rounded-lg focus:ring-indigo-500 focus:border-indigo-500 text-base font-normal`}
+                />
+                <button onClick={save} disabled={disabled} className="ml-1 p-1 text-green-600 hover:text-green-800 rounded-full" aria-label={t('inlineEdit.save')}>
+                    <Check className="w-4 h-4" />
+                </button>
+                <button onClick={() => setIsEditing(false)} className="p-1 text-gray-500 hover:text-gray-700 rounded-full" aria-label={t('common.cancel')}>
+                    <X className="w-4 h-4" />
+                </button>
+            </span>
+            {error && <span id={`${inputId}-error`} className="mt-1 text-xs text-red-600 font-normal">{error}</span>}
+        </span>
+    );
+};
+
+export default InlineEdit;
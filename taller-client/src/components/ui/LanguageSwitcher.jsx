@@ -0,0 +1,27 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { useI18n } from '../../hooks/useI18n';
+import { LOCALES } from '../../utils/i18n';
+
+/**
+ * Compact language picker for the navbar; the choice is remembered (see utils/i18n).
+ */
+const LanguageSwitcher = () => {
+    const { locale, setLocale, t } = useI18n();
+
+    return (
+        <label className="flex items-center text-xs sm:text-sm text-gray-600">
+            <Languages className="w-4 h-4 mr-1" aria-hidden="true" />
+            <span className="sr-only">{t('app.language')}</span>
+            <select
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                className="py-1 pl-1 pr-6 border border-gray-300 rounded-lg bg-white text-xs sm:text-sm"
+            >
+                {LOCALES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+        </label>
+    );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { useI18n } from '../../hooks/useI18n';
+
+const WIDTH = 600;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 64 };
+const GRID_LINES = 4;
+
+/**
+ * Multi-series SVG line chart sharing one x axis. `series` items: { id, label, color, values }
+ * where values[i] belongs to labels[i]. Clicking a point calls onSelect with its index.
+ */
+const LineChart = ({ labels, series, onSelect, formatValue = String }) => {
+    const { t } = useI18n();
+    const allValues = series.flatMap(s => s.values);
+    if (labels.length === 0 || allValues.length === 0) {
+        return <p className="p-4 text-center text-sm text-gray-500">{t('charts.noData')}</p>;
+    }
+
+    const min = Math.min(0, ...allValues);
+    const max = Math.max(0, ...allValues);
+    const range = max - min || 1;
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+    const x = (index) => PADDING.left + (labels.length === 1 ? plotWidth / 2 : (index / (labels.length - 1)) * plotWidth);
+    const y = (value) => PADDING.top + plotHeight - ((value - min) / range) * plotHeight;
+
+    // Show at most ~8 x labels so they do not overlap
+    const labelStep = Math.max(1, Math.ceil(labels.length / 8));
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={series.map(s => s.label).join(', ')}>
+                {Array.from({ length: GRID_LINES + 1 }, (_, i) => {
+                    const value = min + (range * i) / GRID_LINES;
+                    return (
+                        <g key={i}>
+                            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} stroke="#e5e7eb" />
+                            <text x={PADDING.left - 8} y={y(value) + 4} textAnchor="end" className="fill-gray-500" fontSize="11">
+                                {formatValue(value)}
+                            </text>
+                        </g>
+                    );
+                })}
+
+                {labels.map((label, index) => (index % labelStep === 0 || index === labels.length - 1) && (
+                    <text key={label} x={x(index)} y={HEIGHT - 10} textAnchor="middle" className="fill-gray-500" fontSize="11">
+                        {label}
+                    </text>
+                ))}
+
+                {series.map(s => (
+                    <g key={s.id}>
+                        <polyline
+                            fill="none"
+                            stroke={s.color}
+                            strokeWidth="2.5"
+                            strokeLinejoin="round"
+                            points={s.values.map((value, index) => `${x(index)},${y(value)}`).join(' ')}
+                        />
+                        {s.values.map((value, index) => (
+                            <circle
+                                key={labels[index]}
+                                cx={x(index)}
+                                cy={y(value)}
+                                r="4"
+                                fill="white"
+                                stroke={s.color}
+                                strokeWidth="2"
+                                className={onSelect ? 'cursor-pointer hover:fill-current' : ''}
+                                onClick={onSelect ? () => onSelect(index) : undefined}
+                            >
+                                <title>{`${s.label} · ${labels[index]}: ${formatValue(value)}`}</title>
+                            </circle>
+                        ))}
+                    </g>
+                ))}
+            </svg>
+
+            <div className="flex justify-center flex-wrap gap-4 text-xs text-gray-600">
+                {series.map(s => (
+                    <span key={s.id} className="flex items-center">
+                        <span className="w-3 h-0.5 mr-1" style={{ backgroundColor: s.color }} /> {s.label}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default LineChart;
@@ -1,12 +1,27 @@
 import React from 'react';
+import { NOTIFICATION_TYPES } from '../../utils/notifications';
 
-const Message = ({ message }) => {
+const MESSAGE_STYLES = {
+    [NOTIFICATION_TYPES.SUCCESS]: 'bg-green-100 text-green-700',
+    [NOTIFICATION_TYPES.ERROR]: 'bg-red-100 text-red-700',
+    [NOTIFICATION_TYPES.WARNING]: 'bg-yellow-100 text-yellow-800',
+    [NOTIFICATION_TYPES.INFO]: 'bg-blue-100 text-blue-700',
+};
+
+/**
+ * Inline notice for a lasting state of a view, such as data that failed to load.
+ * Results of user actions are shown as toasts instead (utils/notifications).
+ */
+const Message = ({ message, type = NOTIFICATION_TYPES.ERROR }) => {
     if (!message) return null;
     return (
-        <p className={`mt-4 p-3 rounded-lg text-sm text-center ${message.includes('success') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+        <p
+            role={type === NOTIFICATION_TYPES.ERROR ? 'alert' : 'status'}
+            className={`mt-4 p-3 rounded-lg text-sm text-center ${MESSAGE_STYLES[type] || MESSAGE_STYLES[NOTIFICATION_TYPES.INFO]}`}
+        >
             {message}
         </p>
     );
 };
 
-export default Message;
\ No newline at end of file
+export default Message;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { useI18n } from '../../hooks/useI18n';
+
+const PAGE_SIZES = [10, 25, 50, 100];
+
+const Pagination = ({ page, pageSize, totalItems, onPageChange, onPageSizeChange }) => {
+    const { t } = useI18n();
+    const totalPages = Math.max(1, Math.ceil(totalItems / pageSize));
+    const firstItem = totalItems === 0 ? 0 : (page - 1) * pageSize + 1;
+    const lastItem = Math.min(page * pageSize, totalItems);
+
+    return (
+        <div className="flex flex-wrap justify-between items-center gap-2 mt-4 text-sm text-gray-600">
+            <span>{t('pagination.range', { first: firstItem, last: lastItem, total: totalItems })}</span>
+            <div className="flex items-center space-x-2">
+                <select
+                    value={pageSize}
+                    onChange={(e) => onPageSizeChange(Number(e.target.value))}
+                    className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+                    aria-label={t('pagination.rowsPerPage')}
+                >
+                    {PAGE_SIZES.map(size => <option key={size} value={size}>{t('pagination.perPage', { size })}</option>)}
+                </select>
+                <button
+                    onClick={() => onPageChange(page - 1)}
+                    disabled={page <= 1}
+                    className="p-1 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+                    aria-label={t('pagination.previous')}
+                >
+                    <ChevronLeft className="w-4 h-4" />
+                </button>
+                <span>{page} / {totalPages}</span>
+                <button
+                    onClick={() => onPageChange(page + 1)}
+                    disabled={page >= totalPages}
+                    className="p-1 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+                    aria-label={t('pagination.next')}
+                >
+                    <ChevronRight className="w-4 h-4" />
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default Pagination;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { BUDGET_WARNING_RATIO } from '../../utils/budgets';
+
+/**
+ * Horizontal bar for spent / limit: green, then yellow near the limit, red once over it.
+ */
+const ProgressBar = ({ ratio, label }) => {
+    const color = ratio > 1 ? 'bg-red-500' : ratio >= BUDGET_WARNING_RATIO ? 'bg-yellow-400' : 'bg-green-500';
+    const percent = Math.min(100, Math.max(0, (Number.isFinite(ratio) ? ratio : 1) * 100));
+    return (
+        <div
+            className="w-full h-2 bg-gray-200 rounded-full overflow-hidden"
+            role="progressbar"
+            aria-label={label}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(percent)}
+        >
+            <div className={`h-full rounded-full ${color}`} style={{ width: `${percent}%` }} />
+        </div>
+    );
+};
+
+export default ProgressBar;
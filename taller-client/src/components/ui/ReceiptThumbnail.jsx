@@ -0,0 +1,38 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+/**
+ * Square preview of a receipt image. Opens the image on click when `onOpen` is given; `badge`
+ * marks receipts that are not uploaded yet.
+ */
+const ReceiptThumbnail = ({ src, alt, onOpen, onRemove, removeLabel, badge, badgeClassName = 'bg-yellow-100 text-yellow-700' }) => (
+    <div className="relative w-20 h-20">
+        <button
+            type="button"
+            onClick={onOpen}
+            disabled={!onOpen}
+            title={alt}
+            className="w-full h-full rounded-lg overflow-hidden border border-gray-200 bg-gray-50 hover:border-indigo-400 transition-colors disabled:cursor-default disabled:hover:border-gray-200"
+        >
+            <img src={src} alt={alt} className="w-full h-full object-cover" />
+        </button>
+        {badge && (
+            <span className={`absolute bottom-1 left-1 px-1.5 py-0.5 rounded-full text-[10px] font-semibold ${badgeClassName}`}>
+                {badge}
+            </span>
+        )}
+        {onRemove && (
+            <button
+                type="button"
+                onClick={onRemove}
+                aria-label={removeLabel}
+                title={removeLabel}
+                className="absolute -top-2 -right-2 p-0.5 rounded-full bg-white border border-gray-300 text-gray-500 hover:text-red-600 hover:border-red-400 shadow-sm transition-colors"
+            >
+                <X className="w-3 h-3" />
+            </button>
+        )}
+    </div>
+);
+
+export default ReceiptThumbnail;
@@ -0,0 +1,86 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CircleCheck, CircleX, Info, TriangleAlert, X } from 'lucide-react';
+import { useNotifications } from '../../hooks/useNotifications';
+import { useI18n } from '../../hooks/useI18n';
+import { NOTIFICATION_TYPES } from '../../utils/notifications';
+
+const TOAST_STYLES = {
+    [NOTIFICATION_TYPES.SUCCESS]: { icon: CircleCheck, className: 'bg-green-50 border-green-200 text-green-800' },
+    [NOTIFICATION_TYPES.ERROR]: { icon: CircleX, className: 'bg-red-50 border-red-200 text-red-800' },
+    [NOTIFICATION_TYPES.WARNING]: { icon: TriangleAlert, className: 'bg-yellow-50 border-yellow-200 text-yellow-800' },
+    [NOTIFICATION_TYPES.INFO]: { icon: Info, className: 'bg-blue-50 border-blue-200 text-blue-800' },
+};
+
+const Toast = ({ notification, onDismiss: dismiss, dismissLabel }) => {
+    const { id, type, message, action, duration, onPauseChange } = notification;
+    const onDismiss = useCallback(() => dismiss(id), [dismiss, id]);
+    // Hovering or focusing a toast stops it from closing while it is being read or used
+    const [isPaused, setIsPaused] = useState(false);
+
+    useEffect(() => {
+        if (!duration || isPaused) return undefined;
+        const timer = setTimeout(onDismiss, duration);
+        return () => clearTimeout(timer);
+    }, [duration, isPaused, onDismiss]);
+
+    // Whatever waits for this toast pauses with it, and goes on once it is left or closed
+    useEffect(() => {
+        if (!onPauseChange || !isPaused) return undefined;
+        onPauseChange(true);
+        return () => onPauseChange(false);
+    }, [isPaused, onPauseChange]);
+
+    const { icon: Icon, className } = TOAST_STYLES[type] || TOAST_STYLES[NOTIFICATION_TYPES.INFO];
+
+    return (
+        <div
+            // Errors interrupt the screen reader; everything else waits for a pause
+            role={type === NOTIFICATION_TYPES.ERROR ? 'alert' : 'status'}
+            onMouseEnter={() => setIsPaused(true)}
+            onMouseLeave={() => setIsPaused(false)}
+            onFocus={() => setIsPaused(true)}
+            onBlur={() => setIsPaused(false)}
+            className={`flex items-start w-full p-3 border rounded-lg shadow-lg text-sm ${className}`}
+        >
+            <Icon className="w-5 h-5 mr-2 flex-shrink-0" aria-hidden="true" />
+            <span className="flex-1">{message}</span>
+            {action && (
+                <button
+                    onClick={() => {
+                        action.onClick();
+                        onDismiss();
+                    }}
+                    className="ml-3 font-semibold underline hover:no-underline"
+                >
+                    {action.label}
+                </button>
+            )}
+            <button onClick={onDismiss} className="ml-2 opacity-60 hover:opacity-100" aria-label={dismissLabel}>
+                <X className="w-4 h-4" />
+            </button>
+        </div>
+    );
+};
+
+/**
+ * Stack of app-wide toasts in the corner of the screen, newest at the bottom.
+ * Mounted once in App; post toasts through utils/notifications.
+ */
+const ToastStack = () => {
+    const { notifications, dismiss } = useNotifications();
+    const { t } = useI18n();
+
+    return (
+        <div
+            className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]"
+            aria-live="polite"
+            aria-label={t('common.notifications')}
+        >
+            {notifications.map(notification => (
+                <Toast key={notification.id} notification={notification} onDismiss={dismiss} dismissLabel={t('common.dismiss')} />
+            ))}
+        </div>
+    );
+};
+
+export default ToastStack;
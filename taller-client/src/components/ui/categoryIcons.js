@@ -0,0 +1,28 @@
+import {
+    Tag, ShoppingCart, Utensils, Coffee, Home, Car, Bus, Plane, HeartPulse, GraduationCap,
+    Gift, Shirt, Gamepad2, Film, Wifi, Zap, PiggyBank, Briefcase, Baby, PawPrint,
+} from 'lucide-react';
+
+// Icons a category can pick from; the key is what gets stored on the category
+export const CATEGORY_ICONS = {
+    tag: Tag,
+    cart: ShoppingCart,
+    food: Utensils,
+    coffee: Coffee,
+    home: Home,
+    car: Car,
+    transit: Bus,
+    travel: Plane,
+    health: HeartPulse,
+    education: GraduationCap,
+    gift: Gift,
+    clothing: Shirt,
+    games: Gamepad2,
+    entertainment: Film,
+    internet: Wifi,
+    utilities: Zap,
+    savings: PiggyBank,
+    work: Briefcase,
+    kids: Baby,
+    pets: PawPrint,
+};
@@ -1,6 +1,8 @@
 // --- API Configuration ---
 // This URL assumes your Spring Boot API is running on port 8080.
 export const BASE_URL = '/api/v1';
+// A single attempt is abandoned after this long; see useApi for the retry rules
+export const REQUEST_TIMEOUT_MS = 15000;
 
 // --- Global Data for Select Inputs ---
 export const ACCOUNT_TYPES = ['CHECKING', 'SAVINGS', 'CASH'];
@@ -9,10 +11,52 @@ export const TRANSACTION_TYPES = ['EXPENSE', 'INCOME', 'TRANSFER'];
 // --- NEW STATIC CURRENCY LIST ---
 /**
  * Static list of currencies as requested: EUR, USD, HUF.
- * Formatted for use with the existing FormSelect component logic.
+ * Formatted for use with the existing FormSelect component logic; `decimals` is how many
+ * fraction digits amounts are shown with (forints are written without fillér).
  */
 export const STATIC_CURRENCIES = [
-    { value: 'EUR', label: 'EUR' },
-    { value: 'USD', label: 'USD' },
-    { value: 'HUF', label: 'HUF' },
-];
\ No newline at end of file
+    { value: 'EUR', label: 'EUR', decimals: 2 },
+    { value: 'USD', label: 'USD', decimals: 2 },
+    { value: 'HUF', label: 'HUF', decimals: 0 },
+];
+
+// --- Client-side Routes ---
+export const ROUTES = {
+    LOGIN: '/login',
+    DASHBOARD: '/dashboard',
+    ANALYTICS: '/analytics',
+    IMPORT: '/import',
+    EXPORT: '/export',
+    RATES: '/rates',
+    CATEGORIES: '/categories',
+    RECURRING: '/recurring',
+    BUDGETS: '/budgets',
+    CONTAINERS: '/containers',
+    NEW_CONTAINER: '/containers/new',
+    TRANSACTIONS: '/transactions',
+    NEW_TRANSACTION: '/transactions/new',
+    EDIT_TRANSACTION: '/transactions/:transactionId/edit',
+};
+
+export const containerPath = (containerId) => `${ROUTES.CONTAINERS}/${containerId}`;
+export const newTransactionPath = (accountId) => `${ROUTES.NEW_TRANSACTION}?account=${encodeURIComponent(accountId)}`;
+export const editTransactionPath = (transactionId) => ROUTES.EDIT_TRANSACTION.replace(':transactionId', encodeURIComponent(transactionId));
+
+// History link with preset filters (see DEFAULT_TRANSACTION_FILTERS); empty values are left out
+export const transactionsPath = (filters = {}) => {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== '' && value != null)).toString();
+    return query ? `${ROUTES.TRANSACTIONS}?${query}` : ROUTES.TRANSACTIONS;
+};
+
+// --- Session ---
+// How long before the JWT expires the user is warned
+export const SESSION_WARNING_MS = 2 * 60 * 1000;
+
+export const LOGOUT_REASONS = {
+    MANUAL: 'MANUAL',
+    EXPIRED: 'EXPIRED',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+};
+
+// --- Charts ---
+export const CHART_COLORS = ['#4f46e5', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#64748b'];
@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Provided by SessionProvider, read through useSession
+export const SessionContext = createContext(null);
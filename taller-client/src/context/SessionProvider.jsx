@@ -0,0 +1,116 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { SessionContext } from './SessionContext';
+import { LOGOUT_REASONS, SESSION_WARNING_MS } from '../constants';
+import { getTokenExpiry, isTokenExpired } from '../utils/jwt';
+import { clearDrafts } from '../utils/formDrafts';
+import { clearCache } from '../utils/offlineDb';
+import { clearQueries } from '../utils/queryCache';
+import { clearNotifications } from '../utils/notifications';
+import { cancelDeletions, flushDeletions } from '../utils/pendingDeletions';
+
+// setTimeout overflows above ~24.8 days; longer delays are re-armed when the effect reruns
+const MAX_TIMEOUT_MS = 2147483647;
+
+// Restores the stored session unless its token has already expired
+const readStoredSession = () => {
+    const token = localStorage.getItem('token');
+    const user = localStorage.getItem('user');
+    if (!token || isTokenExpired(token)) {
+        return null;
+    }
+    return { token, user };
+};
+
+const clearUserData = () => {
+    clearDrafts();
+    clearCache().catch(error => console.error('Failed to clear offline cache:', error));
+};
+
+/**
+ * Owns the authentication state: persists it, logs out when the JWT expires or any API call
+ * returns 401, and warns shortly before expiry.
+ */
+const SessionProvider = ({ children }) => {
+    const [session, setSession] = useState(readStoredSession);
+    const [logoutReason, setLogoutReason] = useState(() => (
+        !readStoredSession() && localStorage.getItem('token') ? LOGOUT_REASONS.EXPIRED : null
+    ));
+    const [isExpiringSoon, setIsExpiringSoon] = useState(false);
+
+    const token = session ? session.token : null;
+    const expiresAt = useMemo(() => (token ? getTokenExpiry(token) : null), [token]);
+
+    const endSession = useCallback((reason) => {
+        // Deletions still in their undo window are sent while the token is valid; after an expiry
+        // or a 401 they could not be, so they are dropped and the transactions stay
+        if (reason === LOGOUT_REASONS.MANUAL) {
+            flushDeletions();
+        } else {
+            cancelDeletions();
+        }
+        localStorage.removeItem('token');
+        localStorage.removeItem('user');
+        // The in-memory query cache and the toasts only ever concern the current session
+        clearQueries();
+        clearNotifications();
+        // Forced logouts keep the drafts so the user can continue after logging back in
+        if (reason === LOGOUT_REASONS.MANUAL) {
+            clearUserData();
+        }
+        setSession(null);
+        setIsExpiringSoon(false);
+        setLogoutReason(reason === LOGOUT_REASONS.MANUAL ? null : reason);
+    }, []);
+
+    const login = useCallback((user, jwtToken) => {
+        // Drafts and cached data of a previous user must not leak into this session
+        const previousUser = localStorage.getItem('lastUser');
+        if (previousUser && previousUser !== user) {
+            clearUserData();
+        }
+        clearQueries();
+        localStorage.setItem('token', jwtToken);
+        localStorage.setItem('user', user);
+        localStorage.setItem('lastUser', user);
+        setSession({ token: jwtToken, user });
+        setIsExpiringSoon(false);
+        setLogoutReason(null);
+    }, []);
+
+    const logout = useCallback(() => endSession(LOGOUT_REASONS.MANUAL), [endSession]);
+    const handleUnauthorized = useCallback(() => endSession(LOGOUT_REASONS.UNAUTHORIZED), [endSession]);
+
+    // Schedule the expiry warning and the automatic logout
+    useEffect(() => {
+        if (!expiresAt) return undefined;
+
+        const remaining = expiresAt - Date.now();
+        const warningTimer = setTimeout(
+            () => setIsExpiringSoon(true),
+            Math.min(Math.max(0, remaining - SESSION_WARNING_MS), MAX_TIMEOUT_MS)
+        );
+        const expiryTimer = remaining <= MAX_TIMEOUT_MS
+            ? setTimeout(() => endSession(LOGOUT_REASONS.EXPIRED), Math.max(0, remaining))
+            : null;
+
+        return () => {
+            clearTimeout(warningTimer);
+            clearTimeout(expiryTimer);
+        };
+    }, [expiresAt, endSession]);
+
+    const value = useMemo(() => ({
+        token,
+        user: session ? session.user : null,
+        expiresAt,
+        isExpiringSoon,
+        logoutReason,
+        login,
+        logout,
+        handleUnauthorized,
+    }), [token, session, expiresAt, isExpiringSoon, logoutReason, login, logout, handleUnauthorized]);
+
+    return <SessionContext.Provider value={value}>{children}</SessionContext.Provider>;
+};
+
+export default SessionProvider;
@@ -1,26 +1,85 @@
 import { useCallback } from 'react';
-import { BASE_URL } from '../constants';
+import { BASE_URL, REQUEST_TIMEOUT_MS } from '../constants';
+import { ApiError, isNetworkError, isRetryableError } from '../utils/apiError';
+import { IDEMPOTENCY_HEADER, NON_IDEMPOTENT_METHODS, createIdempotencyKey } from '../utils/idempotency';
+import { readCache, writeCache } from '../utils/offlineDb';
+import { translate } from '../utils/i18n';
+import { MOCK_AVAILABLE, isMockEnabled } from '../utils/mockSettings';
+import { mockFetch } from '../utils/mockBackend';
+import { useSession } from './useSession';
+
+const cancelledError = () => new ApiError(translate('api.cancelled'), 0, { aborted: true });
+
+// Resolves after `ms`, or rejects as cancelled as soon as `signal` aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(cancelledError());
+        return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(cancelledError());
+    }, { once: true });
+});
 
 /**
  * Custom hook for making authenticated and unauthenticated API calls with retry logic.
- * @param {string} token - The JWT token for authorization.
+ * The JWT of the current session is attached when logged in; a 401 on an authenticated
+ * call ends the session.
+ *
+ * Only failures that may go away are retried (network errors, timeouts, 5xx), with
+ * exponential backoff. POST/PATCH requests carry an Idempotency-Key that is the same for
+ * every attempt, so a write the server committed before failing is not repeated.
+ * Every attempt is bounded by a timeout, and the caller can cancel through an AbortSignal;
+ * a cancelled call rejects with an ApiError whose `aborted` flag is set (see isAbortError).
  */
-export const useApi = (token) => {
-    // Core fetching logic with headers and body handling
-    const fetchCore = useCallback(async (url, method, headers, body) => {
-        const response = await fetch(url, {
-            method,
-            headers,
-            body: body ? JSON.stringify(body) : null,
-        });
+export const useApi = () => {
+    const { token, handleUnauthorized } = useSession();
+
+    // Core fetching logic with headers and body handling; one attempt, bounded by `timeoutMs`
+    const fetchCore = useCallback(async (url, method, headers, body, { signal, timeoutMs, keepalive }) => {
+        // The in-browser mock backend answers instead of the server when switched on
+        const send = MOCK_AVAILABLE && isMockEnabled() ? mockFetch : fetch;
+
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        signal?.addEventListener('abort', abort, { once: true });
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+
+        let response;
+        try {
+            if (signal?.aborted) throw cancelledError();
+            response = await send(url, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : null,
+                signal: controller.signal,
+                keepalive,
+            });
+        } catch {
+            if (timedOut) {
+                throw new ApiError(translate('api.timeout'), 0, { timedOut: true });
+            }
+            if (signal?.aborted) throw cancelledError();
+            // fetch only rejects otherwise when the server could not be reached
+            throw new ApiError(translate('api.network'));
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        }
 
         if (response.status === 401) {
-            throw new Error('Unauthorized. Please log in again.');
+            throw new ApiError(translate('api.unauthorized'), 401);
         }
 
         if (!response.ok) {
-            const errorData = await response.json().catch(() => ({ message: 'Unknown server error' }));
-            throw new Error(errorData.message || `API call failed with status: ${response.status}`);
+            const errorData = await response.json().catch(() => ({ message: translate('api.unknown') }));
+            throw new ApiError(errorData.message || translate('api.failed', { status: response.status }), response.status);
         }
 
         // Handle 204 No Content responses
@@ -31,29 +90,63 @@ export const useApi = (token) => {
         return response.json();
     }, []);
 
-    // Fetch API with exponential backoff for robustness
-    const fetchApi = useCallback(async (endpoint, method = 'GET', body = null, retries = 3) => {
+    /**
+     * @param {string} endpoint - Path below BASE_URL.
+     * @param {string} method - HTTP method.
+     * @param {object|null} body - JSON body.
+     * @param {object} options - { retries = 3 (attempts in total), timeoutMs, signal,
+     *   idempotencyKey (reuse one to make a later resend, e.g. an offline replay, recognisable),
+     *   keepalive (let the request outlive the page, e.g. when sent on pagehide) }.
+     */
+    const fetchApi = useCallback(async (endpoint, method = 'GET', body = null, options = {}) => {
+        const { retries = 3, timeoutMs = REQUEST_TIMEOUT_MS, signal, idempotencyKey, keepalive = false } = options;
         const url = `${BASE_URL}${endpoint}`;
         const headers = { 'Content-Type': 'application/json' };
 
         if (token) {
             headers['Authorization'] = `Bearer ${token}`;
         }
+        if (NON_IDEMPOTENT_METHODS.includes(method)) {
+            headers[IDEMPOTENCY_HEADER] = idempotencyKey || createIdempotencyKey();
+        }
 
         for (let i = 0; i < retries; i++) {
             try {
-                return await fetchCore(url, method, headers, body);
+                return await fetchCore(url, method, headers, body, { signal, timeoutMs, keepalive });
             } catch (error) {
-                // If it's the last attempt or an unrecoverable error (like 401), re-throw immediately
-                if (i === retries - 1 || error.message.includes('Unauthorized')) {
+                // A rejected token means the session is over, wherever the call came from
+                if (error.status === 401 && token) {
+                    handleUnauthorized();
+                }
+                // 4xx answers and cancellations would end the same way again
+                if (i === retries - 1 || !isRetryableError(error)) {
                     throw error;
                 }
                 // Exponential backoff
-                const delay = Math.pow(2, i) * 1000;
-                await new Promise(resolve => setTimeout(resolve, delay));
+                await wait(Math.pow(2, i) * 1000, signal);
+            }
+        }
+    }, [token, fetchCore, handleUnauthorized]);
+
+    // GET that falls back to the last successful response (kept in IndexedDB) while offline
+    const fetchWithCache = useCallback(async (endpoint, options = {}) => {
+        if (!navigator.onLine) {
+            const cached = await readCache(endpoint).catch(() => undefined);
+            if (cached !== undefined) return cached;
+        }
+
+        try {
+            const result = await fetchApi(endpoint, 'GET', null, options);
+            writeCache(endpoint, result).catch(error => console.error('Failed to cache response:', error));
+            return result;
+        } catch (error) {
+            if (isNetworkError(error)) {
+                const cached = await readCache(endpoint).catch(() => undefined);
+                if (cached !== undefined) return cached;
             }
+            throw error;
         }
-    }, [token, fetchCore]);
+    }, [fetchApi]);
 
-    return { fetchApi };
-};
\ No newline at end of file
+    return { fetchApi, fetchWithCache };
+};
@@ -0,0 +1,68 @@
+import { useCallback } from 'react';
+import { useApi } from './useApi';
+import { useSession } from './useSession';
+import { isNetworkError } from '../utils/apiError';
+import { createIdempotencyKey } from '../utils/idempotency';
+import { attachmentsQueryKey, uploadAttachment } from '../utils/attachments';
+import { auditTrailQueryKey } from '../utils/auditTrail';
+import { queueAttachment } from '../utils/attachmentQueue';
+import { QUERY_KEYS, invalidateQueries, updateQueryData } from '../utils/queryCache';
+import { notifyError, notifyInfo } from '../utils/notifications';
+import { translate } from '../utils/i18n';
+
+/**
+ * Attaches prepared receipt images (see utils/images) to a transaction. Uploads right away
+ * when possible; without a connection, or while the transaction itself is still queued, the
+ * images are kept in the offline attachment queue and uploaded by useOfflineQueue later.
+ */
+export const useAttachmentUpload = () => {
+    const { user } = useSession();
+    const { fetchApi } = useApi();
+
+    /**
+     * @param {object} target - { transactionId } of a saved transaction, or { transactionKey }
+     *   (idempotency key) of one waiting in the offline queue.
+     * @param {Array<object>} receipts - Prepared images.
+     * @returns {Promise<{ uploaded: number, queued: number }>}
+     */
+    const attach = useCallback(async (target, receipts) => {
+        let uploaded = 0;
+        let queued = 0;
+
+        for (const receipt of receipts) {
+            // Kept for the queued copy: a timed out upload may still have been saved
+            const idempotencyKey = createIdempotencyKey();
+            if (target.transactionId && navigator.onLine) {
+                try {
+                    await uploadAttachment(fetchApi, target.transactionId, receipt, { idempotencyKey });
+                    uploaded++;
+                    continue;
+                } catch (error) {
+                    if (!isNetworkError(error)) {
+                        notifyError(translate('attachments.uploadFailed', { name: receipt.fileName, error: error.message }));
+                        continue;
+                    }
+                }
+            }
+            try {
+                await queueAttachment(user, target, receipt, idempotencyKey);
+                queued++;
+            } catch (error) {
+                notifyError(translate('attachments.storeFailed', { name: receipt.fileName, error: error.message }));
+            }
+        }
+
+        if (uploaded > 0) {
+            const id = String(target.transactionId);
+            updateQueryData(QUERY_KEYS.TRANSACTIONS, list => list.map(t => (t.id === id ? { ...t, attachmentCount: t.attachmentCount + uploaded } : t)));
+            invalidateQueries(attachmentsQueryKey(id), auditTrailQueryKey(id));
+        }
+        // Receipts of a queued transaction go along with it and need no extra message
+        if (queued > 0 && target.transactionId) {
+            notifyInfo(translate('attachments.queued', { count: queued }));
+        }
+        return { uploaded, queued };
+    }, [user, fetchApi]);
+
+    return { attach };
+};
@@ -0,0 +1,28 @@
+import { useCallback } from 'react';
+import { useApi } from './useApi';
+import { useQuery } from './useQuery';
+import { auditTrailPath, auditTrailQueryKey, normalizeAuditTrail } from '../utils/auditTrail';
+import { translate } from '../utils/i18n';
+
+const NO_ENTRIES = [];
+
+/**
+ * The audit trail of one transaction, newest entry first (falls back to the offline cache).
+ * @param {string} transactionId
+ */
+export const useAuditTrail = (transactionId) => {
+    const { fetchWithCache } = useApi();
+
+    const fetchAuditTrail = useCallback(async (signal) => normalizeAuditTrail(
+        await fetchWithCache(auditTrailPath(transactionId), { signal })
+    ), [fetchWithCache, transactionId]);
+
+    const { data, error, isFetching, refetch } = useQuery(auditTrailQueryKey(transactionId), fetchAuditTrail);
+
+    return {
+        entries: data || NO_ENTRIES,
+        isLoading: isFetching,
+        error: error ? translate('auditTrail.loadFailed', { error: error.message }) : '',
+        reload: refetch,
+    };
+};
@@ -0,0 +1,28 @@
+import { useCallback } from 'react';
+import { usePersistentState } from './usePersistentState';
+import { useSession } from './useSession';
+import { createBudgetId } from '../utils/budgets';
+import { toMonthKey } from '../utils/dates';
+
+/**
+ * The logged in user's category budgets, stored in localStorage (the backend has no budgets).
+ */
+export const useBudgets = () => {
+    const { user } = useSession();
+    const [budgets, setBudgets] = usePersistentState(`budgets.${user}`, []);
+
+    // Rollover starts counting from the month the budget was created in
+    const addBudget = useCallback((fields) => {
+        setBudgets(current => [...current, { ...fields, id: createBudgetId(), startMonth: toMonthKey(new Date()) }]);
+    }, [setBudgets]);
+
+    const updateBudget = useCallback((id, changes) => {
+        setBudgets(current => current.map(b => (b.id === id ? { ...b, ...changes } : b)));
+    }, [setBudgets]);
+
+    const removeBudget = useCallback((id) => {
+        setBudgets(current => current.filter(b => b.id !== id));
+    }, [setBudgets]);
+
+    return { budgets, addBudget, updateBudget, removeBudget };
+};
@@ -0,0 +1,28 @@
+import { useCallback } from 'react';
+import { usePersistentState } from './usePersistentState';
+import { STATIC_CURRENCIES } from '../constants';
+import { createRateId } from '../utils/exchangeRates';
+
+/**
+ * The user-maintained exchange-rate table and the base currency totals are reported in.
+ * Both live in localStorage; the backend has no notion of rates.
+ * @returns {{ rates: Array, baseCurrency: string, setBaseCurrency: Function, addRate: Function, removeRate: Function }}
+ */
+export const useExchangeRates = () => {
+    const [rates, setRates] = usePersistentState('exchangeRates.table', []);
+    const [baseCurrency, setBaseCurrency] = usePersistentState('exchangeRates.baseCurrency', STATIC_CURRENCIES[0].value);
+
+    // A rate for the same pair and day replaces the previous one
+    const addRate = useCallback(({ from, to, rate, date }) => {
+        setRates(current => [
+            ...current.filter(r => !(r.from === from && r.to === to && r.date === date)),
+            { id: createRateId(), from, to, rate, date },
+        ]);
+    }, [setRates]);
+
+    const removeRate = useCallback((id) => {
+        setRates(current => current.filter(r => r.id !== id));
+    }, [setRates]);
+
+    return { rates, baseCurrency, setBaseCurrency, addRate, removeRate };
+};
@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+import { readDraft, writeDraft } from '../utils/formDrafts';
+
+/**
+ * useState for a form field whose unsaved value is kept in sessionStorage.
+ * @param {string} key - Unique draft key, e.g. 'transactionForm.amount'.
+ * @param {*} initialValue - Used when no draft is stored.
+ * @param {boolean} preferInitial - Ignore a stored draft (e.g. when a deep link presets the field).
+ */
+export const useFormDraft = (key, initialValue, preferInitial = false) => {
+    const [value, setValue] = useState(() => (preferInitial ? initialValue : readDraft(key, initialValue)));
+
+    useEffect(() => {
+        writeDraft(key, value);
+    }, [key, value]);
+
+    return [value, setValue];
+};
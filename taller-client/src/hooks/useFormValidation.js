@@ -0,0 +1,44 @@
+import { useCallback, useState } from 'react';
+import { validateSchema } from '../utils/validation';
+
+// Focuses whichever of the fields comes first on the page
+const focusFirst = (fieldIds) => {
+    const [first] = fieldIds
+        .map(id => document.getElementById(id))
+        .filter(Boolean)
+        .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    first?.focus();
+};
+
+/**
+ * Field-level validation against a schema (see utils/validation). A field shows its error once
+ * it has been left (blur) and from then on updates as the user types; submitting shows every
+ * error and focuses the first invalid field.
+ * @param {object} schema - { [fieldId]: [rule, ...] }; may change between renders.
+ * @param {object} values - Current { [fieldId]: value }.
+ * @returns {{ errors: object, fieldProps: Function, validateAll: Function, reset: Function }}
+ *   `fieldProps(id)` gives the { error, onBlur } props of FormInput/FormSelect/CategoryTreePicker;
+ *   `validateAll()` returns true when the form is valid.
+ */
+export const useFormValidation = (schema, values) => {
+    const [touched, setTouched] = useState({});
+
+    const allErrors = validateSchema(schema, values);
+    const errors = Object.fromEntries(Object.entries(allErrors).filter(([field]) => touched[field]));
+
+    const touch = useCallback((field) => setTouched(current => (current[field] ? current : { ...current, [field]: true })), []);
+
+    const fieldProps = (field) => ({ error: errors[field] || '', onBlur: () => touch(field) });
+
+    const validateAll = () => {
+        setTouched(current => ({ ...current, ...Object.fromEntries(Object.keys(schema).map(field => [field, true])) }));
+        const invalid = Object.keys(allErrors);
+        if (invalid.length > 0) focusFirst(invalid);
+        return invalid.length === 0;
+    };
+
+    // Clears the shown errors, e.g. after a successful submit emptied the form
+    const reset = useCallback(() => setTouched({}), []);
+
+    return { errors, fieldProps, validateAll, reset };
+};
@@ -0,0 +1,18 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getLocale, setLocale, subscribe, translate } from '../utils/i18n';
+
+/**
+ * The UI language and the translate function bound to it (see utils/i18n). Components using
+ * it re-render when the language changes, in this tab or another one.
+ * @returns {{ locale: string, setLocale: Function, t: Function }}
+ *   `t(key, params)` fills {placeholders} from params and picks plurals by `params.count`.
+ */
+export const useI18n = () => {
+    const [locale, setCurrentLocale] = useState(getLocale);
+
+    useEffect(() => subscribe(() => setCurrentLocale(getLocale())), []);
+
+    const t = useCallback((key, params) => translate(key, params, locale), [locale]);
+
+    return { locale, setLocale, t };
+};
@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useSession } from './useSession';
+import { clearCache } from '../utils/offlineDb';
+import { subscribe, loadMockSettings, saveMockSettings } from '../utils/mockSettings';
+import { resetMockDatabase } from '../utils/mockBackend';
+
+/**
+ * Mock backend settings, kept in sync across components and tabs.
+ * Switching between the mock and the real server ends the session and drops the cached
+ * responses, since neither the token nor the data of one backend is valid on the other.
+ */
+export const useMockSettings = () => {
+    const { token, logout } = useSession();
+    const [settings, setSettings] = useState(loadMockSettings);
+
+    useEffect(() => subscribe(() => setSettings(loadMockSettings())), []);
+
+    const updateSettings = useCallback((changes) => {
+        const switchesBackend = changes.enabled !== undefined && changes.enabled !== loadMockSettings().enabled;
+        saveMockSettings(changes);
+        if (switchesBackend) {
+            clearCache().catch(error => console.error('Failed to clear the API cache:', error));
+            if (token) logout();
+        }
+    }, [token, logout]);
+
+    const resetData = useCallback(() => {
+        resetMockDatabase();
+        clearCache().catch(error => console.error('Failed to clear the API cache:', error));
+        if (token) logout();
+    }, [token, logout]);
+
+    return { settings, updateSettings, resetData };
+};
@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+import { subscribe, getNotifications, dismissNotification } from '../utils/notifications';
+
+/**
+ * The toasts currently shown (see utils/notifications). Components that only post toasts
+ * import notifySuccess/notifyError etc. directly and do not need this hook.
+ */
+export const useNotifications = () => {
+    const [notifications, setNotifications] = useState(getNotifications);
+
+    useEffect(() => subscribe(() => setNotifications(getNotifications())), []);
+
+    return { notifications, dismiss: dismissNotification };
+};
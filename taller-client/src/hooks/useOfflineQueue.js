@@ -0,0 +1,124 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useApi } from './useApi';
+import { useOnlineStatus } from './useOnlineStatus';
+import { useSession } from './useSession';
+import {
+    subscribe, listQueue, enqueueTransaction, discardQueued, markPending, replayQueue, savedLegIds,
+} from '../utils/offlineQueue';
+import {
+    subscribe as subscribeAttachments, listAttachmentQueue, linkQueuedAttachments, discardAttachmentsOf,
+    discardQueuedAttachment, markAttachmentPending, replayAttachments,
+} from '../utils/attachmentQueue';
+import { attachmentsQueryKey, uploadAttachment } from '../utils/attachments';
+import { auditTrailQueryKey } from '../utils/auditTrail';
+import { QUERY_KEYS, invalidateQueries } from '../utils/queryCache';
+import { notifyError } from '../utils/notifications';
+import { translate } from '../utils/i18n';
+
+/**
+ * Exposes the logged in user's offline transaction queue (kept per user), along with the
+ * receipts waiting for upload, and replays both whenever connectivity returns.
+ */
+export const useOfflineQueue = () => {
+    const { token, user } = useSession();
+    const { fetchApi } = useApi();
+    const isOnline = useOnlineStatus();
+    const [items, setItems] = useState([]);
+    const [attachments, setAttachments] = useState([]);
+    const [isReplaying, setIsReplaying] = useState(false);
+
+    const refresh = useCallback(async () => {
+        if (!user) {
+            setItems([]);
+            setAttachments([]);
+            return;
+        }
+        try {
+            setItems(await listQueue(user));
+            setAttachments(await listAttachmentQueue(user));
+        } catch (error) {
+            console.error('Offline queue unavailable:', error);
+        }
+    }, [user]);
+
+    useEffect(() => {
+        refresh();
+        const unsubscribe = subscribe(refresh);
+        const unsubscribeAttachments = subscribeAttachments(refresh);
+        return () => {
+            unsubscribe();
+            unsubscribeAttachments();
+        };
+    }, [refresh]);
+
+    const replay = useCallback(async () => {
+        if (!token || !user || !navigator.onLine) return 0;
+        setIsReplaying(true);
+        try {
+            // Single attempt per leg: a failure is either recorded on the item or ends the run
+            let removedLegs = false;
+            const replayed = await replayQueue(user, {
+                send: (body, idempotencyKey) => fetchApi('/transaction', 'POST', body, { retries: 1, idempotencyKey }),
+                remove: async (id) => {
+                    await fetchApi(`/transaction/${id}`, 'DELETE', null, { retries: 1 });
+                    removedLegs = true;
+                },
+                // Receipts taken with the transaction go to its first leg, now that it has an id
+                complete: (item, createdIds) => linkQueuedAttachments(item.idempotencyKey, createdIds[0]),
+            });
+
+            const uploadedTo = new Set();
+            await replayAttachments(user, async (item) => {
+                await uploadAttachment(fetchApi, item.transactionId, item, { retries: 1, idempotencyKey: item.idempotencyKey });
+                uploadedTo.add(item.transactionId);
+            });
+
+            if (replayed > 0 || removedLegs || uploadedTo.size > 0) {
+                invalidateQueries(QUERY_KEYS.TRANSACTIONS, ...[...uploadedTo].flatMap(id => [attachmentsQueryKey(id), auditTrailQueryKey(id)]));
+            }
+            return replayed;
+        } finally {
+            setIsReplaying(false);
+        }
+    }, [token, user, fetchApi]);
+
+    // Replay on mount and every time the browser comes back online
+    useEffect(() => {
+        if (isOnline) {
+            // Nobody awaits this run, so a failure (e.g. IndexedDB unavailable) is shown here
+            replay().catch(error => notifyError(translate('pending.syncFailed', { error: error.message })));
+        }
+    }, [isOnline, replay]);
+
+    const enqueue = useCallback((legs, details) => enqueueTransaction(user, legs, details), [user]);
+
+    const retry = useCallback(async (id) => {
+        await markPending(id);
+        return replay();
+    }, [replay]);
+
+    // The receipts of a discarded transaction have nothing to be attached to, and a transfer leg
+    // that was already saved is deleted with it
+    const discard = useCallback(async (id) => {
+        const item = items.find(queued => queued.id === id);
+        if (item) {
+            const saved = savedLegIds(item);
+            if (saved.length > 0) {
+                await Promise.all(saved.map(legId => fetchApi(`/transaction/${legId}`, 'DELETE')));
+                invalidateQueries(QUERY_KEYS.TRANSACTIONS);
+            }
+            await discardAttachmentsOf(item.idempotencyKey);
+        }
+        await discardQueued(id);
+    }, [items, fetchApi]);
+
+    const retryAttachment = useCallback(async (id) => {
+        await markAttachmentPending(id);
+        return replay();
+    }, [replay]);
+
+    return {
+        items, attachments, isOnline, isReplaying, enqueue, replay, retry, discard,
+        retryAttachment, discardAttachment: discardQueuedAttachment,
+    };
+};
@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react';
+
+const readStoredValue = (key, initialValue) => {
+    try {
+        const stored = localStorage.getItem(key);
+        return stored !== null ? JSON.parse(stored) : initialValue;
+    } catch {
+        return initialValue;
+    }
+};
+
+/**
+ * useState that is mirrored to localStorage, so the value survives view changes and reloads.
+ * @param {string} key - localStorage key.
+ * @param {*} initialValue - Used when nothing (or something unparsable) is stored.
+ */
+export const usePersistentState = (key, initialValue) => {
+    const [value, setValue] = useState(() => readStoredValue(key, initialValue));
+
+    useEffect(() => {
+        localStorage.setItem(key, JSON.stringify(value));
+    }, [key, value]);
+
+    return [value, setValue];
+};
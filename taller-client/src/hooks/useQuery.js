@@ -0,0 +1,28 @@
+import { useCallback, useEffect, useState } from 'react';
+import { STALE_TIME_MS, fetchQuery, getQueryState, isStale, subscribeQuery } from '../utils/queryCache';
+
+/**
+ * Reads `key` from the shared query cache: cached data is returned at once and refetched in
+ * the background when stale; every component using the key sees the same data.
+ * @param {string} key - One of QUERY_KEYS.
+ * @param {Function} fetcher - signal => Promise of the data; keep it stable (useCallback).
+ * @returns {{ data: *, error: Error|null, isFetching: boolean, refetch: Function }}
+ *   `refetch` always goes to the server and resolves once the data is in (never rejects).
+ */
+export const useQuery = (key, fetcher, { staleTime = STALE_TIME_MS } = {}) => {
+    const [state, setState] = useState(() => getQueryState(key));
+
+    useEffect(() => {
+        const sync = () => setState(getQueryState(key));
+        const unsubscribe = subscribeQuery(key, sync, fetcher);
+        sync();
+        if (isStale(getQueryState(key), staleTime)) {
+            fetchQuery(key, fetcher).catch(() => {});
+        }
+        return unsubscribe;
+    }, [key, fetcher, staleTime]);
+
+    const refetch = useCallback(() => fetchQuery(key, fetcher, { force: true }).then(() => undefined, () => undefined), [key, fetcher]);
+
+    return { data: state.data, error: state.error, isFetching: Boolean(state.promise), refetch };
+};
@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useApi } from './useApi';
+import { useSession } from './useSession';
+import { addDays, toDateKey } from '../utils/dates';
+import { QUERY_KEYS, invalidateQueries } from '../utils/queryCache';
+import {
+    subscribe, loadRules, upsertRule, updateRule, removeRule, setAdjustment, catchUpRecurring,
+} from '../utils/recurringRules';
+
+/**
+ * The logged in user's recurring rules, kept in sync across components and tabs,
+ * plus `catchUp()` which creates the occurrences that have fallen due.
+ */
+export const useRecurringRules = () => {
+    const { token, user } = useSession();
+    const { fetchApi } = useApi();
+    const [rules, setRules] = useState(() => (user ? loadRules(user) : []));
+
+    useEffect(() => {
+        const refresh = () => setRules(user ? loadRules(user) : []);
+        refresh();
+        return subscribe(refresh);
+    }, [user]);
+
+    const saveRule = useCallback((rule) => upsertRule(user, rule), [user]);
+    const deleteRule = useCallback((id) => removeRule(user, id), [user]);
+    // Resuming does not back-fill the occurrences that fell into the pause
+    const setActive = useCallback((id, active) => updateRule(user, id, (rule) => {
+        const yesterday = addDays(toDateKey(new Date()), -1);
+        const skipTo = active && rule.startDate <= yesterday && (rule.lastGeneratedDate || '') < yesterday;
+        return { ...rule, active, lastGeneratedDate: skipTo ? yesterday : rule.lastGeneratedDate };
+    }), [user]);
+    const adjustOccurrence = useCallback((id, day, adjustment) => setAdjustment(user, id, day, adjustment), [user]);
+
+    const catchUp = useCallback(() => {
+        if (!token || !user || !navigator.onLine) return Promise.resolve(0);
+        // Single attempt per occurrence; a failure is recorded on the rule or ends the run
+        return catchUpRecurring(user, (body, idempotencyKey) => fetchApi('/transaction', 'POST', body, { retries: 1, idempotencyKey }), toDateKey(new Date()))
+            .then((created) => {
+                if (created > 0) invalidateQueries(QUERY_KEYS.TRANSACTIONS);
+                return created;
+            });
+    }, [token, user, fetchApi]);
+
+    return { rules, saveRule, deleteRule, setActive, adjustOccurrence, catchUp };
+};
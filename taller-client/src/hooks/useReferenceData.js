@@ -0,0 +1,69 @@
+import { useCallback } from 'react';
+import { useApi } from './useApi';
+import { useQuery } from './useQuery';
+import { normalizeCategory } from '../utils/categories';
+import { QUERY_KEYS } from '../utils/queryCache';
+import { translate } from '../utils/i18n';
+
+const NO_CONTAINERS = { containers: [], accounts: [] };
+const NO_CATEGORIES = [];
+
+/**
+ * Loads the containers, all of their accounts and the categories of the logged in user.
+ * Accounts are flattened and tagged with their containerId. Falls back to the offline cache.
+ * Served from the shared query cache (QUERY_KEYS.CONTAINERS holds containers and accounts,
+ * QUERY_KEYS.CATEGORIES the categories).
+ */
+export const useReferenceData = () => {
+    const { fetchWithCache } = useApi();
+
+    const fetchContainers = useCallback(async (signal) => {
+        const containerResult = await fetchWithCache('/account-container', { signal });
+
+        // NOTE: Assuming endpoint /account-container/{containerId}/accounts
+        const accountResults = await Promise.all(
+            containerResult.map(c => fetchWithCache(`/account-container/${c.id}/accounts`, { signal }))
+        );
+
+        return {
+            containers: containerResult.map(c => ({ id: String(c.id), name: c.name })),
+            accounts: accountResults.flatMap((result, index) => result.map(a => ({
+                id: String(a.id),
+                name: a.name,
+                accountType: a.accountType,
+                currency: a.currency,
+                initialBalance: a.initialBalance,
+                // NOTE: Assuming AccountDto carries its creation instant; null when the backend omits it
+                createdAt: a.createdAt || null,
+                containerId: String(containerResult[index].id),
+            }))),
+        };
+    }, [fetchWithCache]);
+
+    const fetchCategories = useCallback(async (signal) => {
+        const categoryResult = await fetchWithCache('/category', { signal });
+        return categoryResult.map(normalizeCategory);
+    }, [fetchWithCache]);
+
+    const containerQuery = useQuery(QUERY_KEYS.CONTAINERS, fetchContainers);
+    const categoryQuery = useQuery(QUERY_KEYS.CATEGORIES, fetchCategories);
+    const { refetch: refetchContainers } = containerQuery;
+    const { refetch: refetchCategories } = categoryQuery;
+
+    const reload = useCallback(
+        () => Promise.all([refetchContainers(), refetchCategories()]),
+        [refetchContainers, refetchCategories]
+    );
+
+    const loadError = containerQuery.error || categoryQuery.error;
+    const { containers, accounts } = containerQuery.data || NO_CONTAINERS;
+
+    return {
+        containers,
+        accounts,
+        categories: categoryQuery.data || NO_CATEGORIES,
+        isLoading: containerQuery.isFetching || categoryQuery.isFetching,
+        error: loadError ? translate('load.referenceData', { error: loadError.message }) : '',
+        reload,
+    };
+};
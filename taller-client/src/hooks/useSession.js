@@ -0,0 +1,14 @@
+import { useContext } from 'react';
+import { SessionContext } from '../context/SessionContext';
+
+/**
+ * Current session: { token, user, expiresAt, isExpiringSoon, logoutReason, login, logout, handleUnauthorized }.
+ * Must be used below SessionProvider.
+ */
+export const useSession = () => {
+    const session = useContext(SessionContext);
+    if (!session) {
+        throw new Error('useSession must be used within a SessionProvider.');
+    }
+    return session;
+};
@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useApi } from './useApi';
+import { useQuery } from './useQuery';
+import { useSession } from './useSession';
+import { useAttachmentUpload } from './useAttachmentUpload';
+import { attachmentDataUrl, attachmentsPath, attachmentsQueryKey, normalizeAttachment } from '../utils/attachments';
+import { auditTrailQueryKey } from '../utils/auditTrail';
+import { subscribe, listAttachmentQueue } from '../utils/attachmentQueue';
+import { QUERY_KEYS, invalidateQueries, updateQueryData } from '../utils/queryCache';
+import { translate } from '../utils/i18n';
+
+const NO_ATTACHMENTS = [];
+
+/**
+ * Attachments of one saved transaction (falls back to the offline cache), plus the receipts
+ * for it that still wait in the offline attachment queue.
+ * @param {string} transactionId
+ */
+export const useTransactionAttachments = (transactionId) => {
+    const { user } = useSession();
+    const { fetchApi, fetchWithCache } = useApi();
+    const { attach } = useAttachmentUpload();
+    const [queued, setQueued] = useState(NO_ATTACHMENTS);
+
+    const key = attachmentsQueryKey(transactionId);
+    const fetchAttachments = useCallback(async (signal) => {
+        const result = await fetchWithCache(attachmentsPath(transactionId), { signal });
+        return result.map(normalizeAttachment);
+    }, [fetchWithCache, transactionId]);
+
+    const { data, error, isFetching, refetch } = useQuery(key, fetchAttachments);
+
+    useEffect(() => {
+        const refresh = async () => {
+            try {
+                const items = await listAttachmentQueue(user);
+                setQueued(items.filter(item => item.transactionId === transactionId));
+            } catch (queueError) {
+                console.error('Offline attachment queue unavailable:', queueError);
+            }
+        };
+        refresh();
+        return subscribe(refresh);
+    }, [user, transactionId]);
+
+    const addReceipts = useCallback((receipts) => attach({ transactionId }, receipts), [attach, transactionId]);
+
+    // Removed from the list right away; restored when the server refuses
+    const removeAttachment = useCallback(async (attachmentId) => {
+        const rollback = updateQueryData(key, list => list.filter(a => a.id !== attachmentId));
+        try {
+            await fetchApi(attachmentsPath(transactionId, attachmentId), 'DELETE');
+        } catch (deleteError) {
+            rollback();
+            throw deleteError;
+        }
+        updateQueryData(QUERY_KEYS.TRANSACTIONS, list => list.map(t => (t.id === transactionId
+            ? { ...t, attachmentCount: Math.max(0, t.attachmentCount - 1) }
+            : t)));
+        invalidateQueries(auditTrailQueryKey(transactionId));
+    }, [fetchApi, key, transactionId]);
+
+    // The full-size image is only downloaded when it is opened
+    const loadImage = useCallback(async (attachmentId) => attachmentDataUrl(
+        await fetchApi(attachmentsPath(transactionId, attachmentId), 'GET')
+    ), [fetchApi, transactionId]);
+
+    return {
+        attachments: data || NO_ATTACHMENTS,
+        queued,
+        isLoading: isFetching,
+        error: error ? translate('attachments.loadFailed', { error: error.message }) : '',
+        reload: refetch,
+        addReceipts,
+        removeAttachment,
+        loadImage,
+    };
+};
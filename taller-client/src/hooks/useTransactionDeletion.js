@@ -0,0 +1,52 @@
+import { useCallback } from 'react';
+import { useApi } from './useApi';
+import { useTransactions } from './useTransactions';
+import { findTransferLegs } from '../utils/transfers';
+import { scheduleDeletion, UNDO_WINDOW_MS } from '../utils/pendingDeletions';
+import { QUERY_KEYS, invalidateQueries, updateQueryData } from '../utils/queryCache';
+import { notifyError, notifyInfo } from '../utils/notifications';
+import { translate } from '../utils/i18n';
+
+/**
+ * Deletes transactions with an undo window (see utils/pendingDeletions). A transfer is always
+ * deleted as a whole, both legs.
+ */
+export const useTransactionDeletion = () => {
+    const { fetchApi } = useApi();
+    const { transactions } = useTransactions();
+
+    const deleteTransaction = useCallback((transaction) => {
+        const legs = findTransferLegs(transactions, transaction).filter(Boolean);
+        const ids = legs.map(leg => leg.id);
+
+        // NOTE: Assuming DELETE /transaction/{id} also removes the transaction's attachments
+        const commit = async (requestOptions) => {
+            const results = await Promise.allSettled(ids.map(id => fetchApi(`/transaction/${id}`, 'DELETE', null, requestOptions)));
+            const deleted = ids.filter((_, index) => results[index].status === 'fulfilled');
+            updateQueryData(QUERY_KEYS.TRANSACTIONS, list => list.filter(t => !deleted.includes(t.id)));
+            invalidateQueries(QUERY_KEYS.TRANSACTIONS);
+
+            const failure = results.find(result => result.status === 'rejected');
+            if (failure) {
+                notifyError(translate('transactionActions.deleteFailed', { description: transaction.description, error: failure.reason.message }), {
+                    action: { label: translate('common.retry'), onClick: () => deleteTransaction(transaction) },
+                });
+            }
+        };
+
+        const { undo, pause, resume } = scheduleDeletion(ids, commit);
+        notifyInfo(translate(legs.length > 1 ? 'transactionActions.transferDeleted' : 'transactionActions.deleted', { description: transaction.description }), {
+            action: {
+                label: translate('common.undo'),
+                onClick: () => {
+                    if (!undo()) notifyError(translate('transactionActions.undoTooLate'));
+                },
+            },
+            duration: UNDO_WINDOW_MS,
+            // The deletion waits as long as the toast does
+            onPauseChange: isPaused => (isPaused ? pause() : resume()),
+        });
+    }, [fetchApi, transactions]);
+
+    return { deleteTransaction };
+};
@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useApi } from './useApi';
+import { useQuery } from './useQuery';
+import { normalizeTransaction } from '../utils/transactions';
+import { QUERY_KEYS } from '../utils/queryCache';
+import { getHiddenTransactionIds, subscribe } from '../utils/pendingDeletions';
+import { translate } from '../utils/i18n';
+
+const NO_TRANSACTIONS = [];
+
+/**
+ * Loads every transaction of the logged in user (falls back to the offline cache).
+ * Served from the shared query cache, so all views see the same list; mutations
+ * invalidate QUERY_KEYS.TRANSACTIONS instead of reloading. Transactions waiting to be
+ * deleted (see utils/pendingDeletions) are left out.
+ */
+export const useTransactions = () => {
+    const { fetchWithCache } = useApi();
+    const [hiddenIds, setHiddenIds] = useState(getHiddenTransactionIds);
+
+    useEffect(() => subscribe(() => setHiddenIds(getHiddenTransactionIds())), []);
+
+    // NOTE: Assuming GET /transaction lists the user's AccountTransactionDtos
+    const fetchTransactions = useCallback(async (signal) => {
+        const result = await fetchWithCache('/transaction', { signal });
+        return result.map(normalizeTransaction);
+    }, [fetchWithCache]);
+
+    const { data, error, isFetching, refetch } = useQuery(QUERY_KEYS.TRANSACTIONS, fetchTransactions);
+
+    const transactions = useMemo(() => {
+        if (!data) return NO_TRANSACTIONS;
+        return hiddenIds.size > 0 ? data.filter(t => !hiddenIds.has(t.id)) : data;
+    }, [data, hiddenIds]);
+
+    return {
+        transactions,
+        isLoading: isFetching,
+        error: error ? translate('load.transactions', { error: error.message }) : '',
+        reload: refetch,
+    };
+};
@@ -0,0 +1,746 @@
+// --- English UI Strings ---
+// Keys are grouped by the component or module that uses them; see utils/i18n for the
+// {placeholder} and plural ({ one, other }) syntax.
+
+const en = {
+    app: {
+        title: 'TALLER API CLIENT',
+        loggedInAs: 'Logged in as:',
+        logout: 'Logout',
+        language: 'Language',
+        queuedTitle: 'Transactions waiting to be sent',
+        offlineTitle: 'Offline',
+    },
+    nav: {
+        home: 'Home',
+        containers: 'Containers',
+        categories: 'Categories',
+        newTransaction: 'Txn',
+        history: 'History',
+        recurring: 'Recurring',
+        budgets: 'Budgets',
+        analytics: 'Analytics',
+        import: 'Import',
+        export: 'Export',
+        rates: 'Rates',
+    },
+    common: {
+        user: 'User:',
+        owner: 'Owner:',
+        currency: 'Currency',
+        amount: 'Amount',
+        selectCurrency: 'Select Currency',
+        selectContainer: 'Select Container',
+        selectAccount: 'Select Account',
+        selectContainerFirst: 'Select a Container first',
+        selectOption: 'Select an option...',
+        reloadData: 'Reload Data',
+        creating: 'Creating...',
+        cancel: 'Cancel',
+        delete: 'Delete',
+        deleting: 'Deleting...',
+        dismiss: 'Dismiss notification',
+        notifications: 'Notifications',
+        saving: 'Saving...',
+        undo: 'Undo',
+        retry: 'Retry',
+    },
+    transactionTypes: {
+        EXPENSE: 'Expense',
+        INCOME: 'Income',
+        TRANSFER: 'Transfer',
+    },
+    accountTypes: {
+        CHECKING: 'Checking',
+        SAVINGS: 'Savings',
+        CASH: 'Cash',
+    },
+    validation: {
+        required: 'This field is required.',
+        number: 'Please enter a number.',
+        range: 'Must be between {min} and {max}.',
+        positive: 'Must be greater than zero.',
+        nonNegative: 'Must not be negative.',
+        unique: 'This value is already used.',
+        wholeAmount: '{currency} amounts have no decimal places.',
+        precision: {
+            one: '{currency} amounts have at most {count} decimal place.',
+            other: '{currency} amounts have at most {count} decimal places.',
+        },
+    },
+    categoryPicker: {
+        placeholder: 'Select Category',
+        search: 'Search categories...',
+        searchLabel: 'Search categories',
+        noMatch: 'No matching category.',
+    },
+    load: {
+        referenceData: 'Failed to load necessary data: {error}',
+        transactions: 'Failed to load transactions: {error}',
+    },
+    auth: {
+        login: 'Login',
+        register: 'Register',
+        loginTitle: 'User Login',
+        registerTitle: 'Create New User',
+        username: 'Username',
+        password: 'Password',
+        usernamePlaceholder: 'enter username',
+        passwordPlaceholder: 'enter password',
+        processing: 'Processing...',
+        usernameRequired: 'Please enter a username.',
+        passwordRequired: 'Please enter a password.',
+        registered: "User '{username}' created. Please log in.",
+        failed: 'An error occurred during authentication.',
+        sessionExpired: 'Your session has expired. Please log in again.',
+        unauthorized: 'Your session is no longer valid. Please log in again.',
+    },
+    containerForm: {
+        title: 'Create Account Container',
+        name: 'Account Container Name',
+        namePlaceholder: 'e.g., Personal Finances, Business Account',
+        accounts: 'Accounts',
+        add: 'Add',
+        account: 'Account {number}',
+        removeAccount: 'Remove account {number}',
+        accountName: 'Name',
+        accountNamePlaceholder: 'e.g., Checking, Savings',
+        accountType: 'Account Type',
+        initialBalance: 'Initial Balance',
+        submit: 'Create Container & Accounts',
+        goToTransactions: 'Go to Transactions',
+        nameRequired: 'Please enter an Account Container Name.',
+        accountNameRequired: 'Please name the account.',
+        accountNameTaken: 'Another account in this container already has this name.',
+        accountTypeRequired: 'Please choose an account type.',
+        currencyRequired: 'Please choose a currency.',
+        balanceNegative: 'The initial balance must not be negative.',
+        created: {
+            one: "Account Container '{name}' created with {count} account.",
+            other: "Account Container '{name}' created with {count} accounts.",
+        },
+        failed: 'Failed to create account container.',
+    },
+    transactionForm: {
+        title: 'Create Account Transaction',
+        offlineMode: 'Offline mode: using cached data, new transactions will be queued.',
+        loading: 'Loading Account Data...',
+        description: 'Transaction Description',
+        descriptionPlaceholder: 'e.g., Grocery Shopping, Monthly Salary',
+        selectAccountFirst: 'Select an Account first',
+        amountPlaceholder: 'Amount (e.g., {example})',
+        noRate: 'No {from} → {to} rate for today.',
+        addRate: 'Add one',
+        bookedAs: 'Booked as {amount} (1 {from} = {rate} {to}).',
+        container: 'Account Container',
+        account: 'Account',
+        category: 'Category',
+        split: 'Split across several categories',
+        overBudget: 'This expense puts {category} over budget: {spent} of {limit} this month.',
+        type: 'Transaction Type',
+        transferDestination: 'Transfer destination',
+        destinationContainer: 'Destination Container',
+        destinationAccount: 'Destination Account',
+        received: 'Received ({currency})',
+        rate: 'Rate (1 {from} = ? {to})',
+        latitude: 'Latitude',
+        longitude: 'Longitude',
+        captureLocation: 'Use current location',
+        time: 'Transaction Time',
+        timePresets: {
+            now: 'Now',
+            yesterday: 'Yesterday',
+            monthStart: 'Start of month',
+        },
+        timeZone: 'Local time, {zone} ({offset}).',
+        timeNow: 'Set to the moment you save.',
+        futureTime: 'This time is in the future.',
+        beforeAccountCreated: 'This time is before {account} was created ({date}).',
+        submit: 'Create Transaction',
+        goToContainerCreation: 'Go to Account Container Creation',
+        descriptionRequired: 'Please enter a description.',
+        amountRequired: 'Please enter an amount.',
+        amountPositive: 'The amount must be greater than zero.',
+        containerRequired: 'Please select an account container.',
+        accountRequired: 'Please select an account.',
+        categoryRequired: 'Please select a category.',
+        destinationContainerRequired: 'Please select the destination container.',
+        destinationAccountRequired: 'Please select the destination account of the transfer.',
+        sameAccount: 'Source and destination accounts must differ.',
+        receivedRequired: 'Please enter the received amount in {currency} or the exchange rate.',
+        receivedPositive: 'The received amount must be greater than zero.',
+        ratePositive: 'The exchange rate must be greater than zero.',
+        latitudeRange: 'Latitude must be between -90 and 90.',
+        longitudeRange: 'Longitude must be between -180 and 180.',
+        locationCaptured: 'Geolocation captured.',
+        locationError: 'Geolocation error: {error}',
+        locationUnsupported: 'Geolocation is not supported by this browser.',
+        missingRate: 'No exchange rate from {from} to {to} yet. Add one under Rates first.',
+        queued: "Offline: transaction '{description}' was saved and will be sent when the connection returns.",
+        transferCreated: "Transfer '{description}' of {amount} to {account} created.",
+        created: "Transaction '{description}' of {amount} created.",
+        createdConverted: "Transaction '{description}' of {amount} ({converted}) created.",
+        failed: 'Failed to create transaction.',
+        editTitle: 'Edit Transaction',
+        save: 'Save Changes',
+        delete: 'Delete Transaction',
+        deleteTransfer: 'Delete Transfer',
+        editOffline: 'Offline: changes to saved transactions need a connection.',
+        updated: "Transaction '{description}' updated.",
+        updateFailed: 'Failed to save the changes.',
+        notFound: 'This transaction does not exist (any more).',
+        backToHistory: 'Back to the history',
+    },
+    splits: {
+        lineCategory: 'Line {number} Category',
+        removeLine: 'Remove line {number}',
+        addLine: 'Add Line',
+        assigned: 'Assigned {assigned} of {total}',
+        left: '{amount} left',
+        tooMuch: '{amount} too much',
+        addToLast: 'Add to last line',
+        tooFewLines: 'A split needs at least two lines.',
+        incompleteLine: 'Every split line needs a category and a positive amount.',
+        unassigned: 'The split lines must add up to the total; {amount} is unassigned.',
+        overassigned: 'The split lines must add up to the total; {amount} is assigned too much.',
+    },
+    pending: {
+        title: 'Pending ({count})',
+        sync: 'Sync now',
+        offline: 'You are offline. These transactions will be sent automatically when the connection returns.',
+        syncFailed: 'Could not sync the pending transactions: {error}',
+        actionFailed: 'The pending item could not be updated: {error}',
+        retry: 'Retry',
+        discard: 'Discard',
+        receipts: {
+            one: '{count} receipt',
+            other: '{count} receipts',
+        },
+        receiptFor: 'Receipt for transaction #{id}',
+        status: {
+            PENDING: 'Pending',
+            FAILED: 'Failed',
+            CONFLICT: 'Conflict',
+        },
+    },
+    attachments: {
+        title: 'Receipts',
+        none: 'No receipts attached.',
+        takePhoto: 'Take photo',
+        chooseFiles: 'Choose images',
+        processing: 'Preparing images...',
+        remove: 'Remove {name}',
+        close: 'Close',
+        loadingImage: 'Loading image...',
+        imageFailed: 'Could not load the image: {error}',
+        loadFailed: 'Could not load the receipts: {error}',
+        deleteTitle: 'Delete receipt?',
+        deleteDescription: "The receipt '{name}' will be removed from the transaction.",
+        deleted: "Receipt '{name}' deleted.",
+        queued: {
+            one: 'Offline: {count} receipt saved on this device; it will be uploaded when the connection returns.',
+            other: 'Offline: {count} receipts saved on this device; they will be uploaded when the connection returns.',
+        },
+        uploadFailed: "Could not upload '{name}': {error}",
+        storeFailed: "Could not keep '{name}' for a later upload: {error}",
+        notImage: "'{name}' is not an image.",
+        unreadable: "Could not read the image '{name}'.",
+        processingFailed: 'Could not compress the image.',
+    },
+    transactionActions: {
+        deleted: "Transaction '{description}' deleted.",
+        transferDeleted: "Transfer '{description}' deleted (both accounts).",
+        deleteFailed: "Failed to delete '{description}': {error}",
+        undoTooLate: 'Too late to undo: the deletion was already sent.',
+    },
+    auditTrail: {
+        title: 'Change history',
+        none: 'No changes recorded.',
+        loadFailed: 'Failed to load the change history: {error}',
+        actions: {
+            CREATED: 'Created',
+            UPDATED: 'Edited',
+            DELETED: 'Deleted',
+            ATTACHMENT_ADDED: 'Receipt added',
+            ATTACHMENT_REMOVED: 'Receipt removed',
+        },
+        fields: {
+            description: 'Description',
+            amount: 'Amount',
+            transactionType: 'Type',
+            transactionTime: 'Time',
+            account: 'Account',
+            counterpartAccount: 'Transfer account',
+            category: 'Category',
+            splits: 'Split',
+            latitude: 'Latitude',
+            longitude: 'Longitude',
+            originalAmount: 'Entered amount',
+            originalCurrency: 'Entered currency',
+            exchangeRate: 'Exchange rate',
+            attachments: 'Receipt',
+        },
+    },
+    dashboard: {
+        title: 'Dashboard',
+        netWorthIn: 'Net worth in',
+        baseCurrency: 'Base currency',
+        excludes: 'Excludes {currencies} (no rate).',
+        addRates: 'Add rates',
+        total: 'Total {currency}',
+        noAccounts: 'No accounts yet.',
+        getStarted: 'Create a container to get started.',
+        thisMonth: 'This Month',
+        income: 'Income {amount}',
+        expense: 'Expense {amount}',
+        net: 'Net {amount}',
+        balances: 'Balances',
+        containerTotal: 'Total:',
+        recentActivity: 'Recent Activity',
+        viewAll: 'View all',
+        noTransactions: 'No transactions recorded yet.',
+        split: {
+            one: 'Split ({count} category)',
+            other: 'Split ({count} categories)',
+        },
+    },
+    transactionHistory: {
+        title: 'Transaction History',
+        filters: 'Filters',
+        clearFilters: 'Clear filters',
+        container: 'Container',
+        account: 'Account',
+        category: 'Category',
+        type: 'Type',
+        allContainers: 'All containers',
+        allAccounts: 'All accounts',
+        allCategories: 'All categories',
+        allTypes: 'All types',
+        from: 'From',
+        to: 'To',
+        minAmount: 'Min Amount',
+        maxAmount: 'Max Amount',
+        anyAmount: 'Any',
+        columns: {
+            transactionTime: 'Date',
+            description: 'Description',
+            account: 'Account',
+            category: 'Category',
+            transactionType: 'Type',
+            amount: 'Amount',
+        },
+        actions: 'Actions',
+        transferFrom: 'from {account}',
+        transferTo: 'to {account}',
+        receipts: 'Receipts',
+        receiptsOf: 'Receipts of {description}',
+        history: 'Change history',
+        historyOf: 'Change history of {description}',
+        edit: 'Edit',
+        editLabel: 'Edit {description}',
+        delete: 'Delete',
+        deleteLabel: 'Delete {description}',
+        empty: 'No transactions recorded yet.',
+        noMatch: 'No transactions match the filters.',
+    },
+    analytics: {
+        title: 'Analytics',
+        byCategory: 'By Category',
+        uncategorized: 'Uncategorized',
+        monthly: 'Monthly Income vs. Expense',
+        income: 'Income',
+        expense: 'Expense',
+        balanceOverTime: 'Balance Over Time',
+        balance: 'Balance ({currency})',
+    },
+    charts: {
+        noData: 'No data for the selected filters.',
+        categoryBreakdown: 'Category breakdown',
+    },
+    pagination: {
+        range: '{first}–{last} of {total}',
+        rowsPerPage: 'Rows per page',
+        perPage: '{size} / page',
+        previous: 'Previous page',
+        next: 'Next page',
+    },
+    inlineEdit: {
+        rename: 'Rename {label}',
+        save: 'Save',
+    },
+    budgets: {
+        title: 'Budgets',
+        previousMonth: 'Previous month',
+        nextMonth: 'Next month',
+        empty: 'No budgets yet. Set a monthly limit for a category below.',
+        deletedCategory: 'Deleted category',
+        deletedContainer: 'Deleted container',
+        allContainers: 'All containers',
+        rollover: 'Rollover',
+        rolloverHint: 'Unused amounts roll over to the next month',
+        deleteLabel: 'Delete budget for {name}',
+        usedLabel: '{name} budget used',
+        spentOf: '{spent} of {limit}',
+        carried: ' (incl. {amount} carried over)',
+        over: '{amount} over',
+        left: '{amount} left',
+        unconverted: {
+            one: '{count} expense in another currency is not counted: no exchange rate to {currency}.',
+            other: '{count} expenses in other currencies are not counted: no exchange rate to {currency}.',
+        },
+        startsIn: 'This budget starts in {month}.',
+        monthlyLimit: 'Monthly limit',
+        newBudget: 'New Budget',
+        category: 'Category (includes its subcategories)',
+        container: 'Container',
+        limit: 'Monthly Limit',
+        rolloverOption: 'Roll unused amounts over to the next month',
+        add: 'Add Budget',
+        incomplete: 'Please choose a category and a positive monthly limit.',
+        duplicate: 'This category already has a budget for that scope. Edit the existing one instead.',
+        created: "Budget for '{category}' created.",
+    },
+    exchangeRates: {
+        title: 'Exchange Rates',
+        intro: 'A rate applies from its date until a newer rate for the same pair. Conversions use the inverse of a pair or go through a third currency when no direct rate exists.',
+        baseCurrency: 'Base Currency (for reported totals)',
+        addTitle: 'Add Rate',
+        from: 'From',
+        to: 'To',
+        rateLabel: '1 {from} = ? {to}',
+        ratePlaceholder: 'e.g. {example}',
+        validFrom: 'Valid From',
+        save: 'Save Rate',
+        tableTitle: 'Rate Table',
+        empty: 'No rates yet. Foreign-currency amounts cannot be converted until you add one.',
+        pair: 'Pair',
+        rate: 'Rate',
+        deleteLabel: 'Delete rate {from} to {to} from {date}',
+        sameCurrency: 'Pick two different currencies.',
+        incomplete: 'Please enter a positive rate and the date it applies from.',
+        saved: 'Rate 1 {from} = {rate} {to} from {date} saved.',
+    },
+    categories: {
+        title: 'Manage Categories',
+        empty: 'You have no categories yet.',
+        renameLabel: 'category {name}',
+        transactionCount: {
+            one: '{count} txn',
+            other: '{count} txns',
+        },
+        editLabel: 'Edit {name}',
+        deleteLabel: 'Delete {name}',
+        saveChanges: 'Save Changes',
+        newCategory: 'New Category',
+        create: 'Create Category',
+        mergeTitle: 'Merge Categories',
+        mergeSource: 'Merge',
+        mergeTarget: 'Into',
+        selectCategory: 'Select Category',
+        selectSourceFirst: 'Select the category to merge first',
+        merge: 'Merge',
+        merging: 'Merging...',
+        deleteTitle: "Delete category '{name}'?",
+        cannotUndo: 'This cannot be undone.',
+        mergeConfirmTitle: "Merge '{source}' into '{target}'?",
+        mergeConfirmDescription: 'This cannot be undone:',
+        mergeMovesTransactions: {
+            one: "{count} transaction reassigned to '{target}'",
+            other: "{count} transactions reassigned to '{target}'",
+        },
+        mergeMovesChildren: {
+            one: "{count} subcategory moved under '{target}'",
+            other: "{count} subcategories moved under '{target}'",
+        },
+        mergeDeletesSource: "Category '{name}' deleted",
+        created: "Category '{name}' created successfully.",
+        updated: "Category '{name}' updated successfully.",
+        deleted: "Category '{name}' deleted successfully.",
+        merged: "Category '{source}' merged into '{target}' successfully.",
+        saveFailed: 'The change could not be saved.',
+        hasChildren: "'{name}' still has subcategories. Move them or merge the category instead.",
+        inUse: {
+            one: "'{name}' is used by {count} transaction. Merge it into another category instead.",
+            other: "'{name}' is used by {count} transactions. Merge it into another category instead.",
+        },
+    },
+    categoryEditor: {
+        name: 'Name',
+        namePlaceholder: 'e.g., Groceries',
+        parent: 'Parent Category',
+        topLevel: 'None (top level)',
+        color: 'Color',
+        colorLabel: 'Color {color}',
+        icon: 'Icon',
+        iconLabel: 'Icon {icon}',
+    },
+    containers: {
+        title: 'Manage Containers',
+        allContainers: 'All Containers',
+        newContainer: 'New Container',
+        notFound: 'This container does not exist or was deleted.',
+        empty: 'You have no account containers yet.',
+        saveFailed: 'The change could not be saved.',
+        renamed: "Container renamed to '{name}' successfully.",
+        accountAdded: "Account '{account}' added to '{container}' successfully.",
+        accountUpdated: "Account '{name}' updated successfully.",
+        accountDeleted: "Account '{name}' deleted successfully.",
+        containerDeleted: "Container '{name}' deleted successfully.",
+        deleteAccountTitle: "Delete account '{name}'?",
+        deleteContainerTitle: "Delete container '{name}'?",
+        deleteDescription: 'This cannot be undone. The following will be permanently lost:',
+        lostAccount: "Account '{name}' ({type}, {currency}, initial balance {balance})",
+        lostTransactions: {
+            one: '{count} recorded transaction',
+            other: '{count} recorded transactions',
+        },
+        collapse: 'Collapse',
+        expand: 'Expand',
+        containerName: 'Container name',
+        accountCount: {
+            one: '({count} account)',
+            other: '({count} accounts)',
+        },
+        openLabel: 'Open {name}',
+        permalink: 'Link to this container',
+        deleteLabel: 'Delete {name}',
+        noAccounts: 'No accounts in this container.',
+        accountName: 'Account name',
+        accountSummary: '{currency} · Initial balance {balance}',
+        transactionCount: {
+            one: '{count} transaction',
+            other: '{count} transactions',
+        },
+        accountTypeOf: 'Account type of {name}',
+        newTransactionOn: 'New transaction on {name}',
+        newTransaction: 'New transaction',
+        addAccount: 'Add Account',
+    },
+    importWizard: {
+        title: 'Import Bank Statement',
+        steps: {
+            upload: 'Upload',
+            mapColumns: 'Map Columns',
+            preview: 'Preview & Import',
+        },
+        delimiters: {
+            comma: 'Comma (,)',
+            semicolon: 'Semicolon (;)',
+            tab: 'Tab',
+            pipe: 'Pipe (|)',
+        },
+        fields: {
+            time: 'Date / Time',
+            description: 'Description',
+            amount: 'Amount',
+            type: 'Type (optional, otherwise the sign of the amount)',
+        },
+        dateFormats: {
+            YMD: 'Year-Month-Day (2024.03.15, 2024-03-15)',
+            DMY: 'Day-Month-Year (15.03.2024, 15/03/2024)',
+            MDY: 'Month-Day-Year (03/15/2024)',
+            ISO: 'ISO 8601 timestamp (2024-03-15T10:30:00Z)',
+        },
+        decimalComma: 'Decimal comma (1 234,56)',
+        decimalPoint: 'Decimal point (1,234.56)',
+        column: 'Column {number}',
+        savedMapping: 'Saved bank mapping',
+        newBank: 'New bank (map columns manually)',
+        chooseFile: 'Choose a CSV statement',
+        fileHint: 'Comma, semicolon or tab separated',
+        fileSummary: {
+            one: 'File: {name} · {count} row',
+            other: 'File: {name} · {count} rows',
+        },
+        delimiter: 'Delimiter',
+        hasHeader: 'First row is a header',
+        columnExample: '{title} — e.g. {example}',
+        selectColumn: 'Select column',
+        notMapped: 'Not mapped',
+        numberFormat: 'Number format',
+        dateFormat: 'Date format',
+        target: 'Target',
+        container: 'Account Container',
+        account: 'Account',
+        defaultCategory: 'Default Category',
+        bankName: 'Bank name (remembers this mapping)',
+        bankNamePlaceholder: 'e.g., OTP, Revolut',
+        back: 'Back',
+        preview: 'Preview',
+        valid: '{count} valid',
+        invalid: ' · {count} with errors (skipped)',
+        importing: 'Importing...',
+        finished: 'Finished',
+        importAnother: 'Import Another File',
+        editMapping: 'Edit Mapping',
+        import: {
+            one: 'Import {count} Transaction',
+            other: 'Import {count} Transactions',
+        },
+        emptyFile: 'The file contains no rows.',
+        layoutChanged: "The columns differ from the saved '{name}' mapping. Please check the mapping.",
+        imported: {
+            one: '{count} transaction imported.',
+            other: '{count} transactions imported.',
+        },
+        partlyImported: {
+            one: '{imported} of {count} transaction imported. Failed rows are marked in the table.',
+            other: '{imported} of {count} transactions imported. Failed rows are marked in the table.',
+        },
+        columns: {
+            date: 'Date',
+            description: 'Description',
+            type: 'Type',
+            amount: 'Amount',
+            status: 'Status',
+        },
+        rowImported: 'Imported',
+        rowReady: 'Ready',
+        errors: {
+            missingDescription: 'Missing description',
+            invalidAmount: "Invalid amount '{value}'",
+            tooPrecise: "Amount '{value}' has more decimals than {currency} allows",
+            zeroAmount: 'Amount is zero',
+            invalidDate: "Invalid date '{value}'",
+        },
+    },
+    exportView: {
+        title: 'Export Data',
+        accounts: 'Accounts',
+        selectNone: 'Select none',
+        selectAll: 'Select all',
+        noContainers: 'No containers to export.',
+        from: 'From',
+        to: 'To',
+        format: 'Format',
+        formats: {
+            csv: 'CSV (spreadsheets)',
+            json: 'JSON (full backup)',
+            ofx: 'OFX (finance software)',
+        },
+        transactionCount: {
+            one: '{count} transaction',
+            other: '{count} transactions',
+        },
+        accountCount: {
+            one: '{count} account',
+            other: '{count} accounts',
+        },
+        selection: '{transactions} in {accounts} selected.',
+        download: 'Download Export',
+        exported: 'Exported {transactions} from {accounts}.',
+    },
+    recurrence: {
+        everyNDays: {
+            one: 'Every day',
+            other: 'Every {count} days',
+        },
+        weekly: 'Weekly on {weekday}',
+        yearly: 'Yearly on {month} {day}',
+        monthly: 'Monthly on the {ordinal}',
+        // Picked by Intl.PluralRules ordinal categories
+        ordinals: {
+            one: '{count}st',
+            two: '{count}nd',
+            few: '{count}rd',
+            other: '{count}th',
+        },
+    },
+    recurring: {
+        title: 'Recurring Transactions',
+        createDue: 'Create Due Now',
+        empty: 'No recurring rules yet. Rent, salary and subscriptions are good candidates.',
+        unknownAccount: 'Unknown account',
+        unknownCategory: 'Unknown category',
+        period: '{schedule} from {start}',
+        until: ' until {end}',
+        next: ' · next {date}',
+        paused: ' · paused',
+        pauseLabel: 'Pause {description}',
+        resumeLabel: 'Resume {description}',
+        editLabel: 'Edit {description}',
+        deleteLabel: 'Delete {description}',
+        upcomingTitle: 'Next {count} Days',
+        nothingScheduled: 'Nothing scheduled.',
+        occurrenceDescription: 'Description of this occurrence',
+        occurrenceAmount: 'Amount of this occurrence',
+        save: 'Save',
+        adjusted: '(adjusted)',
+        restore: 'Restore this occurrence',
+        adjust: 'Adjust this occurrence',
+        skip: 'Skip this occurrence',
+        newRule: 'New Recurring Rule',
+        deleteTitle: "Delete recurring rule '{description}'?",
+        deleteDescription: 'Transactions it already created are kept; no further ones will be generated.',
+        created: "Recurring rule '{description}' created.",
+        updated: "Recurring rule '{description}' updated.",
+        deleted: "Recurring rule '{description}' deleted.",
+        dueCreated: {
+            one: '{count} due transaction created.',
+            other: '{count} due transactions created.',
+        },
+        nothingDue: 'Nothing is due right now.',
+        dueFailed: 'Failed to create the due transactions.',
+        adjustedAmountPositive: 'The adjusted amount must be positive.',
+        catchUpCreated: {
+            one: 'Created {count} recurring transaction that fell due.',
+            other: 'Created {count} recurring transactions that fell due.',
+        },
+        viewHistory: 'View history',
+    },
+    recurringForm: {
+        description: 'Description',
+        descriptionPlaceholder: 'e.g., Rent, Salary, Netflix',
+        amount: 'Amount (account currency)',
+        type: 'Transaction Type',
+        container: 'Account Container',
+        account: 'Account',
+        category: 'Category',
+        repeats: 'Repeats',
+        schedules: {
+            MONTHLY: 'Monthly on day N',
+            WEEKLY: 'Weekly',
+            YEARLY: 'Yearly',
+            EVERY_N_DAYS: 'Every N days',
+        },
+        weekday: 'On',
+        month: 'Month',
+        dayOfMonth: 'Day of Month (31 = last day)',
+        interval: 'Every N Days',
+        starts: 'Starts',
+        ends: 'Ends (optional)',
+        save: 'Save Changes',
+        create: 'Create Recurring Rule',
+        incomplete: 'Please fill out Description, a positive Amount, Account, and Category.',
+        dayRange: 'The day of the month must be between 1 and 31.',
+        intervalRange: 'The interval must be at least one day.',
+        startRequired: 'Please choose the first day of the schedule.',
+        endBeforeStart: 'The end date must not be before the start date.',
+    },
+    mockBackend: {
+        toggle: 'Mock backend: {state}',
+        on: 'on',
+        off: 'off',
+        enable: 'Answer API calls in the browser instead of the server',
+        localOnly: 'Data is kept in this browser only.',
+        demoLogin: 'Demo login:',
+        logsOut: 'Switching logs you out.',
+        latency: 'Latency (ms)',
+        networkFailures: 'Network failures (%)',
+        serverErrors: 'Server errors (%)',
+        reset: 'Reset mock data',
+        resetTitle: 'Reset the mock backend?',
+        resetDescription: 'All users, containers, categories and transactions stored by the mock backend are replaced by the demo data, and you are logged out.',
+        resetConfirm: 'Reset',
+    },
+    api: {
+        cancelled: 'Request was cancelled.',
+        timeout: 'The server did not respond in time. Please try again.',
+        network: 'Network error. Please check your connection.',
+        unauthorized: 'Unauthorized. Please log in again.',
+        unknown: 'Unknown server error',
+        failed: 'API call failed with status: {status}',
+    },
+};
+
+export default en;
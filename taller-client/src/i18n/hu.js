@@ -0,0 +1,742 @@
+// --- Hungarian UI Strings ---
+// Same keys as en.js; anything missing here is shown in English.
+
+const hu = {
+    app: {
+        title: 'TALLER API KLIENS',
+        loggedInAs: 'Bejelentkezve:',
+        logout: 'Kijelentkezés',
+        language: 'Nyelv',
+        queuedTitle: 'Elküldésre váró tranzakciók',
+        offlineTitle: 'Offline',
+    },
+    nav: {
+        home: 'Kezdőlap',
+        containers: 'Gyűjtők',
+        categories: 'Kategóriák',
+        newTransaction: 'Új tétel',
+        history: 'Előzmények',
+        recurring: 'Ismétlődő',
+        budgets: 'Keretek',
+        analytics: 'Elemzés',
+        import: 'Importálás',
+        export: 'Exportálás',
+        rates: 'Árfolyamok',
+    },
+    common: {
+        user: 'Felhasználó:',
+        owner: 'Tulajdonos:',
+        currency: 'Pénznem',
+        amount: 'Összeg',
+        selectCurrency: 'Válasszon pénznemet',
+        selectContainer: 'Válasszon gyűjtőt',
+        selectAccount: 'Válasszon számlát',
+        selectContainerFirst: 'Előbb válasszon gyűjtőt',
+        selectOption: 'Válasszon...',
+        reloadData: 'Adatok frissítése',
+        creating: 'Létrehozás...',
+        cancel: 'Mégse',
+        delete: 'Törlés',
+        deleting: 'Törlés...',
+        dismiss: 'Értesítés bezárása',
+        notifications: 'Értesítések',
+        saving: 'Mentés...',
+        undo: 'Visszavonás',
+        retry: 'Újra',
+    },
+    transactionTypes: {
+        EXPENSE: 'Kiadás',
+        INCOME: 'Bevétel',
+        TRANSFER: 'Átvezetés',
+    },
+    accountTypes: {
+        CHECKING: 'Folyószámla',
+        SAVINGS: 'Megtakarítás',
+        CASH: 'Készpénz',
+    },
+    validation: {
+        required: 'Kötelező mező.',
+        number: 'Kérjük, számot adjon meg.',
+        range: '{min} és {max} közötti érték kell.',
+        positive: 'Nullánál nagyobb érték kell.',
+        nonNegative: 'Nem lehet negatív.',
+        unique: 'Ez az érték már foglalt.',
+        wholeAmount: '{currency} összeg nem tartalmazhat tizedeseket.',
+        precision: {
+            one: '{currency} összeg legfeljebb {count} tizedesjegyet tartalmazhat.',
+            other: '{currency} összeg legfeljebb {count} tizedesjegyet tartalmazhat.',
+        },
+    },
+    categoryPicker: {
+        placeholder: 'Válasszon kategóriát',
+        search: 'Kategóriák keresése...',
+        searchLabel: 'Kategóriák keresése',
+        noMatch: 'Nincs ilyen kategória.',
+    },
+    load: {
+        referenceData: 'A szükséges adatok betöltése nem sikerült: {error}',
+        transactions: 'A tranzakciók betöltése nem sikerült: {error}',
+    },
+    auth: {
+        login: 'Bejelentkezés',
+        register: 'Regisztráció',
+        loginTitle: 'Bejelentkezés',
+        registerTitle: 'Új felhasználó',
+        username: 'Felhasználónév',
+        password: 'Jelszó',
+        usernamePlaceholder: 'felhasználónév',
+        passwordPlaceholder: 'jelszó',
+        processing: 'Feldolgozás...',
+        usernameRequired: 'Kérjük, adja meg a felhasználónevet.',
+        passwordRequired: 'Kérjük, adja meg a jelszót.',
+        registered: "A(z) '{username}' felhasználó létrejött. Kérjük, jelentkezzen be.",
+        failed: 'Hiba történt a hitelesítés során.',
+        sessionExpired: 'A munkamenet lejárt. Kérjük, jelentkezzen be újra.',
+        unauthorized: 'A munkamenet már nem érvényes. Kérjük, jelentkezzen be újra.',
+    },
+    containerForm: {
+        title: 'Számlagyűjtő létrehozása',
+        name: 'Számlagyűjtő neve',
+        namePlaceholder: 'pl. Családi pénzügyek, Vállalkozás',
+        accounts: 'Számlák',
+        add: 'Hozzáadás',
+        account: '{number}. számla',
+        removeAccount: '{number}. számla eltávolítása',
+        accountName: 'Név',
+        accountNamePlaceholder: 'pl. Folyószámla, Megtakarítás',
+        accountType: 'Számlatípus',
+        initialBalance: 'Nyitó egyenleg',
+        submit: 'Gyűjtő és számlák létrehozása',
+        goToTransactions: 'Tovább a tranzakciókhoz',
+        nameRequired: 'Kérjük, adja meg a számlagyűjtő nevét.',
+        accountNameRequired: 'Kérjük, nevezze el a számlát.',
+        accountNameTaken: 'A gyűjtőben már van ilyen nevű számla.',
+        accountTypeRequired: 'Kérjük, válasszon számlatípust.',
+        currencyRequired: 'Kérjük, válasszon pénznemet.',
+        balanceNegative: 'A nyitó egyenleg nem lehet negatív.',
+        created: {
+            one: "A(z) '{name}' számlagyűjtő {count} számlával létrejött.",
+            other: "A(z) '{name}' számlagyűjtő {count} számlával létrejött.",
+        },
+        failed: 'A számlagyűjtő létrehozása nem sikerült.',
+    },
+    transactionForm: {
+        title: 'Új tranzakció',
+        offlineMode: 'Offline mód: a tárolt adatokat használjuk, az új tranzakciók sorba kerülnek.',
+        loading: 'Számlaadatok betöltése...',
+        description: 'Megnevezés',
+        descriptionPlaceholder: 'pl. Bevásárlás, Havi fizetés',
+        selectAccountFirst: 'Előbb válasszon számlát',
+        amountPlaceholder: 'Összeg (pl. {example})',
+        noRate: 'Nincs mai {from} → {to} árfolyam.',
+        addRate: 'Árfolyam megadása',
+        bookedAs: 'Könyvelve: {amount} (1 {from} = {rate} {to}).',
+        container: 'Számlagyűjtő',
+        account: 'Számla',
+        category: 'Kategória',
+        split: 'Megosztás több kategória között',
+        overBudget: 'Ezzel a kiadással a(z) {category} túllépi a keretét: {spent} / {limit} ebben a hónapban.',
+        type: 'Tranzakció típusa',
+        transferDestination: 'Átvezetés célja',
+        destinationContainer: 'Cél számlagyűjtő',
+        destinationAccount: 'Cél számla',
+        received: 'Jóváírt összeg ({currency})',
+        rate: 'Árfolyam (1 {from} = ? {to})',
+        latitude: 'Szélesség',
+        longitude: 'Hosszúság',
+        captureLocation: 'Jelenlegi hely használata',
+        time: 'Időpont',
+        timePresets: {
+            now: 'Most',
+            yesterday: 'Tegnap',
+            monthStart: 'Hónap eleje',
+        },
+        timeZone: 'Helyi idő, {zone} ({offset}).',
+        timeNow: 'A mentés pillanata kerül rögzítésre.',
+        futureTime: 'Ez az időpont a jövőben van.',
+        beforeAccountCreated: 'Ez az időpont korábbi, mint a(z) {account} számla létrehozása ({date}).',
+        submit: 'Tranzakció létrehozása',
+        goToContainerCreation: 'Tovább a számlagyűjtő létrehozásához',
+        descriptionRequired: 'Kérjük, adja meg a megnevezést.',
+        amountRequired: 'Kérjük, adja meg az összeget.',
+        amountPositive: 'Az összegnek nullánál nagyobbnak kell lennie.',
+        containerRequired: 'Kérjük, válasszon számlagyűjtőt.',
+        accountRequired: 'Kérjük, válasszon számlát.',
+        categoryRequired: 'Kérjük, válasszon kategóriát.',
+        destinationContainerRequired: 'Kérjük, válassza ki a cél számlagyűjtőt.',
+        destinationAccountRequired: 'Kérjük, válassza ki az átvezetés cél számláját.',
+        sameAccount: 'A forrás- és a célszámla nem lehet ugyanaz.',
+        receivedRequired: 'Kérjük, adja meg a jóváírt összeget ({currency}) vagy az árfolyamot.',
+        receivedPositive: 'A jóváírt összegnek nullánál nagyobbnak kell lennie.',
+        ratePositive: 'Az árfolyamnak nullánál nagyobbnak kell lennie.',
+        latitudeRange: 'A szélesség -90 és 90 közötti érték lehet.',
+        longitudeRange: 'A hosszúság -180 és 180 közötti érték lehet.',
+        locationCaptured: 'Helyadatok rögzítve.',
+        locationError: 'Helymeghatározási hiba: {error}',
+        locationUnsupported: 'A böngésző nem támogatja a helymeghatározást.',
+        missingRate: 'Még nincs {from} → {to} árfolyam. Előbb adjon meg egyet az Árfolyamok oldalon.',
+        queued: "Offline: a(z) '{description}' tranzakció elmentve, a kapcsolat helyreálltakor elküldjük.",
+        transferCreated: "A(z) '{description}' átvezetés ({amount}) a(z) {account} számlára létrejött.",
+        created: "A(z) '{description}' tranzakció ({amount}) létrejött.",
+        createdConverted: "A(z) '{description}' tranzakció ({amount}, azaz {converted}) létrejött.",
+        failed: 'A tranzakció létrehozása nem sikerült.',
+        editTitle: 'Tranzakció szerkesztése',
+        save: 'Módosítások mentése',
+        delete: 'Tranzakció törlése',
+        deleteTransfer: 'Átvezetés törlése',
+        editOffline: 'Offline: a mentett tranzakciók módosításához kapcsolat szükséges.',
+        updated: "A(z) '{description}' tranzakció módosítva.",
+        updateFailed: 'A módosítások mentése nem sikerült.',
+        notFound: 'Ez a tranzakció nem létezik (már).',
+        backToHistory: 'Vissza az előzményekhez',
+    },
+    splits: {
+        lineCategory: '{number}. sor kategóriája',
+        removeLine: '{number}. sor törlése',
+        addLine: 'Új sor',
+        assigned: 'Felosztva: {assigned} / {total}',
+        left: '{amount} maradt',
+        tooMuch: '{amount} túl sok',
+        addToLast: 'Hozzáadás az utolsó sorhoz',
+        tooFewLines: 'A megosztáshoz legalább két sor kell.',
+        incompleteLine: 'Minden sorhoz kategória és pozitív összeg kell.',
+        unassigned: 'A sorok összegének egyeznie kell a teljes összeggel; {amount} nincs felosztva.',
+        overassigned: 'A sorok összegének egyeznie kell a teljes összeggel; {amount} a túlosztás.',
+    },
+    pending: {
+        title: 'Függőben ({count})',
+        sync: 'Szinkronizálás most',
+        offline: 'Nincs kapcsolat. Ezeket a tranzakciókat a kapcsolat helyreálltakor automatikusan elküldjük.',
+        syncFailed: 'A függő tranzakciók szinkronizálása nem sikerült: {error}',
+        actionFailed: 'A függő tétel módosítása nem sikerült: {error}',
+        retry: 'Újra',
+        discard: 'Elvetés',
+        receipts: {
+            one: '{count} nyugta',
+            other: '{count} nyugta',
+        },
+        receiptFor: 'Nyugta a(z) #{id} tranzakcióhoz',
+        status: {
+            PENDING: 'Függőben',
+            FAILED: 'Sikertelen',
+            CONFLICT: 'Ütközés',
+        },
+    },
+    attachments: {
+        title: 'Nyugták',
+        none: 'Nincs csatolt nyugta.',
+        takePhoto: 'Fénykép készítése',
+        chooseFiles: 'Képek kiválasztása',
+        processing: 'Képek előkészítése...',
+        remove: '{name} eltávolítása',
+        close: 'Bezárás',
+        loadingImage: 'Kép betöltése...',
+        imageFailed: 'A kép betöltése nem sikerült: {error}',
+        loadFailed: 'A nyugták betöltése nem sikerült: {error}',
+        deleteTitle: 'Törli a nyugtát?',
+        deleteDescription: "A(z) '{name}' nyugta lekerül a tranzakcióról.",
+        deleted: "A(z) '{name}' nyugta törölve.",
+        queued: {
+            one: 'Offline: {count} nyugta elmentve az eszközön, a kapcsolat helyreálltakor feltöltjük.',
+            other: 'Offline: {count} nyugta elmentve az eszközön, a kapcsolat helyreálltakor feltöltjük.',
+        },
+        uploadFailed: "A(z) '{name}' feltöltése nem sikerült: {error}",
+        storeFailed: "A(z) '{name}' későbbi feltöltésre mentése nem sikerült: {error}",
+        notImage: "A(z) '{name}' nem kép.",
+        unreadable: "A(z) '{name}' kép nem olvasható.",
+        processingFailed: 'A kép tömörítése nem sikerült.',
+    },
+    transactionActions: {
+        deleted: "A(z) '{description}' tranzakció törölve.",
+        transferDeleted: "A(z) '{description}' átvezetés törölve (mindkét számláról).",
+        deleteFailed: "A(z) '{description}' törlése nem sikerült: {error}",
+        undoTooLate: 'Már nem vonható vissza: a törlést elküldtük.',
+    },
+    auditTrail: {
+        title: 'Változási napló',
+        none: 'Nincs rögzített változás.',
+        loadFailed: 'A változási napló betöltése nem sikerült: {error}',
+        actions: {
+            CREATED: 'Létrehozva',
+            UPDATED: 'Módosítva',
+            DELETED: 'Törölve',
+            ATTACHMENT_ADDED: 'Nyugta hozzáadva',
+            ATTACHMENT_REMOVED: 'Nyugta eltávolítva',
+        },
+        fields: {
+            description: 'Megnevezés',
+            amount: 'Összeg',
+            transactionType: 'Típus',
+            transactionTime: 'Időpont',
+            account: 'Számla',
+            counterpartAccount: 'Átvezetés számlája',
+            category: 'Kategória',
+            splits: 'Megosztás',
+            latitude: 'Szélesség',
+            longitude: 'Hosszúság',
+            originalAmount: 'Megadott összeg',
+            originalCurrency: 'Megadott pénznem',
+            exchangeRate: 'Árfolyam',
+            attachments: 'Nyugta',
+        },
+    },
+    dashboard: {
+        title: 'Áttekintés',
+        netWorthIn: 'Nettó vagyon:',
+        baseCurrency: 'Alap pénznem',
+        excludes: 'Nem tartalmazza: {currencies} (nincs árfolyam).',
+        addRates: 'Árfolyam megadása',
+        total: 'Összesen ({currency})',
+        noAccounts: 'Még nincs számla.',
+        getStarted: 'Kezdésként hozzon létre egy gyűjtőt.',
+        thisMonth: 'Ebben a hónapban',
+        income: 'Bevétel: {amount}',
+        expense: 'Kiadás: {amount}',
+        net: 'Egyenleg: {amount}',
+        balances: 'Egyenlegek',
+        containerTotal: 'Összesen:',
+        recentActivity: 'Legutóbbi tételek',
+        viewAll: 'Összes',
+        noTransactions: 'Még nincs rögzített tranzakció.',
+        split: {
+            one: 'Megosztva ({count} kategória)',
+            other: 'Megosztva ({count} kategória)',
+        },
+    },
+    transactionHistory: {
+        title: 'Tranzakciós előzmények',
+        filters: 'Szűrők',
+        clearFilters: 'Szűrők törlése',
+        container: 'Gyűjtő',
+        account: 'Számla',
+        category: 'Kategória',
+        type: 'Típus',
+        allContainers: 'Minden gyűjtő',
+        allAccounts: 'Minden számla',
+        allCategories: 'Minden kategória',
+        allTypes: 'Minden típus',
+        from: 'Ettől',
+        to: 'Eddig',
+        minAmount: 'Legkisebb összeg',
+        maxAmount: 'Legnagyobb összeg',
+        anyAmount: 'Bármennyi',
+        columns: {
+            transactionTime: 'Dátum',
+            description: 'Megnevezés',
+            account: 'Számla',
+            category: 'Kategória',
+            transactionType: 'Típus',
+            amount: 'Összeg',
+        },
+        actions: 'Műveletek',
+        transferFrom: 'innen: {account}',
+        transferTo: 'ide: {account}',
+        receipts: 'Nyugták',
+        receiptsOf: '{description} nyugtái',
+        history: 'Változási napló',
+        historyOf: '{description} változási naplója',
+        edit: 'Szerkesztés',
+        editLabel: '{description} szerkesztése',
+        delete: 'Törlés',
+        deleteLabel: '{description} törlése',
+        empty: 'Még nincs rögzített tranzakció.',
+        noMatch: 'Egy tranzakció sem felel meg a szűrőknek.',
+    },
+    analytics: {
+        title: 'Elemzés',
+        byCategory: 'Kategóriánként',
+        uncategorized: 'Kategória nélkül',
+        monthly: 'Havi bevétel és kiadás',
+        income: 'Bevétel',
+        expense: 'Kiadás',
+        balanceOverTime: 'Egyenleg időben',
+        balance: 'Egyenleg ({currency})',
+    },
+    charts: {
+        noData: 'A kiválasztott szűrőkhöz nincs adat.',
+        categoryBreakdown: 'Megoszlás kategóriánként',
+    },
+    pagination: {
+        range: '{first}–{last} / {total}',
+        rowsPerPage: 'Sorok oldalanként',
+        perPage: '{size} / oldal',
+        previous: 'Előző oldal',
+        next: 'Következő oldal',
+    },
+    inlineEdit: {
+        rename: '{label} átnevezése',
+        save: 'Mentés',
+    },
+    budgets: {
+        title: 'Keretek',
+        previousMonth: 'Előző hónap',
+        nextMonth: 'Következő hónap',
+        empty: 'Még nincs keret. Alább megadhat havi keretet egy kategóriához.',
+        deletedCategory: 'Törölt kategória',
+        deletedContainer: 'Törölt gyűjtő',
+        allContainers: 'Minden gyűjtő',
+        rollover: 'Átvitel',
+        rolloverHint: 'A fel nem használt összeg átkerül a következő hónapra',
+        deleteLabel: '{name} keretének törlése',
+        usedLabel: '{name} keretének felhasználása',
+        spentOf: '{spent} / {limit}',
+        carried: ' (ebből átvitt: {amount})',
+        over: '{amount} túllépés',
+        left: '{amount} maradt',
+        unconverted: {
+            one: '{count} más pénznemű kiadás nincs beszámítva: nincs árfolyam {currency} pénznemre.',
+            other: '{count} más pénznemű kiadás nincs beszámítva: nincs árfolyam {currency} pénznemre.',
+        },
+        startsIn: 'Ez a keret {month} hónaptól érvényes.',
+        monthlyLimit: 'Havi keret',
+        newBudget: 'Új keret',
+        category: 'Kategória (az alkategóriáival együtt)',
+        container: 'Gyűjtő',
+        limit: 'Havi keret',
+        rolloverOption: 'A fel nem használt összeg átvitele a következő hónapra',
+        add: 'Keret hozzáadása',
+        incomplete: 'Kérjük, válasszon kategóriát és adjon meg pozitív havi keretet.',
+        duplicate: 'Ennek a kategóriának már van kerete ebben a körben. Inkább a meglévőt módosítsa.',
+        created: "'{category}' kerete létrehozva.",
+    },
+    exchangeRates: {
+        title: 'Árfolyamok',
+        intro: 'Egy árfolyam a dátumától érvényes, amíg ugyanarra a párra újabb nem érkezik. Az átváltás a pár fordítottját, vagy közvetlen árfolyam híján egy harmadik pénznemet is használ.',
+        baseCurrency: 'Alap pénznem (az összesítésekhez)',
+        addTitle: 'Új árfolyam',
+        from: 'Miből',
+        to: 'Mire',
+        rateLabel: '1 {from} = ? {to}',
+        ratePlaceholder: 'pl. {example}',
+        validFrom: 'Érvényes ettől',
+        save: 'Árfolyam mentése',
+        tableTitle: 'Árfolyamtábla',
+        empty: 'Még nincs árfolyam. Amíg nem ad meg egyet, a devizás összegek nem válthatók át.',
+        pair: 'Pár',
+        rate: 'Árfolyam',
+        deleteLabel: '{from} → {to} árfolyam törlése ({date})',
+        sameCurrency: 'Válasszon két különböző pénznemet.',
+        incomplete: 'Kérjük, adjon meg pozitív árfolyamot és a kezdő dátumát.',
+        saved: '1 {from} = {rate} {to} árfolyam mentve, érvényes: {date}.',
+    },
+    categories: {
+        title: 'Kategóriák kezelése',
+        empty: 'Még nincs kategóriája.',
+        renameLabel: '{name} kategória',
+        transactionCount: {
+            one: '{count} tétel',
+            other: '{count} tétel',
+        },
+        editLabel: '{name} szerkesztése',
+        deleteLabel: '{name} törlése',
+        saveChanges: 'Módosítások mentése',
+        newCategory: 'Új kategória',
+        create: 'Kategória létrehozása',
+        mergeTitle: 'Kategóriák összevonása',
+        mergeSource: 'Összevonandó',
+        mergeTarget: 'Ebbe',
+        selectCategory: 'Válasszon kategóriát',
+        selectSourceFirst: 'Előbb válassza ki az összevonandó kategóriát',
+        merge: 'Összevonás',
+        merging: 'Összevonás...',
+        deleteTitle: "Törli a(z) '{name}' kategóriát?",
+        cannotUndo: 'Ez nem vonható vissza.',
+        mergeConfirmTitle: "Összevonja: '{source}' → '{target}'?",
+        mergeConfirmDescription: 'Ez nem vonható vissza:',
+        mergeMovesTransactions: {
+            one: "{count} tranzakció átkerül ide: '{target}'",
+            other: "{count} tranzakció átkerül ide: '{target}'",
+        },
+        mergeMovesChildren: {
+            one: "{count} alkategória átkerül ez alá: '{target}'",
+            other: "{count} alkategória átkerül ez alá: '{target}'",
+        },
+        mergeDeletesSource: "A(z) '{name}' kategória törlődik",
+        created: "A(z) '{name}' kategória létrejött.",
+        updated: "A(z) '{name}' kategória módosítva.",
+        deleted: "A(z) '{name}' kategória törölve.",
+        merged: "A(z) '{source}' kategória összevonva ezzel: '{target}'.",
+        saveFailed: 'A módosítást nem sikerült menteni.',
+        hasChildren: "A(z) '{name}' kategóriának még vannak alkategóriái. Helyezze át őket, vagy vonja össze a kategóriát.",
+        inUse: {
+            one: "A(z) '{name}' kategóriát {count} tranzakció használja. Inkább vonja össze egy másik kategóriával.",
+            other: "A(z) '{name}' kategóriát {count} tranzakció használja. Inkább vonja össze egy másik kategóriával.",
+        },
+    },
+    categoryEditor: {
+        name: 'Név',
+        namePlaceholder: 'pl. Élelmiszer',
+        parent: 'Szülő kategória',
+        topLevel: 'Nincs (legfelső szint)',
+        color: 'Szín',
+        colorLabel: 'Szín: {color}',
+        icon: 'Ikon',
+        iconLabel: 'Ikon: {icon}',
+    },
+    containers: {
+        title: 'Gyűjtők kezelése',
+        allContainers: 'Összes gyűjtő',
+        newContainer: 'Új gyűjtő',
+        notFound: 'Ez a gyűjtő nem létezik, vagy törölték.',
+        empty: 'Még nincs számlagyűjtője.',
+        saveFailed: 'A módosítást nem sikerült menteni.',
+        renamed: "A gyűjtő új neve: '{name}'.",
+        accountAdded: "A(z) '{account}' számla hozzáadva ehhez: '{container}'.",
+        accountUpdated: "A(z) '{name}' számla módosítva.",
+        accountDeleted: "A(z) '{name}' számla törölve.",
+        containerDeleted: "A(z) '{name}' gyűjtő törölve.",
+        deleteAccountTitle: "Törli a(z) '{name}' számlát?",
+        deleteContainerTitle: "Törli a(z) '{name}' gyűjtőt?",
+        deleteDescription: 'Ez nem vonható vissza. Véglegesen elvész:',
+        lostAccount: "'{name}' számla ({type}, {currency}, nyitó egyenleg: {balance})",
+        lostTransactions: {
+            one: '{count} rögzített tranzakció',
+            other: '{count} rögzített tranzakció',
+        },
+        collapse: 'Összecsukás',
+        expand: 'Kibontás',
+        containerName: 'Gyűjtő neve',
+        accountCount: {
+            one: '({count} számla)',
+            other: '({count} számla)',
+        },
+        openLabel: '{name} megnyitása',
+        permalink: 'Hivatkozás erre a gyűjtőre',
+        deleteLabel: '{name} törlése',
+        noAccounts: 'Ebben a gyűjtőben nincs számla.',
+        accountName: 'Számla neve',
+        accountSummary: '{currency} · Nyitó egyenleg: {balance}',
+        transactionCount: {
+            one: '{count} tranzakció',
+            other: '{count} tranzakció',
+        },
+        accountTypeOf: '{name} számlatípusa',
+        newTransactionOn: 'Új tranzakció ezen: {name}',
+        newTransaction: 'Új tranzakció',
+        addAccount: 'Számla hozzáadása',
+    },
+    importWizard: {
+        title: 'Bankszámlakivonat importálása',
+        steps: {
+            upload: 'Feltöltés',
+            mapColumns: 'Oszlopok megfeleltetése',
+            preview: 'Előnézet és importálás',
+        },
+        delimiters: {
+            comma: 'Vessző (,)',
+            semicolon: 'Pontosvessző (;)',
+            tab: 'Tabulátor',
+            pipe: 'Függőleges vonal (|)',
+        },
+        fields: {
+            time: 'Dátum / idő',
+            description: 'Megnevezés',
+            amount: 'Összeg',
+            type: 'Típus (nem kötelező, különben az összeg előjele dönt)',
+        },
+        dateFormats: {
+            YMD: 'Év-hónap-nap (2024.03.15, 2024-03-15)',
+            DMY: 'Nap-hónap-év (15.03.2024, 15/03/2024)',
+            MDY: 'Hónap-nap-év (03/15/2024)',
+            ISO: 'ISO 8601 időbélyeg (2024-03-15T10:30:00Z)',
+        },
+        decimalComma: 'Tizedesvessző (1 234,56)',
+        decimalPoint: 'Tizedespont (1,234.56)',
+        column: '{number}. oszlop',
+        savedMapping: 'Mentett banki megfeleltetés',
+        newBank: 'Új bank (kézi megfeleltetés)',
+        chooseFile: 'Válasszon CSV kivonatot',
+        fileHint: 'Vesszővel, pontosvesszővel vagy tabulátorral tagolt',
+        fileSummary: {
+            one: 'Fájl: {name} · {count} sor',
+            other: 'Fájl: {name} · {count} sor',
+        },
+        delimiter: 'Elválasztó',
+        hasHeader: 'Az első sor fejléc',
+        columnExample: '{title} — pl. {example}',
+        selectColumn: 'Válasszon oszlopot',
+        notMapped: 'Nincs megfeleltetve',
+        numberFormat: 'Számformátum',
+        dateFormat: 'Dátumformátum',
+        target: 'Cél',
+        container: 'Számlagyűjtő',
+        account: 'Számla',
+        defaultCategory: 'Alapértelmezett kategória',
+        bankName: 'Bank neve (megjegyzi ezt a megfeleltetést)',
+        bankNamePlaceholder: 'pl. OTP, Revolut',
+        back: 'Vissza',
+        preview: 'Előnézet',
+        valid: '{count} érvényes',
+        invalid: ' · {count} hibás (kimarad)',
+        importing: 'Importálás...',
+        finished: 'Kész',
+        importAnother: 'Másik fájl importálása',
+        editMapping: 'Megfeleltetés módosítása',
+        import: {
+            one: '{count} tranzakció importálása',
+            other: '{count} tranzakció importálása',
+        },
+        emptyFile: 'A fájl nem tartalmaz sorokat.',
+        layoutChanged: "Az oszlopok eltérnek a(z) '{name}' mentett megfeleltetéstől. Kérjük, ellenőrizze.",
+        imported: {
+            one: '{count} tranzakció importálva.',
+            other: '{count} tranzakció importálva.',
+        },
+        partlyImported: {
+            one: '{count} tranzakcióból {imported} importálva. A sikertelen sorok meg vannak jelölve a táblázatban.',
+            other: '{count} tranzakcióból {imported} importálva. A sikertelen sorok meg vannak jelölve a táblázatban.',
+        },
+        columns: {
+            date: 'Dátum',
+            description: 'Megnevezés',
+            type: 'Típus',
+            amount: 'Összeg',
+            status: 'Állapot',
+        },
+        rowImported: 'Importálva',
+        rowReady: 'Kész az importra',
+        errors: {
+            missingDescription: 'Hiányzó megnevezés',
+            invalidAmount: "Érvénytelen összeg: '{value}'",
+            tooPrecise: "A(z) '{value}' összeg több tizedesjegyet tartalmaz, mint amennyit a(z) {currency} enged",
+            zeroAmount: 'Az összeg nulla',
+            invalidDate: "Érvénytelen dátum: '{value}'",
+        },
+    },
+    exportView: {
+        title: 'Adatok exportálása',
+        accounts: 'Számlák',
+        selectNone: 'Egyik sem',
+        selectAll: 'Mind',
+        noContainers: 'Nincs exportálható gyűjtő.',
+        from: 'Ettől',
+        to: 'Eddig',
+        format: 'Formátum',
+        formats: {
+            csv: 'CSV (táblázatkezelőkhöz)',
+            json: 'JSON (teljes mentés)',
+            ofx: 'OFX (pénzügyi szoftverekhez)',
+        },
+        transactionCount: {
+            one: '{count} tranzakció',
+            other: '{count} tranzakció',
+        },
+        accountCount: {
+            one: '{count} számla',
+            other: '{count} számla',
+        },
+        selection: 'Kiválasztva: {transactions}, {accounts}.',
+        download: 'Export letöltése',
+        exported: 'Exportálva: {transactions}, {accounts}.',
+    },
+    recurrence: {
+        everyNDays: {
+            one: 'Naponta',
+            other: '{count} naponta',
+        },
+        weekly: 'Hetente, {weekday}',
+        yearly: 'Évente, {month} {day}.',
+        monthly: 'Havonta, a hónap {ordinal} napján',
+        ordinals: {
+            one: '{count}.',
+            other: '{count}.',
+        },
+    },
+    recurring: {
+        title: 'Ismétlődő tranzakciók',
+        createDue: 'Esedékesek létrehozása',
+        empty: 'Még nincs ismétlődő szabály. A lakbér, a fizetés és az előfizetések jó jelöltek.',
+        unknownAccount: 'Ismeretlen számla',
+        unknownCategory: 'Ismeretlen kategória',
+        period: '{schedule}, kezdete: {start}',
+        until: ', vége: {end}',
+        next: ' · következő: {date}',
+        paused: ' · szüneteltetve',
+        pauseLabel: '{description} szüneteltetése',
+        resumeLabel: '{description} folytatása',
+        editLabel: '{description} szerkesztése',
+        deleteLabel: '{description} törlése',
+        upcomingTitle: 'A következő {count} nap',
+        nothingScheduled: 'Nincs ütemezett tétel.',
+        occurrenceDescription: 'Ennek az alkalomnak a megnevezése',
+        occurrenceAmount: 'Ennek az alkalomnak az összege',
+        save: 'Mentés',
+        adjusted: '(módosítva)',
+        restore: 'Alkalom visszaállítása',
+        adjust: 'Alkalom módosítása',
+        skip: 'Alkalom kihagyása',
+        newRule: 'Új ismétlődő szabály',
+        deleteTitle: "Törli a(z) '{description}' ismétlődő szabályt?",
+        deleteDescription: 'Az általa már létrehozott tranzakciók megmaradnak, újak nem készülnek.',
+        created: "A(z) '{description}' ismétlődő szabály létrejött.",
+        updated: "A(z) '{description}' ismétlődő szabály módosítva.",
+        deleted: "A(z) '{description}' ismétlődő szabály törölve.",
+        dueCreated: {
+            one: '{count} esedékes tranzakció létrehozva.',
+            other: '{count} esedékes tranzakció létrehozva.',
+        },
+        nothingDue: 'Most semmi sem esedékes.',
+        dueFailed: 'Az esedékes tranzakciók létrehozása nem sikerült.',
+        adjustedAmountPositive: 'A módosított összegnek pozitívnak kell lennie.',
+        catchUpCreated: {
+            one: '{count} esedékessé vált ismétlődő tranzakció létrehozva.',
+            other: '{count} esedékessé vált ismétlődő tranzakció létrehozva.',
+        },
+        viewHistory: 'Előzmények megtekintése',
+    },
+    recurringForm: {
+        description: 'Megnevezés',
+        descriptionPlaceholder: 'pl. Lakbér, Fizetés, Netflix',
+        amount: 'Összeg (a számla pénznemében)',
+        type: 'Tranzakció típusa',
+        container: 'Számlagyűjtő',
+        account: 'Számla',
+        category: 'Kategória',
+        repeats: 'Ismétlődés',
+        schedules: {
+            MONTHLY: 'Havonta, a hónap N. napján',
+            WEEKLY: 'Hetente',
+            YEARLY: 'Évente',
+            EVERY_N_DAYS: 'N naponta',
+        },
+        weekday: 'Nap',
+        month: 'Hónap',
+        dayOfMonth: 'A hónap napja (31 = utolsó nap)',
+        interval: 'N nap',
+        starts: 'Kezdete',
+        ends: 'Vége (nem kötelező)',
+        save: 'Módosítások mentése',
+        create: 'Ismétlődő szabály létrehozása',
+        incomplete: 'Kérjük, adja meg a megnevezést, egy pozitív összeget, a számlát és a kategóriát.',
+        dayRange: 'A hónap napja 1 és 31 között lehet.',
+        intervalRange: 'Az ismétlődés legalább egy nap.',
+        startRequired: 'Kérjük, válassza ki az ütemezés első napját.',
+        endBeforeStart: 'A záró dátum nem lehet a kezdő dátum előtt.',
+    },
+    mockBackend: {
+        toggle: 'Mock backend: {state}',
+        on: 'be',
+        off: 'ki',
+        enable: 'Az API-hívásokat a böngésző válaszolja meg a szerver helyett',
+        localOnly: 'Az adatok csak ebben a böngészőben tárolódnak.',
+        demoLogin: 'Demó belépés:',
+        logsOut: 'Átkapcsoláskor kijelentkezik.',
+        latency: 'Késleltetés (ms)',
+        networkFailures: 'Hálózati hibák (%)',
+        serverErrors: 'Szerverhibák (%)',
+        reset: 'Mock adatok visszaállítása',
+        resetTitle: 'Visszaállítja a mock backendet?',
+        resetDescription: 'A mock backend összes felhasználóját, gyűjtőjét, kategóriáját és tranzakcióját a demó adatok váltják fel, és Ön kijelentkezik.',
+        resetConfirm: 'Visszaállítás',
+    },
+    api: {
+        cancelled: 'A kérés megszakadt.',
+        timeout: 'A szerver nem válaszolt időben. Kérjük, próbálja újra.',
+        network: 'Hálózati hiba. Kérjük, ellenőrizze a kapcsolatot.',
+        unauthorized: 'Nincs jogosultság. Kérjük, jelentkezzen be újra.',
+        unknown: 'Ismeretlen szerverhiba',
+        failed: 'Az API-hívás sikertelen, állapotkód: {status}',
+    },
+};
+
+export default hu;
@@ -0,0 +1,86 @@
+import { signedAmount } from './balances';
+import { categoryLines } from './splits';
+import { addAmounts } from './money';
+
+// --- Report Aggregations ---
+// Pure helpers feeding the analytics charts. All inputs are normalized transactions of accounts
+// in one currency, which the sums are kept exact in (utils/money).
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+const dayKey = (date) => `${monthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Totals per category for one transaction type, largest first. Split lines count separately.
+ * @returns {Array<{ categoryId: string, value: number }>}
+ */
+export const categoryBreakdown = (transactions, currency, transactionType = 'EXPENSE') => {
+    const totals = {};
+    transactions
+        .filter(t => t.transactionType === transactionType)
+        .forEach(t => categoryLines(t).forEach(line => {
+            totals[line.categoryId] = addAmounts(totals[line.categoryId] || 0, line.amount, currency);
+        }));
+    return Object.entries(totals)
+        .map(([categoryId, value]) => ({ categoryId, value }))
+        .sort((a, b) => b.value - a.value);
+};
+
+/**
+ * Income and expense per calendar month (local time), oldest first. Months without
+ * transactions between the first and the last one are included with zeros.
+ * @returns {Array<{ month: string, income: number, expense: number }>}
+ */
+export const monthlyTotals = (transactions, currency) => {
+    if (transactions.length === 0) return [];
+
+    const times = transactions.map(t => new Date(t.transactionTime));
+    const first = new Date(Math.min(...times));
+    const last = new Date(Math.max(...times));
+    const months = {};
+    for (let cursor = new Date(first.getFullYear(), first.getMonth(), 1); cursor <= last; cursor.setMonth(cursor.getMonth() + 1)) {
+        months[monthKey(cursor)] = { month: monthKey(cursor), income: 0, expense: 0 };
+    }
+
+    transactions.forEach((t, index) => {
+        const entry = months[monthKey(times[index])];
+        if (t.transactionType === 'INCOME') {
+            entry.income = addAmounts(entry.income, Math.abs(t.amount), currency);
+        } else if (t.transactionType === 'EXPENSE') {
+            entry.expense = addAmounts(entry.expense, Math.abs(t.amount), currency);
+        }
+    });
+    return Object.values(months);
+};
+
+/**
+ * End-of-day balance for every day with activity, oldest first.
+ * @param {Array} transactions - Transactions of the accounts being charted.
+ * @param {string} currency - Their currency.
+ * @param {number} openingBalance - Sum of the accounts' initial balances.
+ * @param {number|null} from - Epoch ms; earlier transactions only shift the opening balance.
+ * @returns {Array<{ day: string, balance: number }>}
+ */
+export const cumulativeBalance = (transactions, currency, openingBalance, from = null) => {
+    const sorted = [...transactions].sort((a, b) => new Date(a.transactionTime) - new Date(b.transactionTime));
+    let balance = openingBalance;
+    const days = new Map();
+
+    sorted.forEach(t => {
+        const time = new Date(t.transactionTime);
+        balance = addAmounts(balance, signedAmount(t), currency);
+        if (from === null || time.getTime() >= from) {
+            days.set(dayKey(time), balance);
+        }
+    });
+    return [...days].map(([day, value]) => ({ day, balance: value }));
+};
+
+/**
+ * First and last calendar day (YYYY-MM-DD) of a 'YYYY-MM' month, as used by the date filters.
+ * @param {string} month
+ */
+export const monthRange = (month) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const lastDay = new Date(year, monthIndex, 0).getDate();
+    return { dateFrom: `${month}-01`, dateTo: `${month}-${String(lastDay).padStart(2, '0')}` };
+};
@@ -0,0 +1,39 @@
+/**
+ * Error thrown by useApi. `status` is the HTTP status code of the failed response,
+ * or 0 when no response arrived: the server could not be reached (offline, DNS failure,
+ * CORS, ...), did not answer within the timeout (`timedOut`), or the caller cancelled
+ * the request (`aborted`).
+ */
+export class ApiError extends Error {
+    constructor(message, status = 0, { aborted = false, timedOut = false } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.aborted = aborted;
+        this.timedOut = timedOut;
+    }
+
+    // A cancelled request says nothing about connectivity, so it is not a network error
+    get isNetworkError() {
+        return this.status === 0 && !this.aborted;
+    }
+}
+
+/**
+ * True when the error means the server could not be reached at all.
+ * @param {Error} error
+ */
+export const isNetworkError = (error) => Boolean(error && error.isNetworkError);
+
+/**
+ * True when the request was cancelled through its AbortSignal; such errors are not shown.
+ * @param {Error} error
+ */
+export const isAbortError = (error) => Boolean(error && error.aborted);
+
+/**
+ * True when sending the same request again may succeed: the server was unreachable,
+ * too slow, or failed with a 5xx. Client errors (4xx) would fail the same way again.
+ * @param {Error} error
+ */
+export const isRetryableError = (error) => isNetworkError(error) || (error && error.status >= 500);
@@ -0,0 +1,129 @@
+import { STORES, getAll, getOne, putOne, deleteOne } from './offlineDb';
+import { QUEUE_STATUS } from './offlineQueue';
+import { isNetworkError } from './apiError';
+import { createIdempotencyKey } from './idempotency';
+
+// --- Offline Attachment Queue ---
+// Receipts that could not be uploaded yet are kept in IndexedDB, image blob included, and
+// uploaded once the browser is back online. An item points at its transaction by server id
+// (`transactionId`) or, while the transaction itself still waits in the transaction queue, by
+// that queued item's idempotency key (`transactionKey`); it is uploaded once it has an id.
+
+const listeners = new Set();
+
+/**
+ * Registers a callback that runs whenever the queue changes. Returns the unsubscribe function.
+ * @param {Function} listener
+ */
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const notify = () => listeners.forEach(listener => listener());
+
+/**
+ * Lists the queued attachments of a user in creation order.
+ * @param {string} user - Owner username.
+ */
+export const listAttachmentQueue = async (user) => {
+    const items = await getAll(STORES.ATTACHMENT_QUEUE);
+    return items.filter(item => item.user === user).sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Keeps a prepared image (see utils/images) for a later upload.
+ * @param {string} user - Owner username.
+ * @param {object} target - { transactionId } of a saved transaction, or { transactionKey } of a queued one.
+ * @param {object} attachment - { fileName, contentType, blob, thumbnail }.
+ * @param {string} idempotencyKey - Pass the key of an upload attempt that may have reached the server.
+ */
+export const queueAttachment = async (user, target, { fileName, contentType, blob, thumbnail }, idempotencyKey = createIdempotencyKey()) => {
+    await putOne(STORES.ATTACHMENT_QUEUE, {
+        user,
+        transactionId: target.transactionId ? String(target.transactionId) : null,
+        transactionKey: target.transactionKey || null,
+        fileName,
+        contentType,
+        blob,
+        thumbnail,
+        idempotencyKey,
+        status: QUEUE_STATUS.PENDING,
+        error: null,
+        createdAt: new Date().toISOString(),
+    });
+    notify();
+};
+
+/**
+ * Points the attachments of a queued transaction at the id the server gave it.
+ * @param {string} transactionKey - Idempotency key of the queued transaction.
+ */
+export const linkQueuedAttachments = async (transactionKey, transactionId) => {
+    const items = (await getAll(STORES.ATTACHMENT_QUEUE)).filter(item => item.transactionKey === transactionKey && !item.transactionId);
+    for (const item of items) {
+        await putOne(STORES.ATTACHMENT_QUEUE, { ...item, transactionId: String(transactionId) });
+    }
+    if (items.length > 0) notify();
+};
+
+export const discardQueuedAttachment = async (id) => {
+    await deleteOne(STORES.ATTACHMENT_QUEUE, id);
+    notify();
+};
+
+// Drops the attachments of a queued transaction that is discarded itself
+export const discardAttachmentsOf = async (transactionKey) => {
+    const items = (await getAll(STORES.ATTACHMENT_QUEUE)).filter(item => item.transactionKey === transactionKey && !item.transactionId);
+    for (const item of items) {
+        await deleteOne(STORES.ATTACHMENT_QUEUE, item.id);
+    }
+    if (items.length > 0) notify();
+};
+
+export const markAttachmentPending = async (id) => {
+    const item = await getOne(STORES.ATTACHMENT_QUEUE, id);
+    if (!item) return;
+    await putOne(STORES.ATTACHMENT_QUEUE, { ...item, status: QUEUE_STATUS.PENDING, error: null });
+    notify();
+};
+
+const runReplay = async (user, upload) => {
+    // Attachments of transactions that are still queued wait for them
+    const ready = (await listAttachmentQueue(user)).filter(item => item.status === QUEUE_STATUS.PENDING && item.transactionId);
+    let uploaded = 0;
+
+    for (const item of ready) {
+        try {
+            await upload(item);
+            await deleteOne(STORES.ATTACHMENT_QUEUE, item.id);
+            uploaded++;
+        } catch (error) {
+            if (isNetworkError(error) || error.status === 401) {
+                break;
+            }
+            await putOne(STORES.ATTACHMENT_QUEUE, { ...item, status: QUEUE_STATUS.FAILED, error: error.message });
+        } finally {
+            notify();
+        }
+    }
+
+    return uploaded;
+};
+
+let activeReplay = null;
+
+/**
+ * Uploads every ready attachment of the user; concurrent calls share one run.
+ * @param {string} user - Owner username.
+ * @param {Function} upload - Async (item) => uploads one item; rejects with an ApiError.
+ * @returns {Promise<number>} Number of attachments uploaded.
+ */
+export const replayAttachments = (user, upload) => {
+    if (!activeReplay) {
+        activeReplay = runReplay(user, upload).finally(() => {
+            activeReplay = null;
+        });
+    }
+    return activeReplay;
+};
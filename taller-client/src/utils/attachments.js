@@ -0,0 +1,44 @@
+import { blobToDataUrl } from './images';
+import { QUERY_KEYS } from './queryCache';
+
+// --- Transaction Attachments ---
+// Receipt images linked to a transaction, prepared by utils/images before upload.
+// NOTE: Assuming /transaction/{id}/attachments: GET lists AttachmentDtos
+// ({ id, fileName, contentType, size, thumbnail, createdAt }); POST takes
+// { fileName, contentType, data (base64), thumbnail } and returns the new AttachmentDto;
+// GET .../attachments/{attachmentId} returns the DTO with `data`, DELETE removes it.
+
+export const attachmentsPath = (transactionId, attachmentId = null) => (attachmentId === null
+    ? `/transaction/${transactionId}/attachments`
+    : `/transaction/${transactionId}/attachments/${attachmentId}`);
+
+export const attachmentsQueryKey = (transactionId) => `${QUERY_KEYS.ATTACHMENTS}:${transactionId}`;
+
+export const normalizeAttachment = (dto) => ({
+    id: String(dto.id),
+    fileName: dto.fileName || '',
+    contentType: dto.contentType || 'image/jpeg',
+    size: Number(dto.size) || 0,
+    thumbnail: dto.thumbnail || '',
+    createdAt: dto.createdAt || null,
+});
+
+/**
+ * Request body for a prepared image: { fileName, contentType, blob, thumbnail }.
+ */
+export const toAttachmentPayload = async ({ fileName, contentType, blob, thumbnail }) => {
+    const dataUrl = await blobToDataUrl(blob);
+    return { fileName, contentType, data: dataUrl.slice(dataUrl.indexOf(',') + 1), thumbnail };
+};
+
+/**
+ * Uploads one prepared image to a saved transaction.
+ * @param {Function} fetchApi - From useApi.
+ * @param {object} options - As for fetchApi, e.g. { idempotencyKey }.
+ */
+export const uploadAttachment = async (fetchApi, transactionId, attachment, options = {}) => normalizeAttachment(
+    await fetchApi(attachmentsPath(transactionId), 'POST', await toAttachmentPayload(attachment), options)
+);
+
+// Full-size image of an AttachmentDto read with its data, usable as an <img> src
+export const attachmentDataUrl = (dto) => `data:${dto.contentType || 'image/jpeg'};base64,${dto.data}`;
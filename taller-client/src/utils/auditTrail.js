@@ -0,0 +1,78 @@
+import { QUERY_KEYS } from './queryCache';
+import { categoryPath } from './categories';
+import { formatDateTime, formatNumber } from './format';
+import { formatAmount } from './money';
+import { translate } from './i18n';
+
+// --- Audit Trail ---
+// What happened to a transaction and when: created, edited (field by field), receipts added or
+// removed, deleted. Entries are recorded by the server, so edits made elsewhere show up too.
+// NOTE: Assuming GET /transaction/{id}/history lists AuditEntryDtos
+// ({ id, action, changedBy, changedAt, changes: [{ field, from, to }] }), with `from`/`to` in
+// the shape of the AccountTransactionDto field they belong to.
+
+export const AUDIT_ACTIONS = {
+    CREATED: 'CREATED',
+    UPDATED: 'UPDATED',
+    DELETED: 'DELETED',
+    ATTACHMENT_ADDED: 'ATTACHMENT_ADDED',
+    ATTACHMENT_REMOVED: 'ATTACHMENT_REMOVED',
+};
+
+export const auditTrailPath = (transactionId) => `/transaction/${transactionId}/history`;
+
+export const auditTrailQueryKey = (transactionId) => `${QUERY_KEYS.AUDIT_TRAIL}:${transactionId}`;
+
+/**
+ * Normalizes AuditEntryDtos into a list sorted newest first.
+ */
+export const normalizeAuditTrail = (dtos) => dtos
+    .map(dto => ({
+        id: String(dto.id),
+        action: dto.action,
+        changedBy: dto.changedBy || '',
+        changedAt: dto.changedAt,
+        changes: Array.isArray(dto.changes) ? dto.changes : [],
+    }))
+    .sort((a, b) => new Date(b.changedAt) - new Date(a.changedAt));
+
+const EMPTY_VALUE = '—';
+
+const formatValue = (field, value, { accountsById, categoriesById, currency }) => {
+    if (value === null || value === undefined || value === '') return EMPTY_VALUE;
+    switch (field) {
+        case 'amount':
+            return formatAmount(value, currency);
+        case 'transactionTime':
+            return formatDateTime(value);
+        case 'transactionType':
+            return translate(`transactionTypes.${value}`);
+        case 'account':
+        case 'counterpartAccount':
+            return accountsById[String(value.id)]?.name || `#${value.id}`;
+        case 'category':
+            return categoryPath(categoriesById, String(value.id)) || `#${value.id}`;
+        case 'splits':
+            return value.length === 0 ? EMPTY_VALUE : value
+                .map(line => `${categoryPath(categoriesById, String(line.category?.id)) || EMPTY_VALUE} ${formatAmount(Math.abs(line.amount), currency)}`)
+                .join(', ');
+        case 'latitude':
+        case 'longitude':
+        case 'originalAmount':
+        case 'exchangeRate':
+            return formatNumber(value, { maximumFractionDigits: 6 });
+        default:
+            return String(value);
+    }
+};
+
+/**
+ * One recorded change as display text: { label, from, to }.
+ * @param {{ field: string, from: *, to: * }} change
+ * @param {object} context - { accountsById, categoriesById, currency } with the account's currency.
+ */
+export const describeChange = (change, context) => ({
+    label: translate(`auditTrail.fields.${change.field}`),
+    from: formatValue(change.field, change.from, context),
+    to: formatValue(change.field, change.to, context),
+});
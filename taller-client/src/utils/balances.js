@@ -0,0 +1,70 @@
+import { TRANSFER_DIRECTIONS } from './transfers';
+import { addAmounts, fromMinorUnits, toMinorUnits } from './money';
+
+// --- Balance Calculations ---
+// Balances are derived client-side from each account's initialBalance and its transactions,
+// adding up minor units of the account's currency (utils/money) so they stay exact.
+
+/**
+ * Effect of a transaction on its account's balance. Amounts are treated as magnitudes;
+ * the transaction type decides the direction. A TRANSFER leaves the account unless it is
+ * the incoming leg of a linked transfer.
+ * @param {object} transaction - Normalized transaction.
+ */
+export const signedAmount = (transaction) => {
+    const magnitude = Math.abs(transaction.amount);
+    const isIncoming = transaction.transactionType === 'INCOME'
+        || (transaction.transactionType === 'TRANSFER' && transaction.transferDirection === TRANSFER_DIRECTIONS.IN);
+    return isIncoming ? magnitude : -magnitude;
+};
+
+/**
+ * Current balance per account id.
+ * @param {Array} accounts - Accounts with id, currency and initialBalance.
+ * @param {Array} transactions - Normalized transactions.
+ */
+export const computeAccountBalances = (accounts, transactions) => {
+    const currencies = Object.fromEntries(accounts.map(a => [a.id, a.currency]));
+    const minorBalances = Object.fromEntries(accounts.map(a => [a.id, toMinorUnits(a.initialBalance, a.currency)]));
+    transactions.forEach(t => {
+        if (t.accountId in minorBalances) {
+            minorBalances[t.accountId] += toMinorUnits(signedAmount(t), currencies[t.accountId]);
+        }
+    });
+    return Object.fromEntries(Object.entries(minorBalances).map(([id, minor]) => [id, fromMinorUnits(minor, currencies[id])]));
+};
+
+/**
+ * Sums account balances per currency, e.g. { EUR: 120.5, HUF: 35000 }.
+ * @param {Array} accounts - Accounts with id and currency.
+ * @param {object} balances - Result of computeAccountBalances.
+ */
+export const totalsByCurrency = (accounts, balances) => accounts.reduce((totals, account) => {
+    totals[account.currency] = addAmounts(totals[account.currency] || 0, balances[account.id] || 0, account.currency);
+    return totals;
+}, {});
+
+/**
+ * Income and expense since the first day of the current month, per currency.
+ * @param {Array} transactions - Normalized transactions.
+ * @param {object} accountsById - Lookup used to resolve each transaction's currency.
+ * @param {Date} now
+ * @returns {object} e.g. { EUR: { income: 1000, expense: 250 } }
+ */
+export const monthToDateByCurrency = (transactions, accountsById, now = new Date()) => {
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+    return transactions.reduce((result, t) => {
+        const account = accountsById[t.accountId];
+        const time = new Date(t.transactionTime).getTime();
+        if (!account || time < monthStart || time > now.getTime()) return result;
+
+        const entry = result[account.currency] || { income: 0, expense: 0 };
+        if (t.transactionType === 'INCOME') {
+            entry.income = addAmounts(entry.income, Math.abs(t.amount), account.currency);
+        } else if (t.transactionType === 'EXPENSE') {
+            entry.expense = addAmounts(entry.expense, Math.abs(t.amount), account.currency);
+        }
+        result[account.currency] = entry;
+        return result;
+    }, {});
+};
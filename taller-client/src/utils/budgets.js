@@ -0,0 +1,98 @@
+import { addMonths, toMonthKey } from './dates';
+import { descendantIds } from './categories';
+import { convertAmount } from './exchangeRates';
+import { categoryLines } from './splits';
+import { addAmounts, subtractAmounts, sumAmounts } from './money';
+
+// --- Budgets ---
+// A budget caps monthly EXPENSE spending in one category (subcategories included), optionally
+// only within one container: { id, categoryId, containerId, amount, currency, rollover, startMonth }.
+// With rollover, whatever a month leaves unused is added to the next month's limit.
+
+// Warn before a category is fully spent
+export const BUDGET_WARNING_RATIO = 0.8;
+
+export const createBudgetId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Whether a transaction on this account and category counts against the budget.
+ * @param {object} context - { accountsById, categories }
+ */
+export const budgetApplies = (budget, accountId, categoryId, { accountsById, categories }) => {
+    const account = accountsById[accountId];
+    if (!account) return false;
+    if (budget.containerId && account.containerId !== budget.containerId) return false;
+    return descendantIds(categories, budget.categoryId).has(categoryId);
+};
+
+/**
+ * Expense total of one month in the budget's currency. Amounts in other currencies are converted
+ * at the rate of their day; those without a rate are counted in `unconverted` instead.
+ * @param {object} context - { accountsById, categories, rates }
+ */
+export const spentInMonth = (budget, transactions, monthKey, context) => transactions.reduce((result, t) => {
+    if (t.transactionType !== 'EXPENSE' || toMonthKey(t.transactionTime) !== monthKey) return result;
+    // Only the split lines in the budget's categories count
+    const lines = categoryLines(t).filter(line => budgetApplies(budget, t.accountId, line.categoryId, context));
+    if (lines.length === 0) return result;
+
+    const currency = context.accountsById[t.accountId].currency;
+    const amount = sumAmounts(lines.map(line => line.amount), currency);
+    const converted = convertAmount(amount, currency, budget.currency, context.rates, new Date(t.transactionTime));
+    if (converted === null) {
+        result.unconverted++;
+    } else {
+        result.spent = addAmounts(result.spent, converted, budget.currency);
+    }
+    return result;
+}, { spent: 0, unconverted: 0 });
+
+/**
+ * Limit, spending and what is left of a budget in a month.
+ * @returns {{ limit: number, carried: number, spent: number, remaining: number, ratio: number, unconverted: number }}
+ */
+export const budgetStatus = (budget, transactions, monthKey, context) => {
+    let carried = 0;
+    // Walk forward from the first budgeted month, carrying unused amounts (never overspending)
+    if (budget.rollover && budget.startMonth) {
+        for (let month = budget.startMonth; month < monthKey; month = addMonths(month, 1)) {
+            const { spent } = spentInMonth(budget, transactions, month, context);
+            carried = Math.max(0, subtractAmounts(addAmounts(budget.amount, carried, budget.currency), spent, budget.currency));
+        }
+    }
+
+    const { spent, unconverted } = spentInMonth(budget, transactions, monthKey, context);
+    const limit = addAmounts(budget.amount, carried, budget.currency);
+    return {
+        limit,
+        carried,
+        spent,
+        remaining: subtractAmounts(limit, spent, budget.currency),
+        ratio: limit > 0 ? spent / limit : (spent > 0 ? Infinity : 0),
+        unconverted,
+    };
+};
+
+/**
+ * Budgets an expense that has not been saved yet would exceed, with the resulting spending.
+ * @param {object} expense - { accountId, lines: [{ categoryId, amount }], currency, time }
+ * @returns {Array<{ budget, status, spentAfter }>}
+ */
+export const budgetsExceededBy = (budgets, transactions, expense, context) => {
+    const monthKey = toMonthKey(expense.time);
+    return budgets
+        .filter(budget => !budget.startMonth || budget.startMonth <= monthKey)
+        .map(budget => ({
+            budget,
+            amount: sumAmounts(expense.lines
+                .filter(line => budgetApplies(budget, expense.accountId, line.categoryId, context))
+                .map(line => line.amount), expense.currency),
+        }))
+        .filter(({ amount }) => amount > 0)
+        .map(({ budget, amount }) => {
+            const status = budgetStatus(budget, transactions, monthKey, context);
+            const added = convertAmount(amount, expense.currency, budget.currency, context.rates, expense.time);
+            return { budget, status, spentAfter: added === null ? null : addAmounts(status.spent, added, budget.currency) };
+        })
+        .filter(({ status, spentAfter }) => spentAfter !== null && spentAfter > status.limit);
+};
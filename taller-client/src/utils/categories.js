@@ -0,0 +1,124 @@
+// --- Category Hierarchy ---
+// Categories form a forest: each category optionally points to a parent (e.g. Food > Groceries).
+
+export const DEFAULT_CATEGORY_COLOR = '#4f46e5';
+export const DEFAULT_CATEGORY_ICON = 'tag';
+
+/**
+ * Flattens a CategoryDto into { id, name, parentId, color, icon }.
+ * NOTE: Assuming the DTO carries parent as { id }, plus color and icon strings
+ * @param {object} dto - Category as returned by the API.
+ */
+export const normalizeCategory = (dto) => ({
+    id: String(dto.id),
+    name: dto.name || '',
+    parentId: dto.parent ? String(dto.parent.id) : '',
+    color: dto.color || DEFAULT_CATEGORY_COLOR,
+    icon: dto.icon || DEFAULT_CATEGORY_ICON,
+});
+
+/**
+ * Payload for POST/PUT /category.
+ */
+export const toCategoryDto = ({ name, parentId, color, icon }) => ({
+    name: name.trim(),
+    parent: parentId ? { id: parentId } : null,
+    color,
+    icon,
+});
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * Nests categories under their parents, alphabetically at every level.
+ * Categories whose parent is unknown (or part of a cycle) are treated as roots.
+ * @returns {Array} Roots, each { ...category, depth, children: [...] }.
+ */
+export const buildCategoryTree = (categories) => {
+    const ids = new Set(categories.map(c => c.id));
+    const childrenOf = categories.reduce((map, c) => {
+        const parentKey = ids.has(c.parentId) && c.parentId !== c.id ? c.parentId : '';
+        (map[parentKey] = map[parentKey] || []).push(c);
+        return map;
+    }, {});
+
+    const visited = new Set();
+    const build = (category, depth) => {
+        visited.add(category.id);
+        return {
+            ...category,
+            depth,
+            children: (childrenOf[category.id] || [])
+                .filter(child => !visited.has(child.id))
+                .sort(byName)
+                .map(child => build(child, depth + 1)),
+        };
+    };
+
+    const roots = (childrenOf[''] || []).sort(byName).map(c => build(c, 0));
+    // Anything not reached from a root sits in a parent cycle; surface it rather than hide it
+    const orphans = [];
+    [...categories].sort(byName).forEach(c => {
+        if (!visited.has(c.id)) orphans.push(build(c, 0));
+    });
+    return [...roots, ...orphans];
+};
+
+/**
+ * Depth-first list of the tree, handy for indented lists and selects.
+ */
+export const flattenCategoryTree = (tree) => tree.flatMap(node => [node, ...flattenCategoryTree(node.children)]);
+
+/**
+ * Ids of a category and everything below it.
+ */
+export const descendantIds = (categories, id) => {
+    const result = new Set([id]);
+    let grew = true;
+    while (grew) {
+        grew = false;
+        categories.forEach(c => {
+            if (result.has(c.parentId) && !result.has(c.id)) {
+                result.add(c.id);
+                grew = true;
+            }
+        });
+    }
+    return result;
+};
+
+/**
+ * Full name of a category, e.g. "Food › Groceries".
+ * @param {object} categoriesById - Lookup of normalized categories.
+ */
+export const categoryPath = (categoriesById, id) => {
+    const names = [];
+    const seen = new Set();
+    let current = categoriesById[id];
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        names.unshift(current.name);
+        current = categoriesById[current.parentId];
+    }
+    return names.join(' › ');
+};
+
+/**
+ * Prunes the tree to nodes whose name matches the query. Ancestors stay for context and
+ * a matching node keeps all of its children.
+ */
+export const searchCategoryTree = (tree, query) => {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return tree;
+    return tree.reduce((result, node) => {
+        if (node.name.toLowerCase().includes(needle)) {
+            result.push(node);
+            return result;
+        }
+        const children = searchCategoryTree(node.children, query);
+        if (children.length > 0) {
+            result.push({ ...node, children });
+        }
+        return result;
+    }, []);
+};
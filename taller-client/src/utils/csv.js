@@ -0,0 +1,85 @@
+// --- CSV Parsing ---
+// Small RFC 4180 style parser: quoted fields, escaped quotes ("") and line breaks inside quotes.
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Guesses the delimiter from the first line (quoted text is ignored).
+ * @param {string} text
+ */
+export const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    let best = ',';
+    let bestCount = 0;
+    CANDIDATE_DELIMITERS.forEach(delimiter => {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+    return best;
+};
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings). Blank lines are skipped.
+ * @param {string} text
+ * @param {string} delimiter - Defaults to the detected delimiter.
+ */
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    // Strip a UTF-8 byte order mark, common in bank exports
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.some(value => value.trim() !== '')) {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+    return rows;
+};
+
+/**
+ * Serializes rows into CSV text, quoting fields only where needed.
+ * @param {Array<Array>} rows
+ * @param {string} delimiter
+ */
+export const toCsv = (rows, delimiter = ',') => rows
+    .map(row => row.map(value => {
+        const text = value == null ? '' : String(value);
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter))
+    .join('\r\n');
@@ -0,0 +1,160 @@
+import { TRANSACTION_TYPES } from '../constants';
+import { fitsCurrencyPrecision, parseMoney } from './money';
+import { getLocale, translate } from './i18n';
+
+// --- Bank Statement Import ---
+// Turns raw CSV rows into transaction payloads according to a user-defined column mapping.
+
+// Option labels are translation keys (utils/i18n)
+export const DATE_FORMATS = [
+    { value: 'YMD', labelKey: 'importWizard.dateFormats.YMD' },
+    { value: 'DMY', labelKey: 'importWizard.dateFormats.DMY' },
+    { value: 'MDY', labelKey: 'importWizard.dateFormats.MDY' },
+    { value: 'ISO', labelKey: 'importWizard.dateFormats.ISO' },
+];
+
+export const DECIMAL_SEPARATORS = [
+    { value: ',', labelKey: 'importWizard.decimalComma' },
+    { value: '.', labelKey: 'importWizard.decimalPoint' },
+];
+
+// How type values used by banks map onto TRANSACTION_TYPES (compared lowercase). A transfer
+// ("utalás") on a statement is a payment to or from someone else, not one of the user's own
+// two-leg transfers (utils/transfers), so it is left to the sign of the amount like unknown types.
+const TYPE_ALIASES = {
+    expense: 'EXPENSE', debit: 'EXPENSE', terhelés: 'EXPENSE', kiadás: 'EXPENSE',
+    income: 'INCOME', credit: 'INCOME', jóváírás: 'INCOME', bevétel: 'INCOME',
+};
+
+/**
+ * Rewrites an amount written with the given decimal separator as a plain dot-decimal string
+ * (see utils/money). Spaces, apostrophes and the other separator are treated as thousands
+ * separators; currency symbols are ignored.
+ * @param {string} raw - e.g. "-1 234,56 Ft" or "1,234.56"
+ * @param {','|'.'} decimalSeparator
+ * @returns {string} e.g. "-1234.56"; '' when the value is not a number.
+ */
+export const normalizeAmount = (raw, decimalSeparator = '.') => {
+    if (raw == null) return '';
+    const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+    let value = String(raw).replace(/[\s\u00a0\u202f']/g, '').replace(/[^\d,.+-]/g, '');
+    value = value.split(thousandsSeparator).join('');
+    if (decimalSeparator === ',') {
+        value = value.replace(',', '.');
+    }
+    return /^[-+]?\d+(\.\d+)?$/.test(value) ? value : '';
+};
+
+/**
+ * Guesses the decimal separator from sample values: a comma followed by 1-2 digits at the end
+ * (and no point after it) means decimal comma.
+ * @param {Array<string>} samples
+ */
+export const guessDecimalSeparator = (samples) => {
+    const commaDecimals = samples.filter(value => /,\d{1,2}\s*\D*$/.test(value) && !/,\d*\./.test(value)).length;
+    const pointDecimals = samples.filter(value => /\.\d{1,2}\s*\D*$/.test(value) && !/\.\d*,/.test(value)).length;
+    return commaDecimals > pointDecimals ? ',' : '.';
+};
+
+/**
+ * Parses a date (with optional HH:mm[:ss]) in local time and returns an ISO instant, or null.
+ * Any non-digit characters separate the parts, so "2024.03.15." and "2024-03-15 08:30" both work.
+ * @param {string} raw
+ * @param {string} format - One of DATE_FORMATS.
+ */
+export const parseDate = (raw, format) => {
+    if (!raw || !raw.trim()) return null;
+
+    if (format === 'ISO') {
+        const date = new Date(raw.trim());
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    const parts = raw.match(/\d+/g);
+    if (!parts || parts.length < 3) return null;
+
+    const [a, b, c, hours = 0, minutes = 0, seconds = 0] = parts.map(Number);
+    const [year, month, day] = {
+        YMD: [a, b, c],
+        DMY: [c, b, a],
+        MDY: [c, a, b],
+    }[format] || [a, b, c];
+
+    const fullYear = year < 100 ? 2000 + year : year;
+    const date = new Date(fullYear, month - 1, day, hours, minutes, seconds);
+    // Reject overflowing values such as 31.02. that Date would silently roll over
+    if (date.getFullYear() !== fullYear || date.getMonth() !== month - 1 || date.getDate() !== day || hours > 23 || minutes > 59) {
+        return null;
+    }
+    return date.toISOString();
+};
+
+const resolveType = (raw, amount) => {
+    const value = (raw || '').trim().toLowerCase();
+    if (value) {
+        const upper = value.toUpperCase();
+        if (TRANSACTION_TYPES.includes(upper) && upper !== 'TRANSFER') return upper;
+        if (TYPE_ALIASES[value]) return TYPE_ALIASES[value];
+    }
+    // No (recognized) type column: the sign of the amount decides
+    return amount < 0 ? 'EXPENSE' : 'INCOME';
+};
+
+/**
+ * Applies a mapping to the data rows of a statement.
+ * @param {Array<Array<string>>} rows - Data rows (header excluded).
+ * @param {object} mapping - { columns: { description, amount, time, type }, decimalSeparator, dateFormat }
+ *                           where columns hold column indexes ('' when unmapped).
+ * @param {string} currency - Currency of the target account; amounts may not be more precise.
+ * @param {string} [locale] - Language of the row errors.
+ * @returns {Array<{ line: number, description: string, amount: number, transactionTime: string,
+ *                   transactionType: string, errors: Array<string> }>}
+ */
+export const buildImportRows = (rows, mapping, currency, locale = getLocale()) => {
+    const { columns, decimalSeparator, dateFormat } = mapping;
+    const cell = (row, column) => (column === '' || column == null ? '' : (row[Number(column)] || '').trim());
+
+    return rows.map((row, index) => {
+        const errors = [];
+        const description = cell(row, columns.description);
+        const amountText = normalizeAmount(cell(row, columns.amount), decimalSeparator);
+        const amount = parseMoney(amountText, currency);
+        const transactionTime = parseDate(cell(row, columns.time), dateFormat);
+
+        if (!description) errors.push(translate('importWizard.errors.missingDescription', {}, locale));
+        if (!amountText) errors.push(translate('importWizard.errors.invalidAmount', { value: cell(row, columns.amount) }, locale));
+        else if (!fitsCurrencyPrecision(amountText, currency)) errors.push(translate('importWizard.errors.tooPrecise', { value: cell(row, columns.amount), currency }, locale));
+        else if (amount === 0) errors.push(translate('importWizard.errors.zeroAmount', {}, locale));
+        if (!transactionTime) errors.push(translate('importWizard.errors.invalidDate', { value: cell(row, columns.time) }, locale));
+
+        return {
+            line: index + 1,
+            description,
+            amount: isNaN(amount) ? 0 : Math.abs(amount),
+            transactionTime,
+            transactionType: resolveType(cell(row, columns.type), amount),
+            errors,
+        };
+    });
+};
+
+// Header keywords (lowercase, English and Hungarian) used to preselect the column mapping
+const COLUMN_HINTS = {
+    time: ['date', 'time', 'dátum', 'datum', 'időpont', 'könyvelés'],
+    description: ['description', 'details', 'memo', 'közlemény', 'megnevezés', 'leírás', 'partner'],
+    amount: ['amount', 'összeg', 'osszeg', 'value'],
+    type: ['type', 'típus', 'tipus', 'direction'],
+};
+
+/**
+ * Preselects columns whose header contains a known keyword.
+ * @param {Array<string>} header
+ * @returns {{ description: string, amount: string, time: string, type: string }} Column indexes as strings.
+ */
+export const guessColumns = (header) => Object.fromEntries(Object.entries(COLUMN_HINTS).map(([field, hints]) => {
+    const index = header.findIndex(title => hints.some(hint => title.toLowerCase().includes(hint)));
+    return [field, index === -1 ? '' : String(index)];
+}));
+
+// Identifies a statement layout, so a saved mapping is only reused for the same columns
+export const headerSignature = (header) => header.map(title => title.trim().toLowerCase()).join('|');
@@ -0,0 +1,68 @@
+// --- Calendar Days ---
+// Day-granular values (rate validity, schedules) are stored as "YYYY-MM-DD" keys, which
+// compare correctly as strings. Arithmetic on keys runs in UTC so DST shifts never skip a day.
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Local calendar day of a date as YYYY-MM-DD.
+ */
+export const toDateKey = (value) => {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return '';
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Midnight UTC of a day key, and back
+export const parseDateKey = (key) => new Date(`${key}T00:00:00Z`);
+export const formatDateKey = (date) => date.toISOString().slice(0, 10);
+
+export const addDays = (key, days) => {
+    const date = parseDateKey(key);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDateKey(date);
+};
+
+export const daysBetween = (fromKey, toKey) => Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / 86400000);
+
+/**
+ * Local calendar month of a date as YYYY-MM.
+ */
+export const toMonthKey = (value) => toDateKey(value).slice(0, 7);
+
+export const addMonths = (monthKey, months) => {
+    const [year, month] = monthKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + months, 1));
+    return formatDateKey(date).slice(0, 7);
+};
+
+// --- Date-Time Inputs ---
+// <input type="datetime-local"> works with "YYYY-MM-DDTHH:mm" in the browser's timezone; the API
+// stores instants, so values are converted with toISOString() before they are sent.
+
+export const toDateTimeInput = (value) => {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return '';
+    return `${toDateKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * The local moment a datetime-local value stands for, or null when it is incomplete.
+ */
+export const fromDateTimeInput = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value || '')) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// IANA name of the browser's timezone, e.g. "Europe/Budapest"
+export const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+
+/**
+ * Offset from UTC in effect at `date` (it changes with daylight saving time), e.g. "UTC+02:00".
+ */
+export const utcOffsetLabel = (date = new Date()) => {
+    const minutes = -date.getTimezoneOffset();
+    const sign = minutes < 0 ? '-' : '+';
+    return `UTC${sign}${pad(Math.floor(Math.abs(minutes) / 60))}:${pad(Math.abs(minutes) % 60)}`;
+};
@@ -0,0 +1,16 @@
+/**
+ * Saves text content as a file through a temporary object URL.
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} mimeType
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
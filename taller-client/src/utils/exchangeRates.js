@@ -0,0 +1,71 @@
+import { toDateKey } from './dates';
+import { addAmounts, multiplyAmount } from './money';
+
+// --- Currency Conversion ---
+// The user maintains a table of dated rates: { id, from, to, rate, date } meaning
+// 1 `from` = `rate` `to` from `date` (YYYY-MM-DD) onwards, until a newer rate for the pair.
+
+export const createRateId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Latest rate for the exact pair that is effective on the given day
+const latestDirectRate = (rates, from, to, dateKey) => rates
+    .filter(r => r.from === from && r.to === to && r.date <= dateKey)
+    .sort((a, b) => b.date.localeCompare(a.date))[0] || null;
+
+/**
+ * Rate to convert `from` into `to` on a given day. Uses the pair itself, its inverse,
+ * or a single intermediate currency, in that order of preference.
+ * @param {Array} rates - The rate table.
+ * @param {string} from
+ * @param {string} to
+ * @param {Date|string} date - Day of the conversion; defaults to today.
+ * @returns {number|null} null when the table has no usable rate.
+ */
+export const findRate = (rates, from, to, date = new Date()) => {
+    if (from === to) return 1;
+    const dateKey = toDateKey(date);
+
+    const direct = (a, b) => {
+        const rate = latestDirectRate(rates, a, b, dateKey);
+        if (rate) return rate.rate;
+        const inverse = latestDirectRate(rates, b, a, dateKey);
+        return inverse && inverse.rate ? 1 / inverse.rate : null;
+    };
+
+    const rate = direct(from, to);
+    if (rate !== null) return rate;
+
+    const intermediates = new Set(rates.flatMap(r => [r.from, r.to]));
+    for (const via of intermediates) {
+        if (via === from || via === to) continue;
+        const first = direct(from, via);
+        const second = first !== null ? direct(via, to) : null;
+        if (second !== null) return first * second;
+    }
+    return null;
+};
+
+/**
+ * Converts an amount between currencies, rounded to the precision of `to`, or returns null
+ * when no rate is known.
+ */
+export const convertAmount = (amount, from, to, rates, date = new Date()) => {
+    const rate = findRate(rates, from, to, date);
+    return rate === null ? null : multiplyAmount(amount, rate, to);
+};
+
+/**
+ * Sums per-currency totals into a single base currency.
+ * @param {object} totals - e.g. { EUR: 120, HUF: 30000 }
+ * @returns {{ total: number, missing: string[] }} Currencies without a rate are left out and listed in `missing`.
+ */
+export const totalInBaseCurrency = (totals, baseCurrency, rates, date = new Date()) => Object.entries(totals)
+    .reduce((result, [currency, value]) => {
+        const converted = convertAmount(value, currency, baseCurrency, rates, date);
+        if (converted === null) {
+            result.missing.push(currency);
+        } else {
+            result.total = addAmounts(result.total, converted, baseCurrency);
+        }
+        return result;
+    }, { total: 0, missing: [] });
@@ -0,0 +1,179 @@
+import { toCsv } from './csv';
+import { computeAccountBalances, signedAmount } from './balances';
+import { toAmountString } from './money';
+
+// --- Data Export ---
+// Every builder receives the same selection: { containers, accounts, categories, transactions }
+// where accounts/transactions are already narrowed down to what the user picked.
+
+// Labels are under exportView.formats.<value> (utils/i18n)
+export const EXPORT_FORMATS = [
+    { value: 'csv', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    { value: 'json', extension: 'json', mimeType: 'application/json' },
+    { value: 'ofx', extension: 'ofx', mimeType: 'application/x-ofx' },
+];
+
+const lookup = (items) => Object.fromEntries(items.map(item => [item.id, item]));
+
+const byTime = (a, b) => new Date(a.transactionTime) - new Date(b.transactionTime);
+
+// A split payment lists every line, e.g. "Groceries 12.00; Household 3.50"
+const categoryLabel = (t, categoriesById, currency) => (t.splits.length > 0
+    ? t.splits.map(line => `${categoriesById[line.categoryId]?.name || ''} ${toAmountString(line.amount, currency)}`).join('; ')
+    : categoriesById[t.categoryId]?.name || '');
+
+/**
+ * One row per transaction. A UTF-8 BOM is prepended so Excel detects accented characters.
+ */
+export const buildCsvExport = ({ containers, accounts, categories, transactions }) => {
+    const accountsById = lookup(accounts);
+    const containersById = lookup(containers);
+    const categoriesById = lookup(categories);
+
+    const rows = [...transactions].sort(byTime).map(t => {
+        const account = accountsById[t.accountId] || {};
+        return [
+            t.transactionTime,
+            t.description,
+            toAmountString(t.amount, account.currency),
+            account.currency || '',
+            t.transactionType,
+            account.name || '',
+            containersById[account.containerId]?.name || '',
+            categoryLabel(t, categoriesById, account.currency),
+            t.latitude ?? '',
+            t.longitude ?? '',
+        ];
+    });
+
+    const header = ['Time', 'Description', 'Amount', 'Currency', 'Type', 'Account', 'Container', 'Category', 'Latitude', 'Longitude'];
+    return `\uFEFF${toCsv([header, ...rows])}`;
+};
+
+/**
+ * Full-fidelity backup. Each entry of `containers` has the AccountContainerDto shape accepted by
+ * POST /account-container (name + subaccounts); ids are kept so transactions can reference them.
+ * Transactions keep their conversion (original amount/currency, rate) and transfer-leg fields.
+ */
+export const buildJsonExport = ({ containers, accounts, categories, transactions }, range = {}) => {
+    const usedContainerIds = new Set(accounts.map(a => a.containerId));
+    const categoriesById = lookup(categories);
+
+    return JSON.stringify({
+        format: 'taller-export',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        dateRange: { from: range.dateFrom || null, to: range.dateTo || null },
+        containers: containers.filter(c => usedContainerIds.has(c.id)).map(c => ({
+            id: c.id,
+            name: c.name,
+            subaccounts: accounts.filter(a => a.containerId === c.id).map(a => ({
+                id: a.id,
+                name: a.name,
+                accountType: a.accountType,
+                currency: a.currency,
+                initialBalance: a.initialBalance,
+            })),
+        })),
+        categories,
+        transactions: [...transactions].sort(byTime).map(t => ({
+            id: t.id,
+            description: t.description,
+            amount: t.amount,
+            latitude: t.latitude,
+            longitude: t.longitude,
+            transactionTime: t.transactionTime,
+            transactionType: t.transactionType,
+            account: { id: t.accountId },
+            category: categoriesById[t.categoryId] ? { ...categoriesById[t.categoryId] } : { id: t.categoryId },
+            splits: t.splits.map(line => ({ category: { id: line.categoryId }, amount: line.amount })),
+            originalAmount: t.originalAmount,
+            originalCurrency: t.originalCurrency,
+            exchangeRate: t.exchangeRate,
+            transferId: t.transferId,
+            transferDirection: t.transferDirection,
+            counterpartAccount: t.counterpartAccountId ? { id: t.counterpartAccountId } : null,
+        })),
+    }, null, 2);
+};
+
+// --- OFX 1.0.2 (SGML) ---
+
+const escapeSgml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// OFX dates are YYYYMMDDHHMMSS in UTC
+const ofxDate = (value) => new Date(value).toISOString().replace(/\D/g, '').slice(0, 14);
+
+const OFX_TRANSACTION_TYPES = { INCOME: 'CREDIT', EXPENSE: 'DEBIT', TRANSFER: 'XFER' };
+const OFX_ACCOUNT_TYPES = { CHECKING: 'CHECKING', SAVINGS: 'SAVINGS' };
+
+/**
+ * Bank statement per account, importable by GnuCash, HomeBank, Moneydance, ...
+ */
+export const buildOfxExport = ({ accounts, transactions }, range = {}, allTransactions = transactions) => {
+    const now = ofxDate(new Date());
+    // Ledger balances use every transaction of the account, not only the exported range
+    const balances = computeAccountBalances(accounts, allTransactions);
+
+    const statements = accounts.map(account => {
+        const accountTransactions = transactions.filter(t => t.accountId === account.id).sort(byTime);
+        const start = range.dateFrom ? ofxDate(`${range.dateFrom}T00:00:00`) : (accountTransactions[0] ? ofxDate(accountTransactions[0].transactionTime) : now);
+        const end = range.dateTo ? ofxDate(`${range.dateTo}T23:59:59`) : now;
+
+        const entries = accountTransactions.map(t => [
+            '<STMTTRN>',
+            `<TRNTYPE>${OFX_TRANSACTION_TYPES[t.transactionType] || 'OTHER'}`,
+            `<DTPOSTED>${ofxDate(t.transactionTime)}`,
+            `<TRNAMT>${toAmountString(signedAmount(t), account.currency)}`,
+            `<FITID>${escapeSgml(t.id)}`,
+            `<NAME>${escapeSgml(t.description.slice(0, 32))}`,
+            `<MEMO>${escapeSgml(t.description)}`,
+            '</STMTTRN>',
+        ].join('\n')).join('\n');
+
+        return [
+            '<STMTTRNRS>',
+            `<TRNUID>${escapeSgml(account.id)}`,
+            '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+            '<STMTRS>',
+            `<CURDEF>${account.currency}`,
+            '<BANKACCTFROM>',
+            '<BANKID>TALLER',
+            `<ACCTID>${escapeSgml(account.id)}`,
+            `<ACCTTYPE>${OFX_ACCOUNT_TYPES[account.accountType] || 'CHECKING'}`,
+            '</BANKACCTFROM>',
+            '<BANKTRANLIST>',
+            `<DTSTART>${start}`,
+            `<DTEND>${end}`,
+            entries,
+            '</BANKTRANLIST>',
+            '<LEDGERBAL>',
+            `<BALAMT>${toAmountString(balances[account.id] || 0, account.currency)}`,
+            `<DTASOF>${now}`,
+            '</LEDGERBAL>',
+            '</STMTRS>',
+            '</STMTTRNRS>',
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        'OFXHEADER:100',
+        'DATA:OFXSGML',
+        'VERSION:102',
+        'SECURITY:NONE',
+        'ENCODING:UTF-8',
+        'CHARSET:NONE',
+        'COMPRESSION:NONE',
+        'OLDFILEUID:NONE',
+        'NEWFILEUID:NONE',
+        '',
+        '<OFX>',
+        '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+        `<DTSERVER>${now}<LANGUAGE>ENG</SONRS></SIGNONMSGSRSV1>`,
+        '<BANKMSGSRSV1>',
+        ...statements,
+        '</BANKMSGSRSV1>',
+        '</OFX>',
+        '',
+    ].join('\n');
+};
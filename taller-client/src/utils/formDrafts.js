@@ -0,0 +1,26 @@
+// --- Form Drafts ---
+// Unsaved form input is mirrored to sessionStorage, so it survives a forced
+// re-login (expired session, 401) and the user can continue where they left off.
+
+const DRAFT_PREFIX = 'draft.';
+
+export const readDraft = (key, fallback) => {
+    try {
+        const stored = sessionStorage.getItem(DRAFT_PREFIX + key);
+        return stored !== null ? JSON.parse(stored) : fallback;
+    } catch {
+        return fallback;
+    }
+};
+
+export const writeDraft = (key, value) => {
+    sessionStorage.setItem(DRAFT_PREFIX + key, JSON.stringify(value));
+};
+
+// Drops every stored draft, e.g. on explicit logout or when another user logs in; with a
+// `scope` ('transactionEdit.42') only the drafts of that form
+export const clearDrafts = (scope = '') => {
+    Object.keys(sessionStorage)
+        .filter(key => key.startsWith(DRAFT_PREFIX + scope))
+        .forEach(key => sessionStorage.removeItem(key));
+};
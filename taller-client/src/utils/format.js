@@ -0,0 +1,79 @@
+import { getLocale } from './i18n';
+
+// --- Display Formatting ---
+// Everything shown to the user follows the UI language (utils/i18n): digit grouping, decimal
+// separator, currency symbol position and date order. Stored and exported values are never
+// formatted here. Amounts with their currency are formatted by utils/money.
+
+/**
+ * Plain number for the current locale; `options` as for Intl.NumberFormat.
+ */
+export const formatNumber = (value, options = {}) => new Intl.NumberFormat(getLocale(), options).format(Number(value) || 0);
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+export const formatDate = (value) => toDate(value).toLocaleDateString(getLocale());
+
+export const formatDateTime = (value) => toDate(value).toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+
+export const formatTime = (value) => toDate(value).toLocaleTimeString(getLocale());
+
+/**
+ * "March 2025" / "2025. március" for a YYYY-MM key.
+ */
+export const formatMonth = (monthKey) => new Date(`${monthKey}-01T00:00:00`).toLocaleString(getLocale(), { month: 'long', year: 'numeric' });
+
+/**
+ * Name of a month (1-12), e.g. for schedule descriptions.
+ */
+export const monthName = (month) => new Date(Date.UTC(2000, month - 1, 1)).toLocaleString(getLocale(), { month: 'long', timeZone: 'UTC' });
+
+/**
+ * Name of a weekday (0-6, Sunday first); 2 Jan 2000 was a Sunday.
+ */
+export const weekdayName = (weekday) => new Date(Date.UTC(2000, 0, 2 + weekday)).toLocaleString(getLocale(), { weekday: 'long', timeZone: 'UTC' });
+
+// --- Decimal Inputs ---
+// Amount fields hold plain strings with a dot ("1234.5"), which utils/money parses exactly.
+// They are displayed with the locale's decimal separator, and typed input is normalized back.
+// Either comma or point is taken as the decimal separator when one or two digits follow it
+// (or none, while typing), so "12.50" is 12.5 in Hungarian too. A separator is only taken as
+// digit grouping in groups of three; anything else is left as typed, for validation to reject.
+
+export const decimalSeparator = () => new Intl.NumberFormat(getLocale()).formatToParts(1.5).find(part => part.type === 'decimal')?.value || '.';
+
+/**
+ * A stored decimal string as shown in an input of the current locale.
+ */
+export const toDecimalInput = (value) => String(value ?? '').replace('.', decimalSeparator());
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Digits, optionally grouped by `separator` in threes: "1.234.567"
+const isGrouped = (text, separator) => new RegExp(`^[+-]?(\\d*|\\d{1,3}(${escapeRegExp(separator)}\\d{3})+)$`).test(text);
+
+/**
+ * Typed text as a stored decimal string: "1 234,5", "1.234,5" or "1234.5" -> "1234.5" in
+ * Hungarian, "1,234.5" or "1234,5" -> "1234.5" in English. Ambiguous text such as "1,234,5" is
+ * returned unchanged (and is then not a number).
+ */
+export const normalizeDecimalInput = (text) => {
+    // \s also covers the (narrow) no-break spaces Intl uses for grouping
+    const compact = String(text).replace(/\s/g, '');
+    const last = Math.max(compact.lastIndexOf(','), compact.lastIndexOf('.'));
+    if (last === -1) return compact;
+
+    const separator = compact[last];
+    const other = separator === ',' ? '.' : ',';
+    const integer = compact.slice(0, last);
+    const fraction = compact.slice(last + 1);
+
+    // The locale's own separator is always the decimal one; "1,234" in Hungarian is 1.234
+    if (separator === decimalSeparator() || /^\d{0,2}$/.test(fraction)) {
+        return isGrouped(integer, other) && /^\d*$/.test(fraction)
+            ? `${integer.split(other).join('')}.${fraction}`
+            : compact;
+    }
+    // The other separator followed by three digits groups them: "1,234" in English is 1234
+    return isGrouped(compact, separator) ? compact.split(separator).join('') : compact;
+};
@@ -0,0 +1,83 @@
+import en from '../i18n/en';
+import hu from '../i18n/hu';
+
+// --- Localization ---
+// The UI language, kept in localStorage so the choice survives reloads; the first visit
+// follows the browser's language. Strings live in src/i18n/<locale>.js as nested objects and
+// are looked up by dotted keys ('auth.login'). A string may contain {placeholders}; a plural
+// string is an object keyed by Intl.PluralRules category ({ one, other }) and picked by the
+// `count` parameter. Missing Hungarian strings fall back to English.
+
+const STORAGE_KEY = 'locale';
+
+export const LOCALES = [
+    { value: 'en', label: 'English' },
+    { value: 'hu', label: 'Magyar' },
+];
+
+const DEFAULT_LOCALE = 'en';
+const DICTIONARIES = { en, hu };
+
+const isSupported = (locale) => LOCALES.some(option => option.value === locale);
+
+const detectLocale = () => {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (isSupported(stored)) return stored;
+    const browserLocale = (navigator.language || '').slice(0, 2).toLowerCase();
+    return isSupported(browserLocale) ? browserLocale : DEFAULT_LOCALE;
+};
+
+let currentLocale = detectLocale();
+document.documentElement.lang = currentLocale;
+
+const listeners = new Set();
+
+/**
+ * Registers a callback that runs whenever the language changes, in this tab or another one.
+ * Returns the unsubscribe function.
+ */
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const applyLocale = (locale) => {
+    currentLocale = locale;
+    document.documentElement.lang = locale;
+    listeners.forEach(listener => listener());
+};
+
+window.addEventListener('storage', (event) => {
+    if (event.key === STORAGE_KEY && isSupported(event.newValue)) applyLocale(event.newValue);
+});
+
+export const getLocale = () => currentLocale;
+
+export const setLocale = (locale) => {
+    if (!isSupported(locale) || locale === currentLocale) return;
+    localStorage.setItem(STORAGE_KEY, locale);
+    applyLocale(locale);
+};
+
+const lookup = (dictionary, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), dictionary);
+
+const isPluralEntry = (entry) => entry !== null && typeof entry === 'object' && typeof entry.other === 'string';
+
+/**
+ * The string for `key` in `locale` with its {placeholders} filled from `params`; numbers are
+ * formatted for the locale. Plural strings pick their form by `params.count`.
+ * Unknown keys come back as the key itself so they stand out.
+ */
+export const translate = (key, params = {}, locale = currentLocale) => {
+    let entry = lookup(DICTIONARIES[locale], key);
+    if (entry === undefined) entry = lookup(DICTIONARIES[DEFAULT_LOCALE], key);
+    if (isPluralEntry(entry)) {
+        entry = entry[new Intl.PluralRules(locale).select(Number(params.count) || 0)] ?? entry.other;
+    }
+    if (typeof entry !== 'string') return key;
+    return entry.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value);
+    });
+};
@@ -0,0 +1,17 @@
+// --- Idempotency Keys ---
+// POSTs carry a key that stays the same across retries (and across offline replays when the
+// caller stores it), so the server can recognise a repeated request instead of creating the
+// record twice.
+// NOTE: Assuming the API deduplicates POST/PATCH requests by the Idempotency-Key header
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// Methods that are not idempotent by definition, so retrying them needs a key
+export const NON_IDEMPOTENT_METHODS = ['POST', 'PATCH'];
+
+/**
+ * Fresh random key for one logical write.
+ */
+export const createIdempotencyKey = () => (crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`);
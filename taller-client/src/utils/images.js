@@ -0,0 +1,70 @@
+import { translate } from './i18n';
+
+// --- Image Processing ---
+// Receipt photos are downscaled and re-encoded as JPEG in the browser before they are stored or
+// uploaded: a phone photo of several MB becomes a few hundred KB that is still legible.
+
+// Longest side of a stored image, in pixels
+export const MAX_IMAGE_DIMENSION = 1600;
+export const THUMBNAIL_DIMENSION = 160;
+const JPEG_QUALITY = 0.8;
+const THUMBNAIL_QUALITY = 0.7;
+
+// Browsers apply the EXIF orientation when decoding, so upright photos stay upright when drawn
+const loadImage = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(translate('attachments.unreadable', { name: file.name })));
+    };
+    image.src = url;
+});
+
+const drawScaled = (image, maxDimension) => {
+    const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency: transparent areas (screenshots, scans) would otherwise turn black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+};
+
+const canvasToBlob = (canvas, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(translate('attachments.processingFailed')))), 'image/jpeg', quality);
+});
+
+/**
+ * Resizes and compresses a picked or captured image.
+ * @param {File} file
+ * @returns {Promise<{ fileName: string, contentType: string, blob: Blob, thumbnail: string }>}
+ *   `thumbnail` is a small JPEG data URL for previews.
+ */
+export const prepareImage = async (file) => {
+    if (!file.type.startsWith('image/')) {
+        throw new Error(translate('attachments.notImage', { name: file.name }));
+    }
+    const image = await loadImage(file);
+    const blob = await canvasToBlob(drawScaled(image, MAX_IMAGE_DIMENSION), JPEG_QUALITY);
+    return {
+        fileName: `${file.name.replace(/\.[^.]+$/, '') || 'receipt'}.jpg`,
+        contentType: 'image/jpeg',
+        blob,
+        thumbnail: drawScaled(image, THUMBNAIL_DIMENSION).toDataURL('image/jpeg', THUMBNAIL_QUALITY),
+    };
+};
+
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
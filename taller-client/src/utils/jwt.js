@@ -0,0 +1,30 @@
+// --- JWT Helpers ---
+// The token is only decoded (never verified) to schedule the client-side expiry handling.
+
+/**
+ * Returns the decoded payload of a JWT, or null when it is malformed.
+ * @param {string} token
+ */
+export const decodeJwtPayload = (token) => {
+    try {
+        const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Expiry of the token in epoch milliseconds, or null when it has no `exp` claim.
+ * @param {string} token
+ */
+export const getTokenExpiry = (token) => {
+    const payload = decodeJwtPayload(token);
+    return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+};
+
+export const isTokenExpired = (token) => {
+    const expiresAt = getTokenExpiry(token);
+    return expiresAt !== null && expiresAt <= Date.now();
+};
@@ -0,0 +1,562 @@
+import { BASE_URL } from '../constants';
+import { decodeJwtPayload } from './jwt';
+import { IDEMPOTENCY_HEADER } from './idempotency';
+import { loadMockSettings } from './mockSettings';
+
+// --- In-Browser Mock Backend ---
+// Stands in for the Spring Boot API when mock mode is on (see utils/mockSettings): answers every
+// endpoint useApi calls with fetch-compatible Responses, so the rest of the client cannot tell
+// the difference. All data lives in one localStorage entry and is scoped to the user named in
+// the (fake, unsigned) JWT. The DTO shapes mirror what the client sends and reads, including
+// the endpoints that are still marked "NOTE: Assuming" elsewhere.
+
+const STORAGE_KEY = 'mockApi.db';
+const TOKEN_LIFETIME_SECONDS = 60 * 60;
+const FAKE_SIGNATURE = 'mock-signature';
+
+// --- Seed Data ---
+
+// Noon on the given day of the current month, so the demo data shows up in this month's views
+const demoTime = (day) => {
+    const date = new Date();
+    date.setDate(Math.min(day, date.getDate()));
+    date.setHours(12, 0, 0, 0);
+    return date.toISOString();
+};
+
+const seedDatabase = () => ({
+    nextId: 100,
+    users: [{ id: 1, username: 'demo', password: 'demo' }],
+    containers: [{ id: 10, owner: 'demo', name: 'Personal' }],
+    accounts: [
+        { id: 20, containerId: 10, name: 'Checking', accountType: 'CHECKING', currency: 'EUR', initialBalance: 1500, createdAt: demoTime(1) },
+        { id: 21, containerId: 10, name: 'Wallet', accountType: 'CASH', currency: 'HUF', initialBalance: 40000, createdAt: demoTime(1) },
+    ],
+    categories: [
+        { id: 30, owner: 'demo', name: 'Food', parentId: null, color: '#16a34a', icon: 'food' },
+        { id: 31, owner: 'demo', name: 'Groceries', parentId: 30, color: '#22c55e', icon: 'cart' },
+        { id: 32, owner: 'demo', name: 'Housing', parentId: null, color: '#4f46e5', icon: 'home' },
+        { id: 33, owner: 'demo', name: 'Salary', parentId: null, color: '#ca8a04', icon: 'work' },
+    ],
+    transactions: [
+        {
+            id: 40, owner: 'demo', description: 'Salary', amount: 2800, transactionType: 'INCOME',
+            transactionTime: demoTime(1), account: { id: 20 }, category: { id: 33 },
+        },
+        {
+            id: 41, owner: 'demo', description: 'Rent', amount: 950, transactionType: 'EXPENSE',
+            transactionTime: demoTime(2), account: { id: 20 }, category: { id: 32 },
+        },
+        {
+            id: 42, owner: 'demo', description: 'Market', amount: 8500, transactionType: 'EXPENSE',
+            transactionTime: demoTime(5), account: { id: 21 }, category: { id: 31 },
+        },
+    ],
+    // Receipt images with their base64 data; see the attachment routes below
+    attachments: [],
+    // What happened to each transaction, oldest first; kept after the transaction is deleted
+    auditLog: [],
+});
+
+const loadDatabase = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        // Databases saved before attachments and the audit log existed have no lists for them
+        return stored ? { attachments: [], auditLog: [], ...stored } : seedDatabase();
+    } catch {
+        return seedDatabase();
+    }
+};
+
+const saveDatabase = (db) => localStorage.setItem(STORAGE_KEY, JSON.stringify(db));
+
+/**
+ * Drops everything stored by the mock backend and starts over from the demo data
+ * (user `demo`, password `demo`).
+ */
+export const resetMockDatabase = () => saveDatabase(seedDatabase());
+
+// --- Fake JWTs ---
+
+const base64Url = (value) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(value));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const issueToken = (username) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64Url({ alg: 'none', typ: 'JWT' });
+    const payload = base64Url({ sub: username, iat: now, exp: now + TOKEN_LIFETIME_SECONDS });
+    return `${header}.${payload}.${FAKE_SIGNATURE}`;
+};
+
+// Username of a valid, unexpired mock token, or null
+const authenticate = (db, authorization) => {
+    const token = (authorization || '').replace(/^Bearer /, '');
+    const payload = token.endsWith(`.${FAKE_SIGNATURE}`) ? decodeJwtPayload(token) : null;
+    if (!payload || typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) return null;
+    return db.users.some(u => u.username === payload.sub) ? payload.sub : null;
+};
+
+// --- Helpers ---
+
+class MockHttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+const requireText = (value, field) => {
+    if (typeof value !== 'string' || !value.trim()) throw new MockHttpError(400, `${field} must not be empty.`);
+    return value.trim();
+};
+
+const findContainer = (db, user, id) => {
+    const container = db.containers.find(c => sameId(c.id, id) && c.owner === user);
+    if (!container) throw new MockHttpError(404, `Account container ${id} not found.`);
+    return container;
+};
+
+const findAccount = (db, user, id, containerId = null) => {
+    const account = db.accounts.find(a => sameId(a.id, id)
+        && (containerId === null || sameId(a.containerId, containerId))
+        && db.containers.some(c => c.id === a.containerId && c.owner === user));
+    if (!account) throw new MockHttpError(404, `Account ${id} not found.`);
+    return account;
+};
+
+const findCategory = (db, user, id) => {
+    const category = db.categories.find(c => sameId(c.id, id) && c.owner === user);
+    if (!category) throw new MockHttpError(404, `Category ${id} not found.`);
+    return category;
+};
+
+const toAccountFields = (body) => ({
+    name: requireText(body.name, 'Account name'),
+    accountType: body.accountType,
+    currency: requireText(body.currency, 'Currency'),
+    initialBalance: Number(body.initialBalance) || 0,
+});
+
+const accountDto = ({ id, name, accountType, currency, initialBalance, createdAt }) => ({ id, name, accountType, currency, initialBalance, createdAt });
+
+const containerDto = (db, container) => ({
+    id: container.id,
+    name: container.name,
+    owner: container.owner,
+    subaccounts: db.accounts.filter(a => a.containerId === container.id).map(accountDto),
+});
+
+const categoryDto = ({ id, name, parentId, color, icon }) => ({ id, name, parent: parentId ? { id: parentId } : null, color, icon });
+
+const transactionDto = (db, transaction) => {
+    const dto = { ...transaction, attachmentCount: db.attachments.filter(a => a.transactionId === transaction.id).length };
+    delete dto.owner;
+    return dto;
+};
+
+// --- Audit Trail ---
+
+// Fields whose changes are recorded
+const AUDITED_FIELDS = [
+    'description', 'amount', 'transactionType', 'transactionTime', 'account', 'category', 'splits',
+    'latitude', 'longitude', 'originalAmount', 'originalCurrency', 'exchangeRate', 'counterpartAccount',
+];
+
+// Ids arrive as numbers or strings depending on the client; both mean the same record
+const auditValue = (value) => JSON.stringify(value ?? null, (key, v) => (key === 'id' ? String(v) : v));
+
+const diffTransaction = (before, after) => AUDITED_FIELDS
+    .filter(field => auditValue(before[field]) !== auditValue(after[field]))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+const recordAudit = (db, user, transaction, action, changes = []) => {
+    db.auditLog.push({
+        id: db.nextId++,
+        transactionId: transaction.id,
+        owner: user,
+        action,
+        changedBy: user,
+        changedAt: new Date().toISOString(),
+        changes,
+    });
+};
+
+const auditEntryDto = ({ id, action, changedBy, changedAt, changes }) => ({ id, action, changedBy, changedAt, changes });
+
+// Without `data` unless the single attachment is read
+const attachmentDto = ({ id, fileName, contentType, size, thumbnail, createdAt }) => ({ id, fileName, contentType, size, thumbnail, createdAt });
+
+// Category ids a transaction is booked on, including its split lines
+const transactionCategoryIds = (transaction) => [
+    transaction.category?.id,
+    ...(transaction.splits || []).map(line => line.category?.id),
+].filter(id => id != null);
+
+const removeAccounts = (db, accountIds) => {
+    db.accounts = db.accounts.filter(a => !accountIds.includes(a.id));
+    db.transactions = db.transactions.filter(t => !accountIds.some(id => sameId(id, t.account?.id)));
+    db.attachments = db.attachments.filter(a => db.transactions.some(t => t.id === a.transactionId));
+};
+
+// True when `category` is `ancestorId` itself or lies somewhere below it
+const isWithin = (db, category, ancestorId) => {
+    const seen = new Set();
+    for (let current = category; current && !seen.has(current.id); current = db.categories.find(c => c.id === current.parentId)) {
+        if (current.id === ancestorId) return true;
+        seen.add(current.id);
+    }
+    return false;
+};
+
+const validateParent = (db, user, categoryId, parentId) => {
+    if (!parentId) return null;
+    const parent = findCategory(db, user, parentId);
+    if (categoryId !== null && isWithin(db, parent, categoryId)) {
+        throw new MockHttpError(400, 'A category cannot be nested under itself or one of its subcategories.');
+    }
+    return parent.id;
+};
+
+const toCategoryFields = (db, user, body, categoryId = null) => ({
+    name: requireText(body.name, 'Category name'),
+    parentId: validateParent(db, user, categoryId, body.parent?.id),
+    color: body.color || null,
+    icon: body.icon || null,
+});
+
+// --- Handlers ---
+// Each receives (db, { user, params, body }) and returns [status, data]; they may mutate `db`.
+
+const register = (db, { body }) => {
+    const username = requireText(body.username, 'Username');
+    requireText(body.password, 'Password');
+    if (db.users.some(u => u.username === username)) {
+        throw new MockHttpError(409, `User '${username}' already exists.`);
+    }
+    const created = { id: db.nextId++, username, password: body.password };
+    db.users.push(created);
+    return [201, { id: created.id, username }];
+};
+
+const login = (db, { body }) => {
+    const found = db.users.find(u => u.username === body.username && u.password === body.password);
+    if (!found) throw new MockHttpError(401, 'Invalid username or password.');
+    return [200, { token: issueToken(found.username) }];
+};
+
+const listContainers = (db, { user }) => [200, db.containers.filter(c => c.owner === user).map(c => containerDto(db, c))];
+
+const createContainer = (db, { user, body }) => {
+    const container = { id: db.nextId++, owner: user, name: requireText(body.name, 'Container name') };
+    const accounts = (body.subaccounts || []).map(toAccountFields);
+    db.containers.push(container);
+    accounts.forEach(fields => db.accounts.push({ id: db.nextId++, containerId: container.id, createdAt: new Date().toISOString(), ...fields }));
+    return [201, containerDto(db, container)];
+};
+
+const updateContainer = (db, { user, params, body }) => {
+    const container = findContainer(db, user, params.containerId);
+    container.name = requireText(body.name, 'Container name');
+    return [200, containerDto(db, container)];
+};
+
+const deleteContainer = (db, { user, params }) => {
+    const container = findContainer(db, user, params.containerId);
+    removeAccounts(db, db.accounts.filter(a => a.containerId === container.id).map(a => a.id));
+    db.containers = db.containers.filter(c => c !== container);
+    return [204, null];
+};
+
+const listAccounts = (db, { user, params }) => {
+    const container = findContainer(db, user, params.containerId);
+    return [200, db.accounts.filter(a => a.containerId === container.id).map(accountDto)];
+};
+
+const createAccount = (db, { user, params, body }) => {
+    const container = findContainer(db, user, params.containerId);
+    const account = { id: db.nextId++, containerId: container.id, createdAt: new Date().toISOString(), ...toAccountFields(body) };
+    db.accounts.push(account);
+    return [201, accountDto(account)];
+};
+
+const updateAccount = (db, { user, params, body }) => {
+    const account = findAccount(db, user, params.accountId, params.containerId);
+    Object.assign(account, toAccountFields(body));
+    return [200, accountDto(account)];
+};
+
+const deleteAccount = (db, { user, params }) => {
+    const account = findAccount(db, user, params.accountId, params.containerId);
+    removeAccounts(db, [account.id]);
+    return [204, null];
+};
+
+const listCategories = (db, { user }) => [200, db.categories.filter(c => c.owner === user).map(categoryDto)];
+
+const createCategory = (db, { user, body }) => {
+    const category = { id: db.nextId++, owner: user, ...toCategoryFields(db, user, body) };
+    db.categories.push(category);
+    return [201, categoryDto(category)];
+};
+
+const updateCategory = (db, { user, params, body }) => {
+    const category = findCategory(db, user, params.categoryId);
+    Object.assign(category, toCategoryFields(db, user, body, category.id));
+    return [200, categoryDto(category)];
+};
+
+const deleteCategory = (db, { user, params }) => {
+    const category = findCategory(db, user, params.categoryId);
+    if (db.categories.some(c => c.parentId === category.id)) {
+        throw new MockHttpError(409, `Category '${category.name}' still has subcategories.`);
+    }
+    if (db.transactions.some(t => t.owner === user && transactionCategoryIds(t).some(id => sameId(id, category.id)))) {
+        throw new MockHttpError(409, `Category '${category.name}' is still used by transactions.`);
+    }
+    db.categories = db.categories.filter(c => c !== category);
+    return [204, null];
+};
+
+// Moves the transactions and subcategories of the source onto the target, then deletes the source
+const mergeCategory = (db, { user, params, body }) => {
+    const source = findCategory(db, user, params.categoryId);
+    const target = findCategory(db, user, body.targetId);
+    if (isWithin(db, target, source.id)) {
+        throw new MockHttpError(400, 'A category cannot be merged into itself or one of its subcategories.');
+    }
+
+    const retarget = (ref) => (ref && sameId(ref.id, source.id) ? { id: target.id } : ref);
+    db.transactions = db.transactions.map((t) => {
+        if (t.owner !== user) return t;
+        const merged = {
+            ...t,
+            category: retarget(t.category),
+            splits: t.splits ? t.splits.map(line => ({ ...line, category: retarget(line.category) })) : t.splits,
+        };
+        const changes = diffTransaction(t, merged);
+        if (changes.length > 0) recordAudit(db, user, merged, 'UPDATED', changes);
+        return merged;
+    });
+    db.categories = db.categories
+        .filter(c => c !== source)
+        .map(c => (c.parentId === source.id ? { ...c, parentId: target.id } : c));
+    return [200, categoryDto(target)];
+};
+
+const findTransaction = (db, user, id) => {
+    const transaction = db.transactions.find(t => sameId(t.id, id) && t.owner === user);
+    if (!transaction) throw new MockHttpError(404, `Transaction ${id} not found.`);
+    return transaction;
+};
+
+const listTransactions = (db, { user }) => [200, db.transactions.filter(t => t.owner === user).map(t => transactionDto(db, t))];
+
+const validateTransaction = (db, user, body) => {
+    if (typeof body.amount !== 'number' || !Number.isFinite(body.amount)) {
+        throw new MockHttpError(400, 'Amount must be a number.');
+    }
+    findAccount(db, user, body.account?.id);
+    if (body.counterpartAccount) findAccount(db, user, body.counterpartAccount.id);
+    transactionCategoryIds(body).forEach(id => findCategory(db, user, id));
+};
+
+const createTransaction = (db, { user, body }) => {
+    validateTransaction(db, user, body);
+    const transaction = { ...body, id: db.nextId++, owner: user };
+    db.transactions.push(transaction);
+    recordAudit(db, user, transaction, 'CREATED');
+    return [201, transactionDto(db, transaction)];
+};
+
+// Replaces every field; the client sends the complete DTO
+const updateTransaction = (db, { user, params, body }) => {
+    const transaction = findTransaction(db, user, params.transactionId);
+    validateTransaction(db, user, body);
+    const updated = { ...body, id: transaction.id, owner: user };
+    const changes = diffTransaction(transaction, updated);
+    db.transactions = db.transactions.map(t => (t === transaction ? updated : t));
+    if (changes.length > 0) recordAudit(db, user, updated, 'UPDATED', changes);
+    return [200, transactionDto(db, updated)];
+};
+
+const deleteTransaction = (db, { user, params }) => {
+    const transaction = findTransaction(db, user, params.transactionId);
+    recordAudit(db, user, transaction, 'DELETED');
+    db.transactions = db.transactions.filter(t => t !== transaction);
+    db.attachments = db.attachments.filter(a => a.transactionId !== transaction.id);
+    return [204, null];
+};
+
+const listAuditTrail = (db, { user, params }) => {
+    const transaction = findTransaction(db, user, params.transactionId);
+    return [200, db.auditLog.filter(entry => entry.transactionId === transaction.id).map(auditEntryDto)];
+};
+
+const listAttachments = (db, { user, params }) => {
+    const transaction = findTransaction(db, user, params.transactionId);
+    return [200, db.attachments.filter(a => a.transactionId === transaction.id).map(attachmentDto)];
+};
+
+const findAttachment = (db, user, params) => {
+    const transaction = findTransaction(db, user, params.transactionId);
+    const attachment = db.attachments.find(a => sameId(a.id, params.attachmentId) && a.transactionId === transaction.id);
+    if (!attachment) throw new MockHttpError(404, `Attachment ${params.attachmentId} not found.`);
+    return attachment;
+};
+
+const createAttachment = (db, { user, params, body }) => {
+    const transaction = findTransaction(db, user, params.transactionId);
+    if (typeof body.data !== 'string' || !body.data) throw new MockHttpError(400, 'Attachment data must not be empty.');
+    const attachment = {
+        id: db.nextId++,
+        transactionId: transaction.id,
+        fileName: requireText(body.fileName, 'File name'),
+        contentType: body.contentType || 'application/octet-stream',
+        // Decoded size of the base64 data
+        size: Math.floor(body.data.length * 3 / 4) - (body.data.match(/=+$/)?.[0].length || 0),
+        thumbnail: body.thumbnail || '',
+        data: body.data,
+        createdAt: new Date().toISOString(),
+    };
+    db.attachments.push(attachment);
+    recordAudit(db, user, transaction, 'ATTACHMENT_ADDED', [{ field: 'attachments', from: null, to: attachment.fileName }]);
+    return [201, attachmentDto(attachment)];
+};
+
+const getAttachment = (db, { user, params }) => {
+    const attachment = findAttachment(db, user, params);
+    return [200, { ...attachmentDto(attachment), data: attachment.data }];
+};
+
+const deleteAttachment = (db, { user, params }) => {
+    const attachment = findAttachment(db, user, params);
+    db.attachments = db.attachments.filter(a => a !== attachment);
+    recordAudit(db, user, { id: attachment.transactionId }, 'ATTACHMENT_REMOVED', [{ field: 'attachments', from: attachment.fileName, to: null }]);
+    return [204, null];
+};
+
+// [method, path pattern, handler, needs a token]
+const ROUTE_TABLE = [
+    ['POST', '/user', register, false],
+    ['POST', '/user/login', login, false],
+    ['GET', '/account-container', listContainers, true],
+    ['POST', '/account-container', createContainer, true],
+    ['PUT', '/account-container/:containerId', updateContainer, true],
+    ['DELETE', '/account-container/:containerId', deleteContainer, true],
+    ['GET', '/account-container/:containerId/accounts', listAccounts, true],
+    ['POST', '/account-container/:containerId/accounts', createAccount, true],
+    ['PUT', '/account-container/:containerId/accounts/:accountId', updateAccount, true],
+    ['DELETE', '/account-container/:containerId/accounts/:accountId', deleteAccount, true],
+    ['GET', '/category', listCategories, true],
+    ['POST', '/category', createCategory, true],
+    ['PUT', '/category/:categoryId', updateCategory, true],
+    ['DELETE', '/category/:categoryId', deleteCategory, true],
+    ['POST', '/category/:categoryId/merge', mergeCategory, true],
+    ['GET', '/transaction', listTransactions, true],
+    ['POST', '/transaction', createTransaction, true],
+    ['PUT', '/transaction/:transactionId', updateTransaction, true],
+    ['DELETE', '/transaction/:transactionId', deleteTransaction, true],
+    ['GET', '/transaction/:transactionId/history', listAuditTrail, true],
+    ['GET', '/transaction/:transactionId/attachments', listAttachments, true],
+    ['POST', '/transaction/:transactionId/attachments', createAttachment, true],
+    ['GET', '/transaction/:transactionId/attachments/:attachmentId', getAttachment, true],
+    ['DELETE', '/transaction/:transactionId/attachments/:attachmentId', deleteAttachment, true],
+];
+
+// Path params of `path` when it matches `pattern`, otherwise null
+const matchPath = (pattern, path) => {
+    const patternParts = pattern.split('/');
+    const pathParts = path.split('/');
+    if (patternParts.length !== pathParts.length) return null;
+    const params = {};
+    for (const [index, part] of patternParts.entries()) {
+        if (part.startsWith(':')) {
+            params[part.slice(1)] = decodeURIComponent(pathParts[index]);
+        } else if (part !== pathParts[index]) {
+            return null;
+        }
+    }
+    return params;
+};
+
+const jsonResponse = (status, data) => (status === 204
+    ? new Response(null, { status })
+    : new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } }));
+
+// Remembered responses to keyed writes; the oldest are forgotten beyond this many
+const MAX_IDEMPOTENCY_KEYS = 200;
+
+const handle = (method, path, headers, body) => {
+    const db = loadDatabase();
+    for (const [routeMethod, pattern, handler, needsToken] of ROUTE_TABLE) {
+        const params = routeMethod === method ? matchPath(pattern, path) : null;
+        if (!params) continue;
+
+        const user = needsToken ? authenticate(db, headers.Authorization) : null;
+        if (needsToken && !user) return [401, { message: 'Invalid or expired token.' }];
+
+        // A repeated key gets the original answer instead of being processed again
+        const idempotencyKey = headers[IDEMPOTENCY_HEADER] ? `${user || ''}:${method} ${path}:${headers[IDEMPOTENCY_HEADER]}` : null;
+        const remembered = idempotencyKey && db.idempotencyKeys?.[idempotencyKey];
+        if (remembered) return remembered;
+
+        try {
+            const result = handler(db, { user, params, body: body || {} });
+            if (idempotencyKey) {
+                const entries = Object.entries({ ...db.idempotencyKeys, [idempotencyKey]: result });
+                db.idempotencyKeys = Object.fromEntries(entries.slice(-MAX_IDEMPOTENCY_KEYS));
+            }
+            if (method !== 'GET') saveDatabase(db);
+            return result;
+        } catch (error) {
+            if (error instanceof MockHttpError) return [error.status, { message: error.message }];
+            // localStorage holds a few MB; receipt images fill it quickly
+            if (error.name === 'QuotaExceededError') return [507, { message: 'Mock storage is full. Reset the mock data to free it.' }];
+            throw error;
+        }
+    }
+    return [404, { message: `No mock endpoint for ${method} ${path}.` }];
+};
+
+// Resolves after `ms`; rejects like an aborted fetch when `signal` fires first
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    const abort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', abort);
+        resolve();
+    }, ms);
+    if (signal?.aborted) abort();
+    else signal?.addEventListener('abort', abort, { once: true });
+});
+
+/**
+ * Drop-in replacement for `fetch` for API URLs, answered from browser storage after the
+ * configured latency. Injected network failures reject with a TypeError like a real fetch.
+ * Injected server errors resolve with a 500; on writes they hit after the change was saved,
+ * the case that makes blind retries create duplicates.
+ * @param {string} url - Full API URL, starting with BASE_URL.
+ * @param {object} options - { method, headers, body (JSON string), signal }.
+ * @returns {Promise<Response>}
+ */
+export const mockFetch = async (url, { method = 'GET', headers = {}, body = null, signal = null } = {}) => {
+    const { latencyMs, networkFailureRate, serverErrorRate } = loadMockSettings();
+    // +/- 50% jitter so concurrent requests do not always settle in the order they were sent
+    await delay(latencyMs * (0.5 + Math.random()), signal);
+
+    if (Math.random() < networkFailureRate) {
+        throw new TypeError('Failed to fetch (injected by the mock backend)');
+    }
+
+    const path = new URL(url, window.location.origin).pathname.slice(BASE_URL.length) || '/';
+    const [status, data] = handle(method.toUpperCase(), path, headers, body ? JSON.parse(body) : null);
+    return Math.random() < serverErrorRate
+        ? jsonResponse(500, { message: 'Internal server error (injected by the mock backend).' })
+        : jsonResponse(status, data);
+};
@@ -0,0 +1,68 @@
+// --- Mock Backend Settings ---
+// Whether API calls go to the in-browser mock backend (utils/mockBackend) instead of the
+// server, plus its simulated latency and failure rates. Kept in localStorage so the choice
+// survives reloads; `VITE_MOCK_API=true` switches it on by default and `?mock=1` / `?mock=0`
+// in the address bar flips it for a quick demo link.
+// Production builds leave the mock out entirely unless built with `VITE_MOCK_API=true`.
+
+const STORAGE_KEY = 'mockApi.settings';
+
+/**
+ * Whether this build ships the mock backend at all: always in development, otherwise only
+ * when built with `VITE_MOCK_API=true`. A compile-time constant, so the mock code is dropped
+ * from builds where it is false.
+ */
+export const MOCK_AVAILABLE = import.meta.env.DEV || import.meta.env.VITE_MOCK_API === 'true';
+
+export const DEFAULT_MOCK_SETTINGS = {
+    enabled: import.meta.env.VITE_MOCK_API === 'true',
+    latencyMs: 300,
+    // Share of requests (0..1) that fail as if the server were unreachable
+    networkFailureRate: 0,
+    // Share of requests (0..1) answered with a 500
+    serverErrorRate: 0,
+};
+
+const listeners = new Set();
+
+/**
+ * Registers a callback that runs whenever the settings change, in this tab or another one.
+ * Returns the unsubscribe function.
+ */
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const notify = () => listeners.forEach(listener => listener());
+
+if (MOCK_AVAILABLE) {
+    window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEY) notify();
+    });
+}
+
+export const loadMockSettings = () => {
+    try {
+        return { ...DEFAULT_MOCK_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+    } catch {
+        return DEFAULT_MOCK_SETTINGS;
+    }
+};
+
+/**
+ * Merges `changes` into the stored settings.
+ */
+export const saveMockSettings = (changes) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...loadMockSettings(), ...changes }));
+    notify();
+};
+
+export const isMockEnabled = () => MOCK_AVAILABLE && loadMockSettings().enabled;
+
+if (MOCK_AVAILABLE) {
+    const queryToggle = new URLSearchParams(window.location.search).get('mock');
+    if (queryToggle === '1' || queryToggle === '0') {
+        saveMockSettings({ enabled: queryToggle === '1' });
+    }
+}
@@ -0,0 +1,153 @@
+import { STATIC_CURRENCIES } from '../constants';
+import { getLocale } from './i18n';
+
+// --- Money ---
+// Amounts travel to and from the API as plain numbers in major units (12.34 EUR), but all
+// arithmetic here happens on integers of the currency's minor unit (1234 cents), so sums,
+// balances and conversions never pick up floating-point drift like 0.1 + 0.2.
+// Every currency has its own number of decimals (STATIC_CURRENCIES): EUR two, HUF none.
+
+/**
+ * Decimal places of `currency`; unknown currencies get two.
+ */
+export const currencyDecimals = (currency) => STATIC_CURRENCIES.find(c => c.value === currency)?.decimals ?? 2;
+
+const minorPerMajor = (currency) => 10 ** currencyDecimals(currency);
+
+// Half away from zero, like a bank would. toPrecision drops binary noise first, so that
+// 1.15 * 100 (114.99999999999999) still rounds to 115.
+const roundToInteger = (value) => {
+    const clean = Number(value.toPrecision(15));
+    return Math.sign(clean) * Math.round(Math.abs(clean)) || 0;
+};
+
+/**
+ * An amount (number or numeric string) as an integer count of minor units, rounded to the
+ * currency's precision: toMinorUnits(12.345, 'EUR') === 1235, toMinorUnits(99.5, 'HUF') === 100.
+ */
+export const toMinorUnits = (amount, currency) => roundToInteger((Number(amount) || 0) * minorPerMajor(currency));
+
+export const fromMinorUnits = (minor, currency) => minor / minorPerMajor(currency);
+
+/**
+ * The amount rounded to the precision of its currency.
+ */
+export const roundAmount = (amount, currency) => fromMinorUnits(toMinorUnits(amount, currency), currency);
+
+// --- Parsing ---
+// Amount inputs hold dot-decimal strings (see normalizeDecimalInput in utils/format).
+
+const AMOUNT_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?$/;
+
+const splitAmount = (text) => {
+    const match = AMOUNT_PATTERN.exec(String(text ?? '').trim());
+    if (!match || (!match[2] && !match[3])) return null;
+    // Trailing zeros add no precision: "100.00" is a valid HUF amount
+    return { negative: match[1] === '-', integer: match[2] || '0', fraction: (match[3] || '').replace(/0+$/, '') };
+};
+
+/**
+ * Whether a decimal string has no more decimal places than `currency` allows.
+ * Text that is not a number passes; checking that is up to the caller.
+ */
+export const fitsCurrencyPrecision = (text, currency) => {
+    const parts = splitAmount(text);
+    return !parts || parts.fraction.length <= currencyDecimals(currency);
+};
+
+/**
+ * Parses a decimal string into minor units digit by digit, never through a float.
+ * @returns {number} NaN when the text is not a number or is more precise than the currency.
+ */
+export const parseMinorUnits = (text, currency) => {
+    const parts = splitAmount(text);
+    const decimals = currencyDecimals(currency);
+    if (!parts || parts.fraction.length > decimals) return NaN;
+    const minor = Number(parts.integer + parts.fraction.padEnd(decimals, '0'));
+    return parts.negative ? -minor : minor;
+};
+
+/**
+ * Parses a decimal string into an exact amount in major units, e.g. for a request payload.
+ * @returns {number} NaN as for parseMinorUnits.
+ */
+export const parseMoney = (text, currency) => {
+    const minor = parseMinorUnits(text, currency);
+    return Number.isNaN(minor) ? NaN : fromMinorUnits(minor, currency);
+};
+
+/**
+ * Parses a dot-decimal string that is not tied to a currency, e.g. an exchange rate or a
+ * filter bound. Unlike parseFloat, trailing garbage ("1.2abc") is rejected.
+ * @returns {number} NaN when the text is empty or not a number.
+ */
+export const parseDecimal = (text) => {
+    const parts = splitAmount(text);
+    return parts ? Number(`${parts.negative ? '-' : ''}${parts.integer}.${parts.fraction || '0'}`) : NaN;
+};
+
+/**
+ * The amount as a dot-decimal string with the currency's decimals ("12.50", "1250"), the
+ * form amount inputs hold.
+ */
+export const toAmountString = (amount, currency) => fromMinorUnits(toMinorUnits(amount, currency), currency)
+    .toFixed(currencyDecimals(currency));
+
+// --- Arithmetic ---
+
+/**
+ * Exact sum of amounts of one currency.
+ * @param {Array<number|string>} amounts
+ */
+export const sumAmounts = (amounts, currency) => fromMinorUnits(
+    amounts.reduce((sum, amount) => sum + toMinorUnits(amount, currency), 0),
+    currency
+);
+
+export const addAmounts = (a, b, currency) => sumAmounts([a, b], currency);
+
+export const subtractAmounts = (a, b, currency) => fromMinorUnits(toMinorUnits(a, currency) - toMinorUnits(b, currency), currency);
+
+/**
+ * `amount` times `factor` (an exchange rate, a ratio), rounded to the precision of `currency`,
+ * the currency of the result.
+ */
+export const multiplyAmount = (amount, factor, currency) => fromMinorUnits(roundToInteger((Number(amount) || 0) * factor * minorPerMajor(currency)), currency);
+
+/**
+ * Divides `total` into parts proportional to `weights`, in minor units of `currency`. The parts
+ * add up to `total` exactly; the rounding remainder goes to the largest part.
+ * @returns {Array<number>} One amount per weight.
+ */
+export const allocateAmount = (total, weights, currency) => {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    const totalMinor = toMinorUnits(total, currency);
+    const parts = weights.map(weight => (weightSum ? roundToInteger(totalMinor * weight / weightSum) : 0));
+    const remainder = totalMinor - parts.reduce((sum, part) => sum + part, 0);
+    if (remainder !== 0 && parts.length > 0) {
+        const largest = parts.indexOf(Math.max(...parts));
+        parts[largest] += remainder;
+    }
+    return parts.map(part => fromMinorUnits(part, currency));
+};
+
+// --- Display ---
+
+/**
+ * Formats an amount with its currency for the current locale, e.g. "€1,250.00" or "1 250 Ft".
+ * Without a currency only the number is formatted, with two decimals.
+ * @param {number} value
+ * @param {string} currency
+ */
+export const formatAmount = (value, currency = '') => {
+    const amount = roundAmount(value, currency);
+    const digits = currencyDecimals(currency);
+    const options = { minimumFractionDigits: digits, maximumFractionDigits: digits };
+    if (!currency) return new Intl.NumberFormat(getLocale(), options).format(amount);
+    try {
+        return new Intl.NumberFormat(getLocale(), { ...options, style: 'currency', currency }).format(amount);
+    } catch {
+        // Not an ISO 4217 code: fall back to the number followed by whatever the code is
+        return `${new Intl.NumberFormat(getLocale(), options).format(amount)} ${currency}`;
+    }
+};
@@ -0,0 +1,90 @@
+// --- Notifications ---
+// App-wide toasts, rendered by components/ui/ToastStack. Every notification carries an
+// explicit type instead of having it guessed from the wording, and any module can post one,
+// including code that runs outside a component.
+// Each entry: { id, type, message, action: { label, onClick } | null, duration, onPauseChange }
+
+export const NOTIFICATION_TYPES = {
+    SUCCESS: 'success',
+    ERROR: 'error',
+    INFO: 'info',
+    WARNING: 'warning',
+};
+
+// How long a toast stays up (ms) unless the caller decides; problems get more reading time
+const DEFAULT_DURATIONS = {
+    [NOTIFICATION_TYPES.SUCCESS]: 4000,
+    [NOTIFICATION_TYPES.INFO]: 5000,
+    [NOTIFICATION_TYPES.WARNING]: 8000,
+    [NOTIFICATION_TYPES.ERROR]: 8000,
+};
+// Toasts offering an action (Undo, Retry) leave time to use it
+const ACTION_DURATION_MS = 10000;
+// The oldest toasts are dropped beyond this many; toasts with an action (Undo, Retry) are kept
+// until they close, as their action may still be pending
+const MAX_NOTIFICATIONS = 5;
+
+let notifications = [];
+let nextId = 1;
+const listeners = new Set();
+
+/**
+ * Registers a callback that runs whenever toasts are added or removed.
+ * Returns the unsubscribe function.
+ */
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export const getNotifications = () => notifications;
+
+const setNotifications = (next) => {
+    notifications = next;
+    listeners.forEach(listener => listener());
+};
+
+// Drops the oldest toasts without an action until at most MAX_NOTIFICATIONS are left
+const withoutOverflow = (list) => {
+    let excess = list.length - MAX_NOTIFICATIONS;
+    return list.filter(notification => {
+        if (excess <= 0 || notification.action) return true;
+        excess--;
+        return false;
+    });
+};
+
+/**
+ * Shows a toast and returns its id.
+ * @param {object} notification
+ * @param {string} notification.type - One of NOTIFICATION_TYPES.
+ * @param {string} notification.message
+ * @param {{label: string, onClick: Function}} [notification.action] - A button such as Undo or
+ *   Retry; using it also closes the toast.
+ * @param {number} [notification.duration] - ms until it closes by itself; 0 keeps it until closed.
+ * @param {Function} [notification.onPauseChange] - (isPaused) => called when the countdown stops
+ *   (the toast is hovered or focused) and starts over, e.g. to hold what the action can undo.
+ */
+export const notify = ({ type = NOTIFICATION_TYPES.INFO, message, action = null, duration, onPauseChange = null }) => {
+    const id = nextId++;
+    const entry = { id, type, message, action, onPauseChange, duration: duration ?? (action ? ACTION_DURATION_MS : DEFAULT_DURATIONS[type]) };
+    // The same text again (e.g. a repeated failure) replaces the older toast instead of stacking up;
+    // toasts with an action are kept, as each one's Undo/Retry applies to a different event
+    const others = notifications.filter(other => action || other.action || other.type !== type || other.message !== message);
+    setNotifications(withoutOverflow([...others, entry]));
+    return id;
+};
+
+export const dismissNotification = (id) => {
+    setNotifications(notifications.filter(notification => notification.id !== id));
+};
+
+export const notifySuccess = (message, options = {}) => notify({ ...options, type: NOTIFICATION_TYPES.SUCCESS, message });
+export const notifyError = (message, options = {}) => notify({ ...options, type: NOTIFICATION_TYPES.ERROR, message });
+export const notifyInfo = (message, options = {}) => notify({ ...options, type: NOTIFICATION_TYPES.INFO, message });
+export const notifyWarning = (message, options = {}) => notify({ ...options, type: NOTIFICATION_TYPES.WARNING, message });
+
+/**
+ * Closes every toast, e.g. when the session ends; they are about the previous user's data.
+ */
+export const clearNotifications = () => setNotifications([]);
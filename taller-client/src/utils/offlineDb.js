@@ -0,0 +1,76 @@
+// --- IndexedDB Storage ---
+// Minimal promise wrapper around IndexedDB used for data that must survive
+// reloads and offline periods (queued transactions and receipts, cached lookup data).
+
+const DB_NAME = 'taller-offline';
+const DB_VERSION = 2;
+
+export const STORES = {
+    TRANSACTION_QUEUE: 'transactionQueue',
+    API_CACHE: 'apiCache',
+    ATTACHMENT_QUEUE: 'attachmentQueue',
+};
+
+// keyPath/autoIncrement options per object store
+const STORE_OPTIONS = {
+    [STORES.TRANSACTION_QUEUE]: { keyPath: 'id', autoIncrement: true },
+    [STORES.API_CACHE]: { keyPath: 'key' },
+    [STORES.ATTACHMENT_QUEUE]: { keyPath: 'id', autoIncrement: true },
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(STORE_OPTIONS).forEach(([name, options]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+// Runs a single request against a store and resolves once the transaction has committed
+const runRequest = async (storeName, mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+export const getAll = (storeName) => runRequest(storeName, 'readonly', store => store.getAll());
+export const getOne = (storeName, key) => runRequest(storeName, 'readonly', store => store.get(key));
+export const putOne = (storeName, value) => runRequest(storeName, 'readwrite', store => store.put(value));
+export const deleteOne = (storeName, key) => runRequest(storeName, 'readwrite', store => store.delete(key));
+export const clearStore = (storeName) => runRequest(storeName, 'readwrite', store => store.clear());
+
+// --- API Response Cache ---
+
+/**
+ * Returns the cached response for an endpoint, or undefined when nothing was cached yet.
+ * @param {string} key - Usually the endpoint path, e.g. '/category'.
+ */
+export const readCache = async (key) => {
+    const entry = await getOne(STORES.API_CACHE, key);
+    return entry ? entry.data : undefined;
+};
+
+export const writeCache = (key, data) => putOne(STORES.API_CACHE, { key, data, cachedAt: Date.now() });
+
+export const clearCache = () => clearStore(STORES.API_CACHE);
@@ -0,0 +1,156 @@
+import { STORES, getAll, getOne, putOne, deleteOne } from './offlineDb';
+import { isNetworkError } from './apiError';
+import { createIdempotencyKey } from './idempotency';
+
+// --- Offline Transaction Queue ---
+// Transactions created without connectivity are stored here and replayed
+// to the server, oldest first, once the browser is back online.
+// An item holds one or more payloads ("legs") that stand or fall together: both legs of a
+// transfer are queued, replayed, retried and discarded as one item.
+
+export const QUEUE_STATUS = {
+    PENDING: 'PENDING',
+    FAILED: 'FAILED',
+    CONFLICT: 'CONFLICT',
+};
+
+const listeners = new Set();
+
+/**
+ * Registers a callback that runs whenever the queue changes. Returns the unsubscribe function.
+ * @param {Function} listener
+ */
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const notify = () => listeners.forEach(listener => listener());
+
+/**
+ * Lists the queued transactions of a user in creation order.
+ * @param {string} user - Owner username; items queued by other users are left alone.
+ */
+export const listQueue = async (user) => {
+    const items = await getAll(STORES.TRANSACTION_QUEUE);
+    return items.filter(item => item.user === user).sort((a, b) => a.id - b.id);
+};
+
+// Items queued before transfers were kept together have a single payload and no `legs`
+const legsOf = (item) => item.legs || [{ body: item.body, idempotencyKey: item.idempotencyKey, createdId: null }];
+
+/**
+ * Ids of the legs of a queued item that already exist on the server; discarding the item has
+ * to delete them, or half a transfer would be left behind.
+ */
+export const savedLegIds = (item) => legsOf(item).map(leg => leg.createdId).filter(Boolean);
+
+/**
+ * Stores transaction payloads for later submission, as one item.
+ * @param {string} user - Owner username.
+ * @param {Array<object>} legs - { body, idempotencyKey, createdId } per payload, e.g. both legs
+ *   of a transfer. `body` is the AccountTransactionDto for POST /transaction; pass the
+ *   `idempotencyKey` of an attempt that may have reached the server, so the replay cannot create
+ *   it a second time, and the `createdId` of a leg that was already saved.
+ * @param {object} details - Display-only info (e.g. currency) shown in the pending list.
+ */
+export const enqueueTransaction = async (user, legs, details = {}) => {
+    const queuedLegs = legs.map(leg => ({
+        body: leg.body,
+        idempotencyKey: leg.idempotencyKey || createIdempotencyKey(),
+        createdId: leg.createdId ? String(leg.createdId) : null,
+    }));
+    await putOne(STORES.TRANSACTION_QUEUE, {
+        user,
+        // The first leg represents the item in the pending list; its receipts wait for its key
+        body: queuedLegs[0].body,
+        details,
+        idempotencyKey: queuedLegs[0].idempotencyKey,
+        legs: queuedLegs,
+        status: QUEUE_STATUS.PENDING,
+        error: null,
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+    });
+    notify();
+};
+
+export const discardQueued = async (id) => {
+    await deleteOne(STORES.TRANSACTION_QUEUE, id);
+    notify();
+};
+
+// Puts a failed/conflicting item back into the pending state so the next replay picks it up
+export const markPending = async (id) => {
+    const item = await getOne(STORES.TRANSACTION_QUEUE, id);
+    if (!item) return;
+    await putOne(STORES.TRANSACTION_QUEUE, { ...item, status: QUEUE_STATUS.PENDING, error: null });
+    notify();
+};
+
+const runReplay = async (user, { send, remove, complete }) => {
+    const pending = (await listQueue(user)).filter(item => item.status === QUEUE_STATUS.PENDING);
+    let replayed = 0;
+
+    for (const item of pending) {
+        const legs = legsOf(item);
+        try {
+            for (const [index, leg] of legs.entries()) {
+                if (leg.createdId) continue;
+                const created = await send(leg.body, leg.idempotencyKey);
+                legs[index] = { ...leg, createdId: String(created.id) };
+                // Kept right away, so a run that stops halfway does not lose track of a saved leg
+                await putOne(STORES.TRANSACTION_QUEUE, { ...item, legs });
+            }
+        } catch (error) {
+            // Connectivity lost again or session expired: stop here so the order is preserved
+            if (isNetworkError(error) || error.status === 401) {
+                notify();
+                break;
+            }
+            // Never leave half a transfer behind. A retry sends every leg again, the deleted ones
+            // under a new key: the server would answer the old one with the deleted transaction.
+            await Promise.all(legs.filter(leg => leg.createdId).map(leg => remove(leg.createdId).catch(() => null)));
+            await putOne(STORES.TRANSACTION_QUEUE, {
+                ...item,
+                legs: legs.map(leg => (leg.createdId ? { ...leg, idempotencyKey: createIdempotencyKey(), createdId: null } : leg)),
+                status: error.status === 409 ? QUEUE_STATUS.CONFLICT : QUEUE_STATUS.FAILED,
+                error: error.message,
+                attempts: item.attempts + 1,
+            });
+            notify();
+            continue;
+        }
+
+        await complete(item, legs.map(leg => leg.createdId));
+        await deleteOne(STORES.TRANSACTION_QUEUE, item.id);
+        replayed++;
+        notify();
+    }
+
+    return replayed;
+};
+
+let activeReplay = null;
+
+/**
+ * Sends every pending item of the user, oldest first. Concurrent calls share one run,
+ * so several mounted components can trigger a replay without creating duplicates.
+ * @param {string} user - Owner username.
+ * @param {object} handlers
+ * @param {Function} handlers.send - Async (body, idempotencyKey) => posts one payload and resolves
+ *   with the created transaction; rejects with an ApiError.
+ * @param {Function} handlers.remove - Async (transactionId) => deletes a leg that was saved when
+ *   another leg of the same item failed.
+ * @param {Function} handlers.complete - Async (item, createdIds) => runs once every leg of an
+ *   item is saved, before the item leaves the queue.
+ * @returns {Promise<number>} Number of items successfully submitted.
+ */
+export const replayQueue = (user, handlers) => {
+    if (!activeReplay) {
+        activeReplay = runReplay(user, handlers).finally(() => {
+            activeReplay = null;
+        });
+    }
+    return activeReplay;
+};
@@ -0,0 +1,115 @@
+// --- Deferred Deletion ---
+// A deleted transaction disappears from every view at once, but the DELETE is only sent when
+// the undo window has passed; undoing before that simply shows it again, so nothing has to be
+// recreated on the server (same id, attachments and audit trail). Deletions still waiting when
+// the page is closed are sent right away, on a best-effort basis.
+
+// How long the Undo action is offered
+export const UNDO_WINDOW_MS = 8000;
+
+// key => { ids, timer, commit, isSending }
+const scheduled = new Map();
+let nextKey = 1;
+let hiddenIds = new Set();
+const listeners = new Set();
+
+/**
+ * Registers a callback that runs whenever the set of hidden transactions changes.
+ * Returns the unsubscribe function.
+ */
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// Ids of the transactions scheduled for deletion or being deleted; views leave them out
+export const getHiddenTransactionIds = () => hiddenIds;
+
+const update = () => {
+    hiddenIds = new Set([...scheduled.values()].flatMap(entry => entry.ids));
+    listeners.forEach(listener => listener());
+};
+
+// `requestOptions` are passed on to the entry's commit (see flushDeletions)
+const send = async (key, requestOptions = {}) => {
+    const entry = scheduled.get(key);
+    if (!entry || entry.isSending) return;
+    clearTimeout(entry.timer);
+    entry.isSending = true;
+    try {
+        await entry.commit(requestOptions);
+    } catch (error) {
+        console.error('Deferred deletion failed:', error);
+    } finally {
+        // Hidden until the request settles; a failed deletion brings the transaction back
+        scheduled.delete(key);
+        update();
+    }
+};
+
+const startTimer = (key) => setTimeout(() => send(key), UNDO_WINDOW_MS);
+
+/**
+ * Hides the transactions now and calls `commit` (the actual DELETE requests) once the undo
+ * window has passed. `commit` reports its own failures.
+ * @param {Array<string>} ids - Transaction ids, e.g. both legs of a transfer.
+ * @param {Function} commit - Async (requestOptions) => deletes them on the server; the options
+ *   are extra fetchApi options for the DELETE requests.
+ * @returns {{ undo: Function, pause: Function, resume: Function }} `undo` cancels the deletion
+ *   and returns true, or false once it was sent. `pause` stops the undo window while the Undo
+ *   toast is hovered or focused; `resume` starts it over, as the toast's own countdown does.
+ */
+export const scheduleDeletion = (ids, commit) => {
+    const key = nextKey++;
+    scheduled.set(key, { ids, commit, isSending: false, timer: startTimer(key) });
+    update();
+
+    const pending = () => {
+        const entry = scheduled.get(key);
+        return entry && !entry.isSending ? entry : null;
+    };
+    return {
+        undo: () => {
+            const entry = pending();
+            if (!entry) return false;
+            clearTimeout(entry.timer);
+            scheduled.delete(key);
+            update();
+            return true;
+        },
+        pause: () => {
+            const entry = pending();
+            if (entry) clearTimeout(entry.timer);
+        },
+        resume: () => {
+            const entry = pending();
+            if (!entry) return;
+            clearTimeout(entry.timer);
+            entry.timer = startTimer(key);
+        },
+    };
+};
+
+/**
+ * Sends every scheduled deletion now, without waiting for the undo window.
+ * @param {object} [requestOptions] - Extra fetchApi options for the DELETE requests.
+ */
+export const flushDeletions = (requestOptions = {}) => Promise.all([...scheduled.keys()].map(key => send(key, requestOptions)));
+
+/**
+ * Drops every scheduled deletion without sending it, e.g. when the session expired and the
+ * requests would be rejected anyway; the transactions show up again.
+ */
+export const cancelDeletions = () => {
+    scheduled.forEach((entry, key) => {
+        if (entry.isSending) return;
+        clearTimeout(entry.timer);
+        scheduled.delete(key);
+    });
+    update();
+};
+
+// Requests of a closing page are cancelled unless sent with keepalive
+window.addEventListener('pagehide', () => {
+    flushDeletions({ keepalive: true });
+});
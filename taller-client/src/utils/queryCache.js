@@ -0,0 +1,141 @@
+import { isAbortError } from './apiError';
+
+// --- Query Cache ---
+// In-memory cache of server reads shared by every view (see hooks/useQuery), so switching views
+// shows the data already loaded and all views show the same data. Cached data is served
+// right away and revalidated in the background once stale (stale-while-revalidate). Concurrent
+// requests for one key share a single fetch. Mutations either invalidate the keys they
+// affect or patch them optimistically and roll back on failure.
+// Each entry: { data, error, updatedAt, invalidated, promise, controller }
+
+export const QUERY_KEYS = {
+    CONTAINERS: 'containers',
+    CATEGORIES: 'categories',
+    TRANSACTIONS: 'transactions',
+    // Per transaction: `${ATTACHMENTS}:${transactionId}` (see utils/attachments)
+    ATTACHMENTS: 'attachments',
+    // Per transaction: `${AUDIT_TRAIL}:${transactionId}` (see utils/auditTrail)
+    AUDIT_TRAIL: 'auditTrail',
+};
+
+// How long fetched data counts as fresh; older data is still shown while it is refetched
+export const STALE_TIME_MS = 30 * 1000;
+
+const EMPTY_ENTRY = { data: undefined, error: null, updatedAt: 0, invalidated: false, promise: null, controller: null };
+
+const entries = new Map();
+// key -> Map(listener -> fetcher of that subscriber)
+const subscribers = new Map();
+
+export const getQueryState = (key) => entries.get(key) || EMPTY_ENTRY;
+
+const setEntry = (key, changes) => {
+    entries.set(key, { ...getQueryState(key), ...changes });
+    (subscribers.get(key) || new Map()).forEach((_, listener) => listener());
+};
+
+export const isStale = (entry, staleTime = STALE_TIME_MS) => entry.data === undefined
+    || entry.invalidated
+    || Date.now() - entry.updatedAt > staleTime;
+
+/**
+ * Loads `key` through `fetcher` (signal => Promise). A fetch already in flight is shared,
+ * unless `force` is set: then it is cancelled and replaced, so an older response can
+ * never overwrite a newer one. Errors are kept on the entry and rethrown.
+ */
+export const fetchQuery = (key, fetcher, { force = false } = {}) => {
+    const current = getQueryState(key);
+    // A cancelled fetch is never shared: it would settle without data
+    if (current.promise && !force && !current.controller?.signal.aborted) return current.promise;
+    current.controller?.abort();
+
+    const controller = new AbortController();
+    const isLatest = () => getQueryState(key).controller === controller;
+    const promise = fetcher(controller.signal).then(
+        (data) => {
+            if (isLatest()) {
+                setEntry(key, { data, error: null, updatedAt: Date.now(), invalidated: false, promise: null, controller: null });
+            }
+            return data;
+        },
+        (error) => {
+            // A cancelled fetch keeps the previous data and error; whoever cancelled it takes over
+            if (isLatest()) {
+                setEntry(key, { error: isAbortError(error) ? getQueryState(key).error : error, promise: null, controller: null });
+            }
+            throw error;
+        }
+    );
+    setEntry(key, { promise, controller });
+    return promise;
+};
+
+/**
+ * Registers a listener for changes of `key`, together with the fetcher that refetches it
+ * when it is invalidated. The last subscriber leaving cancels a fetch still in flight.
+ * Returns the unsubscribe function.
+ */
+export const subscribeQuery = (key, listener, fetcher) => {
+    if (!subscribers.has(key)) subscribers.set(key, new Map());
+    subscribers.get(key).set(listener, fetcher);
+
+    return () => {
+        const keySubscribers = subscribers.get(key);
+        keySubscribers.delete(listener);
+        const { controller } = getQueryState(key);
+        if (keySubscribers.size === 0 && controller) {
+            controller.abort();
+            // Forgotten right away, so a subscriber arriving next (StrictMode remount, another
+            // view of the same key) starts a fresh fetch instead of waiting on the cancelled one
+            setEntry(key, { promise: null, controller: null });
+        }
+    };
+};
+
+/**
+ * Marks the keys as outdated after a mutation. Keys some view is showing are refetched
+ * right away; the others on their next use.
+ */
+export const invalidateQueries = (...keys) => {
+    keys.forEach((key) => {
+        if (!entries.has(key)) return;
+        setEntry(key, { invalidated: true });
+        const fetchers = [...(subscribers.get(key) || new Map()).values()];
+        if (fetchers.length > 0) {
+            fetchQuery(key, fetchers[fetchers.length - 1], { force: true }).catch(() => {});
+        }
+    });
+};
+
+/**
+ * Optimistically replaces the cached data of `key` with `updater(data)`, cancelling a fetch
+ * in flight so it cannot undo the change. Returns a function that restores the previous data
+ * when the mutation fails; if the entry was written since (a refetch, another mutation), the
+ * snapshot is outdated and the key is refetched instead. Keys that were never loaded are left alone.
+ */
+export const updateQueryData = (key, updater) => {
+    const current = getQueryState(key);
+    if (current.data === undefined) return () => {};
+
+    current.controller?.abort();
+    const previous = current.data;
+    const optimistic = updater(previous);
+    setEntry(key, { data: optimistic, promise: null, controller: null, invalidated: Boolean(current.promise) });
+    return () => {
+        if (getQueryState(key).data === optimistic) {
+            setEntry(key, { data: previous });
+        } else {
+            invalidateQueries(key);
+        }
+    };
+};
+
+/**
+ * Forgets everything, e.g. when the session ends; cached data belongs to one user.
+ */
+export const clearQueries = () => {
+    entries.forEach(entry => entry.controller?.abort());
+    const keys = [...entries.keys()];
+    entries.clear();
+    keys.forEach(key => (subscribers.get(key) || new Map()).forEach((_, listener) => listener()));
+};
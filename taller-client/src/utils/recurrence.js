@@ -0,0 +1,137 @@
+import { addDays, daysBetween, formatDateKey, parseDateKey } from './dates';
+import { monthName, weekdayName } from './format';
+import { getLocale, translate } from './i18n';
+
+// --- Recurring Schedules ---
+// A recurring rule repeats a transaction template on a schedule, starting at `startDate`
+// and optionally ending at `endDate` (both inclusive "YYYY-MM-DD" day keys).
+
+export const SCHEDULE_TYPES = {
+    MONTHLY: 'MONTHLY', // { dayOfMonth: 1-31 }, clamped to the month's last day
+    WEEKLY: 'WEEKLY', // { weekday: 0-6, Sunday first }
+    YEARLY: 'YEARLY', // { month: 1-12, dayOfMonth: 1-31 }, 29 Feb falls back to 28 Feb
+    EVERY_N_DAYS: 'EVERY_N_DAYS', // { interval: N }, counted from startDate
+};
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+// Day `dayOfMonth` of the given month, or its last day when the month is shorter
+const clampedDate = (year, monthIndex, dayOfMonth) => {
+    const normalized = new Date(Date.UTC(year, monthIndex, 1));
+    const y = normalized.getUTCFullYear();
+    const m = normalized.getUTCMonth();
+    return new Date(Date.UTC(y, m, Math.min(dayOfMonth, daysInMonth(y, m))));
+};
+
+// First occurrence on or after `fromKey`
+const firstOnOrAfter = (schedule, anchorKey, fromKey) => {
+    const from = parseDateKey(fromKey);
+    switch (schedule.type) {
+        case SCHEDULE_TYPES.EVERY_N_DAYS: {
+            const interval = Math.max(1, schedule.interval);
+            const elapsed = Math.max(0, daysBetween(anchorKey, fromKey));
+            return parseDateKey(addDays(anchorKey, Math.ceil(elapsed / interval) * interval));
+        }
+        case SCHEDULE_TYPES.WEEKLY:
+            return parseDateKey(addDays(fromKey, (schedule.weekday - from.getUTCDay() + 7) % 7));
+        case SCHEDULE_TYPES.YEARLY: {
+            const candidate = clampedDate(from.getUTCFullYear(), schedule.month - 1, schedule.dayOfMonth);
+            return candidate >= from ? candidate : clampedDate(from.getUTCFullYear() + 1, schedule.month - 1, schedule.dayOfMonth);
+        }
+        case SCHEDULE_TYPES.MONTHLY:
+        default: {
+            const candidate = clampedDate(from.getUTCFullYear(), from.getUTCMonth(), schedule.dayOfMonth);
+            return candidate >= from ? candidate : clampedDate(from.getUTCFullYear(), from.getUTCMonth() + 1, schedule.dayOfMonth);
+        }
+    }
+};
+
+const nextAfter = (schedule, date) => {
+    switch (schedule.type) {
+        case SCHEDULE_TYPES.EVERY_N_DAYS:
+            return parseDateKey(addDays(formatDateKey(date), Math.max(1, schedule.interval)));
+        case SCHEDULE_TYPES.WEEKLY:
+            return parseDateKey(addDays(formatDateKey(date), 7));
+        case SCHEDULE_TYPES.YEARLY:
+            return clampedDate(date.getUTCFullYear() + 1, schedule.month - 1, schedule.dayOfMonth);
+        case SCHEDULE_TYPES.MONTHLY:
+        default:
+            return clampedDate(date.getUTCFullYear(), date.getUTCMonth() + 1, schedule.dayOfMonth);
+    }
+};
+
+/**
+ * Occurrence days of a rule within [fromKey, toKey], bounded by the rule's own start and end.
+ * @param {object} rule - { schedule, startDate, endDate }
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @param {number} limit - Safety cap on the number of returned days.
+ * @returns {string[]} Day keys in ascending order.
+ */
+export const listOccurrences = (rule, fromKey, toKey, limit = 1000) => {
+    const start = rule.startDate > fromKey ? rule.startDate : fromKey;
+    const end = rule.endDate && rule.endDate < toKey ? rule.endDate : toKey;
+    const result = [];
+    if (!start || !end || start > end) return result;
+
+    let cursor = firstOnOrAfter(rule.schedule, rule.startDate, start);
+    while (formatDateKey(cursor) <= end && result.length < limit) {
+        result.push(formatDateKey(cursor));
+        cursor = nextAfter(rule.schedule, cursor);
+    }
+    return result;
+};
+
+/**
+ * Occurrences that should already exist: everything after the last generated one up to today.
+ * This is also what catches up on days the app was not opened.
+ */
+export const dueOccurrences = (rule, todayKey) => listOccurrences(
+    rule,
+    rule.lastGeneratedDate ? addDays(rule.lastGeneratedDate, 1) : rule.startDate,
+    todayKey
+);
+
+/**
+ * Occurrences still to come within the next `days` days.
+ */
+export const upcomingOccurrences = (rule, todayKey, days = 30) => {
+    const afterGenerated = rule.lastGeneratedDate ? addDays(rule.lastGeneratedDate, 1) : rule.startDate;
+    const tomorrow = addDays(todayKey, 1);
+    return listOccurrences(rule, afterGenerated > tomorrow ? afterGenerated : tomorrow, addDays(todayKey, days));
+};
+
+// "5th" / "5." in the UI language
+const ordinal = (n) => translate(`recurrence.ordinals.${new Intl.PluralRules(getLocale(), { type: 'ordinal' }).select(n)}`, { count: n });
+
+/**
+ * Human readable schedule in the UI language, e.g. "Monthly on the 5th".
+ */
+export const describeSchedule = (schedule) => {
+    switch (schedule.type) {
+        case SCHEDULE_TYPES.EVERY_N_DAYS:
+            return translate('recurrence.everyNDays', { count: schedule.interval });
+        case SCHEDULE_TYPES.WEEKLY:
+            return translate('recurrence.weekly', { weekday: weekdayName(schedule.weekday) });
+        case SCHEDULE_TYPES.YEARLY:
+            return translate('recurrence.yearly', { month: monthName(schedule.month), day: schedule.dayOfMonth });
+        case SCHEDULE_TYPES.MONTHLY:
+        default:
+            return translate('recurrence.monthly', { ordinal: ordinal(schedule.dayOfMonth) });
+    }
+};
+
+/**
+ * The POST /transaction payload of one occurrence, with any per-occurrence adjustment applied.
+ * The transaction is stamped at local noon of its day so time zones never move it to another date.
+ */
+export const buildOccurrencePayload = (rule, dateKey, adjustment = {}) => ({
+    description: (adjustment.description || rule.description).trim(),
+    amount: adjustment.amount !== undefined && adjustment.amount !== null ? adjustment.amount : rule.amount,
+    latitude: 0,
+    longitude: 0,
+    transactionTime: new Date(`${dateKey}T12:00:00`).toISOString(),
+    transactionType: rule.transactionType,
+    account: { id: rule.accountId },
+    category: { id: rule.categoryId },
+});
@@ -0,0 +1,131 @@
+import { isNetworkError } from './apiError';
+import { dueOccurrences, buildOccurrencePayload } from './recurrence';
+
+// --- Recurring Rule Store ---
+// Rules are kept per user in localStorage; the backend only ever sees the generated transactions.
+// Each rule: { id, description, amount, accountId, categoryId, transactionType, schedule,
+//   startDate, endDate, active, lastGeneratedDate, adjustments: { [day]: { skip } | { amount, description } }, error }
+
+const storageKey = (user) => `recurring.rules.${user}`;
+
+const listeners = new Set();
+
+/**
+ * Registers a callback that runs whenever rules change, in this tab or another one.
+ * Returns the unsubscribe function.
+ */
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const notify = () => listeners.forEach(listener => listener());
+
+window.addEventListener('storage', (event) => {
+    if (event.key && event.key.startsWith('recurring.rules.')) notify();
+});
+
+export const loadRules = (user) => {
+    try {
+        return JSON.parse(localStorage.getItem(storageKey(user))) || [];
+    } catch {
+        return [];
+    }
+};
+
+const saveRules = (user, rules) => {
+    localStorage.setItem(storageKey(user), JSON.stringify(rules));
+    notify();
+};
+
+export const createRuleId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Adds the rule, or replaces the stored rule with the same id.
+ */
+export const upsertRule = (user, rule) => {
+    const rules = loadRules(user);
+    const exists = rules.some(r => r.id === rule.id);
+    saveRules(user, exists ? rules.map(r => (r.id === rule.id ? rule : r)) : [...rules, rule]);
+};
+
+/**
+ * Applies `change` (rule => rule) to one stored rule; always reads the latest stored state.
+ */
+export const updateRule = (user, id, change) => {
+    saveRules(user, loadRules(user).map(r => (r.id === id ? change(r) : r)));
+};
+
+export const removeRule = (user, id) => {
+    saveRules(user, loadRules(user).filter(r => r.id !== id));
+};
+
+const withoutAdjustment = (adjustments = {}, day) => {
+    const rest = { ...adjustments };
+    delete rest[day];
+    return rest;
+};
+
+/**
+ * Skips or adjusts a single occurrence; `adjustment` null restores the rule's defaults.
+ */
+export const setAdjustment = (user, id, day, adjustment) => updateRule(user, id, rule => ({
+    ...rule,
+    adjustments: adjustment ? { ...rule.adjustments, [day]: adjustment } : withoutAdjustment(rule.adjustments, day),
+}));
+
+const runCatchUp = async (user, send, todayKey) => {
+    let created = 0;
+
+    for (const { id } of loadRules(user).filter(r => r.active)) {
+        for (const day of dueOccurrences(loadRules(user).find(r => r.id === id), todayKey)) {
+            // Re-read before every occurrence so edits made meanwhile are respected, not overwritten
+            const rule = loadRules(user).find(r => r.id === id);
+            if (!rule || !rule.active) break;
+
+            const adjustment = rule.adjustments?.[day] || {};
+            if (!adjustment.skip) {
+                try {
+                    // One key per occurrence, so a resend after an unclear failure is deduplicated
+                    await send(buildOccurrencePayload(rule, day, adjustment), `recurring-${rule.id}-${day}`);
+                    created++;
+                } catch (error) {
+                    // Offline or logged out: try again on the next run, from the same occurrence
+                    if (isNetworkError(error) || error.status === 401) return created;
+                    updateRule(user, id, r => ({ ...r, error: `${day}: ${error.message}` }));
+                    break;
+                }
+            }
+            updateRule(user, id, r => ({
+                ...r,
+                lastGeneratedDate: day,
+                adjustments: withoutAdjustment(r.adjustments, day),
+                error: null,
+            }));
+        }
+    }
+
+    return created;
+};
+
+let activeCatchUp = null;
+
+/**
+ * Creates every occurrence that has fallen due since the last run, including the ones missed
+ * while the app was closed. Concurrent calls share one run, and the Web Locks API (where
+ * available) keeps two open tabs from generating the same occurrence twice.
+ * @param {string} user - Owner username.
+ * @param {Function} send - Async (body, idempotencyKey) => posts one payload; rejects with an ApiError.
+ * @param {string} todayKey - Local calendar day, YYYY-MM-DD.
+ * @returns {Promise<number>} Number of transactions created.
+ */
+export const catchUpRecurring = (user, send, todayKey) => {
+    if (!activeCatchUp) {
+        const run = () => runCatchUp(user, send, todayKey);
+        activeCatchUp = (navigator.locks ? navigator.locks.request(`recurring-catch-up.${user}`, run) : run())
+            .finally(() => {
+                activeCatchUp = null;
+            });
+    }
+    return activeCatchUp;
+};
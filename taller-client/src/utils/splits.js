@@ -0,0 +1,57 @@
+import { translate } from './i18n';
+import { allocateAmount, formatAmount, parseMinorUnits, parseMoney, subtractAmounts, sumAmounts } from './money';
+
+// --- Split Transactions ---
+// One payment (one amount on one account) can be divided into lines, each with its own
+// category: splits = [{ categoryId, amount }], the amounts adding up to the transaction's amount.
+
+export const createSplitLine = (categoryId = '', amount = '') => ({
+    key: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    categoryId,
+    amount,
+});
+
+// DOM id of a line's amount input, also its key in the form's validation schema
+export const splitAmountId = (line) => `split-amount-${line.key}`;
+
+/**
+ * Category lines of a transaction; an unsplit transaction is a single line with its full amount.
+ * Reports and budgets aggregate over these, so every line counts under its own category.
+ */
+export const categoryLines = (transaction) => (transaction.splits && transaction.splits.length > 0
+    ? transaction.splits
+    : [{ categoryId: transaction.categoryId, amount: Math.abs(transaction.amount) }]);
+
+/**
+ * Exact sum of split form lines in `currency`; empty or invalid amounts count as zero.
+ */
+export const splitTotal = (lines, currency) => sumAmounts(lines.map(line => {
+    const amount = parseMoney(line.amount, currency);
+    return Number.isNaN(amount) ? 0 : amount;
+}), currency);
+
+/**
+ * Checks split form lines against the payment total; both are in `currency`.
+ * @returns {string} The problem, or '' when the lines are valid.
+ */
+export const validateSplits = (lines, total, currency) => {
+    if (lines.length < 2) return translate('splits.tooFewLines');
+    if (lines.some(line => !line.categoryId || !(parseMinorUnits(line.amount, currency) > 0))) {
+        return translate('splits.incompleteLine');
+    }
+    const difference = subtractAmounts(total, splitTotal(lines, currency), currency);
+    if (difference !== 0) {
+        return translate(difference > 0 ? 'splits.unassigned' : 'splits.overassigned', { amount: formatAmount(Math.abs(difference), currency) });
+    }
+    return '';
+};
+
+/**
+ * Converts form lines into the payload shape. `total` is the booked amount in `currency`, the
+ * account's currency, which differs from the lines' when they were entered in another one: the
+ * total is divided in proportion to the lines, so the parts always add up to it exactly.
+ */
+export const toSplitDtos = (lines, total, currency) => {
+    const amounts = allocateAmount(total, lines.map(line => Number(line.amount) || 0), currency);
+    return lines.map((line, index) => ({ category: { id: line.categoryId }, amount: amounts[index] }));
+};
@@ -0,0 +1,46 @@
+import { allocateAmount, toAmountString } from './money';
+import { createSplitLine } from './splits';
+import { toDateTimeInput } from './dates';
+
+// --- Transaction Editing ---
+// Saved transactions are edited in TransactionForm, which starts from the values below
+// instead of an empty draft.
+
+/**
+ * The TransactionForm field values that reproduce a saved transaction.
+ * @param {object} transaction - Normalized transaction; the OUT leg of a transfer.
+ * @param {object|null} counterpart - The IN leg of a transfer, if any.
+ * @param {object} accountsById - Accounts indexed by id.
+ */
+export const transactionFormValues = (transaction, counterpart, accountsById) => {
+    const account = accountsById[transaction.accountId];
+    // Amounts entered in another currency are edited in that currency again
+    const currency = transaction.originalCurrency || account?.currency || '';
+    const enteredAmount = transaction.originalCurrency ? transaction.originalAmount : transaction.amount;
+    // Split lines are stored in the account's currency; scale them back to the entered total
+    const lineAmounts = transaction.originalCurrency
+        ? allocateAmount(enteredAmount, transaction.splits.map(line => line.amount), currency)
+        : transaction.splits.map(line => line.amount);
+    const destination = accountsById[counterpart?.accountId || transaction.counterpartAccountId];
+    const isCrossCurrency = Boolean(counterpart && destination && account && destination.currency !== account.currency);
+
+    return {
+        description: transaction.description,
+        amount: toAmountString(enteredAmount, currency),
+        // 0/0 is what the form sends when no location was given
+        latitude: transaction.latitude ? String(transaction.latitude) : '',
+        longitude: transaction.longitude ? String(transaction.longitude) : '',
+        transactionType: transaction.transactionType,
+        containerId: account?.containerId || '',
+        accountId: transaction.accountId,
+        categoryId: transaction.categoryId,
+        isSplit: transaction.splits.length > 0,
+        splitLines: transaction.splits.map((line, index) => createSplitLine(line.categoryId, toAmountString(lineAmounts[index], currency))),
+        destinationContainerId: destination?.containerId || '',
+        destinationAccountId: destination?.id || '',
+        receivedAmount: isCrossCurrency ? toAmountString(counterpart.amount, destination.currency) : '',
+        exchangeRate: isCrossCurrency && transaction.amount > 0 ? (counterpart.amount / transaction.amount).toFixed(6) : '',
+        currency: transaction.originalCurrency || '',
+        time: toDateTimeInput(transaction.transactionTime),
+    };
+};
@@ -0,0 +1,133 @@
+import { descendantIds } from './categories';
+import { categoryLines } from './splits';
+import { parseDecimal, toMinorUnits } from './money';
+
+// --- Transaction Helpers ---
+// Pure functions shared by the views that list or aggregate transactions.
+
+/**
+ * Flattens an AccountTransactionDto into the shape used by the list/report views.
+ * @param {object} dto - Transaction as returned by the API.
+ */
+export const normalizeTransaction = (dto) => ({
+    id: String(dto.id),
+    description: dto.description || '',
+    amount: Number(dto.amount) || 0,
+    latitude: dto.latitude,
+    longitude: dto.longitude,
+    transactionTime: dto.transactionTime,
+    transactionType: dto.transactionType,
+    accountId: dto.account ? String(dto.account.id) : '',
+    categoryId: dto.category ? String(dto.category.id) : '',
+    // Split payments only; see utils/splits
+    splits: Array.isArray(dto.splits)
+        ? dto.splits.map(s => ({ categoryId: s.category ? String(s.category.id) : '', amount: Math.abs(Number(s.amount)) || 0 }))
+        : [],
+    // Only set when the amount was entered in another currency and converted into the account's
+    originalAmount: dto.originalAmount != null ? Number(dto.originalAmount) : null,
+    originalCurrency: dto.originalCurrency || null,
+    exchangeRate: dto.exchangeRate != null ? Number(dto.exchangeRate) : null,
+    // Transfer legs only; older one-sided transfers have neither and count as outgoing
+    transferId: dto.transferId || null,
+    transferDirection: dto.transferDirection || null,
+    counterpartAccountId: dto.counterpartAccount ? String(dto.counterpartAccount.id) : '',
+    // NOTE: Assuming the DTO reports how many attachments (receipts) the transaction has
+    attachmentCount: Number(dto.attachmentCount) || 0,
+});
+
+/**
+ * Turns a normalized transaction back into an AccountTransactionDto, e.g. to save it again
+ * unchanged when an edit has to be reverted.
+ */
+export const toTransactionDto = (transaction) => ({
+    description: transaction.description,
+    amount: transaction.amount,
+    latitude: transaction.latitude,
+    longitude: transaction.longitude,
+    transactionTime: transaction.transactionTime,
+    transactionType: transaction.transactionType,
+    account: { id: transaction.accountId },
+    category: transaction.categoryId ? { id: transaction.categoryId } : null,
+    ...(transaction.splits.length > 0
+        ? { splits: transaction.splits.map(line => ({ category: { id: line.categoryId }, amount: line.amount })) }
+        : {}),
+    ...(transaction.originalCurrency
+        ? { originalAmount: transaction.originalAmount, originalCurrency: transaction.originalCurrency, exchangeRate: transaction.exchangeRate }
+        : {}),
+    ...(transaction.transferId
+        ? {
+            transferId: transaction.transferId,
+            transferDirection: transaction.transferDirection,
+            counterpartAccount: transaction.counterpartAccountId ? { id: transaction.counterpartAccountId } : null,
+        }
+        : {}),
+});
+
+export const DEFAULT_TRANSACTION_FILTERS = {
+    containerId: '',
+    accountId: '',
+    categoryId: '',
+    transactionType: '',
+    dateFrom: '',
+    dateTo: '',
+    minAmount: '',
+    maxAmount: '',
+};
+
+// Date inputs hold local calendar days; the range includes both ends
+const startOfDay = (day) => new Date(`${day}T00:00:00`).getTime();
+const endOfDay = (day) => new Date(`${day}T23:59:59.999`).getTime();
+
+/**
+ * Applies the history filters. Empty filter values are ignored.
+ * @param {Array} transactions - Normalized transactions.
+ * @param {object} filters - See DEFAULT_TRANSACTION_FILTERS.
+ * @param {object} accountsById - Map of accountId to account (needs containerId).
+ * @param {Array} categories - When given, a category filter also matches its subcategories.
+ * Amount bounds are compared in minor units of each transaction's account currency.
+ */
+export const filterTransactions = (transactions, filters, accountsById, categories = []) => {
+    // NaN (empty or not a number) means no bound
+    const minAmount = parseDecimal(filters.minAmount);
+    const maxAmount = parseDecimal(filters.maxAmount);
+    const from = filters.dateFrom ? startOfDay(filters.dateFrom) : null;
+    const to = filters.dateTo ? endOfDay(filters.dateTo) : null;
+    const categoryIds = filters.categoryId ? descendantIds(categories, filters.categoryId) : null;
+
+    return transactions.filter(t => {
+        const time = new Date(t.transactionTime).getTime();
+        const account = accountsById[t.accountId];
+
+        if (filters.containerId && (!account || account.containerId !== filters.containerId)) return false;
+        if (filters.accountId && t.accountId !== filters.accountId) return false;
+        if (categoryIds && !categoryLines(t).some(line => categoryIds.has(line.categoryId))) return false;
+        if (filters.transactionType && t.transactionType !== filters.transactionType) return false;
+        if (from !== null && time < from) return false;
+        if (to !== null && time > to) return false;
+        const currency = account?.currency;
+        if (!isNaN(minAmount) && toMinorUnits(t.amount, currency) < toMinorUnits(minAmount, currency)) return false;
+        if (!isNaN(maxAmount) && toMinorUnits(t.amount, currency) > toMinorUnits(maxAmount, currency)) return false;
+        return true;
+    });
+};
+
+/**
+ * Returns a sorted copy of the transactions.
+ * @param {Array} transactions - Normalized transactions.
+ * @param {{ key: string, direction: 'asc'|'desc' }} sort
+ * @param {Function} getValue - (transaction, key) => comparable value (string or number).
+ */
+export const sortTransactions = (transactions, sort, getValue) => {
+    const factor = sort.direction === 'asc' ? 1 : -1;
+    return [...transactions].sort((a, b) => {
+        const valueA = getValue(a, sort.key);
+        const valueB = getValue(b, sort.key);
+        if (typeof valueA === 'number' && typeof valueB === 'number') {
+            return (valueA - valueB) * factor;
+        }
+        return String(valueA).localeCompare(String(valueB)) * factor;
+    });
+};
+
+// Builds an id => item lookup object
+export const indexById = (items) => Object.fromEntries(items.map(item => [item.id, item]));
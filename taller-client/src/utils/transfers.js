@@ -0,0 +1,51 @@
+// --- Transfers ---
+// A transfer is stored as two TRANSFER transactions ("legs") sharing a transferId:
+// the OUT leg leaves the source account, the IN leg arrives on the destination account.
+// NOTE: Assuming the backend persists transferId, transferDirection and counterpartAccount on the DTO.
+
+export const TRANSFER_DIRECTIONS = {
+    OUT: 'OUT',
+    IN: 'IN',
+};
+
+export const createTransferId = () => (crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+
+/**
+ * Builds the linked pair of payloads for POST /transaction.
+ * @param {object} base - Fields shared by both legs (description, time, category, location).
+ * @param {object} transfer - { sourceAccountId, destinationAccountId, amount, receivedAmount, transferId }
+ *                            receivedAmount differs from amount only across currencies; pass the
+ *                            transferId of an existing transfer that is edited.
+ * @returns {[object, object]} The OUT leg followed by the IN leg.
+ */
+export const buildTransferLegs = (base, { sourceAccountId, destinationAccountId, amount, receivedAmount, transferId = createTransferId() }) => {
+    const leg = (direction, accountId, counterpartId, legAmount) => ({
+        ...base,
+        amount: legAmount,
+        transactionType: 'TRANSFER',
+        account: { id: accountId },
+        transferId,
+        transferDirection: direction,
+        counterpartAccount: { id: counterpartId },
+    });
+    return [
+        leg(TRANSFER_DIRECTIONS.OUT, sourceAccountId, destinationAccountId, amount),
+        leg(TRANSFER_DIRECTIONS.IN, destinationAccountId, sourceAccountId, receivedAmount),
+    ];
+};
+
+/**
+ * Both legs of the transfer `transaction` belongs to, OUT leg first. Either may be null: older
+ * one-sided transfers have no IN leg.
+ * @param {Array<object>} transactions - Normalized transactions.
+ */
+export const findTransferLegs = (transactions, transaction) => {
+    if (!transaction.transferId) return [transaction, null];
+    const legs = transactions.filter(t => t.transferId === transaction.transferId);
+    return [
+        legs.find(t => t.transferDirection !== TRANSFER_DIRECTIONS.IN) || null,
+        legs.find(t => t.transferDirection === TRANSFER_DIRECTIONS.IN) || null,
+    ];
+};
@@ -0,0 +1,74 @@
+import { translate } from './i18n';
+import { currencyDecimals, fitsCurrencyPrecision } from './money';
+
+// --- Form Validation ---
+// Declarative schemas: { [fieldId]: [rule, ...] }. A rule is (value, values) => error message,
+// or '' when the value is fine; the first failing rule of a field wins. Field ids are the DOM
+// ids of the inputs, so useFormValidation can focus the first invalid one.
+// Only `required` rejects empty values; the other rules leave optional fields alone.
+// Default messages are translated when the rule is created (utils/i18n).
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+export const required = (message = translate('validation.required')) => (value) => (isEmpty(value) ? message : '');
+
+export const isNumber = (message = translate('validation.number')) => (value) => (
+    isEmpty(value) || Number.isFinite(Number(value)) ? '' : message
+);
+
+export const inRange = (min, max, message = translate('validation.range', { min, max })) => (value) => (
+    isEmpty(value) || (Number(value) >= min && Number(value) <= max) ? '' : message
+);
+
+export const positive = (message = translate('validation.positive')) => (value) => (
+    isEmpty(value) || Number(value) > 0 ? '' : message
+);
+
+export const nonNegative = (message = translate('validation.nonNegative')) => (value) => (
+    isEmpty(value) || Number(value) >= 0 ? '' : message
+);
+
+const precisionMessage = (currency) => {
+    const decimals = currencyDecimals(currency);
+    return decimals === 0
+        ? translate('validation.wholeAmount', { currency })
+        : translate('validation.precision', { currency, count: decimals });
+};
+
+/**
+ * Rejects amounts with more decimal places than `currency` has, e.g. cents on HUF.
+ */
+export const currencyPrecision = (currency, message = precisionMessage(currency)) => (value) => (
+    isEmpty(value) || fitsCurrencyPrecision(value, currency) ? '' : message
+);
+
+/**
+ * Rejects a value that equals (trimmed, case-insensitively) one of `others`.
+ * @param {Array<string>} others - The values it has to differ from.
+ */
+export const uniqueAmong = (others, message = translate('validation.unique')) => (value) => {
+    const normalized = String(value ?? '').trim().toLowerCase();
+    return normalized && others.some(other => String(other ?? '').trim().toLowerCase() === normalized) ? message : '';
+};
+
+/**
+ * First error of one field, or ''.
+ */
+export const validateField = (rules = [], value, values) => {
+    for (const rule of rules) {
+        const error = rule(value, values);
+        if (error) return error;
+    }
+    return '';
+};
+
+/**
+ * Errors of every invalid field: { [fieldId]: message }.
+ * @param {object} schema - { [fieldId]: [rule, ...] }.
+ * @param {object} values - { [fieldId]: value }.
+ */
+export const validateSchema = (schema, values) => Object.fromEntries(
+    Object.entries(schema)
+        .map(([field, rules]) => [field, validateField(rules, values[field], values)])
+        .filter(([, error]) => error)
+);
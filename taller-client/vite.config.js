@@ -51,6 +51,10 @@ export default defineConfig({
 
       workbox: {
         globPatterns: ['**/*.{js,css,html,ico,png,svg}'],
+        // Client-side routes (/containers/:id, /transactions/new, ...) are served by index.html;
+        // API calls must never be answered with the app shell.
+        navigateFallback: 'index.html',
+        navigateFallbackDenylist: [/^\/api\//],
         runtimeCaching: [
           {
             urlPattern: ({ request }) => request.mode === 'navigate',